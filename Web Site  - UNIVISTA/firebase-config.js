@@ -20,4 +20,21 @@ const storage = app.storage();  // <-- Changed from firebase.getStorage(app)
 // Expose these for use in other JS files
 window.auth = auth;
 window.db = db;
-window.storage = storage;
\ No newline at end of file
+window.storage = storage;
+
+// Cloud Functions (checkout) are only loaded on pages that include firebase-functions-compat.js
+const functions = firebase.functions ? app.functions() : null;
+window.functions = functions;
+
+/**
+ * Calls an HTTPS callable Cloud Function and returns its result. Checkout calls go through
+ * callPaymentFunction (js/payments.js) instead, which also retries them.
+ * @param {string} name - Cloud Function name.
+ * @param {object} [data]
+ * @returns {Promise<object>}
+ */
+async function callFunction(name, data = {}) {
+    if (!functions) throw new Error("This page cannot reach the server.");
+    return (await functions.httpsCallable(name)(data)).data;
+}
+window.callFunction = callFunction;
@@ -0,0 +1,221 @@
+// js/admin.js - Crew management console for admin.html.
+// Admins make users crew for one or more faculties, change or revoke those assignments and follow
+// what each crew member has been doing. The writes go through functions/src/crew.js; firestore.rules
+// only lets a crew member act on the faculties in their profile's 'crewFaculties'.
+
+const adminState = {
+    crew: [],           // users with role 'crew'
+    selectedUid: null,  // Crew member whose activity is open
+    stopActivity: null
+};
+
+const ADMIN_ACTIVITY_LIMIT = 10;
+
+function formatAdminTime(timestamp) {
+    return timestamp && timestamp.toDate
+        ? timestamp.toDate().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+        : '-';
+}
+
+async function callCrewFunction(name, data) {
+    if (!window.functions) throw new Error("Crew management is not available on this page.");
+    return (await functions.httpsCallable(name)(data)).data;
+}
+
+// =========================================================================
+// --- 1. GRANT / REVOKE ---
+// =========================================================================
+
+function checkedFaculties() {
+    return Array.from(document.querySelectorAll('#crew-faculty-options input:checked')).map(input => input.value);
+}
+
+/**
+ * Fills the form to change an existing crew member's faculties.
+ */
+function editCrewMember(uid) {
+    const member = adminState.crew.find(crew => crew.uid === uid);
+    if (!member) return;
+    document.getElementById('crew-email').value = member.email || '';
+    const assigned = crewFacultiesOf(member);
+    document.querySelectorAll('#crew-faculty-options input').forEach(input => {
+        input.checked = assigned.includes(input.value);
+    });
+    document.getElementById('crew-access-form').scrollIntoView({ behavior: 'smooth' });
+}
+window.editCrewMember = editCrewMember;
+
+async function revokeCrewMember(uid) {
+    const member = adminState.crew.find(crew => crew.uid === uid);
+    if (!member || !confirm(`Revoke crew access for ${member.name || member.email}?`)) return;
+    try {
+        await callCrewFunction('revokeCrewAccess', { uid });
+    } catch (error) {
+        console.error("Error revoking crew access:", error);
+        alert(`Could not revoke crew access: ${error.message}`);
+    }
+}
+window.revokeCrewMember = revokeCrewMember;
+
+async function withdrawCrewInvite(email) {
+    if (!confirm(`Withdraw the crew invite for ${email}?`)) return;
+    try {
+        await callCrewFunction('revokeCrewAccess', { email });
+    } catch (error) {
+        console.error("Error withdrawing crew invite:", error);
+        alert(`Could not withdraw the invite: ${error.message}`);
+    }
+}
+window.withdrawCrewInvite = withdrawCrewInvite;
+
+async function submitCrewAccess(e) {
+    e.preventDefault();
+    const email = document.getElementById('crew-email').value.trim();
+    const faculties = checkedFaculties();
+    if (faculties.length === 0) {
+        alert("Choose at least one faculty.");
+        return;
+    }
+
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    try {
+        const result = await callCrewFunction('setCrewAccess', { email, faculties });
+        const invited = result.waitingFor === 'verification'
+            ? `${email} has not verified their address yet. They become crew for ${faculties.join(', ')} once they have and log in as crew.`
+            : `${email} has no account yet. They become crew for ${faculties.join(', ')} when they register and verify their address.`;
+        alert(result.status === 'invited' ? invited : `${email} is now crew for ${faculties.join(', ')}.`);
+        e.target.reset();
+    } catch (error) {
+        console.error("Error granting crew access:", error);
+        alert(`Could not grant crew access: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// =========================================================================
+// --- 2. CREW AND INVITE LISTS ---
+// =========================================================================
+
+function renderCrewList(crew) {
+    adminState.crew = crew;
+    const list = document.getElementById('crew-list');
+    if (crew.length === 0) {
+        list.innerHTML = '<p>No crew members yet.</p>';
+        return;
+    }
+    syncLiveList(list, crew.map(member => ({ ...member, id: member.uid })), member => `
+        <div class="crew-row${member.uid === adminState.selectedUid ? ' selected' : ''}">
+            <div class="crew-row-details">
+                <h4>${escapeHtml(member.name || 'Unnamed')} <small>${escapeHtml(member.email)}</small></h4>
+                <p>${crewFacultiesOf(member).map(faculty => `<span class="crew-faculty-tag">${escapeHtml(faculty)}</span>`).join(' ')}</p>
+                <p class="crew-granted">Granted ${formatAdminTime(member.crewGrantedAt)}</p>
+            </div>
+            <div class="crew-row-actions">
+                <button type="button" onclick="showCrewActivity('${member.uid}')">Activity</button>
+                <button type="button" onclick="editCrewMember('${member.uid}')">Edit Faculties</button>
+                <button type="button" class="reject-btn" onclick="revokeCrewMember('${member.uid}')">Revoke</button>
+            </div>
+        </div>
+    `);
+}
+
+function renderInviteList(invites) {
+    const list = document.getElementById('crew-invite-list');
+    if (invites.length === 0) {
+        list.innerHTML = '<p>No pending invites.</p>';
+        return;
+    }
+    syncLiveList(list, invites, invite => `
+        <div class="crew-row">
+            <div class="crew-row-details">
+                <h4>${escapeHtml(invite.email)}</h4>
+                <p>${invite.faculties.map(faculty => `<span class="crew-faculty-tag">${escapeHtml(faculty)}</span>`).join(' ')}</p>
+                <p class="crew-granted">Invited ${formatAdminTime(invite.invitedAt)}</p>
+            </div>
+            <div class="crew-row-actions">
+                <button type="button" class="reject-btn" onclick="withdrawCrewInvite('${escapeHtml(invite.email)}')">Withdraw</button>
+            </div>
+        </div>
+    `);
+}
+
+// =========================================================================
+// --- 3. CREW ACTIVITY ---
+// =========================================================================
+
+/**
+ * Shows a crew member's latest moderation decisions and door check-ins, live.
+ */
+function showCrewActivity(uid) {
+    const member = adminState.crew.find(crew => crew.uid === uid);
+    if (!member) return;
+    if (adminState.stopActivity) adminState.stopActivity();
+    adminState.selectedUid = uid;
+    renderCrewList(adminState.crew);
+
+    const panel = document.getElementById('crew-activity');
+    panel.classList.remove('hidden');
+    document.getElementById('crew-activity-name').textContent = member.name || member.email;
+    document.getElementById('crew-activity-audit').href = `audit-log.html?actor=${encodeURIComponent(uid)}`;
+    const reviews = document.getElementById('crew-activity-reviews');
+    const checkIns = document.getElementById('crew-activity-checkins');
+    reviews.innerHTML = checkIns.innerHTML = '<li>Loading...</li>';
+
+    const stopReviews = watchQuery(db.collection("events")
+        .where("reviewedBy", "==", uid)
+        .orderBy("reviewedAt", "desc")
+        .limit(ADMIN_ACTIVITY_LIMIT), (events) => {
+        reviews.innerHTML = events.length === 0 ? '<li>No moderation decisions yet.</li>' : events.map(event => `
+            <li><span class="event-status-tag status-${event.status}">${event.status}</span>
+                <a href="event-details.html?id=${event.id}">${escapeHtml(event.title)}</a>
+                (${escapeHtml(event.faculty)}) - ${formatAdminTime(event.reviewedAt)}</li>
+        `).join('');
+    });
+
+    const stopCheckIns = db.collectionGroup("checkins")
+        .where("checkedInBy", "==", uid)
+        .orderBy("checkedInAt", "desc")
+        .limit(ADMIN_ACTIVITY_LIMIT)
+        .onSnapshot((snapshot) => {
+            checkIns.innerHTML = snapshot.empty ? '<li>No check-ins yet.</li>' : snapshot.docs.map(doc => {
+                const checkIn = doc.data();
+                return `<li>${escapeHtml(checkIn.ticketId)} (attendee ${checkIn.attendee}) - ${formatAdminTime(checkIn.checkedInAt)}</li>`;
+            }).join('');
+        }, (error) => console.error("Error loading check-ins:", error));
+
+    adminState.stopActivity = () => {
+        stopReviews();
+        stopCheckIns();
+    };
+}
+window.showCrewActivity = showCrewActivity;
+
+// =========================================================================
+// --- 4. PAGE SETUP ---
+// =========================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const profile = await getCurrentUserRole();
+    if (profile.role !== 'admin') {
+        alert("Access denied. The crew console is for admins only.");
+        window.location.href = 'index.html';
+        return;
+    }
+
+    document.getElementById('crew-faculty-options').innerHTML = FACULTIES.map(faculty => `
+        <label><input type="checkbox" value="${faculty}"> ${faculty}</label>
+    `).join('');
+    document.getElementById('crew-access-form').addEventListener('submit', submitCrewAccess);
+
+    db.collection("users").where("role", "==", "crew").onSnapshot((snapshot) => {
+        renderCrewList(snapshot.docs
+            .map(doc => ({ uid: doc.id, ...doc.data() }))
+            .sort((a, b) => String(a.name || a.email).localeCompare(String(b.name || b.email))));
+    }, (error) => console.error("Error loading crew:", error));
+
+    db.collection("crewInvites").onSnapshot((snapshot) => {
+        renderInviteList(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error loading crew invites:", error));
+});
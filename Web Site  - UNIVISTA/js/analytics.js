@@ -0,0 +1,422 @@
+// js/analytics.js - Crew analytics for crew-analytics.html, one assigned faculty at a time.
+// Everything is worked out in the browser from the faculty's 'events' and the 'tickets' of its
+// ticketed events (firestore.rules lets crew read both), then drawn with Chart.js. Clicking a bar,
+// slice, point or summary card lists the events behind it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date range presets, in days back from today ('all' and 'custom' have none)
+const ANALYTICS_RANGES = { '30': 30, '90': 90, '365': 365 };
+
+// Approval turnaround buckets: [label, upper bound in hours]
+const TURNAROUND_BUCKETS = [
+    ['Under 1 day', 24],
+    ['1-3 days', 72],
+    ['3-7 days', 168],
+    ['Over a week', Infinity]
+];
+
+const TIER_COLORS = { member: '#6f42c1', general: '#007bff' };
+
+const analyticsState = {
+    profile: null,
+    faculty: null,
+    events: [],                 // Canonical events of the faculty, any status
+    ticketsByEvent: new Map(),  // eventId -> ticket documents, loaded once per event
+    charts: {}
+};
+
+function formatPercent(part, whole) {
+    return whole > 0 ? `${Math.round((part / whole) * 100)}%` : '-';
+}
+
+function formatHours(hours) {
+    if (hours == null) return '-';
+    return hours < 48 ? `${Math.round(hours)} h` : `${(hours / 24).toFixed(1)} days`;
+}
+
+/** Local calendar day of a Date, as YYYY-MM-DD. */
+function dayKey(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function toMillis(timestamp) {
+    return timestamp && timestamp.toMillis ? timestamp.toMillis() : null;
+}
+
+function eventStartMillis(event) {
+    if (event.startsAt && event.startsAt.toMillis) return event.startsAt.toMillis();
+    const start = eventStartDate(event.date, event.time);
+    return start ? start.getTime() : null;
+}
+
+// =========================================================================
+// --- 1. DATA ---
+// =========================================================================
+
+/**
+ * The chosen date range as epoch milliseconds; either end may be null (open).
+ * @returns {{from: number|null, to: number|null}}
+ */
+function readAnalyticsRange() {
+    const preset = document.getElementById('analytics-range').value;
+    if (ANALYTICS_RANGES[preset]) {
+        const today = new Date();
+        const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+        return { from: end - ANALYTICS_RANGES[preset] * DAY_MS, to: end };
+    }
+    if (preset === 'custom') {
+        const from = eventStartDate(document.getElementById('analytics-from').value, '');
+        const to = eventStartDate(document.getElementById('analytics-to').value, '');
+        return { from: from ? from.getTime() : null, to: to ? to.getTime() + DAY_MS : null };
+    }
+    return { from: null, to: null };
+}
+
+function inRange(millis, range) {
+    return millis != null && (range.from == null || millis >= range.from) && (range.to == null || millis < range.to);
+}
+
+async function loadFacultyEvents(faculty) {
+    return queryEvents(db.collection("events").where("faculty", "==", faculty));
+}
+
+/**
+ * Loads the tickets of the given events that are not loaded yet, one query per event
+ * (the rules check the event's faculty for each).
+ */
+async function loadTicketsFor(events) {
+    const missing = events.filter(event => !analyticsState.ticketsByEvent.has(event.id));
+    await Promise.all(missing.map(async (event) => {
+        const snapshot = await db.collection("tickets").where("eventId", "==", event.id).get();
+        analyticsState.ticketsByEvent.set(event.id, snapshot.docs.map(doc => doc.data()));
+    }));
+}
+
+/**
+ * Per-event sales figures from its active tickets (cancelled tickets were refunded).
+ * @returns {{sold: number, capacity: number, revenue: {member: number, general: number},
+ *     checkedIn: number, bookings: object[]}}
+ */
+function eventSales(event) {
+    const tickets = (analyticsState.ticketsByEvent.get(event.id) || []).filter(t => (t.status || 'active') === 'active');
+    const revenue = { member: 0, general: 0 };
+    tickets.forEach(t => { revenue[t.tier === 'member' ? 'member' : 'general'] += Number(t.amountPaid || 0); });
+    return {
+        sold: tickets.reduce((sum, t) => sum + (t.ticketCount || 0), 0),
+        capacity: event.totalTickets,
+        revenue,
+        checkedIn: tickets.reduce((sum, t) => sum + (t.checkedInCount || 0), 0),
+        bookings: tickets
+    };
+}
+
+/** Hours from submission to the crew's latest decision, or null if not reviewed. */
+function turnaroundHours(event) {
+    const created = toMillis(event.createdAt);
+    const reviewed = toMillis(event.reviewedAt);
+    return created != null && reviewed != null && reviewed >= created ? (reviewed - created) / (60 * 60 * 1000) : null;
+}
+
+/**
+ * Everything the page shows, for the events of the current faculty within a range.
+ */
+function computeAnalytics(range) {
+    const now = Date.now();
+    const ticketed = analyticsState.events
+        .filter(event => event.status === 'approved' && event.hasTickets && inRange(eventStartMillis(event), range))
+        .sort((a, b) => eventStartMillis(a) - eventStartMillis(b))
+        .map(event => ({ event, ...eventSales(event) }));
+
+    // Bookings made within the range, per day, whatever the event's date
+    const salesByDay = new Map();
+    analyticsState.events.filter(event => event.status === 'approved' && event.hasTickets).forEach(event => {
+        eventSales(event).bookings.forEach(ticket => {
+            const booked = toMillis(ticket.bookedAt);
+            if (!inRange(booked, range)) return;
+            const key = dayKey(new Date(booked));
+            const day = salesByDay.get(key) || { tickets: 0, eventIds: new Set() };
+            day.tickets += ticket.ticketCount || 0;
+            day.eventIds.add(event.id);
+            salesByDay.set(key, day);
+        });
+    });
+
+    const past = ticketed.filter(row => eventStartMillis(row.event) < now);
+    const reviewed = analyticsState.events
+        .filter(event => event.status !== 'pending' && inRange(toMillis(event.reviewedAt), range))
+        .map(event => ({ event, hours: turnaroundHours(event) }))
+        .filter(row => row.hours != null);
+    const backlog = analyticsState.events
+        .filter(event => event.status === 'pending')
+        .sort((a, b) => (toMillis(a.createdAt) || 0) - (toMillis(b.createdAt) || 0));
+
+    return {
+        ticketed,
+        salesByDay,
+        past,
+        reviewed,
+        backlog,
+        totals: {
+            sold: ticketed.reduce((sum, row) => sum + row.sold, 0),
+            capacity: ticketed.reduce((sum, row) => sum + row.capacity, 0),
+            member: ticketed.reduce((sum, row) => sum + row.revenue.member, 0),
+            general: ticketed.reduce((sum, row) => sum + row.revenue.general, 0),
+            pastSold: past.reduce((sum, row) => sum + row.sold, 0),
+            checkedIn: past.reduce((sum, row) => sum + row.checkedIn, 0),
+            averageTurnaround: reviewed.length ? reviewed.reduce((sum, row) => sum + row.hours, 0) / reviewed.length : null,
+            oldestWaiting: backlog.length && toMillis(backlog[0].createdAt) ? (now - toMillis(backlog[0].createdAt)) / (60 * 60 * 1000) : null
+        }
+    };
+}
+
+/** Every day from the range's start (or the first sale) to its end, with zero for days without sales. */
+function salesSeries(salesByDay, range) {
+    const keys = [...salesByDay.keys()].sort();
+    if (keys.length === 0) return [];
+    const first = range.from != null ? new Date(range.from) : eventStartDate(keys[0], '');
+    const last = range.to != null ? new Date(Math.min(range.to - 1, Date.now())) : eventStartDate(keys[keys.length - 1], '');
+    const series = [];
+    for (let day = new Date(first.getFullYear(), first.getMonth(), first.getDate()); day <= last; day.setDate(day.getDate() + 1)) {
+        const key = dayKey(day);
+        series.push({ key, ...(salesByDay.get(key) || { tickets: 0, eventIds: new Set() }) });
+    }
+    return series;
+}
+
+// =========================================================================
+// --- 2. DRILL-DOWN ---
+// =========================================================================
+
+/**
+ * Lists the events behind a chart element or summary card under the charts.
+ * @param {string} title
+ * @param {object[]} events - Canonical events.
+ */
+function showDrillDown(title, events) {
+    const panel = document.getElementById('analytics-drilldown');
+    document.getElementById('analytics-drilldown-title').textContent = `${title} (${events.length})`;
+    const rows = events.map(event => {
+        const sales = eventSales(event);
+        const hours = turnaroundHours(event);
+        const link = event.status === 'pending'
+            ? `crew-manage-events.html?faculty=${encodeURIComponent(event.faculty)}&event=${encodeURIComponent(event.id)}`
+            : `event-details.html?id=${encodeURIComponent(event.id)}`;
+        return `
+            <tr>
+                <td><a href="${link}">${escapeHtml(event.title)}</a></td>
+                <td>${escapeHtml(event.date)} ${escapeHtml(event.time)}</td>
+                <td>${escapeHtml(event.status.replace('_', ' '))}</td>
+                <td>${event.hasTickets ? `${sales.sold} / ${sales.capacity}` : '-'}</td>
+                <td>${event.hasTickets ? formatRupees(sales.revenue.member + sales.revenue.general) : '-'}</td>
+                <td>${event.hasTickets && eventStartMillis(event) < Date.now() ? `${sales.checkedIn} (${formatPercent(sales.checkedIn, sales.sold)})` : '-'}</td>
+                <td>${formatHours(hours)}</td>
+            </tr>
+        `;
+    }).join('');
+    document.getElementById('analytics-drilldown-rows').innerHTML = rows || '<tr><td colspan="7">No events.</td></tr>';
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// =========================================================================
+// --- 3. CHARTS ---
+// =========================================================================
+
+/**
+ * (Re)draws one chart. 'onPick' gets the index of the clicked bar, slice or point.
+ */
+function drawChart(id, config, onPick) {
+    if (analyticsState.charts[id]) analyticsState.charts[id].destroy();
+    analyticsState.charts[id] = new Chart(document.getElementById(id), {
+        ...config,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            ...config.options,
+            onClick: (e, elements) => {
+                if (elements.length > 0) onPick(elements[0].index, elements[0].datasetIndex);
+            },
+            onHover: (e, elements) => {
+                e.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            }
+        }
+    });
+}
+
+function renderSummary(data) {
+    const { totals } = data;
+    const cards = [
+        ['sold', 'Tickets sold', `${totals.sold} / ${totals.capacity}`, 'Ticketed events', data.ticketed.map(row => row.event)],
+        ['revenue', 'Revenue', formatRupees(totals.member + totals.general), 'Events with revenue',
+            data.ticketed.filter(row => row.revenue.member + row.revenue.general > 0).map(row => row.event)],
+        ['checkin', 'Check-in rate', formatPercent(totals.checkedIn, totals.pastSold), 'Past ticketed events', data.past.map(row => row.event)],
+        ['noshow', 'No-show rate', formatPercent(totals.pastSold - totals.checkedIn, totals.pastSold), 'Events with no-shows',
+            data.past.filter(row => row.sold > row.checkedIn).map(row => row.event)],
+        ['turnaround', 'Avg. approval turnaround', formatHours(totals.averageTurnaround), 'Reviewed events', data.reviewed.map(row => row.event)],
+        ['backlog', 'Queue backlog', `${data.backlog.length}${totals.oldestWaiting != null ? ` (oldest ${formatHours(totals.oldestWaiting)})` : ''}`,
+            'Waiting for review', data.backlog]
+    ];
+    const container = document.getElementById('analytics-summary');
+    container.innerHTML = cards.map(([key, label, value]) => `
+        <button type="button" class="analytics-card" data-card="${key}">
+            <span class="analytics-card-label">${label}</span>
+            <span class="analytics-card-value">${escapeHtml(value)}</span>
+        </button>
+    `).join('');
+    container.onclick = (e) => {
+        const card = e.target.closest('.analytics-card');
+        if (!card) return;
+        const [, , , title, events] = cards.find(([key]) => key === card.dataset.card);
+        showDrillDown(title, events);
+    };
+}
+
+function renderCharts(data, range) {
+    const ticketed = data.ticketed;
+
+    drawChart('chart-capacity', {
+        type: 'bar',
+        data: {
+            labels: ticketed.map(row => row.event.title),
+            datasets: [
+                { label: 'Sold', data: ticketed.map(row => row.sold), backgroundColor: '#007bff' },
+                { label: 'Unsold', data: ticketed.map(row => Math.max(row.capacity - row.sold, 0)), backgroundColor: '#d6e4ff' }
+            ]
+        },
+        options: { indexAxis: 'y', scales: { x: { stacked: true, beginAtZero: true }, y: { stacked: true } } }
+    }, index => showDrillDown(ticketed[index].event.title, [ticketed[index].event]));
+
+    drawChart('chart-revenue', {
+        type: 'doughnut',
+        data: {
+            labels: TICKET_TIERS.map(tier => TICKET_TIER_LABELS[tier]),
+            datasets: [{
+                data: TICKET_TIERS.map(tier => data.totals[tier]),
+                backgroundColor: TICKET_TIERS.map(tier => TIER_COLORS[tier])
+            }]
+        },
+        options: { plugins: { tooltip: { callbacks: { label: item => `${item.label}: ${formatRupees(item.raw)}` } } } }
+    }, (index) => {
+        const tier = TICKET_TIERS[index];
+        showDrillDown(`${TICKET_TIER_LABELS[tier]} revenue`, ticketed
+            .filter(row => row.revenue[tier] > 0)
+            .sort((a, b) => b.revenue[tier] - a.revenue[tier])
+            .map(row => row.event));
+    });
+
+    const series = salesSeries(data.salesByDay, range);
+    drawChart('chart-sales', {
+        type: 'line',
+        data: {
+            labels: series.map(day => day.key),
+            datasets: [{ label: 'Tickets sold', data: series.map(day => day.tickets), borderColor: '#007bff', backgroundColor: '#007bff', tension: 0.2 }]
+        },
+        options: { scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+    }, (index) => {
+        const day = series[index];
+        showDrillDown(`Sales on ${day.key}`, analyticsState.events.filter(event => day.eventIds.has(event.id)));
+    });
+
+    const past = data.past;
+    drawChart('chart-checkins', {
+        type: 'bar',
+        data: {
+            labels: past.map(row => row.event.title),
+            datasets: [
+                { label: 'Checked in', data: past.map(row => row.checkedIn), backgroundColor: '#2ecc71' },
+                { label: 'No-show', data: past.map(row => Math.max(row.sold - row.checkedIn, 0)), backgroundColor: '#e74c3c' }
+            ]
+        },
+        options: { scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } } }
+    }, index => showDrillDown(past[index].event.title, [past[index].event]));
+
+    const buckets = TURNAROUND_BUCKETS.map(([label, upTo], i) => ({
+        label,
+        events: data.reviewed
+            .filter(row => row.hours < upTo && (i === 0 || row.hours >= TURNAROUND_BUCKETS[i - 1][1]))
+            .map(row => row.event)
+    }));
+    drawChart('chart-turnaround', {
+        type: 'bar',
+        data: {
+            labels: buckets.map(bucket => bucket.label),
+            datasets: [{ label: 'Events reviewed', data: buckets.map(bucket => bucket.events.length), backgroundColor: '#6f42c1' }]
+        },
+        options: { scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+    }, index => showDrillDown(`Reviewed in ${buckets[index].label.toLowerCase()}`, buckets[index].events));
+}
+
+// =========================================================================
+// --- 4. PAGE SETUP ---
+// =========================================================================
+
+async function refreshAnalytics() {
+    const status = document.getElementById('analytics-status');
+    const range = readAnalyticsRange();
+    status.textContent = 'Loading...';
+    try {
+        await loadTicketsFor(analyticsState.events.filter(event => event.status === 'approved' && event.hasTickets));
+        const data = computeAnalytics(range);
+        renderSummary(data);
+        renderCharts(data, range);
+        document.getElementById('analytics-drilldown').classList.add('hidden');
+        status.textContent = '';
+    } catch (error) {
+        console.error("Error loading analytics:", error);
+        status.textContent = `Failed to load analytics: ${error.message}`;
+    }
+}
+
+async function showAnalyticsFaculty(faculty) {
+    analyticsState.faculty = faculty;
+    analyticsState.ticketsByEvent.clear();
+    document.getElementById('analytics-faculty-name').textContent = faculty;
+    history.replaceState(null, '', `?faculty=${encodeURIComponent(faculty)}`);
+    try {
+        analyticsState.events = await loadFacultyEvents(faculty);
+    } catch (error) {
+        console.error("Error loading faculty events:", error);
+        document.getElementById('analytics-status').textContent = `Failed to load events: ${error.message}`;
+        return;
+    }
+    await refreshAnalytics();
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const profile = await getCurrentUserRole();
+    const faculties = crewFacultiesOf(profile);
+    if (faculties.length === 0) {
+        alert(profile.role === 'crew'
+            ? "No faculties are assigned to your crew account yet. Ask an admin to assign one."
+            : "Access denied. Analytics are for crew members only.");
+        window.location.href = 'crew-login.html';
+        return;
+    }
+    analyticsState.profile = profile;
+    if (typeof Chart === 'undefined') {
+        document.getElementById('analytics-status').textContent = 'The chart library failed to load. Check your connection and reload.';
+        return;
+    }
+
+    const facultySelect = document.getElementById('analytics-faculty');
+    faculties.forEach(faculty => facultySelect.add(new Option(faculty, faculty)));
+    facultySelect.addEventListener('change', () => showAnalyticsFaculty(facultySelect.value));
+
+    const rangeSelect = document.getElementById('analytics-range');
+    rangeSelect.addEventListener('change', () => {
+        document.getElementById('analytics-custom-range').classList.toggle('hidden', rangeSelect.value !== 'custom');
+        if (rangeSelect.value !== 'custom') refreshAnalytics();
+    });
+    document.getElementById('analytics-custom-range').addEventListener('submit', (e) => {
+        e.preventDefault();
+        refreshAnalytics();
+    });
+    document.getElementById('analytics-drilldown-close').addEventListener('click', () => {
+        document.getElementById('analytics-drilldown').classList.add('hidden');
+    });
+
+    const requested = normalizeFaculty(new URLSearchParams(window.location.search).get('faculty'));
+    facultySelect.value = faculties.includes(requested) ? requested : faculties[0];
+    showAnalyticsFaculty(facultySelect.value);
+});
@@ -0,0 +1,203 @@
+// js/attendees.js - Attendee roster for attendees.html?event=<id>, for the event's organizer and
+// its faculty crew. Rows come from the getAttendeeRoster Cloud Function (functions/src/roster.js),
+// which leaves out email and phone for organizers. The list can be searched and sorted, exported
+// as CSV or XLSX (SheetJS) and printed as a sign-in sheet.
+
+// Columns: [key, heading, value for sorting and export]. 'contact' columns are shown to crew only.
+const ROSTER_COLUMNS = [
+    { key: 'name', label: 'Name', value: a => a.name },
+    { key: 'email', label: 'Email', value: a => a.email, contact: true },
+    { key: 'phone', label: 'Phone', value: a => a.phone, contact: true },
+    { key: 'ticketId', label: 'Ticket', value: a => a.ticketId },
+    { key: 'tier', label: 'Tier', value: a => TICKET_TIER_LABELS[a.tier] || a.tier },
+    { key: 'ticketCount', label: 'Tickets', value: a => a.ticketCount },
+    { key: 'amountPaid', label: 'Paid (Rs.)', value: a => Number(a.amountPaid).toFixed(2) },
+    { key: 'checkedInCount', label: 'Checked in', value: a => `${a.checkedInCount} / ${a.ticketCount}` },
+    { key: 'status', label: 'Status', value: a => a.status },
+    { key: 'bookedAt', label: 'Booked', value: a => formatRosterTime(a.bookedAt) }
+];
+
+const rosterState = {
+    event: null,
+    attendees: [],
+    canSeeContacts: false,
+    sort: { key: 'name', direction: 1 }
+};
+
+function formatRosterTime(millis) {
+    return millis ? new Date(millis).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+function rosterColumns() {
+    return ROSTER_COLUMNS.filter(column => !column.contact || rosterState.canSeeContacts);
+}
+
+// =========================================================================
+// --- 1. LIST ---
+// =========================================================================
+
+/** The attendees matching the search and filter, in the chosen order. */
+function visibleAttendees() {
+    const search = document.getElementById('roster-search').value.trim().toLowerCase();
+    const showCancelled = document.getElementById('roster-show-cancelled').checked;
+    const { key, direction } = rosterState.sort;
+
+    return rosterState.attendees
+        .filter(a => showCancelled || a.status === 'active')
+        .filter(a => !search || [a.name, a.email, a.phone, a.ticketId].some(value => (value || '').toLowerCase().includes(search)))
+        .sort((a, b) => {
+            const x = a[key];
+            const y = b[key];
+            if (typeof x === 'number' || typeof y === 'number') return ((x || 0) - (y || 0)) * direction;
+            return String(x || '').localeCompare(String(y || '')) * direction;
+        });
+}
+
+function checkInStatusHtml(attendee) {
+    if (attendee.status !== 'active') return '-';
+    if (attendee.checkedInCount === 0) return '<span class="roster-not-in">Not checked in</span>';
+    const all = attendee.checkedInCount >= attendee.ticketCount;
+    return `<span class="${all ? 'roster-in' : 'roster-partial'}">${attendee.checkedInCount} / ${attendee.ticketCount}</span>`;
+}
+
+function renderRoster() {
+    const columns = rosterColumns();
+    const attendees = visibleAttendees();
+    const { key, direction } = rosterState.sort;
+
+    document.getElementById('roster-head').innerHTML = `<tr>${columns.map(column => `
+        <th data-sort="${column.key}" class="${column.key === key ? (direction > 0 ? 'sorted-asc' : 'sorted-desc') : ''}">${column.label}</th>
+    `).join('')}</tr>`;
+
+    document.getElementById('roster-rows').innerHTML = attendees.length === 0
+        ? `<tr><td colspan="${columns.length}">No attendees match.</td></tr>`
+        : attendees.map(attendee => `<tr class="${attendee.status !== 'active' ? 'roster-cancelled' : ''}">${columns.map(column =>
+            `<td>${column.key === 'checkedInCount' ? checkInStatusHtml(attendee) : escapeHtml(column.value(attendee))}</td>`
+        ).join('')}</tr>`).join('');
+
+    const active = rosterState.attendees.filter(a => a.status === 'active');
+    const people = active.reduce((sum, a) => sum + a.ticketCount, 0);
+    const checkedIn = active.reduce((sum, a) => sum + a.checkedInCount, 0);
+    document.getElementById('roster-summary').textContent =
+        `${active.length} booking(s), ${people} attendee(s), ${checkedIn} checked in. Showing ${attendees.length}.`;
+}
+
+// =========================================================================
+// --- 2. EXPORT AND PRINT ---
+// =========================================================================
+
+function rosterFileName(extension) {
+    const title = (rosterState.event.title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `univista-attendees-${title}.${extension}`;
+}
+
+/** Header row plus the visible attendees, as plain values. */
+function rosterTable() {
+    const columns = rosterColumns();
+    return [columns.map(column => column.label), ...visibleAttendees().map(a => columns.map(column => column.value(a)))];
+}
+
+function csvCell(value) {
+    const text = String(value == null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportRosterCsv() {
+    const csv = rosterTable().map(row => row.map(csvCell).join(',')).join('\r\n');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    link.download = rosterFileName('csv');
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function exportRosterXlsx() {
+    if (typeof XLSX === 'undefined') {
+        alert("The spreadsheet library failed to load. Use CSV instead.");
+        return;
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rosterTable()), 'Attendees');
+    XLSX.writeFile(workbook, rosterFileName('xlsx'));
+}
+
+/**
+ * Fills the print-only sign-in sheet with the active attendees, by name, and prints it.
+ */
+function printSignInSheet() {
+    const event = rosterState.event;
+    document.getElementById('sign-in-title').textContent = event.title;
+    document.getElementById('sign-in-details').textContent =
+        [event.date, event.time, event.location].filter(Boolean).join(' | ');
+    document.getElementById('sign-in-rows').innerHTML = rosterState.attendees
+        .filter(a => a.status === 'active')
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((a, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${escapeHtml(a.name)}</td>
+                <td>${escapeHtml(a.ticketId)}</td>
+                <td>${escapeHtml(TICKET_TIER_LABELS[a.tier] || a.tier)}</td>
+                <td>${a.ticketCount}</td>
+                <td>${a.checkedInCount > 0 ? `${a.checkedInCount} / ${a.ticketCount}` : ''}</td>
+                <td class="signature-cell"></td>
+            </tr>
+        `).join('');
+    window.print();
+}
+
+// =========================================================================
+// --- 3. PAGE SETUP ---
+// =========================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const status = document.getElementById('roster-status');
+    const eventId = new URLSearchParams(window.location.search).get('event');
+    const profile = await getCurrentUserRole();
+    if (profile.role === 'guest') {
+        window.location.href = 'login.html';
+        return;
+    }
+    if (!eventId || !window.functions) {
+        status.textContent = 'No event selected.';
+        return;
+    }
+
+    try {
+        const [event, roster] = await Promise.all([
+            getEvent(eventId),
+            functions.httpsCallable('getAttendeeRoster')({ eventId }).then(result => result.data)
+        ]);
+        rosterState.event = event;
+        rosterState.attendees = roster.attendees;
+        rosterState.canSeeContacts = roster.canSeeContacts;
+    } catch (error) {
+        console.error("Error loading the attendee list:", error);
+        status.textContent = `Could not load the attendee list: ${error.message}`;
+        return;
+    }
+
+    const event = rosterState.event;
+    document.getElementById('roster-event-title').textContent = event.title;
+    document.getElementById('roster-event-details').textContent =
+        [event.date, event.time, event.location, event.faculty].filter(Boolean).join(' | ');
+    document.getElementById('roster-contact-note').classList.toggle('hidden', rosterState.canSeeContacts);
+    document.getElementById('roster-check-in-link').href = `crew-check-in.html?event=${encodeURIComponent(eventId)}`;
+    document.getElementById('roster-check-in-link').classList.toggle('hidden', !rosterState.canSeeContacts);
+    status.textContent = '';
+    document.getElementById('roster-content').classList.remove('hidden');
+
+    document.getElementById('roster-search').addEventListener('input', renderRoster);
+    document.getElementById('roster-show-cancelled').addEventListener('change', renderRoster);
+    document.getElementById('roster-head').addEventListener('click', (e) => {
+        const header = e.target.closest('th[data-sort]');
+        if (!header) return;
+        const key = header.dataset.sort;
+        rosterState.sort = { key, direction: rosterState.sort.key === key ? -rosterState.sort.direction : 1 };
+        renderRoster();
+    });
+    document.getElementById('roster-export-csv').addEventListener('click', exportRosterCsv);
+    document.getElementById('roster-export-xlsx').addEventListener('click', exportRosterXlsx);
+    document.getElementById('roster-print').addEventListener('click', printSignInSheet);
+    renderRoster();
+});
@@ -0,0 +1,220 @@
+// js/audit-log.js - Audit log viewer for audit-log.html (admins only).
+// Entries are appended by functions/src/audit.js whenever an event is submitted, moderated, edited,
+// has its tickets adjusted or is deleted, a user's role changes, or a payment is refunded.
+// Filters map onto Firestore queries (see the auditLog indexes in firestore.indexes.json).
+
+const AUDIT_PAGE_SIZE = 50;
+// Most rows one CSV export fetches
+const AUDIT_EXPORT_LIMIT = 5000;
+
+// Mirrors AUDIT_ACTIONS in functions/src/audit.js
+const AUDIT_ACTION_LABELS = {
+    'event.created': 'Event submitted',
+    'event.status': 'Status change',
+    'event.edited': 'Event edited',
+    'event.tickets': 'Ticket adjustment',
+    'event.deleted': 'Event deleted',
+    'user.role': 'Role change',
+    'ticket.refunded': 'Ticket refund',
+    'order.refunded': 'Order refund'
+};
+
+const auditState = {
+    query: null,      // Filtered query, without paging
+    lastDoc: null,
+    entries: []
+};
+
+function formatAuditTime(timestamp) {
+    return timestamp && timestamp.toDate ? timestamp.toDate().toISOString().replace('T', ' ').slice(0, 19) : '';
+}
+
+/** before / after maps as "field: value" pairs. */
+function formatAuditValues(values) {
+    if (!values) return '';
+    return Object.entries(values).map(([field, value]) => {
+        const shown = value && value.toDate ? formatAuditTime(value)
+            : value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `${field}: ${shown}`;
+    }).join('; ');
+}
+
+// =========================================================================
+// --- 1. QUERY ---
+// =========================================================================
+
+/**
+ * Turns the actor filter - an email address or a user ID - into a user ID.
+ * @returns {Promise<string|null>} Null when no filter is set.
+ * @throws {Error} If no user has that email address.
+ */
+async function resolveAuditActor(value) {
+    if (!value) return null;
+    if (!value.includes('@')) return value;
+    const matches = await db.collection("users")
+        .where("email", "in", [...new Set([value, value.toLowerCase()])])
+        .limit(1)
+        .get();
+    if (matches.empty) throw new Error(`No user has the email address ${value}.`);
+    return matches.docs[0].id;
+}
+
+async function auditQueryFromFilters() {
+    const faculty = document.getElementById('audit-faculty-filter').value;
+    const action = document.getElementById('audit-action-filter').value;
+    const eventId = document.getElementById('audit-event-filter').value.trim();
+    const actorUid = await resolveAuditActor(document.getElementById('audit-actor-filter').value.trim());
+
+    let query = db.collection("auditLog");
+    if (faculty !== 'all') query = query.where("faculties", "array-contains", faculty);
+    if (action !== 'all') query = query.where("action", "==", action);
+    if (eventId) query = query.where("eventId", "==", eventId);
+    if (actorUid) query = query.where("actorUid", "==", actorUid);
+    return query.orderBy("at", "desc");
+}
+
+function entriesFrom(snapshot) {
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// =========================================================================
+// --- 2. TABLE ---
+// =========================================================================
+
+function auditRowHtml(entry) {
+    const target = entry.eventId
+        ? `<a href="event-details.html?id=${encodeURIComponent(entry.eventId)}">${escapeHtml(entry.eventTitle || entry.eventId)}</a>`
+        : escapeHtml(`${entry.targetType} ${entry.targetId}`);
+    return `
+        <tr>
+            <td>${formatAuditTime(entry.at)}</td>
+            <td>${AUDIT_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+            <td>${entry.actorUid ? escapeHtml(entry.actorName || entry.actorEmail || entry.actorUid) : '<em>System</em>'}</td>
+            <td>${target}</td>
+            <td>${escapeHtml((entry.faculties || []).join(', '))}</td>
+            <td>${escapeHtml(formatAuditValues(entry.before))}</td>
+            <td>${escapeHtml(formatAuditValues(entry.after))}</td>
+            <td>${escapeHtml(entry.reason || '')}</td>
+        </tr>
+    `;
+}
+
+function renderAuditEntries() {
+    const body = document.getElementById('audit-log-rows');
+    body.innerHTML = auditState.entries.length === 0
+        ? '<tr><td colspan="8">No entries match these filters.</td></tr>'
+        : auditState.entries.map(auditRowHtml).join('');
+}
+
+async function loadAuditPage() {
+    const button = document.getElementById('audit-load-more');
+    button.disabled = true;
+    try {
+        let page = auditState.query.limit(AUDIT_PAGE_SIZE);
+        if (auditState.lastDoc) page = page.startAfter(auditState.lastDoc);
+        const snapshot = await page.get();
+        auditState.entries = auditState.entries.concat(entriesFrom(snapshot));
+        auditState.lastDoc = snapshot.docs[snapshot.docs.length - 1] || auditState.lastDoc;
+        renderAuditEntries();
+        button.classList.toggle('hidden', snapshot.size < AUDIT_PAGE_SIZE);
+    } catch (error) {
+        console.error("Error loading the audit log:", error);
+        document.getElementById('audit-log-rows').innerHTML =
+            `<tr><td colspan="8" style="color: red;">Failed to load the audit log: ${escapeHtml(error.message)}</td></tr>`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function applyAuditFilters(e) {
+    if (e) e.preventDefault();
+    try {
+        auditState.query = await auditQueryFromFilters();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    auditState.lastDoc = null;
+    auditState.entries = [];
+    document.getElementById('audit-log-rows').innerHTML = '<tr><td colspan="8">Loading...</td></tr>';
+    await loadAuditPage();
+}
+
+// =========================================================================
+// --- 3. CSV EXPORT ---
+// =========================================================================
+
+function csvCell(value) {
+    const text = String(value == null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Downloads every entry matching the current filters (up to AUDIT_EXPORT_LIMIT) as CSV.
+ */
+async function exportAuditCsv() {
+    if (!auditState.query) return;
+    const button = document.getElementById('audit-export');
+    button.disabled = true;
+    try {
+        let entries = [];
+        let last = null;
+        while (entries.length < AUDIT_EXPORT_LIMIT) {
+            let page = auditState.query.limit(Math.min(500, AUDIT_EXPORT_LIMIT - entries.length));
+            if (last) page = page.startAfter(last);
+            const snapshot = await page.get();
+            entries = entries.concat(entriesFrom(snapshot));
+            if (snapshot.empty || snapshot.size < 500) break;
+            last = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        const header = ['Time (UTC)', 'Action', 'Actor', 'Actor email', 'Actor ID', 'Target type', 'Target ID',
+            'Event ID', 'Event', 'Faculties', 'Before', 'After', 'Reason'];
+        const rows = entries.map(entry => [
+            formatAuditTime(entry.at), entry.action, entry.actorName, entry.actorEmail, entry.actorUid,
+            entry.targetType, entry.targetId, entry.eventId, entry.eventTitle, (entry.faculties || []).join('; '),
+            formatAuditValues(entry.before), formatAuditValues(entry.after), entry.reason
+        ]);
+        const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        link.download = `univista-audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        if (entries.length >= AUDIT_EXPORT_LIMIT) alert(`Only the newest ${AUDIT_EXPORT_LIMIT} entries were exported. Narrow the filters for older ones.`);
+    } catch (error) {
+        console.error("Error exporting the audit log:", error);
+        alert(`Could not export the audit log: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// =========================================================================
+// --- 4. PAGE SETUP ---
+// =========================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const profile = await getCurrentUserRole();
+    if (profile.role !== 'admin') {
+        alert("Access denied. The audit log is for admins only.");
+        window.location.href = 'index.html';
+        return;
+    }
+
+    const facultyFilter = document.getElementById('audit-faculty-filter');
+    [...FACULTIES, UNIVERSITY_WIDE].forEach(faculty => facultyFilter.add(new Option(faculty, faculty)));
+    const actionFilter = document.getElementById('audit-action-filter');
+    Object.entries(AUDIT_ACTION_LABELS).forEach(([action, label]) => actionFilter.add(new Option(label, action)));
+
+    // Links from elsewhere can open the log for one event or actor: audit-log.html?event=...&actor=...
+    const params = new URLSearchParams(window.location.search);
+    document.getElementById('audit-event-filter').value = params.get('event') || '';
+    document.getElementById('audit-actor-filter').value = params.get('actor') || '';
+
+    document.getElementById('audit-filters').addEventListener('submit', applyAuditFilters);
+    document.getElementById('audit-load-more').addEventListener('click', loadAuditPage);
+    document.getElementById('audit-export').addEventListener('click', exportAuditCsv);
+    applyAuditFilters();
+});
@@ -30,17 +30,21 @@ document.addEventListener('DOMContentLoaded', () => {
                 const userCredential = await auth.createUserWithEmailAndPassword(email, password);
                 const user = userCredential.user;
 
-                // 2. Store additional user data in Firestore 'users' collection
+                // 2. Store additional user data in Firestore 'users' collection. The address is the
+                // account's, as firestore.rules requires.
                 await db.collection("users").doc(user.uid).set({
                     name: name,
-                    email: email,
+                    email: user.email,
                     // !!! NEW: Save faculty to profile !!!
                     faculty: faculty, 
                     role: "user", // Default role for standard users
                     createdAt: firebase.firestore.FieldValue.serverTimestamp()
                 });
 
-                alert("Registration successful! You are now logged in.");
+                // Crew invites only apply to verified addresses (functions/src/crew.js)
+                await user.sendEmailVerification().catch(error => console.error("Verification email failed:", error));
+
+                alert("Registration successful! You are now logged in. We have emailed you a link to verify your address.");
                 // CRITICAL CHANGE: Redirect to main.html after registration
                 window.location.href = 'events.html'; 
             } catch (error) {
@@ -101,12 +105,35 @@ document.addEventListener('DOMContentLoaded', () => {
                 const user = userCredential.user;
 
                 // 2. Fetch the user's profile to verify 'crew' role
-                const userDoc = await db.collection("users").doc(user.uid).get(); // Uses global 'db'
+                let userDoc = await db.collection("users").doc(user.uid).get(); // Uses global 'db'
+
+                // An admin's invite is taken up here once the address is verified (functions/src/crew.js)
+                if (userDoc.exists && userDoc.data().role === 'user' && user.emailVerified && window.functions) {
+                    const claim = await functions.httpsCallable('claimCrewInvite')();
+                    if (claim.data.applied) userDoc = await db.collection("users").doc(user.uid).get();
+                }
                 const userProfile = userDoc.data();
 
-                if (userProfile && userProfile.role === 'crew') {
-                    // Success: Crew member logged in. IMMEDIATE REDIRECT.
-                    window.location.href = 'crew-manage-events.html';
+                if (userProfile && userProfile.role === 'admin') {
+                    window.location.href = 'admin.html';
+                } else if (userProfile && userProfile.role === 'crew') {
+                    // The faculty picked in faculty-selection.html only counts if an admin assigned it
+                    const faculties = crewFacultiesOf(userProfile);
+                    const selected = normalizeFaculty(sessionStorage.getItem('selectedCrewFaculty'));
+                    if (faculties.length === 0) {
+                        await auth.signOut();
+                        alert("No faculties are assigned to your crew account yet. Ask an admin to assign one.");
+                        return;
+                    }
+                    if (selected && !faculties.includes(selected)) {
+                        alert(`You are not crew for ${selected}. Showing ${faculties[0]} instead.`);
+                    }
+                    window.location.href = `crew-manage-events.html?faculty=${encodeURIComponent(faculties.includes(selected) ? selected : faculties[0])}`;
+                } else if (!user.emailVerified) {
+                    // Invites wait for a verified address
+                    await user.sendEmailVerification().catch(error => console.error("Verification email failed:", error));
+                    await auth.signOut();
+                    alert("Please verify your email address first: we have sent you a link. If an admin invited you as crew, log in here again afterwards.");
                 } else {
                     // Fail: Logged in, but not a crew member. Force log out.
                     await auth.signOut(); // Uses global 'auth'
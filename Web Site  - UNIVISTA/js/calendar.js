@@ -0,0 +1,373 @@
+// js/calendar.js - Month / week / agenda calendar for events.html and profile.html.
+// A calendar draws "entries" - { id, title, start: Date, allDay, status, url } - built from canonical
+// events with calendarEntryFromEvent(). The page decides what goes in (the filtered event list,
+// the user's tickets and submissions) and calls setEntries() whenever that changes.
+// Section 4 links to the .ics downloads and feeds served by functions/src/calendar.js.
+// Needs js/event-repository.js (eventStartDate, pad2, queries).
+
+const CALENDAR_VIEWS = ['month', 'week', 'agenda'];
+const CALENDAR_VIEW_LABELS = { month: 'Month', week: 'Week', agenda: 'Agenda' };
+const CALENDAR_DAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const CALENDAR_AGENDA_DAYS = 30;
+const CALENDAR_MONTH_CELL_LIMIT = 3;
+
+// Colour key for the profile calendar, in the order entries for the same event override each other
+const PROFILE_CALENDAR_LEGEND = [
+    { status: 'event', label: 'Upcoming events' },
+    { status: 'cancelled', label: 'Cancelled' },
+    { status: 'pending', label: 'My events - pending' },
+    { status: 'changes_requested', label: 'My events - changes requested' },
+    { status: 'rejected', label: 'My events - rejected' },
+    { status: 'approved', label: 'My events - approved' },
+    { status: 'booked', label: 'Booked' }
+];
+
+// =========================================================================
+// --- 1. DATES & ENTRIES ---
+// =========================================================================
+
+function calendarDayKey(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function calendarStartOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function calendarAddDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/** Monday of the week containing 'date'. */
+function calendarStartOfWeek(date) {
+    return calendarAddDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * Builds a calendar entry for a canonical event.
+ * @param {object} event - Canonical event (js/event-repository.js).
+ * @param {string} status - Drives the colour: an event status, 'booked', 'cancelled' or 'event'.
+ * @param {string} [label] - Shown before the title, e.g. 'Your event'.
+ * @returns {object|null} null if the event has no usable date.
+ */
+function calendarEntryFromEvent(event, status, label) {
+    const start = eventStartDate(event.date, event.time);
+    if (!start) return null;
+    return {
+        id: event.id,
+        title: label ? `${label}: ${event.title}` : event.title,
+        start: start,
+        allDay: !event.time,
+        status: status,
+        url: `event-details.html?id=${event.id}`
+    };
+}
+window.calendarEntryFromEvent = calendarEntryFromEvent;
+
+function formatEntryTime(entry) {
+    return entry.allDay ? 'All day' : entry.start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+// =========================================================================
+// --- 2. CALENDAR COMPONENT ---
+// =========================================================================
+
+/**
+ * Renders an interactive calendar into 'container'.
+ * Clicking an entry opens its event; clicking a day opens its only event, or the agenda for that day.
+ * @param {HTMLElement} container
+ * @param {object} [options]
+ * @param {string} [options.view] - Initial view: 'month', 'week' or 'agenda'.
+ * @param {boolean} [options.compact] - Dots instead of titles in month cells, for narrow sidebars.
+ * @param {Array<{status: string, label: string}>} [options.legend] - Colour key; each item toggles its status.
+ * @returns {{setEntries: function(object[]), setView: function(string), goTo: function(Date)}}
+ */
+function createEventCalendar(container, options = {}) {
+    const state = {
+        view: CALENDAR_VIEWS.includes(options.view) ? options.view : 'month',
+        cursor: calendarStartOfDay(new Date()),
+        entries: [],
+        hiddenStatuses: new Set()
+    };
+
+    container.classList.add('event-calendar');
+    container.classList.toggle('compact', !!options.compact);
+
+    function visibleEntries() {
+        return state.entries.filter(entry => !state.hiddenStatuses.has(entry.status));
+    }
+
+    /** Visible entries grouped by day key, each day sorted by start time. */
+    function entriesByDay() {
+        const byDay = {};
+        visibleEntries().forEach(entry => {
+            const key = calendarDayKey(entry.start);
+            (byDay[key] = byDay[key] || []).push(entry);
+        });
+        Object.values(byDay).forEach(list => list.sort((a, b) => a.start - b.start));
+        return byDay;
+    }
+
+    function titleText() {
+        if (state.view === 'month') {
+            return state.cursor.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+        }
+        const from = state.view === 'week' ? calendarStartOfWeek(state.cursor) : state.cursor;
+        const to = calendarAddDays(from, state.view === 'week' ? 6 : CALENDAR_AGENDA_DAYS - 1);
+        const format = { day: 'numeric', month: 'short', year: 'numeric' };
+        return `${from.toLocaleDateString('en-GB', format)} - ${to.toLocaleDateString('en-GB', format)}`;
+    }
+
+    function entryHtml(entry, withTime) {
+        return `<a href="${entry.url}" class="event-calendar-entry status-${entry.status}" title="${entry.title}">`
+            + `${withTime ? `<span class="event-calendar-time">${formatEntryTime(entry)}</span> ` : ''}${entry.title}</a>`;
+    }
+
+    function dayCellHtml(date, dayEntries, outside) {
+        const key = calendarDayKey(date);
+        const isToday = key === calendarDayKey(new Date());
+        let body;
+        if (options.compact) {
+            body = dayEntries.slice(0, CALENDAR_MONTH_CELL_LIMIT)
+                .map(entry => `<span class="event-calendar-dot status-${entry.status}" title="${entry.title}"></span>`).join('');
+        } else {
+            body = dayEntries.slice(0, CALENDAR_MONTH_CELL_LIMIT).map(entry => entryHtml(entry, false)).join('');
+            if (dayEntries.length > CALENDAR_MONTH_CELL_LIMIT) {
+                body += `<span class="event-calendar-more">+${dayEntries.length - CALENDAR_MONTH_CELL_LIMIT} more</span>`;
+            }
+        }
+        return `<div class="event-calendar-day${outside ? ' outside' : ''}${isToday ? ' today' : ''}${dayEntries.length ? ' has-entries' : ''}" data-day="${key}">`
+            + `<span class="event-calendar-date">${date.getDate()}</span>${body}</div>`;
+    }
+
+    function monthHtml(byDay) {
+        const first = new Date(state.cursor.getFullYear(), state.cursor.getMonth(), 1);
+        const gridStart = calendarStartOfWeek(first);
+        let html = '<div class="event-calendar-month">';
+        html += CALENDAR_DAY_LABELS.map(label => `<div class="event-calendar-day-label">${label}</div>`).join('');
+        for (let i = 0; i < 42; i++) {
+            const date = calendarAddDays(gridStart, i);
+            if (i % 7 === 0 && i > 0 && date.getMonth() !== first.getMonth()) break; // No trailing empty week
+            html += dayCellHtml(date, byDay[calendarDayKey(date)] || [], date.getMonth() !== first.getMonth());
+        }
+        return html + '</div>';
+    }
+
+    function weekHtml(byDay) {
+        const from = calendarStartOfWeek(state.cursor);
+        let html = '<div class="event-calendar-week">';
+        for (let i = 0; i < 7; i++) {
+            const date = calendarAddDays(from, i);
+            const key = calendarDayKey(date);
+            const dayEntries = byDay[key] || [];
+            html += `<div class="event-calendar-week-day${key === calendarDayKey(new Date()) ? ' today' : ''}" data-day="${key}">`
+                + `<div class="event-calendar-day-label">${CALENDAR_DAY_LABELS[i]} ${date.getDate()}</div>`
+                + (dayEntries.map(entry => entryHtml(entry, true)).join('') || '<p class="event-calendar-empty">No events</p>')
+                + '</div>';
+        }
+        return html + '</div>';
+    }
+
+    function agendaHtml(byDay) {
+        let html = '<div class="event-calendar-agenda">';
+        let any = false;
+        for (let i = 0; i < CALENDAR_AGENDA_DAYS; i++) {
+            const date = calendarAddDays(state.cursor, i);
+            const dayEntries = byDay[calendarDayKey(date)];
+            if (!dayEntries) continue;
+            any = true;
+            html += `<div class="event-calendar-agenda-day"><h4>${date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' })}</h4>`
+                + dayEntries.map(entry => entryHtml(entry, true)).join('') + '</div>';
+        }
+        if (!any) html += '<p class="event-calendar-empty">No events in this period.</p>';
+        return html + '</div>';
+    }
+
+    function legendHtml() {
+        if (!options.legend || options.legend.length === 0) return '';
+        return '<div class="event-calendar-legend">' + options.legend.map(item =>
+            `<button type="button" class="event-calendar-legend-item${state.hiddenStatuses.has(item.status) ? ' off' : ''}" data-status="${item.status}">`
+            + `<span class="event-calendar-dot status-${item.status}"></span>${item.label}</button>`
+        ).join('') + '</div>';
+    }
+
+    function render() {
+        const byDay = entriesByDay();
+        const body = state.view === 'month' ? monthHtml(byDay) : state.view === 'week' ? weekHtml(byDay) : agendaHtml(byDay);
+        container.innerHTML = `
+            <div class="event-calendar-toolbar">
+                <div class="event-calendar-nav">
+                    <button type="button" data-nav="-1" aria-label="Previous"><i class="fas fa-chevron-left"></i></button>
+                    <button type="button" data-nav="0">Today</button>
+                    <button type="button" data-nav="1" aria-label="Next"><i class="fas fa-chevron-right"></i></button>
+                </div>
+                <h3 class="event-calendar-title">${titleText()}</h3>
+                <div class="event-calendar-views">
+                    ${CALENDAR_VIEWS.map(view => `<button type="button" data-view="${view}" class="${view === state.view ? 'active' : ''}">${CALENDAR_VIEW_LABELS[view]}</button>`).join('')}
+                </div>
+            </div>
+            ${body}
+            ${legendHtml()}
+        `;
+    }
+
+    function step(direction) {
+        if (direction === 0) {
+            state.cursor = calendarStartOfDay(new Date());
+        } else if (state.view === 'month') {
+            state.cursor = new Date(state.cursor.getFullYear(), state.cursor.getMonth() + direction, 1);
+        } else {
+            state.cursor = calendarAddDays(state.cursor, direction * (state.view === 'week' ? 7 : CALENDAR_AGENDA_DAYS));
+        }
+        render();
+    }
+
+    function openDay(key) {
+        const dayEntries = entriesByDay()[key] || [];
+        if (dayEntries.length === 1) {
+            window.location.href = dayEntries[0].url;
+        } else if (dayEntries.length > 1) {
+            const [y, m, d] = key.split('-').map(Number);
+            state.cursor = new Date(y, m - 1, d);
+            state.view = 'agenda';
+            render();
+        }
+    }
+
+    container.addEventListener('click', (e) => {
+        const target = e.target;
+        if (target.closest('.event-calendar-entry')) return; // Plain link to the event
+        const navButton = target.closest('[data-nav]');
+        const viewButton = target.closest('[data-view]');
+        const legendItem = target.closest('[data-status]');
+        const day = target.closest('[data-day]');
+
+        if (navButton) {
+            step(Number(navButton.dataset.nav));
+        } else if (viewButton) {
+            state.view = viewButton.dataset.view;
+            render();
+        } else if (legendItem) {
+            const status = legendItem.dataset.status;
+            if (state.hiddenStatuses.has(status)) state.hiddenStatuses.delete(status);
+            else state.hiddenStatuses.add(status);
+            render();
+        } else if (day) {
+            openDay(day.dataset.day);
+        }
+    });
+
+    render();
+
+    return {
+        setEntries(entries) {
+            state.entries = entries.filter(Boolean);
+            render();
+        },
+        setView(view) {
+            if (CALENDAR_VIEWS.includes(view)) state.view = view;
+            render();
+        },
+        goTo(date) {
+            state.cursor = calendarStartOfDay(date);
+            render();
+        }
+    };
+}
+window.createEventCalendar = createEventCalendar;
+
+
+// =========================================================================
+// --- 3. PROFILE CALENDAR DATA ---
+// =========================================================================
+
+/**
+ * Entries for the profile calendar: every approved event, overlaid with the user's tickets and
+ * the events they submitted. Each event appears once, with the most personal status
+ * (see PROFILE_CALENDAR_LEGEND).
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+async function loadProfileCalendarEntries(userId) {
+    const [approvedEvents, submittedEvents, ticketSnapshot] = await Promise.all([
+        queryApprovedEvents(),
+        queryEventsSubmittedBy(userId),
+        db.collection('tickets').where('userId', '==', userId).get()
+    ]);
+
+    // Several tickets for one event (e.g. one per tier) count as booked if any is still active
+    const ticketStatusByEvent = {};
+    ticketSnapshot.docs.forEach(doc => {
+        const ticket = doc.data();
+        const active = (ticket.status || 'active') === 'active';
+        if (active || !ticketStatusByEvent[ticket.eventId]) {
+            ticketStatusByEvent[ticket.eventId] = active ? 'booked' : 'cancelled';
+        }
+    });
+
+    const eventsById = {};
+    approvedEvents.concat(submittedEvents).forEach(event => { eventsById[event.id] = event; });
+    const missing = Object.keys(ticketStatusByEvent).filter(eventId => !eventsById[eventId]);
+    (await Promise.all(missing.map(eventId => getEvent(eventId)))).forEach(event => {
+        if (event) eventsById[event.id] = event;
+    });
+
+    const rank = status => PROFILE_CALENDAR_LEGEND.findIndex(item => item.status === status);
+    const statusById = {};
+    const mark = (eventId, status) => {
+        if (!statusById[eventId] || rank(status) > rank(statusById[eventId])) statusById[eventId] = status;
+    };
+    approvedEvents.forEach(event => mark(event.id, 'event'));
+    submittedEvents.forEach(event => {
+        if (rank(event.status) >= 0) mark(event.id, event.status);
+    });
+    Object.entries(ticketStatusByEvent).forEach(([eventId, status]) => mark(eventId, status));
+
+    return Object.entries(statusById)
+        .filter(([eventId]) => eventsById[eventId])
+        .map(([eventId, status]) => calendarEntryFromEvent(eventsById[eventId], status))
+        .filter(Boolean);
+}
+window.loadProfileCalendarEntries = loadProfileCalendarEntries;
+window.PROFILE_CALENDAR_LEGEND = PROFILE_CALENDAR_LEGEND;
+
+
+// =========================================================================
+// --- 4. ICS DOWNLOADS & FEEDS ---
+// =========================================================================
+
+/**
+ * Download link for one event's .ics file ("Add to calendar").
+ * @param {string} eventId
+ * @returns {string}
+ */
+function eventIcsUrl(eventId) {
+    return `/calendar/event/${encodeURIComponent(eventId)}.ics`;
+}
+window.eventIcsUrl = eventIcsUrl;
+
+/** webcal:// makes phones and desktop calendar apps offer to subscribe instead of importing once. */
+function toWebcalUrl(path) {
+    return `webcal://${window.location.host}${path}`;
+}
+
+/**
+ * Subscribable feed of a faculty's approved events, University Wide ones included.
+ * @param {string} faculty - Canonical faculty name.
+ * @returns {string}
+ */
+function facultyFeedUrl(faculty) {
+    return toWebcalUrl(`/calendar/faculty/${encodeURIComponent(faculty)}.ics`);
+}
+window.facultyFeedUrl = facultyFeedUrl;
+
+/**
+ * The signed-in user's personal feed of ticketed events. The URL works without logging in, so it
+ * should not be shared. Needs firebase-functions-compat.js (callFunction in firebase-config.js).
+ * @returns {Promise<string>}
+ */
+async function personalFeedUrl() {
+    const { path } = await callFunction('calendarFeedUrl');
+    return toWebcalUrl(path);
+}
+window.personalFeedUrl = personalFeedUrl;
@@ -0,0 +1,263 @@
+// js/check-in.js - Door check-in for crew-check-in.html.
+// Each scan admits one attendee: a ticket for N people can be checked in N times.
+// Every admission is an 'events/{eventId}/checkins/{ticketDocId}-{n}' document written in the
+// same transaction as the ticket's 'checkedInCount', so two doors can never admit the same seat twice.
+
+const checkInState = {
+    eventId: null,
+    profile: null,
+    lastScan: { text: '', at: 0 },  // Scanners report the same code many times per second
+    unsubscribers: []
+};
+
+const RESCAN_DELAY_MS = 3000;
+
+// =========================================================================
+// --- 1. TICKET LOOKUP ---
+// =========================================================================
+
+/**
+ * Finds the ticket for a scanned QR payload or a typed ticket ID (e.g. "TICKET-ABC123XYZ-GENERAL").
+ * A QR payload must match the signed 'qrCodeData' stored on the ticket.
+ * @param {string} input - Raw scanner output or typed text.
+ * @param {string} eventId - Event selected at the door.
+ * @returns {Promise<{ref: object|null, error: string}>}
+ */
+async function findTicket(input, eventId) {
+    const text = String(input || '').trim();
+    const qr = parseTicketQr(text);
+
+    try {
+        if (qr) {
+            const doc = await db.collection("tickets").doc(qr.ticketDocId).get();
+            if (!doc.exists) return { ref: null, error: 'Ticket not found.' };
+            if (doc.data().qrCodeData !== text) return { ref: null, error: 'QR code is not valid for this ticket.' };
+            return { ref: doc.ref, error: '' };
+        }
+
+        const snapshot = await db.collection("tickets")
+            .where("eventId", "==", eventId)
+            .where("ticketId", "==", text.toUpperCase())
+            .limit(1)
+            .get();
+        if (snapshot.empty) return { ref: null, error: 'No ticket with this ID for the selected event.' };
+        return { ref: snapshot.docs[0].ref, error: '' };
+    } catch (error) {
+        console.error("Error looking up ticket:", error);
+        // Crew cannot read tickets of another faculty's events
+        return { ref: null, error: 'Ticket not found or belongs to another faculty\'s event.' };
+    }
+}
+
+// =========================================================================
+// --- 2. CHECK-IN TRANSACTION ---
+// =========================================================================
+
+/**
+ * Admits one attendee on a ticket.
+ * @param {object} ticketRef - DocumentReference of the ticket.
+ * @param {string} eventId - Event selected at the door.
+ * @returns {Promise<{ok: boolean, message: string, ticket: object|null}>}
+ */
+async function checkInTicket(ticketRef, eventId) {
+    const eventRef = db.collection("events").doc(eventId);
+
+    return db.runTransaction(async (transaction) => {
+        const ticketDoc = await transaction.get(ticketRef);
+        if (!ticketDoc.exists) return { ok: false, message: 'Ticket not found.', ticket: null };
+
+        const ticket = ticketDoc.data();
+        const used = ticket.checkedInCount || 0;
+
+        if (ticket.eventId !== eventId) {
+            return { ok: false, message: 'This ticket is for a different event.', ticket };
+        }
+        if (ticket.status === 'cancelled') {
+            return { ok: false, message: 'This ticket was cancelled by its holder.', ticket };
+        }
+        if (used >= ticket.ticketCount) {
+            return { ok: false, message: `Already used: ${used} of ${ticket.ticketCount} checked in.`, ticket };
+        }
+
+        const attendee = used + 1;
+        transaction.set(eventRef.collection("checkins").doc(`${ticketDoc.id}-${attendee}`), {
+            ticketDocId: ticketDoc.id,
+            ticketId: ticket.ticketId,
+            tier: ticket.tier,
+            attendee: attendee,
+            checkedInBy: auth.currentUser.uid,
+            checkedInAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(ticketRef, {
+            checkedInCount: attendee,
+            lastCheckInAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            ok: true,
+            message: `Admit 1 - ${attendee} of ${ticket.ticketCount} checked in.`,
+            ticket: { ...ticket, checkedInCount: attendee }
+        };
+    });
+}
+window.checkInTicket = checkInTicket;
+
+// =========================================================================
+// --- 3. RENDERING ---
+// =========================================================================
+
+function showCheckInResult(ok, message, ticket) {
+    const panel = document.getElementById('check-in-result');
+    panel.className = `check-in-result ${ok ? 'admit' : 'deny'}`;
+    panel.innerHTML = `
+        <h2>${ok ? '&#10004; VALID' : '&#10008; REJECTED'}</h2>
+        <p>${escapeHtml(message)}</p>
+        ${ticket ? `
+            <p><strong>${escapeHtml(ticket.userName || 'Guest')}</strong> - ${escapeHtml(ticket.ticketId)}</p>
+            <p class="check-in-tier">${TICKET_TIER_LABELS[ticket.tier] || 'General'} ticket${ticket.tier === 'member' ? ' - check university ID' : ''}</p>
+        ` : ''}
+    `;
+}
+
+/**
+ * Keeps the "checked in X / sold Y" counter live for the selected event. "Sold" counts the people on
+ * active tickets: seats held by a checkout or a waitlist offer have left availableTickets too, but
+ * nobody has paid for them yet.
+ */
+function watchCheckInCounter(eventId) {
+    checkInState.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+    const eventRef = db.collection("events").doc(eventId);
+    let checkedIn = 0;
+    let sold = 0;
+    const render = () => {
+        document.getElementById('checked-in-count').textContent = checkedIn;
+        document.getElementById('sold-count').textContent = sold;
+    };
+
+    checkInState.unsubscribers = [
+        eventRef.collection("checkins").onSnapshot((snapshot) => {
+            checkedIn = snapshot.size;
+            render();
+        }, error => console.error("Error watching check-ins:", error)),
+        db.collection("tickets").where("eventId", "==", eventId).onSnapshot((snapshot) => {
+            sold = snapshot.docs
+                .filter(doc => (doc.data().status || 'active') === 'active')
+                .reduce((sum, doc) => sum + (doc.data().ticketCount || 1), 0);
+            render();
+        }, error => console.error("Error watching tickets:", error))
+    ];
+}
+
+// =========================================================================
+// --- 4. SCAN HANDLING ---
+// =========================================================================
+
+/**
+ * Handles one scanned or typed value end to end.
+ * @param {string} input
+ */
+async function processCheckIn(input) {
+    if (!checkInState.eventId) {
+        alert("Please select the event you are checking in for.");
+        return;
+    }
+
+    const { ref, error } = await findTicket(input, checkInState.eventId);
+    if (!ref) {
+        showCheckInResult(false, error, null);
+        return;
+    }
+
+    try {
+        const result = await checkInTicket(ref, checkInState.eventId);
+        showCheckInResult(result.ok, result.message, result.ticket);
+    } catch (err) {
+        console.error("Check-in failed:", err);
+        showCheckInResult(false, `Check-in failed: ${err.message}`, null);
+    }
+}
+
+function onScan(decodedText) {
+    const now = Date.now();
+    if (decodedText === checkInState.lastScan.text && now - checkInState.lastScan.at < RESCAN_DELAY_MS) return;
+    checkInState.lastScan = { text: decodedText, at: now };
+    processCheckIn(decodedText);
+}
+
+function startScanner() {
+    if (typeof Html5Qrcode === 'undefined') {
+        document.getElementById('scanner-status').textContent = 'Camera scanner failed to load. Type ticket IDs below.';
+        return;
+    }
+    const scanner = new Html5Qrcode('qr-reader');
+    scanner.start({ facingMode: 'environment' }, { fps: 10, qrbox: 250 }, onScan)
+        .then(() => { document.getElementById('scanner-status').textContent = 'Point the camera at a ticket QR code.'; })
+        .catch((error) => {
+            console.error("Camera error:", error);
+            document.getElementById('scanner-status').textContent = 'Camera unavailable. Type ticket IDs below.';
+        });
+}
+
+// =========================================================================
+// --- 5. PAGE SETUP ---
+// =========================================================================
+
+async function loadCheckInEvents(profile) {
+    const select = document.getElementById('check-in-event');
+    let query = db.collection("events").where("status", "==", "approved");
+    if (profile.role === 'crew') query = query.where("faculty", "in", crewFacultiesOf(profile));
+
+    const events = (await queryEvents(query))
+        .filter(event => event.hasTickets)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    select.innerHTML = '<option value="">Select an event</option>' + events
+        .map(event => `<option value="${escapeHtml(event.id)}">${escapeHtml(event.date)} - ${escapeHtml(event.title)}</option>`)
+        .join('');
+
+    // Pre-select from ?event=<id>
+    const requested = new URLSearchParams(window.location.search).get('event');
+    if (requested && events.some(event => event.id === requested)) {
+        select.value = requested;
+        selectCheckInEvent(requested);
+    }
+}
+
+function selectCheckInEvent(eventId) {
+    checkInState.eventId = eventId || null;
+    document.getElementById('check-in-counter').classList.toggle('hidden', !eventId);
+    if (eventId) {
+        document.getElementById('attendee-list-link').href = `attendees.html?event=${encodeURIComponent(eventId)}`;
+        watchCheckInCounter(eventId);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const profile = await getCurrentUserRole();
+    if (crewFacultiesOf(profile).length === 0) {
+        alert(profile.role === 'crew'
+            ? "No faculties are assigned to your crew account yet. Ask an admin to assign one."
+            : "Access denied. Door check-in is for crew members only.");
+        window.location.href = 'crew-login.html';
+        return;
+    }
+    checkInState.profile = profile;
+    document.getElementById('check-in-faculty').textContent = profile.role === 'admin' ? 'All faculties' : crewFacultiesOf(profile).join(', ');
+
+    document.getElementById('check-in-event').addEventListener('change', (e) => selectCheckInEvent(e.target.value));
+    document.getElementById('manual-check-in-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('manual-ticket-id');
+        processCheckIn(input.value);
+        input.value = '';
+    });
+
+    try {
+        await loadCheckInEvents(profile);
+    } catch (error) {
+        console.error("Error loading events for check-in:", error);
+        alert("Failed to load events. Check console for details.");
+    }
+    startScanner();
+});
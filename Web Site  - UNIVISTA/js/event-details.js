@@ -0,0 +1,341 @@
+// js/event-details.js - Loads a single event into event-details.html and holds its booking state.
+// Pricing and availability live in 'eventDetailsState' so the booking and payment steps
+// never have to read money values back out of the rendered page.
+
+const MAX_TICKETS_PER_BOOKING = 5;
+
+// Live listener on the event shown, so availability and edits appear without a reload
+let stopWatchingEventDetails = null;
+
+/**
+ * Single source of truth for the event shown on event-details.html.
+ * Populated by loadEventDetails(); read by the booking/payment handlers in js/firestore.js.
+ */
+const eventDetailsState = {
+    eventId: null,
+    event: null,        // Canonical event (js/event-repository.js)
+    profile: null,      // Result of getCurrentUserRole()
+    isMember: false,    // Viewer qualifies for the member rate (isTargetMember)
+    canAttend: false,   // Viewer is in the event's audience (canAttendEvent)
+    tiers: [],          // Tiers this viewer may buy, see purchasableTiers()
+    prices: {},         // Price per ticket in LKR, by tier
+    available: {},      // Tickets still available, by tier
+    isPast: false,
+    isSoldOut: false,
+    canBook: false,
+    waitlistEntry: null,    // The viewer's entry in 'events/{id}/waitlist' (js/waitlist.js)
+    offer: null,            // Open waitlist offer: { tier, quantity, expiresAt }
+    canJoinWaitlist: false
+};
+window.eventDetailsState = eventDetailsState;
+
+// =========================================================================
+// --- 0. FORMATTING HELPERS ---
+// =========================================================================
+
+function formatEventDate(event) {
+    const start = eventStartDate(event.date, event.time);
+    if (!start) return event.date || 'Date to be announced';
+    return start.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function formatEventTime(event) {
+    const start = eventStartDate(event.date, event.time);
+    if (!start || !event.time) return 'Time to be announced';
+    return start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+function describeAudience(audience) {
+    const groups = [];
+    if (audience.members) groups.push('University Members');
+    if (audience.guests) groups.push('Guests/Public');
+    let text = groups.join(' & ') || 'Not specified';
+    if (audience.members && audience.targetFaculties.length > 0) {
+        text += ` (${audience.targetFaculties.join(', ')})`;
+    }
+    return text;
+}
+
+function describePrices(event) {
+    const priced = TICKET_TIERS.filter(tier => event.tiers[tier].quota > 0);
+    if (priced.length === 1) return formatRupees(event.tiers[priced[0]].price);
+    return priced.map(tier => `${formatRupees(event.tiers[tier].price)} (${TICKET_TIER_LABELS[tier]})`).join(' / ');
+}
+
+function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+}
+
+// =========================================================================
+// --- 1. STATE ---
+// =========================================================================
+
+/**
+ * Recomputes the derived booking state from a canonical event and the viewer's profile.
+ * @param {object} event - Canonical event.
+ * @param {object} profile - Result of getCurrentUserRole().
+ */
+function updateEventDetailsState(event, profile) {
+    const start = eventStartDate(event.date, event.time);
+
+    eventDetailsState.event = event;
+    eventDetailsState.eventId = event.id;
+    eventDetailsState.profile = profile;
+    eventDetailsState.isMember = isTargetMember(event, profile);
+    eventDetailsState.canAttend = canAttendEvent(event, profile);
+    eventDetailsState.tiers = purchasableTiers(event, profile);
+    eventDetailsState.prices = {};
+    eventDetailsState.available = {};
+    TICKET_TIERS.forEach(tier => {
+        eventDetailsState.prices[tier] = event.hasTickets ? event.tiers[tier].price : 0;
+        eventDetailsState.available[tier] = eventDetailsState.tiers.includes(tier) ? event.tiers[tier].available : 0;
+    });
+    eventDetailsState.isPast = !!start && start.getTime() < Date.now();
+    eventDetailsState.isSoldOut = event.hasTickets && event.availableTickets <= 0;
+
+    // Seats offered from the waitlist are held for this viewer on top of what is publicly available
+    const entry = eventDetailsState.waitlistEntry;
+    const offerExpiresAt = entry && entry.status === 'offered' && entry.offerExpiresAt ? entry.offerExpiresAt.toDate() : null;
+    eventDetailsState.offer = offerExpiresAt && offerExpiresAt.getTime() > Date.now() && eventDetailsState.tiers.includes(entry.tier)
+        ? { tier: entry.tier, quantity: entry.offeredQuantity, expiresAt: offerExpiresAt }
+        : null;
+    if (eventDetailsState.offer) {
+        eventDetailsState.available[entry.tier] += entry.offeredQuantity;
+    }
+
+    const isOpen = event.status === 'approved' && event.hasTickets && !eventDetailsState.isPast;
+    eventDetailsState.canBook = isOpen && availableToViewer() > 0;
+    eventDetailsState.canJoinWaitlist = isOpen && !eventDetailsState.canBook && eventDetailsState.tiers.length > 0;
+}
+
+/**
+ * Applies a change to the viewer's waitlist entry (js/waitlist.js) and re-renders the booking state.
+ * @param {object|null} entry
+ */
+function setWaitlistEntry(entry) {
+    eventDetailsState.waitlistEntry = entry;
+    if (!eventDetailsState.event) return;
+    updateEventDetailsState(eventDetailsState.event, eventDetailsState.profile);
+    renderBookingAvailability();
+}
+window.setWaitlistEntry = setWaitlistEntry;
+
+/** Seats left across the tiers the viewer may buy. */
+function availableToViewer() {
+    return eventDetailsState.tiers.reduce((sum, tier) => sum + eventDetailsState.available[tier], 0);
+}
+
+/**
+ * Reads the per-tier ticket counts from the step-2 form. Hidden tiers count as zero.
+ * @returns {{member: number, general: number}}
+ */
+function readBookingCounts() {
+    const counts = {};
+    TICKET_TIERS.forEach(tier => {
+        const input = document.getElementById(`booking-count-${tier}`);
+        counts[tier] = input && eventDetailsState.tiers.includes(tier) ? Math.max(0, parseInt(input.value, 10) || 0) : 0;
+    });
+    return counts;
+}
+window.readBookingCounts = readBookingCounts;
+
+/**
+ * Checks the per-tier counts against the viewer's tiers, each tier's seats and the per-booking limit.
+ * @param {{member: number, general: number}} counts
+ * @returns {string} An error message, or '' when the counts are valid.
+ */
+function validateBookingCounts(counts) {
+    let total = 0;
+    for (const tier of TICKET_TIERS) {
+        const count = counts[tier] || 0;
+        if (count === 0) continue;
+        if (!eventDetailsState.tiers.includes(tier)) {
+            return `${TICKET_TIER_LABELS[tier]} tickets are not available to you.`;
+        }
+        if (count > eventDetailsState.available[tier]) {
+            return `Only ${eventDetailsState.available[tier]} ${TICKET_TIER_LABELS[tier]} ticket(s) remaining.`;
+        }
+        total += count;
+    }
+    if (total < 1 || total > MAX_TICKETS_PER_BOOKING) {
+        return `Please choose between 1 and ${MAX_TICKETS_PER_BOOKING} ticket(s) in total.`;
+    }
+    return '';
+}
+window.validateBookingCounts = validateBookingCounts;
+
+/**
+ * Total due for a booking, computed from state (never from the DOM).
+ * @param {{member: number, general: number}} counts - Number of tickets per tier.
+ * @returns {number}
+ */
+function calculateBookingTotal(counts) {
+    return TICKET_TIERS.reduce((sum, tier) => sum + (counts[tier] || 0) * eventDetailsState.prices[tier], 0);
+}
+window.calculateBookingTotal = calculateBookingTotal;
+
+// =========================================================================
+// --- 2. RENDERING ---
+// =========================================================================
+
+function renderBookingAvailability() {
+    const bookButton = document.getElementById('book-ticket-button');
+    const statusBanner = document.getElementById('event-status-banner');
+    const { event, isPast, isSoldOut, canBook, canAttend, offer } = eventDetailsState;
+
+    let message = '';
+    if (offer) {
+        message = `Seats have freed up: ${offer.quantity} ${TICKET_TIER_LABELS[offer.tier]} ticket(s) are held for you until ${offer.expiresAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.`;
+    } else if (event.status === 'cancelled') {
+        message = `This event has been cancelled.${event.cancellationReason ? ` ${event.cancellationReason}` : ''} Tickets have been refunded.`;
+    } else if (event.status !== 'approved') {
+        message = `This event is ${event.status} and is not visible to the public yet.`;
+    } else if (isPast) {
+        message = 'This event has already taken place.';
+    } else if (isSoldOut) {
+        message = 'This event is sold out.';
+    } else if (!canAttend) {
+        message = `Restricted: ${describeAudienceRestriction(event)}.${isUniversityMember(eventDetailsState.profile) ? '' : ' Log in with your university account if you are one.'}`;
+    } else if (!event.hasTickets) {
+        message = 'Free entry - no booking required.';
+    } else if (!canBook) {
+        message = 'The remaining tickets are reserved for university members. Log in with your university account to book.';
+    }
+
+    if (statusBanner) {
+        statusBanner.textContent = message;
+        statusBanner.className = `event-status-banner${isPast ? ' past-event' : ''}${isSoldOut && !offer ? ' sold-out' : ''}${!canAttend ? ' restricted' : ''}${event.status === 'cancelled' ? ' cancelled' : ''}`;
+        statusBanner.classList.toggle('hidden', !message);
+    }
+
+    if (bookButton) {
+        bookButton.disabled = !canBook;
+        bookButton.textContent = offer ? 'Book Your Offered Tickets' : isSoldOut ? 'Sold Out' : isPast ? 'Event Ended' : !canAttend ? 'Restricted' : 'Book Tickets';
+        bookButton.classList.toggle('hidden', !event.hasTickets);
+    }
+
+    // One count input per tier; tiers the viewer cannot buy (or that are sold out) stay hidden.
+    // Mid-booking, live updates only lower counts that no longer fit instead of resetting them.
+    const bookingStep = document.getElementById('event-step-2-booking');
+    const isBooking = !!bookingStep && !bookingStep.classList.contains('hidden');
+    const firstTier = eventDetailsState.tiers.find(tier => eventDetailsState.available[tier] > 0);
+    TICKET_TIERS.forEach(tier => {
+        const group = document.getElementById(`booking-${tier}-group`);
+        const input = document.getElementById(`booking-count-${tier}`);
+        const show = eventDetailsState.available[tier] > 0;
+        if (group) group.classList.toggle('hidden', !show);
+        if (input) {
+            input.max = Math.min(MAX_TICKETS_PER_BOOKING, eventDetailsState.available[tier]);
+            input.value = isBooking
+                ? Math.min(Math.max(0, parseInt(input.value, 10) || 0), Number(input.max))
+                : (tier === firstTier ? 1 : 0);
+        }
+        setText(`booking-${tier}-price`, eventDetailsState.prices[tier].toFixed(2));
+    });
+
+    setText('event-tickets-available', event.hasTickets ? String(event.availableTickets) : 'N/A');
+    renderWaitlistPanel();
+}
+
+function renderEventDetails(event) {
+    document.title = `UNIVISTA - ${event.title}`;
+    setText('event-name-display', event.title);
+    setText('event-date-display', formatEventDate(event));
+    setText('event-time-display', formatEventTime(event));
+    setText('event-location-display', event.location || 'Venue to be announced');
+    setText('event-faculty-display', event.faculty || 'N/A');
+    setText('event-audience-display', describeAudience(event.audience));
+    setText('event-contact-display', event.contact || 'N/A');
+    setText('event-description-display', event.description);
+    setText('event-price-display', event.hasTickets ? describePrices(event) : 'Free');
+
+    // Only published events have a calendar file (functions/src/calendar.js)
+    const calendarLink = document.getElementById('add-to-calendar-link');
+    if (calendarLink && typeof eventIcsUrl !== 'undefined') {
+        calendarLink.href = eventIcsUrl(event.id);
+        document.getElementById('add-to-calendar').classList.toggle('hidden', event.status !== 'approved');
+    }
+
+    const poster = document.getElementById('event-poster');
+    if (poster && event.posterURL) {
+        poster.src = event.posterURL;
+        poster.alt = `Poster for ${event.title}`;
+    }
+
+    renderBookingAvailability();
+    // Editing and cancelling, for the organizer and the faculty crew (js/event-editing.js)
+    if (typeof renderManagePanel !== 'undefined') renderManagePanel(event, eventDetailsState.profile);
+}
+
+/**
+ * Keeps the step-2 total in sync with the ticket count input.
+ */
+function updateBookingTotalDisplay() {
+    const total = calculateBookingTotal(readBookingCounts());
+    setText('total-payment-display', total.toFixed(2));
+}
+window.updateBookingTotalDisplay = updateBookingTotalDisplay;
+
+// =========================================================================
+// --- 3. LOADER ---
+// =========================================================================
+
+/**
+ * Fetches an event, fills every field on event-details.html and keeps them live. Called by js/ui.js.
+ * @param {string} eventId - The document ID from the '?id=' URL parameter.
+ * @returns {Promise<object|null>} The canonical event, or null if it could not be loaded.
+ */
+async function loadEventDetails(eventId) {
+    const container = document.querySelector('.event-details-container');
+    const [event, profile] = await Promise.all([fetchEventDetails(eventId), getCurrentUserRole()]);
+
+    if (!event) {
+        if (container) {
+            container.innerHTML = '<h2>Event not found.</h2><p>It may have been removed, or you may not have permission to view it.</p>';
+        }
+        return null;
+    }
+
+    updateEventDetailsState(event, profile);
+    renderEventDetails(event);
+    updateBookingTotalDisplay();
+    watchWaitlistEntry(event.id);
+
+    if (stopWatchingEventDetails) stopWatchingEventDetails();
+    stopWatchingEventDetails = watchEvent(event.id, (latest) => {
+        if (!latest) return;
+        updateEventDetailsState(latest, eventDetailsState.profile);
+        renderEventDetails(latest);
+        updateBookingTotalDisplay();
+    });
+    return event;
+}
+window.loadEventDetails = loadEventDetails;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const bookButton = document.getElementById('book-ticket-button');
+
+    if (bookButton) {
+        bookButton.addEventListener('click', async () => {
+            if (!eventDetailsState.canBook) return;
+            document.getElementById('event-step-1-details').classList.add('hidden');
+            document.getElementById('event-step-2-booking').classList.remove('hidden');
+
+            // Pre-fill contact details for signed-in users
+            if (typeof auth !== 'undefined' && auth.currentUser) {
+                const profile = await getCurrentUserRole();
+                const nameInput = document.getElementById('booking-name');
+                const emailInput = document.getElementById('booking-email');
+                if (nameInput && !nameInput.value) nameInput.value = profile.name || '';
+                if (emailInput && !emailInput.value) emailInput.value = profile.email || auth.currentUser.email || '';
+            }
+            updateBookingTotalDisplay();
+        });
+    }
+
+    TICKET_TIERS.forEach(tier => {
+        const countInput = document.getElementById(`booking-count-${tier}`);
+        if (countInput) countInput.addEventListener('input', updateBookingTotalDisplay);
+    });
+});
@@ -0,0 +1,365 @@
+// js/event-editing.js - Editing and cancelling a published event: the "Manage this event" panel on
+// event-details.html, for its submitter, the crew of its faculty and admins, and the crew's queue of
+// change requests on crew-manage-events.html. Cosmetic edits go live straight away. A new date, time,
+// venue or price from the submitter waits in the event's 'changeRequest' until the crew approves it,
+// so the event stays live as it was booked until then; crew and admins change these directly.
+// Cancelling goes through the cancelEvent Cloud Function (functions/src/event-changes.js), which
+// stops sales and refunds every ticket. See firestore.rules (isOrganizerEdit, isCrewLiveEdit).
+
+// Applied as soon as they are saved
+const COSMETIC_EVENT_FIELDS = ['title', 'description', 'category', 'contact'];
+// They change what ticket holders booked, so the submitter's changes need the crew's approval
+const MATERIAL_EVENT_FIELDS = ['date', 'time', 'location', 'memberPrice', 'generalPrice'];
+const PRICE_FIELDS = ['memberPrice', 'generalPrice'];
+
+const LIVE_EDIT_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    contact: 'Contact',
+    date: 'Date',
+    time: 'Time',
+    location: 'Location',
+    memberPrice: 'University member price',
+    generalPrice: 'General price'
+};
+
+const MAX_CANCELLATION_REASON_LENGTH = 1000;
+
+function formatEditValue(field, value) {
+    if (PRICE_FIELDS.includes(field)) return formatRupees(value);
+    return value === '' || value == null ? '(empty)' : String(value);
+}
+
+// =========================================================================
+// --- 1. PERMISSIONS & VALUES ---
+// =========================================================================
+
+/**
+ * Whether the signed-in user may edit and cancel an event: its submitter, crew of its faculty, or an admin.
+ * @param {object} event - Canonical event.
+ * @param {object} profile - Result of getCurrentUserRole().
+ */
+function canManageEvent(event, profile) {
+    const user = auth.currentUser;
+    if (!user || !profile || profile.role === 'guest') return false;
+    return event.postedByUid === user.uid || canEditLiveEventDirectly(event, profile);
+}
+
+/** Crew of the event's faculty and admins apply every change without a change request. */
+function canEditLiveEventDirectly(event, profile) {
+    return !!profile && (profile.role === 'admin' || crewFacultiesOf(profile).includes(event.faculty));
+}
+
+/** The editable values of an event, prices by tier. */
+function liveEventValues(event) {
+    return {
+        title: event.title,
+        description: event.description,
+        category: event.category,
+        contact: event.contact,
+        date: event.date,
+        time: event.time,
+        location: event.location,
+        memberPrice: event.tiers.member.price,
+        generalPrice: event.tiers.general.price
+    };
+}
+
+/**
+ * The update that puts new date, time, venue and prices live. Seats are left alone: the prices
+ * are written field by field so checkouts running at the same time keep their counts.
+ */
+function materialUpdate(values) {
+    const start = eventStartDate(values.date, values.time);
+    return {
+        date: values.date,
+        time: values.time,
+        location: values.location,
+        startsAt: start ? firebase.firestore.Timestamp.fromDate(start) : null,
+        'tiers.member.price': values.memberPrice,
+        'tiers.general.price': values.generalPrice,
+        ticketPrice: values.generalPrice
+    };
+}
+
+/**
+ * Cleans up form input into the event's editable values and checks them.
+ * @throws {Error} If the edited event does not validate.
+ */
+function readLiveEdits(event, changes) {
+    const edited = liveEventValues(event);
+    Object.keys(LIVE_EDIT_FIELD_LABELS).forEach(field => {
+        if (changes[field] === undefined) return;
+        edited[field] = PRICE_FIELDS.includes(field) ? Number(changes[field]) : String(changes[field]).trim();
+    });
+
+    const errors = validateEvent({ ...event, ...edited });
+    if (!EVENT_CATEGORIES.includes(edited.category)) errors.push(`Unknown category "${edited.category}".`);
+    PRICE_FIELDS.forEach(field => {
+        if (!Number.isFinite(edited[field]) || edited[field] < 0) errors.push(`${LIVE_EDIT_FIELD_LABELS[field]} must be zero or more.`);
+    });
+    if (errors.length > 0) throw new Error(errors.join(' '));
+    return edited;
+}
+
+// =========================================================================
+// --- 2. WRITES ---
+// =========================================================================
+
+/**
+ * Saves edits to a published event. Cosmetic fields go live straight away; date, time, venue and
+ * prices do too for crew and admins, while the submitter's become a change request for the crew.
+ * A new request replaces one still waiting.
+ * @param {object} event - Canonical approved event.
+ * @param {object} changes - New values for any of LIVE_EDIT_FIELD_LABELS.
+ * @param {object} profile - Result of getCurrentUserRole().
+ * @returns {Promise<{applied: string[], requested: string[]}>} The fields now live and the ones waiting for approval.
+ * @throws {Error} If the event is not published or the edits do not validate.
+ */
+async function editLiveEvent(event, changes, profile) {
+    if (event.status !== 'approved') throw new Error("Only published events can be edited.");
+    const current = liveEventValues(event);
+    const edited = readLiveEdits(event, changes);
+    const changed = Object.keys(LIVE_EDIT_FIELD_LABELS).filter(field => edited[field] !== current[field]);
+    const cosmetic = changed.filter(field => COSMETIC_EVENT_FIELDS.includes(field));
+    const material = changed.filter(field => MATERIAL_EVENT_FIELDS.includes(field));
+    if (changed.length === 0) return { applied: [], requested: [] };
+
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    const update = { updatedAt: now };
+    cosmetic.forEach(field => { update[field] = edited[field]; });
+
+    const direct = canEditLiveEventDirectly(event, profile);
+    if (material.length > 0 && direct) {
+        Object.assign(update, materialUpdate(edited));
+    } else if (material.length > 0) {
+        const pick = values => material.reduce((result, field) => ({ ...result, [field]: values[field] }), {});
+        update.changeRequest = {
+            status: 'pending',
+            fields: pick(edited),
+            previousFields: pick(current),
+            changedFields: material,
+            submittedBy: auth.currentUser.uid,
+            submittedAt: now
+        };
+    }
+
+    await db.collection("events").doc(event.id).update(update);
+    return direct ? { applied: changed, requested: [] } : { applied: cosmetic, requested: material };
+}
+
+/**
+ * Applies or declines the submitter's pending change request (crew and admins).
+ * @param {object} event - Canonical event with a pending changeRequest.
+ * @param {boolean} approve
+ * @param {string} [reason] - Why it was declined, shown to the submitter.
+ */
+async function decideLiveEventChanges(event, approve, reason) {
+    const request = event.changeRequest;
+    if (!request || request.status !== 'pending') throw new Error("There are no changes waiting for approval.");
+    if (event.status !== 'approved') throw new Error("Only changes to published events can be applied.");
+
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    const update = {
+        'changeRequest.status': approve ? 'approved' : 'declined',
+        'changeRequest.decidedBy': auth.currentUser.uid,
+        'changeRequest.decidedAt': now,
+        updatedAt: now
+    };
+    if (approve) {
+        Object.assign(update, materialUpdate({ ...liveEventValues(event), ...request.fields }));
+    } else if (String(reason || '').trim()) {
+        update['changeRequest.declineReason'] = String(reason).trim();
+    }
+    await db.collection("events").doc(event.id).update(update);
+}
+
+/**
+ * Cancels a published event: sales stop and every ticket is cancelled and refunded.
+ * @param {object} event - Canonical event.
+ * @param {string} reason - Shown to ticket holders.
+ * @returns {Promise<{cancelled: number, refunded: number, failed: number}>}
+ */
+async function cancelLiveEvent(event, reason) {
+    const text = String(reason || '').trim();
+    if (!text) throw new Error("Tell ticket holders why the event is cancelled.");
+    if (text.length > MAX_CANCELLATION_REASON_LENGTH) {
+        throw new Error(`The reason must be ${MAX_CANCELLATION_REASON_LENGTH} characters or fewer.`);
+    }
+    const result = await functions.httpsCallable('cancelEvent')({ eventId: event.id, reason: text });
+    return result.data;
+}
+
+// =========================================================================
+// --- 3. CHANGE REQUEST QUEUE (crew-manage-events.html) ---
+// =========================================================================
+
+function changeRequestsQuery(faculty) {
+    return db.collection("events")
+        .where("faculty", "==", normalizeFaculty(faculty) || faculty)
+        .where("changeRequest.status", "==", "pending");
+}
+
+/**
+ * Follows the published events of a faculty whose submitter is waiting for changes to be approved.
+ * @returns {function()} Stops listening.
+ */
+function watchChangeRequests(faculty, onChange, onError) {
+    return watchQuery(changeRequestsQuery(faculty), onChange, onError);
+}
+
+/** Old and new value of each field in a change request. */
+function changeRequestHtml(request) {
+    return `
+        <div class="revision-diff">
+            <dl>
+                ${request.changedFields.map(field => `
+                    <dt>${LIVE_EDIT_FIELD_LABELS[field] || field}</dt>
+                    <dd><del>${escapeHtml(formatEditValue(field, request.previousFields[field]))}</del></dd>
+                    <dd><ins>${escapeHtml(formatEditValue(field, request.fields[field]))}</ins></dd>
+                `).join('')}
+            </dl>
+        </div>
+    `;
+}
+
+// =========================================================================
+// --- 4. MANAGE PANEL (event-details.html) ---
+// =========================================================================
+
+const managePanelState = {
+    event: null,
+    profile: null,
+    rendered: false
+};
+
+function liveEditFormHtml(event, direct) {
+    const value = field => escapeHtml(event[field]);
+    return `
+        <h4>Edit details</h4>
+        <p class="event-manage-note">${direct
+            ? 'Your changes go live as soon as you save them. Ticket holders are told about a new date, time or venue.'
+            : 'Title, description, category and contact change straight away. A new date, time, venue or price is sent to the crew and goes live once they approve it.'}</p>
+        <label>Title <input type="text" name="title" maxlength="150" value="${value('title')}" required></label>
+        <label>Description <textarea name="description" required>${value('description')}</textarea></label>
+        <label>Category <select name="category">${EVENT_CATEGORIES.map(category =>
+            `<option value="${category}"${category === event.category ? ' selected' : ''}>${category}</option>`).join('')}</select></label>
+        <label>Contact <input type="text" name="contact" value="${value('contact')}"></label>
+        <label>Date <input type="date" name="date" value="${value('date')}" required></label>
+        <label>Time <input type="time" name="time" value="${value('time')}"></label>
+        <label>Location <input type="text" name="location" value="${value('location')}" required></label>
+        ${event.hasTickets ? TICKET_TIERS.filter(tier => event.tiers[tier].quota > 0).map(tier => `
+            <label>${TICKET_TIER_LABELS[tier]} price (Rs.)
+                <input type="number" name="${tier}Price" min="0" step="0.01" value="${event.tiers[tier].price}" required>
+            </label>
+        `).join('') : ''}
+        <button type="submit" class="form-button">Save Changes</button>
+    `;
+}
+
+/** The pending change request, or the crew's last decision on one, as a notice. */
+function changeRequestNoticeHtml(event) {
+    const request = event.changeRequest;
+    if (!request) return '';
+    if (request.status === 'pending') {
+        return `<p><strong>Waiting for the crew:</strong> these changes go live once approved.</p>${changeRequestHtml(request)}`;
+    }
+    if (request.status === 'declined') {
+        return `<p><strong>The crew did not approve your last changes.</strong>${request.declineReason ? ` ${escapeHtml(request.declineReason)}` : ''}</p>`;
+    }
+    return '';
+}
+
+/**
+ * Shows the "Manage this event" panel to those who may edit and cancel the event, and keeps the
+ * change request notice current. The edit form is filled once, so live updates do not wipe what
+ * is being typed. Once the event is cancelled only the cancel form stays, to retry failed refunds.
+ * @param {object} event - Canonical event.
+ * @param {object} profile - Result of getCurrentUserRole().
+ */
+function renderManagePanel(event, profile) {
+    const panel = document.getElementById('event-manage-panel');
+    if (!panel) return;
+    managePanelState.event = event;
+    managePanelState.profile = profile;
+
+    const cancelled = event.status === 'cancelled';
+    const open = (event.status === 'approved' || cancelled) && canManageEvent(event, profile);
+    panel.classList.toggle('hidden', !open);
+    if (!open) return;
+
+    const cancelForm = document.getElementById('cancel-event-form');
+    document.getElementById('live-edit-form').classList.toggle('hidden', cancelled);
+    document.getElementById('cancel-event-heading').textContent = cancelled ? 'Refunds' : 'Cancel this event';
+    document.getElementById('cancel-event-note').textContent = cancelled
+        ? 'This event is cancelled. If some refunds did not go through, retry them here.'
+        : 'Ticket sales stop, every ticket is cancelled and paid tickets are refunded. Ticket holders are told by email and in their notifications. This cannot be undone.';
+    cancelForm.elements.reason.classList.toggle('hidden', cancelled);
+    if (cancelled) cancelForm.elements.reason.value = event.cancellationReason || '';
+    cancelForm.querySelector('button[type="submit"]').textContent = cancelled ? 'Retry Refunds' : 'Cancel Event';
+
+    document.getElementById('event-change-request').innerHTML = cancelled ? '' : changeRequestNoticeHtml(event);
+    if (!managePanelState.rendered) {
+        document.getElementById('live-edit-form').innerHTML = liveEditFormHtml(event, canEditLiveEventDirectly(event, profile));
+        managePanelState.rendered = true;
+        if (window.location.hash === '#manage-event') panel.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const editForm = document.getElementById('live-edit-form');
+    const cancelForm = document.getElementById('cancel-event-form');
+    if (!editForm || !cancelForm) return;
+
+    editForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { event, profile } = managePanelState;
+        const changes = {};
+        Object.keys(LIVE_EDIT_FIELD_LABELS).forEach(field => {
+            if (editForm.elements[field]) changes[field] = editForm.elements[field].value;
+        });
+        const button = editForm.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const { applied, requested } = await editLiveEvent(event, changes, profile);
+            const labels = fields => fields.map(field => LIVE_EDIT_FIELD_LABELS[field].toLowerCase()).join(', ');
+            if (applied.length === 0 && requested.length === 0) alert("Nothing has changed.");
+            else if (requested.length === 0) alert(`Saved: ${labels(applied)}.`);
+            else alert(`${applied.length > 0 ? `Saved: ${labels(applied)}. ` : ''}The new ${labels(requested)} will go live once the crew approves them.`);
+        } catch (error) {
+            console.error("Error editing event:", error);
+            alert(`Could not save your changes: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    cancelForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { event } = managePanelState;
+        if (event.status === 'approved'
+            && !confirm(`Cancel "${event.title}"? Every ticket is cancelled and refunded. This cannot be undone.`)) return;
+        const button = cancelForm.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const summary = await cancelLiveEvent(event, cancelForm.elements.reason.value);
+            alert(summary.failed > 0
+                ? `The event is cancelled. ${summary.failed} refund(s) did not go through - use "Retry Refunds" to try again.`
+                : `The event is cancelled and ${summary.cancelled} ticket(s) have been refunded.`);
+        } catch (error) {
+            console.error("Error cancelling event:", error);
+            alert(`Could not cancel the event: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    });
+});
+
+window.canManageEvent = canManageEvent;
+window.editLiveEvent = editLiveEvent;
+window.decideLiveEventChanges = decideLiveEventChanges;
+window.cancelLiveEvent = cancelLiveEvent;
+window.watchChangeRequests = watchChangeRequests;
+window.changeRequestHtml = changeRequestHtml;
+window.renderManagePanel = renderManagePanel;
@@ -0,0 +1,701 @@
+// js/event-repository.js - Owns the canonical 'events' document schema.
+// Every page reads and writes events through these functions so field names stay consistent.
+// Every page that shows events loads it, so it also has the helpers those pages share (escapeHtml, formatRupees).
+
+// =========================================================================
+// --- 0. SCHEMA CONSTANTS ---
+// =========================================================================
+
+const EVENT_SCHEMA_VERSION = 1;
+
+// 'changes_requested' sends a submission back to its submitter, who edits and resubmits it (js/review.js).
+// 'cancelled' is a published event called off by its organizers (functions/src/event-changes.js).
+const EVENT_STATUSES = ['pending', 'changes_requested', 'approved', 'rejected', 'cancelled'];
+
+const EVENT_CATEGORIES = ['academic', 'sports', 'cultural', 'social', 'other'];
+
+const UNIVERSITY_WIDE = 'University Wide';
+
+// Ticket tiers: university members pay the special rate, guests and the public the general price.
+const TICKET_TIERS = ['member', 'general'];
+const TICKET_TIER_LABELS = { member: 'University Member', general: 'General' };
+
+// Ticket holders may cancel (and get a refund) until this many hours before the event starts.
+// Mirrored in functions/src/ticket-changes.js.
+const DEFAULT_CANCELLATION_CUTOFF_HOURS = 24;
+const MAX_CANCELLATION_CUTOFF_HOURS = 720;
+
+// Canonical faculty names (as used by the crew faculty selection and the event filters).
+const FACULTIES = [
+    "Science", "Art", "Medicine", "Law", "Management & Finance",
+    "Technology", "Nursing", "Indigenous Medicine", "Education",
+    "Sri Palee Drama", "UCSC"
+];
+
+// Long names used by register.html and the post-event.html wizard, mapped to the canonical names above.
+const FACULTY_ALIASES = {
+    "faculty of science": "Science",
+    "faculty of art": "Art",
+    "faculty of arts": "Art",
+    "faculty of medicine": "Medicine",
+    "faculty of law": "Law",
+    "faculty of management and financial": "Management & Finance",
+    "faculty of management and finance": "Management & Finance",
+    "faculty of technology": "Technology",
+    "faculty of nursing": "Nursing",
+    "faculty of indigenous medicine": "Indigenous Medicine",
+    "faculty of education": "Education",
+    "sripalee campus": "Sri Palee Drama",
+    "university of colombo school of computing": "UCSC",
+    "all-university": UNIVERSITY_WIDE,
+    "university wide": UNIVERSITY_WIDE
+};
+
+/**
+ * Maps any known spelling of a faculty to its canonical name.
+ * @param {string} name - Faculty name as entered or stored.
+ * @returns {string|null} The canonical faculty name, or null if it is not recognised.
+ */
+function normalizeFaculty(name) {
+    if (!name || typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    const canonical = FACULTIES.find(f => f.toLowerCase() === trimmed.toLowerCase());
+    if (canonical) return canonical;
+    return FACULTY_ALIASES[trimmed.toLowerCase()] || null;
+}
+
+/**
+ * Escapes text for the HTML the pages build in template strings. Anything stored by users (titles,
+ * names, comments) goes through this before it reaches innerHTML.
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** A price as the site shows it, e.g. "Rs. 500.00". */
+function formatRupees(amount) {
+    return `Rs. ${Number(amount || 0).toFixed(2)}`;
+}
+
+
+// =========================================================================
+// --- 1. READ MAPPING (legacy documents -> canonical shape) ---
+// =========================================================================
+
+function pad2(n) {
+    return String(n).padStart(2, '0');
+}
+
+function firstDefined(...values) {
+    return values.find(v => v !== undefined && v !== null && v !== '');
+}
+
+function toNumber(value, fallback = 0) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function toInteger(value, fallback = 0) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Splits a stored date into the canonical 'YYYY-MM-DD' / 'HH:MM' strings.
+ * Older crew documents stored a Firestore Timestamp in 'date'.
+ */
+function splitDateValue(dateValue, timeValue) {
+    if (dateValue && typeof dateValue.toDate === 'function') {
+        const d = dateValue.toDate();
+        return {
+            date: `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`,
+            time: timeValue || `${pad2(d.getHours())}:${pad2(d.getMinutes())}`
+        };
+    }
+    return { date: dateValue || '', time: timeValue || '' };
+}
+
+/**
+ * Builds a JS Date from the canonical date and time strings (local time).
+ * @returns {Date|null}
+ */
+function eventStartDate(date, time) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+    const [y, m, d] = date.split('-').map(Number);
+    const [hh, mm] = /^\d{2}:\d{2}$/.test(time || '') ? time.split(':').map(Number) : [0, 0];
+    const result = new Date(y, m - 1, d, hh, mm);
+    return isNaN(result.getTime()) ? null : result;
+}
+
+/**
+ * Derives the audience block from either the wizard's 'audience' object
+ * or the older crew form's 'audienceType' / 'audienceRestriction' pair.
+ */
+function mapAudience(data) {
+    if (data.audience && typeof data.audience === 'object') {
+        const targets = (data.audience.targetFaculties || [])
+            .filter(f => f && f !== 'all')
+            .map(f => normalizeFaculty(f) || f);
+        return {
+            members: data.audience.members !== false,
+            guests: !!data.audience.guests,
+            targetFaculties: targets
+        };
+    }
+    const restriction = data.audienceRestriction;
+    const restrictedFaculty = restriction && restriction !== 'all-university' ? (normalizeFaculty(restriction) || restriction) : null;
+    return {
+        members: true,
+        guests: ['public', 'guests', 'all', 'everyone'].includes(data.audienceType),
+        targetFaculties: restrictedFaculty ? [restrictedFaculty] : []
+    };
+}
+
+/**
+ * Builds the per-tier pricing and quota block.
+ * Documents written before tiers existed only have one quota; it goes to the general tier
+ * (which anyone may buy) unless the event is members-only.
+ */
+function mapTiers(data, { isPaid, generalPrice, specialRate, totalTickets, availableTickets, audience }) {
+    if (data.tiers && typeof data.tiers === 'object') {
+        const tiers = {};
+        TICKET_TIERS.forEach(tier => {
+            const t = data.tiers[tier] || {};
+            const quota = toInteger(t.quota, 0);
+            tiers[tier] = {
+                price: isPaid ? toNumber(t.price, 0) : 0,
+                quota: quota,
+                available: toInteger(firstDefined(t.available, quota), 0)
+            };
+        });
+        return tiers;
+    }
+
+    const financial = data.financialDetails || {};
+    let memberQuota;
+    let generalQuota;
+    if (financial.memberTickets !== undefined || financial.generalTickets !== undefined) {
+        memberQuota = toInteger(financial.memberTickets, 0);
+        generalQuota = toInteger(financial.generalTickets, 0);
+    } else if (audience.guests) {
+        memberQuota = 0;
+        generalQuota = totalTickets;
+    } else {
+        memberQuota = totalTickets;
+        generalQuota = 0;
+    }
+    const sold = Math.max(0, totalTickets - availableTickets);
+    const generalSold = Math.min(sold, generalQuota);
+
+    return {
+        member: {
+            price: isPaid ? specialRate : 0,
+            quota: memberQuota,
+            available: Math.max(0, memberQuota - (sold - generalSold))
+        },
+        general: {
+            price: isPaid ? generalPrice : 0,
+            quota: generalQuota,
+            available: generalQuota - generalSold
+        }
+    };
+}
+
+/**
+ * Converts any stored event document (canonical or legacy) into the canonical shape.
+ * @param {object} data - Raw Firestore document data.
+ * @param {string} [id] - Document ID, copied onto the result.
+ * @returns {object} The canonical event.
+ */
+function normalizeEvent(data, id) {
+    data = data || {};
+    const { date, time } = splitDateValue(data.date, data.time);
+    const financial = data.financialDetails || {};
+    const isPaid = data.hasTickets !== undefined
+        ? !!data.hasTickets
+        : data.financialType === 'financial' || !!data.financialDetails;
+
+    const generalPrice = toNumber(firstDefined(data.ticketPrice, financial.generalPrice), 0);
+    const specialRate = toNumber(firstDefined(data.specialRate, financial.specialRate), generalPrice);
+    const availableTickets = toInteger(firstDefined(data.availableTickets, financial.ticketsAvailable), 0);
+    const totalTickets = toInteger(firstDefined(data.totalTickets, financial.ticketsAvailable, data.availableTickets), 0);
+    const audience = mapAudience(data);
+    const tiers = mapTiers(data, { isPaid, generalPrice, specialRate, totalTickets, availableTickets, audience });
+
+    const payout = data.payoutAccount || (data.financialDetails ? {
+        beneficiaryName: financial.beneficiaryName || '',
+        accountNumber: financial.accountNumber || '',
+        bankName: financial.bankName || '',
+        branchName: financial.branchName || ''
+    } : null);
+
+    const rawFaculty = firstDefined(data.faculty, data.hostingFaculty);
+
+    return {
+        id: id || data.id || null,
+        schemaVersion: EVENT_SCHEMA_VERSION,
+        title: firstDefined(data.title, data.name) || 'Untitled Event',
+        description: data.description || '',
+        category: EVENT_CATEGORIES.includes(data.category) ? data.category : 'other',
+        faculty: normalizeFaculty(rawFaculty) || rawFaculty || '',
+        date: date,
+        time: time,
+        startsAt: data.startsAt || null,
+        location: data.location || '',
+        contact: firstDefined(data.contact, data.contactNumbers) || '',
+        posterURL: firstDefined(data.posterURL, data.postImageUrl, data.posterUrl) || '',
+        audience: audience,
+        hasTickets: isPaid,
+        ticketPrice: tiers.general.price,
+        tiers: tiers,
+        // Totals are always the sum of the tiers
+        totalTickets: tiers.member.quota + tiers.general.quota,
+        availableTickets: tiers.member.available + tiers.general.available,
+        cancellationCutoffHours: toInteger(
+            firstDefined(data.cancellationCutoffHours, financial.cancellationCutoffHours),
+            DEFAULT_CANCELLATION_CUTOFF_HOURS
+        ),
+        payoutAccount: payout,
+        status: EVENT_STATUSES.includes(data.status) ? data.status : 'pending',
+        rejectionReason: data.rejectionReason || null,
+        // Set on published events only, by js/event-editing.js and functions/src/event-changes.js
+        changeRequest: data.changeRequest || null,
+        cancellationReason: data.cancellationReason || null,
+        cancelledAt: data.cancelledAt || null,
+        // Bumped by every resubmission; each later revision is kept under events/{id}/revisions
+        revision: toInteger(data.revision, 1),
+        postedByUid: firstDefined(data.postedByUid, data.postedByUID) || null,
+        postedByName: firstDefined(data.postedByName, data.postedBy) || '',
+        reviewedBy: firstDefined(data.reviewedBy, data.approvedBy) || null,
+        reviewedAt: firstDefined(data.reviewedAt, data.reviewTimestamp, data.approvalTimestamp) || null,
+        createdAt: firstDefined(data.createdAt, data.submissionTimestamp, data.timestamp) || null,
+        updatedAt: data.updatedAt || null
+    };
+}
+
+/**
+ * Whether a user profile qualifies for the university member (special) rate:
+ * a signed-in user whose 'users' document names a recognised faculty.
+ * @param {object} profile - Result of getCurrentUserRole().
+ * @returns {boolean}
+ */
+function isUniversityMember(profile) {
+    return !!profile && profile.role !== 'guest' && !!normalizeFaculty(profile.faculty);
+}
+
+/**
+ * Faculties a crew member moderates and checks in: the 'crewFaculties' an admin assigned them
+ * (functions/src/crew.js), or their profile faculty for crew from before assignments. Admins get
+ * every faculty. Mirrors isCrewOf in firestore.rules.
+ * @param {object} profile - Result of getCurrentUserRole().
+ * @returns {string[]}
+ */
+function crewFacultiesOf(profile) {
+    if (!profile) return [];
+    if (profile.role === 'admin') return [...FACULTIES];
+    if (profile.role !== 'crew') return [];
+    const assigned = Array.isArray(profile.crewFaculties) ? profile.crewFaculties : [profile.faculty];
+    return assigned.map(normalizeFaculty).filter(faculty => faculty && faculty !== UNIVERSITY_WIDE);
+}
+
+/**
+ * Whether a viewer is one of the university members an event is aimed at: any member when the
+ * event has no target faculties, otherwise members of those faculties only.
+ * Mirrored in functions/src/audience.js.
+ * @param {object} event - Canonical event.
+ * @param {object} profile - Result of getCurrentUserRole().
+ * @returns {boolean}
+ */
+function isTargetMember(event, profile) {
+    if (!event.audience.members || !isUniversityMember(profile)) return false;
+    const targets = event.audience.targetFaculties;
+    return targets.length === 0 || targets.includes(UNIVERSITY_WIDE) || targets.includes(normalizeFaculty(profile.faculty));
+}
+
+/**
+ * Whether a viewer may attend (and book) an event: Guests/Public events are open to everyone,
+ * the rest only to their target members. Mirrored in functions/src/audience.js.
+ * @param {object} event - Canonical event.
+ * @param {object} profile - Result of getCurrentUserRole().
+ * @returns {boolean}
+ */
+function canAttendEvent(event, profile) {
+    return event.audience.guests || isTargetMember(event, profile);
+}
+
+/**
+ * Who an event is restricted to, for viewers outside its audience (e.g. "University members (Science, Law) only").
+ * @param {object} event - Canonical event.
+ * @returns {string}
+ */
+function describeAudienceRestriction(event) {
+    const targets = event.audience.targetFaculties.filter(f => f !== UNIVERSITY_WIDE);
+    return targets.length > 0 ? `University members (${targets.join(', ')}) only` : 'University members only';
+}
+
+/**
+ * Tiers a viewer may buy from: target members can mix member and general tickets, everyone else in
+ * the audience general only, and viewers outside the audience nothing.
+ * @param {object} event - Canonical event.
+ * @param {object} profile - Result of getCurrentUserRole().
+ * @returns {string[]}
+ */
+function purchasableTiers(event, profile) {
+    if (!canAttendEvent(event, profile)) return [];
+    return TICKET_TIERS.filter(tier => event.tiers[tier].quota > 0
+        && (tier === 'general' || isTargetMember(event, profile)));
+}
+
+/**
+ * Last moment tickets for an event can be cancelled.
+ * @param {object} event - Canonical event.
+ * @returns {Date|null} null if the event has no start date.
+ */
+function cancellationDeadline(event) {
+    const start = eventStartDate(event.date, event.time);
+    return start ? new Date(start.getTime() - event.cancellationCutoffHours * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Convenience wrapper for a Firestore DocumentSnapshot.
+ * @returns {object|null} The canonical event, or null if the document does not exist.
+ */
+function eventFromDoc(doc) {
+    return doc && doc.exists ? normalizeEvent(doc.data(), doc.id) : null;
+}
+
+
+// =========================================================================
+// --- 2. WRITE VALIDATION ---
+// =========================================================================
+
+/**
+ * Validates a canonical event and returns a list of problems (empty when valid).
+ * @param {object} event - Canonical event (output of normalizeEvent).
+ * @returns {string[]}
+ */
+function validateEvent(event) {
+    const errors = [];
+    if (!event.title || event.title === 'Untitled Event') errors.push('Title is required.');
+    if (event.title && event.title.length > 150) errors.push('Title must be 150 characters or fewer.');
+    if (!event.description) errors.push('Description is required.');
+    if (!eventStartDate(event.date, event.time)) errors.push('A valid date (YYYY-MM-DD) is required.');
+    if (event.time && !/^\d{2}:\d{2}$/.test(event.time)) errors.push('Time must be in HH:MM format.');
+    if (!event.location) errors.push('Location is required.');
+    if (event.faculty !== UNIVERSITY_WIDE && !FACULTIES.includes(event.faculty)) {
+        errors.push(`Unknown faculty "${event.faculty}".`);
+    }
+    if (!event.audience.members && !event.audience.guests) errors.push('At least one audience type is required.');
+    if (!EVENT_STATUSES.includes(event.status)) errors.push(`Unknown status "${event.status}".`);
+
+    if (event.hasTickets) {
+        TICKET_TIERS.forEach(tier => {
+            const t = event.tiers[tier];
+            if (!(t.price >= 0)) errors.push(`The ${tier} ticket price must be zero or more.`);
+            if (!Number.isInteger(t.quota) || t.quota < 0) errors.push(`The ${tier} ticket quota must be a whole number.`);
+            if (t.available < 0 || t.available > t.quota) {
+                errors.push(`Available ${tier} tickets must be between 0 and the ${tier} quota.`);
+            }
+        });
+        if (!(event.totalTickets >= 1)) errors.push('Paid events need at least one ticket.');
+        if (!event.audience.members && event.tiers.member.quota > 0) {
+            errors.push('Member-rate tickets need the University Members audience.');
+        }
+        if (!event.audience.guests && event.tiers.general.quota > 0) {
+            errors.push('General tickets need the Guests/Public audience.');
+        }
+        if (!(event.cancellationCutoffHours >= 0 && event.cancellationCutoffHours <= MAX_CANCELLATION_CUTOFF_HOURS)) {
+            errors.push(`The cancellation cutoff must be between 0 and ${MAX_CANCELLATION_CUTOFF_HOURS} hours.`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Strips a canonical event down to the fields that are persisted.
+ * Timestamps are left to the caller so new and migrated documents can set them differently.
+ */
+function toEventDocument(event) {
+    const start = eventStartDate(event.date, event.time);
+    return {
+        schemaVersion: EVENT_SCHEMA_VERSION,
+        title: event.title.trim(),
+        description: event.description,
+        category: event.category,
+        faculty: event.faculty,
+        date: event.date,
+        time: event.time,
+        startsAt: start ? firebase.firestore.Timestamp.fromDate(start) : null,
+        location: event.location,
+        contact: event.contact,
+        posterURL: event.posterURL,
+        audience: event.audience,
+        hasTickets: event.hasTickets,
+        ticketPrice: event.ticketPrice,
+        tiers: event.tiers,
+        totalTickets: event.totalTickets,
+        availableTickets: event.availableTickets,
+        cancellationCutoffHours: event.cancellationCutoffHours,
+        payoutAccount: event.payoutAccount,
+        status: event.status,
+        rejectionReason: event.rejectionReason,
+        revision: event.revision,
+        postedByUid: event.postedByUid,
+        postedByName: event.postedByName,
+        reviewedBy: event.reviewedBy,
+        reviewedAt: event.reviewedAt,
+        createdAt: event.createdAt,
+        updatedAt: event.updatedAt
+    };
+}
+
+/**
+ * Normalizes and validates form input, returning a document ready for Firestore.
+ * Accepts both the post-event.html wizard shape and the crew form shape.
+ * @param {object} input - Raw form data.
+ * @param {object} overrides - Fields set by the caller (status, postedByUid, ...).
+ * @returns {object} A canonical Firestore document.
+ * @throws {Error} If the input does not satisfy the schema.
+ */
+function buildEventDocument(input, overrides = {}) {
+    const event = { ...normalizeEvent(input), ...overrides };
+    // New submissions start with every ticket available.
+    if (input.availableTickets === undefined) {
+        TICKET_TIERS.forEach(tier => { event.tiers[tier].available = event.tiers[tier].quota; });
+        event.availableTickets = event.totalTickets;
+    }
+
+    const errors = validateEvent(event);
+    if (errors.length > 0) {
+        throw new Error(`Invalid event: ${errors.join(' ')}`);
+    }
+    return toEventDocument(event);
+}
+
+
+// =========================================================================
+// --- 3. FIRESTORE ACCESS ---
+// =========================================================================
+
+/**
+ * Creates a new event document.
+ * @param {object} input - Raw form data (wizard or crew shape).
+ * @param {object} overrides - Status and ownership fields.
+ * @returns {Promise<firebase.firestore.DocumentReference>}
+ */
+async function createEvent(input, overrides = {}) {
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    const doc = buildEventDocument(input, overrides);
+    doc.createdAt = now;
+    doc.updatedAt = now;
+    return db.collection("events").add(doc);
+}
+
+/**
+ * Fetches a single event in canonical form.
+ * @param {string} eventId
+ * @returns {Promise<object|null>}
+ */
+async function getEvent(eventId) {
+    const doc = await db.collection("events").doc(eventId).get();
+    return eventFromDoc(doc);
+}
+
+/**
+ * Runs a query and maps the result to canonical events.
+ * @param {firebase.firestore.Query} query
+ * @returns {Promise<object[]>}
+ */
+async function queryEvents(query) {
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => normalizeEvent(doc.data(), doc.id));
+}
+
+function pendingEventsQuery(faculty) {
+    return db.collection("events")
+        .where("status", "==", "pending")
+        .where("faculty", "==", normalizeFaculty(faculty) || faculty)
+        .orderBy("createdAt", "asc");
+}
+
+function submittedEventsQuery(userId) {
+    return db.collection("events")
+        .where("postedByUid", "==", userId)
+        .orderBy("createdAt", "desc");
+}
+
+/**
+ * Events awaiting review for one faculty, oldest first.
+ */
+function queryPendingEvents(faculty) {
+    return queryEvents(pendingEventsQuery(faculty));
+}
+
+/**
+ * Every approved event, soonest first.
+ */
+function queryApprovedEvents() {
+    return queryEvents(db.collection("events")
+        .where("status", "==", "approved")
+        .orderBy("date", "asc"));
+}
+
+/**
+ * Every event submitted by a user, newest first.
+ */
+function queryEventsSubmittedBy(userId) {
+    return queryEvents(submittedEventsQuery(userId));
+}
+
+
+// =========================================================================
+// --- 4. LIVE LISTENERS ---
+// =========================================================================
+
+// Every listener opened below, so leaving the page closes them all
+const liveListeners = new Set();
+
+function trackListener(unsubscribe) {
+    liveListeners.add(unsubscribe);
+    return () => {
+        liveListeners.delete(unsubscribe);
+        unsubscribe();
+    };
+}
+
+/**
+ * Follows a query, passing canonical events to 'onChange' on every change.
+ * @param {firebase.firestore.Query} query
+ * @param {function(object[], object[], firebase.firestore.QuerySnapshot)} onChange - Called with all
+ *     events and the changes since the last call: [{ type: 'added' | 'modified' | 'removed', event }].
+ *     The first call lists everything as added. The snapshot is there for pagination cursors.
+ * @param {function(Error)} [onError]
+ * @returns {function()} Stops listening.
+ */
+function watchQuery(query, onChange, onError) {
+    return trackListener(query.onSnapshot((snapshot) => {
+        const events = snapshot.docs.map(doc => normalizeEvent(doc.data(), doc.id));
+        const changes = snapshot.docChanges().map(change => ({
+            type: change.type,
+            event: normalizeEvent(change.doc.data(), change.doc.id)
+        }));
+        onChange(events, changes, snapshot);
+    }, onError || (error => console.error("Live event query failed:", error))));
+}
+
+/**
+ * Follows a single event; 'onChange' gets the canonical event, or null once it is deleted.
+ * @returns {function()} Stops listening.
+ */
+function watchEvent(eventId, onChange, onError) {
+    return trackListener(db.collection("events").doc(eventId).onSnapshot(
+        (doc) => onChange(eventFromDoc(doc)),
+        onError || (error => console.error("Live event failed:", error))
+    ));
+}
+
+/** Live version of queryPendingEvents(). */
+function watchPendingEvents(faculty, onChange, onError) {
+    return watchQuery(pendingEventsQuery(faculty), onChange, onError);
+}
+
+/** Live version of queryEventsSubmittedBy(). */
+function watchEventsSubmittedBy(userId, onChange, onError) {
+    return watchQuery(submittedEventsQuery(userId), onChange, onError);
+}
+
+window.addEventListener('pagehide', () => {
+    liveListeners.forEach(unsubscribe => unsubscribe());
+    liveListeners.clear();
+});
+
+
+// =========================================================================
+// --- 5. ONE-SHOT MIGRATION ---
+// =========================================================================
+
+/**
+ * Rewrites every 'events' document that is not yet on the canonical schema.
+ * Run once from the browser console while signed in as an admin (firestore.rules only lets
+ * admins read and rewrite every event):
+ *     await migrateLegacyEvents({ dryRun: true });   // report only
+ *     await migrateLegacyEvents();                   // apply
+ * @param {object} options
+ * @param {boolean} options.dryRun - When true, nothing is written.
+ * @returns {Promise<{scanned: number, migrated: number, invalid: Array<{id: string, errors: string[]}>}>}
+ */
+async function migrateLegacyEvents({ dryRun = false } = {}) {
+    const snapshot = await db.collection("events").get();
+    const report = { scanned: snapshot.size, migrated: 0, invalid: [] };
+    const BATCH_LIMIT = 400;
+    let batch = db.batch();
+    let pending = 0;
+
+    for (const doc of snapshot.docs) {
+        const data = doc.data();
+        if (data.schemaVersion === EVENT_SCHEMA_VERSION) continue;
+
+        const event = normalizeEvent(data, doc.id);
+        const errors = validateEvent(event);
+        if (errors.length > 0) {
+            // Still migrated so every page can read it, but reported for manual clean-up.
+            report.invalid.push({ id: doc.id, errors });
+        }
+
+        const canonical = toEventDocument(event);
+        canonical.createdAt = event.createdAt || firebase.firestore.FieldValue.serverTimestamp();
+        canonical.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+        report.migrated++;
+
+        if (dryRun) continue;
+        batch.set(doc.ref, canonical);
+        pending++;
+        if (pending === BATCH_LIMIT) {
+            await batch.commit();
+            batch = db.batch();
+            pending = 0;
+        }
+    }
+
+    if (!dryRun && pending > 0) {
+        await batch.commit();
+    }
+    console.log(`Event migration ${dryRun ? '(dry run) ' : ''}complete:`, report);
+    return report;
+}
+
+
+// Expose these for use in other JS files and inline page scripts
+window.EVENT_STATUSES = EVENT_STATUSES;
+window.EVENT_CATEGORIES = EVENT_CATEGORIES;
+window.FACULTIES = FACULTIES;
+window.UNIVERSITY_WIDE = UNIVERSITY_WIDE;
+window.TICKET_TIERS = TICKET_TIERS;
+window.TICKET_TIER_LABELS = TICKET_TIER_LABELS;
+window.isUniversityMember = isUniversityMember;
+window.crewFacultiesOf = crewFacultiesOf;
+window.isTargetMember = isTargetMember;
+window.canAttendEvent = canAttendEvent;
+window.describeAudienceRestriction = describeAudienceRestriction;
+window.purchasableTiers = purchasableTiers;
+window.normalizeFaculty = normalizeFaculty;
+window.escapeHtml = escapeHtml;
+window.formatRupees = formatRupees;
+window.normalizeEvent = normalizeEvent;
+window.eventFromDoc = eventFromDoc;
+window.eventStartDate = eventStartDate;
+window.validateEvent = validateEvent;
+window.buildEventDocument = buildEventDocument;
+window.createEvent = createEvent;
+window.getEvent = getEvent;
+window.queryEvents = queryEvents;
+window.queryPendingEvents = queryPendingEvents;
+window.queryApprovedEvents = queryApprovedEvents;
+window.queryEventsSubmittedBy = queryEventsSubmittedBy;
+window.watchQuery = watchQuery;
+window.watchEvent = watchEvent;
+window.watchPendingEvents = watchPendingEvents;
+window.watchEventsSubmittedBy = watchEventsSubmittedBy;
+window.migrateLegacyEvents = migrateLegacyEvents;
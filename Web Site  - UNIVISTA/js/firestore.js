@@ -42,17 +42,42 @@ async function getCurrentUserRole() {
 }
 window.getCurrentUserRole = getCurrentUserRole;
 
+// Emails users can turn off on profile.html. Mirrors NOTIFICATION_TYPES in functions/src/notifications.js.
+const EMAIL_NOTIFICATION_LABELS = {
+    submission_received: 'My event submission was received',
+    event_approved: 'My event was approved',
+    event_rejected: 'My event was rejected',
+    changes_requested: 'The crew asked for changes to my event',
+    ticket_purchased: 'Booking confirmations with my QR code',
+    event_changed: 'An event I booked has changed',
+    event_cancelled: 'An event I booked was cancelled',
+    event_reminder: 'Reminder the day before an event I booked'
+};
+window.EMAIL_NOTIFICATION_LABELS = EMAIL_NOTIFICATION_LABELS;
+
+/**
+ * Saves which notification emails the signed-in user gets. Types left out stay as they were;
+ * every type is on until it is turned off.
+ * @param {object} preferences - Notification type -> boolean.
+ */
+async function saveEmailPreferences(preferences) {
+    const user = auth.currentUser;
+    if (!user) throw new Error("Sign in to change your email settings.");
+    await db.collection("users").doc(user.uid).set({ emailPreferences: preferences }, { merge: true });
+}
+window.saveEmailPreferences = saveEmailPreferences;
+
 
 /**
  * Fetches details for a single event by its ID. Used by event-details.html.
  * @param {string} eventId - The document ID of the event.
- * @returns {Promise<object|null>} The event data or null if not found.
+ * @returns {Promise<object|null>} The canonical event (see js/event-repository.js) or null if not found.
  */
 async function fetchEventDetails(eventId) {
     try {
-        const doc = await db.collection("events").doc(eventId).get();
-        if (doc.exists) {
-            return { id: doc.id, ...doc.data() };
+        const event = await getEvent(eventId);
+        if (event) {
+            return event;
         } else {
             console.error("No event found with ID:", eventId);
             return null;
@@ -69,10 +94,28 @@ window.fetchEventDetails = fetchEventDetails;
 // --- 1. USER EVENT SUBMISSION LOGIC (for post-event.html) ---
 // =========================================================================
 
+/**
+ * Uploads an event poster to Firebase Storage under the current user's folder.
+ * Used by the post-event.html wizard before the event document is written.
+ * @param {File} file - The poster image.
+ * @returns {Promise<string>} The public download URL.
+ */
+async function uploadEventPoster(file) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error("User not authenticated.");
+    }
+    const storageRef = storage.ref(`event_posters/${user.uid}/${Date.now()}_${file.name}`);
+    const snapshot = await storageRef.put(file);
+    return snapshot.ref.getDownloadURL();
+}
+window.uploadEventPoster = uploadEventPoster;
+
 /**
  * Handles uploading an image and saving new event data to Firestore 
  * with a default status of 'pending' for crew review.
  * @param {object} eventData - Data from the event submission form (post-event.html).
+ *   Pass either 'posterURL' (already uploaded) or 'imageFile' (uploaded here).
  */
 async function submitNewEvent(eventData) {
     const user = auth.currentUser;
@@ -81,43 +124,19 @@ async function submitNewEvent(eventData) {
     }
 
     const userProfile = await getCurrentUserRole();
-    
-    let imageUrl = '';
-
-    // 1. Upload Image to Firebase Storage (if provided)
-    if (eventData.imageFile) {
-        const file = eventData.imageFile;
-        // Use the user's UID to organize files
-        const storageRef = storage.ref(`event_posters/${user.uid}/${Date.now()}_${file.name}`); 
-        const snapshot = await storageRef.put(file);
-        imageUrl = await snapshot.ref.getDownloadURL();
+
+    // 1. Upload Image to Firebase Storage (if not already uploaded by the wizard)
+    let posterURL = eventData.posterURL || '';
+    if (!posterURL && eventData.imageFile) {
+        posterURL = await uploadEventPoster(eventData.imageFile);
     }
 
-    // 2. Prepare Firestore Document Data
-    const newEvent = {
-        // Core Event Details (Mapping to your expected event structure)
-        name: eventData.title, // Assuming eventData.title maps to event name
-        faculty: eventData.faculty,
-        description: eventData.description,
-        date: eventData.date, 
-        time: eventData.time,
-        location: eventData.location,
-        postImageUrl: imageUrl,
-        
-        // Ticket Details (Mapping isPaid/price)
-        hasTickets: eventData.isPaid,
-        ticketPrice: parseFloat(eventData.price) || 0,
-        availableTickets: 0, // Crew must set availability later
-        
-        // Approval & Tracking Fields
+    // 2. Normalize, validate and save (schema lives in js/event-repository.js)
+    return createEvent({ ...eventData, posterURL }, {
         status: 'pending', // CRITICAL: Starts as pending
         postedByUid: user.uid,
-        postedByName: userProfile.name || user.email,
-        submissionTimestamp: firebase.firestore.FieldValue.serverTimestamp()
-    };
-
-    // 3. Save to Firestore
-    return db.collection("events").add(newEvent);
+        postedByName: userProfile.name || user.email
+    });
 }
 window.submitNewEvent = submitNewEvent;
 
@@ -140,39 +159,16 @@ window.crewPostApprovedEvent = async function(eventData) {
         const file = eventData.postImageFile;
         let imageUrl = '';
         if (file) {
-            const storageRef = storage.ref();
-            const imageRef = storageRef.child(`event_posters/${Date.now()}_${file.name}`);
-            await imageRef.put(file);
-            imageUrl = await imageRef.getDownloadURL();
+            imageUrl = await uploadEventPoster(file);
         }
 
-        // 2. Prepare event data for Firestore (Implicitly approved)
-        const eventDocData = {
-            // Using existing field names from your provided file
-            name: eventData.name,
-            date: eventData.date,
-            time: eventData.time,
-            location: eventData.location,
-            category: eventData.category,
-            faculty: eventData.faculty,
-            description: eventData.description,
-            contact: eventData.contact, 
-            audienceType: eventData.audienceType,
-            audienceRestriction: eventData.audienceRestriction,
-            hasTickets: eventData.hasTickets,
-            ticketPrice: parseFloat(eventData.ticketPrice) || 0,
-            availableTickets: parseInt(eventData.availableTickets) || 0,
-            postImageUrl: imageUrl,
-            
-            // Approval fields - Crew post is immediately approved
-            status: 'approved', 
+        // 2. Normalize and save (Implicitly approved - crew post is immediately live)
+        return createEvent({ ...eventData, posterURL: imageUrl }, {
+            status: 'approved',
             postedByUid: auth.currentUser.uid,
             postedByName: crewProfile.name || auth.currentUser.email,
-            approvedBy: auth.currentUser.uid,
-            createdAt: firebase.firestore.FieldValue.serverTimestamp()
-        };
-
-        return db.collection("events").add(eventDocData);
+            reviewedBy: auth.currentUser.uid
+        });
 
     } catch (error) {
         throw new Error(`Crew Event Posting Failed: ${error.message}`);
@@ -183,59 +179,50 @@ window.crewPostApprovedEvent = async function(eventData) {
 // --- 3. CREW APPROVAL LOGIC (for crew-dashboard.html) ---
 // =========================================================================
 
+// Live listener behind the approval queue
+let stopWatchingPendingEvents = null;
+
 /**
- * Fetches events that are pending approval for the crew's assigned faculty and renders them.
+ * Shows the events pending approval for the crew's assigned faculty and keeps the queue live:
+ * reviewed events drop out as soon as anyone decides on them, and new submissions wait behind a
+ * banner (holdBackNewItems in js/live-list.js).
  * @param {string} faculty - The faculty the crew member is assigned to.
  */
 async function fetchPendingEvents(faculty) {
     const approvalList = document.getElementById('pending-events-list');
     if (!approvalList) return;
-    
-    approvalList.innerHTML = '<h3>Loading pending events...</h3>';
-    
-    try {
-        const snapshot = await db.collection("events")
-            .where("status", "==", "pending")
-            .where("faculty", "==", faculty)
-            .orderBy("submissionTimestamp", "asc")
-            .get();
 
-        approvalList.innerHTML = ''; 
+    if (stopWatchingPendingEvents) stopWatchingPendingEvents();
+    approvalList.innerHTML = `
+        <button type="button" class="new-submissions-banner hidden"></button>
+        <ul class="approval-list"><li><h3>Loading pending events...</h3></li></ul>
+    `;
+    const list = approvalList.querySelector('.approval-list');
 
-        if (snapshot.empty) {
-            approvalList.innerHTML = '<p>No pending events require your approval.</p>';
+    const render = holdBackNewItems(approvalList.querySelector('.new-submissions-banner'), 'submission', (pendingEvents) => {
+        if (pendingEvents.length === 0) {
+            list.innerHTML = '<li><p>No pending events require your approval.</p></li>';
             return;
         }
+        syncLiveList(list, pendingEvents, event => `
+            <li class="approval-item" data-id="${event.id}">
+                <h4>${event.title} (${event.faculty})</h4>
+                <p>Submitted by: ${event.postedByName || 'N/A'}</p>
+                <p>Date: ${event.date} | Location: ${event.location}</p>
+                <button onclick="approveEvent('${event.id}')" class="approve-btn">Approve</button>
+                <button onclick="showRejectForm('${event.id}')" class="reject-btn">Reject</button>
+                <div id="reject-form-${event.id}" style="display:none; margin-top: 10px;">
+                    <textarea id="reason-${event.id}" placeholder="Rejection Reason" required></textarea>
+                    <button onclick="rejectEvent('${event.id}', document.getElementById('reason-${event.id}').value)" class="btn-submit-reason">Submit Rejection</button>
+                </div>
+            </li>
+        `);
+    });
 
-        let html = '<ul class="approval-list">';
-        snapshot.forEach(doc => {
-            const event = doc.data();
-            const eventId = doc.id;
-            
-            // Fallback for name/title to be more robust
-            const eventName = event.name || event.title || 'Untitled Event';
-
-            html += `
-                <li class="approval-item" data-id="${eventId}">
-                    <h4>${eventName} (${event.faculty})</h4>
-                    <p>Submitted by: ${event.postedByName || 'N/A'}</p>
-                    <p>Date: ${event.date} | Location: ${event.location}</p>
-                    <button onclick="approveEvent('${eventId}')" class="approve-btn">Approve</button>
-                    <button onclick="showRejectForm('${eventId}')" class="reject-btn">Reject</button>
-                    <div id="reject-form-${eventId}" style="display:none; margin-top: 10px;">
-                        <textarea id="reason-${eventId}" placeholder="Rejection Reason" required></textarea>
-                        <button onclick="rejectEvent('${eventId}', document.getElementById('reason-${eventId}').value)" class="btn-submit-reason">Submit Rejection</button>
-                    </div>
-                </li>
-            `;
-        });
-        html += '</ul>';
-        approvalList.innerHTML = html;
-
-    } catch (error) {
+    stopWatchingPendingEvents = watchPendingEvents(faculty, render, (error) => {
         console.error("Error fetching pending events:", error);
         approvalList.innerHTML = `<p class="error-message">Error loading approval queue: ${error.message}</p>`;
-    }
+    });
 }
 window.fetchPendingEvents = fetchPendingEvents; 
 
@@ -261,21 +248,17 @@ function approveEvent(eventId) {
     }
     const eventRef = db.collection("events").doc(eventId);
     
+    // Ticket availability is set at submission time (totalTickets), so approval only changes status.
     eventRef.update({
         status: 'approved',
-        approvedBy: user.uid,
-        approvalTimestamp: firebase.firestore.FieldValue.serverTimestamp(),
-        // Ensure availableTickets is set to a non-zero value upon approval if tickets are required.
-        // For now, setting a high default (100) or relying on crew to manually update.
-        availableTickets: firebase.firestore.FieldValue.serverTimestamp() ? 100 : 0, 
-        rejectionReason: firebase.firestore.FieldValue.delete() 
+        reviewedBy: user.uid,
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        rejectionReason: null
     })
     .then(() => {
+        // The live queue (fetchPendingEvents) drops the event on its own
         alert(`Event ID ${eventId} approved and is now live!`);
-        // Remove the item from the list visually
-        const listItem = document.querySelector(`.approval-item[data-id="${eventId}"]`);
-        if(listItem) listItem.remove();
-        // A better approach is to re-call fetchPendingEvents, but for this structure, removing the element is fine.
     })
     .catch(error => {
         console.error("Error approving event:", error);
@@ -304,15 +287,13 @@ function rejectEvent(eventId, reason) {
 
     eventRef.update({
         status: 'rejected',
-        approvedBy: user.uid, // The user who performed the rejection
+        reviewedBy: user.uid, // The user who performed the rejection
         rejectionReason: reason.trim(),
-        approvalTimestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
     })
     .then(() => {
         alert(`Event ID ${eventId} rejected. Reason saved.`);
-        // Remove the item from the list visually
-        const listItem = document.querySelector(`.approval-item[data-id="${eventId}"]`);
-        if(listItem) listItem.remove();
     })
     .catch(error => {
         console.error("Error rejecting event:", error);
@@ -327,22 +308,150 @@ window.rejectEvent = rejectEvent;
 // =========================================================================
 
 /**
- * Fetches APPROVED events from Firestore and displays them on the page.
- * @param {object} filters - Contains filtering criteria (faculty, ticket).
+ * Faculties an event may belong to under the faculty and event-type filters.
+ * @returns {string[]|null} null for any faculty; an empty list when the filters exclude each other.
  */
-async function fetchAndDisplayEvents(filters = {}) {
-    const eventsList = document.getElementById('events-list');
-    if (!eventsList) return;
+function facultiesForFilters(filters) {
+    let faculties = filters.faculty && filters.faculty !== 'all'
+        ? [...new Set([filters.faculty, UNIVERSITY_WIDE])] // The faculty's own events and University Wide ones
+        : null;
+    if (filters.type === 'university-wide') {
+        faculties = (faculties || [UNIVERSITY_WIDE]).filter(f => f === UNIVERSITY_WIDE);
+    } else if (filters.type === 'faculty-specific') {
+        faculties = (faculties || FACULTIES).filter(f => f !== UNIVERSITY_WIDE);
+    }
+    return faculties;
+}
 
-    eventsList.innerHTML = '<p style="grid-column: 1 / -1; text-align: center;">Loading Events...</p>';
-    
+/**
+ * Start (inclusive) and end (exclusive) of the date filter, in local time.
+ * Weeks start on Monday, as in the calendar (js/calendar.js).
+ * @param {object} filters - { date: 'all'|'today'|'week'|'month'|'custom', from, to } with from/to as YYYY-MM-DD.
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+function dateRangeForFilters(filters) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    switch (filters.date) {
+        case 'today':
+            return { start: today, end: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1) };
+        case 'week': {
+            const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (today.getDay() + 6) % 7);
+            return { start: monday, end: new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7) };
+        }
+        case 'month':
+            return { start: new Date(today.getFullYear(), today.getMonth(), 1), end: new Date(today.getFullYear(), today.getMonth() + 1, 1) };
+        case 'custom': {
+            const start = eventStartDate(filters.from, '');
+            const lastDay = eventStartDate(filters.to, '');
+            return {
+                start: start,
+                end: lastDay ? new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1) : null
+            };
+        }
+        default:
+            return { start: null, end: null };
+    }
+}
+
+/** Lowest price across the tiers that have seats (members usually pay less); 0 for free events. */
+function lowestTicketPrice(event) {
+    const prices = TICKET_TIERS.filter(tier => event.tiers[tier].quota > 0).map(tier => event.tiers[tier].price);
+    return event.hasTickets && prices.length ? Math.min(...prices) : 0;
+}
+
+/**
+ * Orders the (already filtered) events: 'soonest', 'newest', 'popular', 'price-low', 'price-high',
+ * or 'relevance', which keeps the best-match order of search results.
+ */
+function sortEventList(events, sort) {
+    const millis = value => (value && value.toMillis ? value.toMillis() : 0);
+    const sorted = [...events];
+    switch (sort) {
+        case 'newest':
+            return sorted.sort((a, b) => millis(b.createdAt) - millis(a.createdAt));
+        case 'popular':
+            return sorted.sort((a, b) => (b.totalTickets - b.availableTickets) - (a.totalTickets - a.availableTickets));
+        case 'price-low':
+            return sorted.sort((a, b) => lowestTicketPrice(a) - lowestTicketPrice(b));
+        case 'price-high':
+            return sorted.sort((a, b) => lowestTicketPrice(b) - lowestTicketPrice(a));
+        case 'soonest':
+            return sorted.sort((a, b) => millis(a.startsAt) - millis(b.startsAt));
+        default:
+            return sorted;
+    }
+}
+
+/**
+ * Markup for one card in the events grid. 'words' are the search matches to highlight, if any;
+ * with the viewer's 'profile', events outside their audience are marked restricted.
+ */
+function eventCardHtml(event, words, profile) {
+    const prices = TICKET_TIERS.filter(tier => event.tiers[tier].quota > 0).map(tier => event.tiers[tier].price);
+    const lowest = lowestTicketPrice(event);
+    const isFree = !event.hasTickets || Math.max(0, ...prices) === 0;
+    const priceText = isFree ? 'Free' : `${prices.length > 1 ? 'From ' : ''}Rs. ${lowest.toFixed(2)}`;
+    const snippet = words ? matchSnippet(event.description, words) : '';
+    const availability = !event.hasTickets ? ''
+        : event.availableTickets > 0 ? `${event.availableTickets} ticket(s) left` : 'Sold out';
+    const restricted = !!profile && !canAttendEvent(event, profile);
+
+    return `
+        <div class="event-card${restricted ? ' restricted' : ''}" data-category="${event.category}" data-faculty="${event.faculty}">
+            <img src="${event.posterURL || 'https://via.placeholder.com/300x200?text=UNIVISTA+Event'}" alt="${event.title}">
+            <h3>${words ? highlightMatches(event.title, words) : event.title}</h3>
+            <p>Date: ${event.date} | Time: ${event.time}</p>
+            <p>Location: ${words ? highlightMatches(event.location, words) : event.location}</p>
+            ${snippet ? `<p class="search-snippet">${snippet}</p>` : ''}
+            <p class="event-price">Ticket: ${priceText}</p>
+            ${availability ? `<p class="event-availability${event.availableTickets > 0 ? '' : ' sold-out'}">${availability}</p>` : ''}
+            ${restricted ? `<p class="event-restricted"><i class="fas fa-lock"></i> Restricted: ${describeAudienceRestriction(event)}</p>` : ''}
+            <button class="view-details-button" onclick="window.location.href='event-details.html?id=${event.id}'">View Details</button>
+        </div>
+    `;
+}
+
+// Events per page of the grid; <div id="events-list" data-page-size="..."> overrides it
+const EVENT_PAGE_SIZE = 12;
+// Loaded pages and scroll position, kept for the trip back from event-details.html
+const EVENT_GRID_CACHE_KEY = 'univista.eventGrid';
+// How close (px) the "Load more" button gets to the viewport before the next page loads by itself
+const INFINITE_SCROLL_MARGIN_PX = 400;
+
+// Sorts Firestore can order by itself: [field, direction]. The rest rank the whole result on the client.
+const EVENT_QUERY_ORDERS = {
+    soonest: ['startsAt', 'asc'],
+    newest: ['createdAt', 'desc']
+};
+
+// What the grid is showing; replaced whenever the filters change
+let eventGrid = null;
+// The viewer's profile, looked up once per page to mark restricted events
+let eventGridViewer = null;
+
+/**
+ * The query behind the grid for these filters, or null when the filters exclude each other.
+ * Every filter except the free-text search runs here (see firestore.indexes.json).
+ * @returns {{query: firebase.firestore.Query, paged: boolean}|null} 'paged' when the query is in the
+ *     requested order, so it can be read a page at a time.
+ */
+function eventGridQuery(filters) {
     // CRITICAL: Only fetch events that have been approved
     let eventsRef = db.collection("events").where("status", "==", "approved"); 
     
     // Apply Filters
-    if (filters.faculty && filters.faculty !== 'all') {
-        // Query for events hosted by the selected faculty OR marked as University Wide
-        eventsRef = eventsRef.where('faculty', 'in', [filters.faculty, 'University Wide']);
+    if (filters.category && filters.category !== 'all') {
+        eventsRef = eventsRef.where('category', '==', filters.category);
+    }
+
+    const faculties = facultiesForFilters(filters);
+    // Filters that exclude each other (e.g. University Wide + faculty specific) match nothing
+    if (faculties && faculties.length === 0) return null;
+    if (faculties && faculties.length === 1) {
+        eventsRef = eventsRef.where('faculty', '==', faculties[0]);
+    } else if (faculties && faculties.length > 1) {
+        eventsRef = eventsRef.where('faculty', 'in', faculties);
     }
     
     if (filters.ticket === 'paid') {
@@ -350,44 +459,229 @@ async function fetchAndDisplayEvents(filters = {}) {
     } else if (filters.ticket === 'free') {
          eventsRef = eventsRef.where('hasTickets', '==', false);
     }
-    
-    // Order by date
-    eventsRef = eventsRef.orderBy('date', 'asc');
-    
+
+    const { start, end } = dateRangeForFilters(filters);
+    if (start) eventsRef = eventsRef.where('startsAt', '>=', firebase.firestore.Timestamp.fromDate(start));
+    if (end) eventsRef = eventsRef.where('startsAt', '<', firebase.firestore.Timestamp.fromDate(end));
+
+    // Search ranks every match, and a date range forces startsAt to be the first order, so those
+    // cases load the whole filtered result and page through it on the client.
+    const order = filters.search ? null : EVENT_QUERY_ORDERS[filters.sort || 'soonest'];
+    const paged = !!order && (order[0] === 'startsAt' || (!start && !end));
+    const [field, direction] = paged ? order : EVENT_QUERY_ORDERS.soonest;
+    return { query: eventsRef.orderBy(field, direction), paged };
+}
+
+function readEventGridCache(key) {
     try {
-        const snapshot = await eventsRef.get();
-        const eventCardsHtml = [];
+        const cached = JSON.parse(sessionStorage.getItem(EVENT_GRID_CACHE_KEY));
+        return cached && cached.key === key ? cached : null;
+    } catch (error) {
+        return null;
+    }
+}
 
-        if (snapshot.empty) {
-            eventsList.innerHTML = '<p style="grid-column: 1 / -1; text-align: center;">No upcoming events found.</p>';
-            return;
+function saveEventGridCache() {
+    if (!eventGrid) return;
+    try {
+        sessionStorage.setItem(EVENT_GRID_CACHE_KEY, JSON.stringify({
+            key: eventGrid.key,
+            events: eventGrid.visible,
+            scrollY: window.scrollY
+        }));
+    } catch (error) {
+        console.warn("Could not cache the events grid:", error);
+    }
+}
+
+/** Placeholder cards at the end of the grid until the next render replaces them. */
+function showEventSkeletons(container, count) {
+    container.insertAdjacentHTML('beforeend', Array.from({ length: count }, () => `
+        <div class="event-card skeleton-card" aria-hidden="true">
+            <div class="skeleton-block skeleton-image"></div>
+            <div class="skeleton-block skeleton-line"></div>
+            <div class="skeleton-block skeleton-line short"></div>
+            <div class="skeleton-block skeleton-line short"></div>
+        </div>
+    `).join(''));
+}
+
+/**
+ * Follows one page of the grid: 'limit' events after the previous page's last document.
+ */
+function watchEventGridPage(grid, index, limit) {
+    const previous = grid.pages[index - 1];
+    const query = previous ? grid.query.startAfter(previous.lastDoc) : grid.query;
+    const page = { events: [], lastDoc: null, full: false, limit, stop: null };
+    grid.pages[index] = page;
+
+    page.stop = watchQuery(query.limit(limit), (events, changes, snapshot) => {
+        page.events = events;
+        page.lastDoc = snapshot.docs[snapshot.docs.length - 1] || null;
+        page.full = events.length >= limit;
+        grid.loading = false;
+        renderEventGrid(grid);
+    }, (error) => showEventGridError(grid, error));
+}
+
+function showEventGridError(grid, error) {
+    grid.loading = false;
+    grid.container.innerHTML = '<p style="grid-column: 1 / -1; text-align: center; color: red;">Error loading events.</p>';
+    console.error("Error fetching events:", error);
+}
+
+/**
+ * Renders the loaded part of the grid, updating only the cards that changed (js/live-list.js).
+ */
+function renderEventGrid(grid) {
+    if (grid !== eventGrid) return;
+    const { filters, container } = grid;
+    const matchedWords = {};
+    let hasMore;
+
+    if (grid.paged) {
+        // Live pages can shift at their edges; an event never shows twice
+        const seen = new Set();
+        grid.visible = grid.pages.flatMap(page => page.events).filter(event => !seen.has(event.id) && seen.add(event.id));
+        hasMore = grid.pages[grid.pages.length - 1].full;
+    } else {
+        let events = grid.all;
+        // Full-text search (js/search.js) narrows the filtered events down and ranks them
+        if (filters.search && typeof searchEvents !== 'undefined') {
+            events = searchEvents(events, filters.search).map(({ event, words }) => {
+                matchedWords[event.id] = words;
+                return event;
+            });
         }
+        events = sortEventList(events, filters.sort || (filters.search ? 'relevance' : 'soonest'));
+        grid.visible = events.slice(0, grid.shown);
+        hasMore = events.length > grid.shown;
+    }
+    grid.done = !hasMore;
 
-        snapshot.forEach(doc => {
-            const event = doc.data();
-            const isFree = event.hasTickets === false || parseFloat(event.ticketPrice) === 0;
-            const priceText = isFree ? 'Free' : `Rs. ${parseFloat(event.ticketPrice || 0).toFixed(2)}`;
-            const eventName = event.name || event.title || 'Untitled Event';
-            
-            eventCardsHtml.push(`
-                <div class="event-card" data-category="${event.category || ''}" data-faculty="${event.faculty}">
-                    <img src="${event.postImageUrl || 'https://via.placeholder.com/300x200?text=UNIVISTA+Event'}" alt="${eventName}">
-                    <h3>${eventName}</h3>
-                    <p>Date: ${event.date} | Time: ${event.time}</p>
-                    <p>Location: ${event.location}</p>
-                    <p class="event-price">Ticket: ${priceText}</p>
-                    <button class="view-details-button" onclick="window.location.href='event-details.html?id=${doc.id}'">View Details</button>
-                </div>
-            `);
-        });
+    // The calendar on events.html shows the same events as the grid (js/calendar.js)
+    if (window.eventsCalendar) {
+        window.eventsCalendar.setEntries(grid.visible.map(event => calendarEntryFromEvent(event, 'event')));
+    }
 
-        eventsList.innerHTML = eventCardsHtml.join('');
+    const loadMore = document.getElementById('load-more-events');
+    if (loadMore) loadMore.classList.toggle('hidden', !hasMore);
 
-    } catch (error) {
-        eventsList.innerHTML = '<p style="grid-column: 1 / -1; text-align: center; color: red;">Error loading events.</p>';
-        console.error("Error fetching events:", error);
+    if (grid.visible.length === 0) {
+        container.innerHTML = filters.search
+            ? `<p style="grid-column: 1 / -1; text-align: center;">No events match "${escapeHtml(filters.search)}".</p>`
+            : '<p style="grid-column: 1 / -1; text-align: center;">No events match these filters.</p>';
+    } else {
+        syncLiveList(container, grid.visible, event => eventCardHtml(event, matchedWords[event.id], grid.profile));
+    }
+
+    if (grid.restoreScrollY !== null) {
+        window.scrollTo(0, grid.restoreScrollY);
+        grid.restoreScrollY = null;
+    }
+    loadMoreEventsIfNear();
+}
+
+/**
+ * Adds the next page to the grid. Called by the "Load more" button and by infinite scroll (js/ui.js).
+ */
+function loadMoreEvents() {
+    const grid = eventGrid;
+    if (!grid || grid.loading || grid.done) return;
+
+    if (!grid.paged) {
+        grid.shown += grid.pageSize;
+        renderEventGrid(grid);
+        return;
     }
+    grid.loading = true;
+    showEventSkeletons(grid.container, grid.pageSize);
+    watchEventGridPage(grid, grid.pages.length, grid.pageSize);
+}
+window.loadMoreEvents = loadMoreEvents;
+
+/**
+ * Infinite scroll: loads the next page once the "Load more" button is about to come into view.
+ * The button itself stays as the fallback.
+ */
+function loadMoreEventsIfNear() {
+    const loadMore = document.getElementById('load-more-events');
+    if (!loadMore || loadMore.classList.contains('hidden')) return;
+    if (loadMore.getBoundingClientRect().top < window.innerHeight + INFINITE_SCROLL_MARGIN_PX) loadMoreEvents();
 }
+window.loadMoreEventsIfNear = loadMoreEventsIfNear;
+
+/**
+ * Shows APPROVED events on events.html a page at a time and keeps the loaded pages live: availability,
+ * edits and newly approved events appear without a reload.
+ * @param {object} filters - From readEventFilters() (js/ui.js): category, faculty, type, ticket,
+ *     date, from, to, sort and search.
+ * @param {object} [options]
+ * @param {boolean} [options.restore] - Reopen the pages and scroll position cached when the visitor
+ *     last left the page with the same filters (e.g. coming back from event-details.html).
+ */
+async function fetchAndDisplayEvents(filters = {}, { restore = false } = {}) {
+    const eventsList = document.getElementById('events-list');
+    if (!eventsList) return;
+
+    if (eventGrid) eventGrid.stop();
+    const pageSize = parseInt(eventsList.dataset.pageSize, 10) || EVENT_PAGE_SIZE;
+    const key = JSON.stringify([filters, pageSize]);
+    const cached = restore ? readEventGridCache(key) : null;
+    const target = eventGridQuery(filters);
+
+    const grid = eventGrid = {
+        key, filters, pageSize,
+        container: eventsList,
+        query: target && target.query,
+        paged: !!target && target.paged,
+        pages: [],           // Paged: one live query per page
+        all: [],             // Otherwise: the whole filtered result...
+        shown: pageSize,     // ...of which this many are on screen
+        visible: [],
+        loading: true,
+        done: false,
+        profile: null,       // Viewer, once known (getCurrentUserRole)
+        restoreScrollY: cached ? cached.scrollY : null,
+        stop() {
+            this.pages.forEach(page => page.stop && page.stop());
+            if (this.stopAll) this.stopAll();
+        }
+    };
+
+    // Cached cards go up straight away; the live query below takes them over once it answers
+    eventsList.innerHTML = '';
+    if (cached && cached.events.length > 0) {
+        syncLiveList(eventsList, cached.events, event => eventCardHtml(event));
+        window.scrollTo(0, cached.scrollY);
+    } else {
+        showEventSkeletons(eventsList, pageSize);
+    }
+    eventGridViewer = eventGridViewer || getCurrentUserRole();
+    eventGridViewer.then(profile => {
+        grid.profile = profile;
+        if (!grid.loading) renderEventGrid(grid);
+    });
+
+    // Every page seen last time comes back as one, so the scroll position has somewhere to land
+    const firstLimit = cached ? Math.max(pageSize, Math.ceil(cached.events.length / pageSize) * pageSize) : pageSize;
+
+    if (!target) {
+        grid.loading = false;
+        grid.restoreScrollY = null;
+        renderEventGrid(grid);
+    } else if (grid.paged) {
+        watchEventGridPage(grid, 0, firstLimit);
+    } else {
+        grid.shown = firstLimit;
+        grid.stopAll = watchQuery(target.query, (events) => {
+            grid.all = events;
+            grid.loading = false;
+            renderEventGrid(grid);
+        }, (error) => showEventGridError(grid, error));
+    }
+}
+window.addEventListener('pagehide', saveEventGridCache);
 window.fetchAndDisplayEvents = fetchAndDisplayEvents;
 
 
@@ -402,7 +696,7 @@ function renderEventsToHomepage(events) {
     if (!upcomingContainer) return;
 
     // Filter to only include approved events before slicing
-    const approvedEvents = (events || []).filter(e => e.status === 'approved');
+    const approvedEvents = (events || []).map(e => normalizeEvent(e, e.id)).filter(e => e.status === 'approved');
 
     if (approvedEvents.length === 0) {
         upcomingContainer.innerHTML = '<h2>Upcoming Events</h2><p>No upcoming events at this time.</p>';
@@ -411,10 +705,9 @@ function renderEventsToHomepage(events) {
     
     let html = '<h2>Upcoming Events</h2>';
     approvedEvents.slice(0, 3).forEach(event => {
-        const eventName = event.name || event.title || 'Untitled Event';
         html += `
             <div class="upcoming-event-card">
-                <h3>${eventName}</h3>
+                <h3>${event.title}</h3>
                 <p>${event.faculty} - ${event.date}</p>
                 <button onclick="window.location.href='event-details.html?id=${event.id}'">Details</button>
             </div>
@@ -429,6 +722,125 @@ window.renderEventsToHomepage = renderEventsToHomepage;
 // --- 5. DOM CONTENT LOADED & TICKET BOOKING LOGIC (event-details.html) ---
 // =========================================================================
 
+/**
+ * Shows step 4 with one QR pass per issued ticket (js/tickets.js).
+ * @param {string} email - Where the confirmation goes.
+ * @param {object[]} tickets - Order tickets: { docId, ticketId, tier, quantity }.
+ */
+function showBookingConfirmation(email, tickets) {
+    stopHoldCountdown();
+    ['event-step-1-details', 'event-step-2-booking', 'event-step-3-payment'].forEach(id => {
+        const step = document.getElementById(id);
+        if (step) step.classList.add('hidden');
+    });
+    const step4 = document.getElementById('event-step-4-confirmation');
+    if (!step4) {
+        alert("Booking succeeded, but confirmation UI failed to load.");
+        return;
+    }
+    step4.classList.remove('hidden');
+    document.getElementById('confirmed-email').textContent = email;
+    document.getElementById('ticket-id-display').textContent = tickets.map(t => t.ticketId).join(', ');
+
+    // One QR pass per tier; each appears once issueTicketQr has signed it
+    renderTicketPasses(document.getElementById('qr-code-display'), tickets.map(t => t.docId), eventDetailsState.event);
+}
+
+/**
+ * Sends the user back to the event details after a failed checkout, with fresh availability.
+ */
+function restartBooking() {
+    stopHoldCountdown();
+    window.checkoutOrder = null;
+    ['event-step-2-booking', 'event-step-3-payment'].forEach(id => {
+        const step = document.getElementById(id);
+        if (step) step.classList.add('hidden');
+    });
+    const step1 = document.getElementById('event-step-1-details');
+    if (step1) step1.classList.remove('hidden');
+    loadEventDetails(eventDetailsState.eventId);
+}
+
+let holdCountdownTimer = null;
+
+/**
+ * Counts down the seat hold of the current order in step 3. When it runs out the seats are
+ * released and the user starts again from the event details.
+ * @param {number} expiresInMs - From the order summary, so the browser's clock does not matter.
+ */
+function startHoldCountdown(expiresInMs) {
+    stopHoldCountdown();
+    const deadline = Date.now() + expiresInMs;
+    const banner = document.getElementById('hold-countdown');
+    const display = document.getElementById('hold-countdown-display');
+
+    const tick = () => {
+        const seconds = Math.ceil(Math.max(0, deadline - Date.now()) / 1000);
+        if (display) display.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        if (banner) banner.classList.toggle('expiring', seconds <= 60);
+        if (seconds === 0) expireHold();
+    };
+    holdCountdownTimer = setInterval(tick, 1000);
+    tick();
+}
+
+function stopHoldCountdown() {
+    clearInterval(holdCountdownTimer);
+    holdCountdownTimer = null;
+}
+
+/**
+ * The hold ran out in step 3. A payment already under way is left to the server, which
+ * refunds it if the seats were lost.
+ */
+function expireHold() {
+    stopHoldCountdown();
+    const order = window.checkoutOrder;
+    if (!order || order.paying) return;
+    releaseOrder(order.orderId).catch(error => console.error("Error releasing order:", error));
+    alert(describeOrderFailure('hold_expired'));
+    restartBooking();
+}
+
+/**
+ * Acts on an order summary returned by payOrder / completePaymentChallenge (js/payments.js).
+ * @param {object} order
+ * @param {string} email
+ */
+function handleOrderResult(order, email) {
+    if (order.status === 'paid' && order.tickets.length > 0) {
+        showBookingConfirmation(email, order.tickets);
+    } else if (order.redirectUrl) {
+        // 3-D Secure style challenge; the challenge page returns to ?order=<id>
+        window.location.href = order.redirectUrl;
+    } else if (order.status === 'failed' || order.status === 'refunded') {
+        alert(`Booking Failed: ${describeOrderFailure(order.failureReason)}`);
+        restartBooking();
+    } else {
+        alert("Your payment is still being processed. Please check My Tickets on your profile shortly.");
+    }
+}
+
+/**
+ * On return from payment-challenge.html (event-details.html?id=...&order=...), shows the outcome.
+ * @param {string} orderId
+ */
+async function resumeOrder(orderId) {
+    await getCurrentUserRole(); // Wait for the signed-in user (if any) before reading the order
+    try {
+        const doc = await db.collection("orders").doc(orderId).get();
+        if (!doc.exists) return;
+        const order = doc.data();
+        if (!eventDetailsState.event) await loadEventDetails(order.eventId); // The passes need the event for PDFs
+        handleOrderResult({
+            ...order,
+            redirectUrl: order.pendingAction ? order.pendingAction.url : null
+        }, order.contact.email);
+    } catch (error) {
+        console.error("Error loading order:", error);
+    }
+}
+
 document.addEventListener('DOMContentLoaded', () => {
 
     // --- File upload handler (for post-event.html) ---
@@ -468,17 +880,45 @@ document.addEventListener('DOMContentLoaded', () => {
         bookingForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
-            // Get user's UID if logged in, otherwise default to "Guest"
-            const user = auth.currentUser;
-            const userId = user ? user.uid : 'GUEST_' + Math.random().toString(36).substr(2, 9);
+            const counts = readBookingCounts();
 
-            const count = parseInt(document.getElementById('booking-count').value, 10);
-            
-            // CRITICAL: Recalculate total price based on ticket price displayed on the page
-            const ticketPriceElement = document.getElementById('ticket-price-display');
-            const priceMatch = ticketPriceElement ? ticketPriceElement.textContent.match(/Rs\. ([\d.]+)/) : null;
-            const unitPrice = priceMatch ? parseFloat(priceMatch[1]) : 0;
-            const totalDue = count * unitPrice;
+            // CRITICAL: Price and availability come from eventDetailsState (js/event-details.js), never the page text
+            if (!eventDetailsState.canBook) {
+                alert("Tickets for this event are not available.");
+                return;
+            }
+            const countError = validateBookingCounts(counts);
+            if (countError) {
+                alert(countError);
+                return;
+            }
+
+            // The server prices the order from the event; what it returns is what gets charged
+            const submitButton = bookingForm.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            try {
+                window.checkoutOrder = await createOrder({
+                    eventId: eventDetailsState.eventId,
+                    counts: counts,
+                    contact: {
+                        name: document.getElementById('booking-name').value,
+                        email: document.getElementById('booking-email').value,
+                        phone: document.getElementById('booking-phone').value
+                    },
+                    idempotencyKey: newIdempotencyKey(),
+                    waitlistOffer: !!eventDetailsState.offer
+                });
+            } catch (error) {
+                console.error("Error creating order:", error);
+                alert(`Could not start checkout: ${error.message}`);
+                // Sold out meanwhile: back to the details, where the waitlist is offered
+                if (error.code === 'functions/resource-exhausted') restartBooking();
+                return;
+            } finally {
+                submitButton.disabled = false;
+            }
+            const totalDue = window.checkoutOrder.amount;
+            window.checkoutOrder.email = document.getElementById('booking-email').value;
 
             // Update the display element before moving to payment
             const totalPaymentDisplay = document.getElementById('total-payment-display');
@@ -486,16 +926,6 @@ document.addEventListener('DOMContentLoaded', () => {
                 totalPaymentDisplay.textContent = totalDue.toFixed(2);
             }
 
-            window.bookingDetails = {
-                email: document.getElementById('booking-email').value,
-                name: document.getElementById('booking-name').value,
-                phone: document.getElementById('booking-phone').value,
-                count: count,
-                total: totalDue,
-                userId: userId, 
-                eventId: new URLSearchParams(window.location.search).get('id') // Get event ID from URL
-            };
-
             // Move to Step 3: Payment
             const step2 = document.getElementById('event-step-2-booking');
             const step3 = document.getElementById('event-step-3-payment');
@@ -505,6 +935,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 step2.classList.add('hidden');
                 step3.classList.remove('hidden');
                 paymentDueDisplay.textContent = totalDue.toFixed(2);
+                if (window.checkoutOrder.holdExpiresInMs !== null) startHoldCountdown(window.checkoutOrder.holdExpiresInMs);
             } else {
                  console.error("Missing UI elements for payment step.");
                  alert("A critical part of the payment UI is missing. Cannot proceed.");
@@ -512,90 +943,65 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // --- Payment Simulation & Final Booking ---
+    // --- Payment (js/payments.js) & Final Booking ---
     const paymentForm = document.getElementById('payment-form');
     if (paymentForm) {
         paymentForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
-            // Check if booking details are available from step 2
-            if (!window.bookingDetails || !window.bookingDetails.eventId) {
+            // Check if an order was created in step 2
+            const order = window.checkoutOrder;
+            if (!order || !order.orderId) {
                 alert("Booking details are missing. Please start over.");
                 window.location.reload(); 
                 return;
             }
 
-            alert("Dummy payment processing complete.");
+            const submitButton = paymentForm.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            submitButton.textContent = 'Processing...';
+            order.paying = true;
 
             try {
-                const { email, name, phone, count, total, eventId, userId } = window.bookingDetails;
-
-                // 1. Generate a unique ticket ID/QR code data
-                const ticketId = `TICKET-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-                
-                // 2. Update event ticket count (Atomic update using transaction)
-                const eventRef = db.collection("events").doc(eventId);
-                await db.runTransaction(async (transaction) => {
-                    const eventDoc = await transaction.get(eventRef);
-                    if (!eventDoc.exists) throw new Error("Event does not exist!");
-                    
-                    const currentAvailable = eventDoc.data().availableTickets || 0;
-
-                    // Ensure tickets are still available
-                    if (currentAvailable < count) {
-                         throw new Error(`Only ${currentAvailable} ticket(s) remaining. Cannot book ${count}.`);
-                    }
-
-                    const newAvailable = currentAvailable - count;
-                    
-                    // Update available tickets
-                    transaction.update(eventRef, { availableTickets: newAvailable });
+                // Tickets are only issued by the server once the order is paid
+                const result = await payOrder(order.orderId, {
+                    cardNumber: document.getElementById('card-number').value,
+                    expiry: document.getElementById('expiry-date').value,
+                    cvc: document.getElementById('cvv').value
                 });
-
-                // 3. Create a ticket record in 'tickets' collection
-                await db.collection("tickets").add({
-                    ticketId: ticketId,
-                    eventId: eventId,
-                    userId: userId, // CRITICAL: Link the ticket to the user/guest ID
-                    userEmail: email,
-                    userName: name,
-                    userPhone: phone,
-                    ticketCount: count,
-                    amountPaid: total,
-                    paymentStatus: 'paid',
-                    qrCodeData: ticketId, // Simple data for QR code generation
-                    bookedAt: firebase.firestore.FieldValue.serverTimestamp()
-                });
-                
-                // 4. Update UI to Confirmation (Step 4)
-                const step3 = document.getElementById('event-step-3-payment');
-                const step4 = document.getElementById('event-step-4-confirmation');
-
-                if (step3 && step4) {
-                    step3.classList.add('hidden');
-                    step4.classList.remove('hidden');
-                    document.getElementById('confirmed-email').textContent = email;
-                    document.getElementById('ticket-id-display').textContent = ticketId;
-                    
-                    // TODO: Implement QR Code Generation here using the ticketId
-                    // E.g., new QRCode(document.getElementById('qr-code-display'), ticketId);
-
-                } else {
-                     alert("Booking succeeded, but confirmation UI failed to load.");
-                }
-                
-
+                handleOrderResult(result, order.email);
             } catch (error) {
-                alert(`Booking Failed: ${error.message}`);
-                console.error("Booking Error:", error);
-                // On failure, revert back to the beginning step 
-                const step3 = document.getElementById('event-step-3-payment');
-                const step1 = document.getElementById('event-step-1-details');
-                if (step3 && step1) {
-                     step3.classList.add('hidden');
-                     step1.classList.remove('hidden');
-                }
+                // Retries already happened in payOrder; the order is untouched, so paying again is safe
+                alert(`Payment could not be completed: ${error.message}`);
+                console.error("Payment Error:", error);
+            } finally {
+                order.paying = false;
+                submitButton.disabled = false;
+                submitButton.textContent = 'Complete Payment';
             }
         });
+
+        // Give the held seats back now rather than when the hold expires
+        const cancelCheckoutButton = document.getElementById('cancel-checkout-button');
+        if (cancelCheckoutButton) {
+            cancelCheckoutButton.addEventListener('click', async () => {
+                const order = window.checkoutOrder;
+                stopHoldCountdown();
+                if (order && order.orderId) {
+                    try {
+                        await releaseOrder(order.orderId);
+                    } catch (error) {
+                        console.error("Error releasing order:", error); // The hold still expires on its own
+                    }
+                }
+                restartBooking();
+            });
+        }
+    }
+
+    // --- Returning from a payment challenge (event-details.html?id=...&order=...) ---
+    const returningOrderId = new URLSearchParams(window.location.search).get('order');
+    if (returningOrderId && document.getElementById('event-step-4-confirmation')) {
+        resumeOrder(returningOrderId);
     }
 });
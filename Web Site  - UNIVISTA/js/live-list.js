@@ -0,0 +1,78 @@
+// js/live-list.js - Keeps a rendered list in step with live Firestore results (js/event-repository.js,
+// section 4) without re-rendering it: items whose markup is unchanged keep their DOM node (and any
+// open form or focus inside it), changed ones are swapped, and order follows the data.
+
+// Markup each live node was last rendered from
+const liveItemMarkup = new WeakMap();
+
+/**
+ * Renders 'items' into 'container', touching only what changed since the last call.
+ * Anything in the container that is not a live item (loading or empty messages) is removed.
+ * @param {HTMLElement} container
+ * @param {object[]} items - Each with a unique 'id'.
+ * @param {function(object): string} renderItem - Markup for one item, with a single root element.
+ */
+function syncLiveList(container, items, renderItem) {
+    const existing = new Map();
+    Array.from(container.children).forEach(child => {
+        if (child.dataset.liveKey) existing.set(child.dataset.liveKey, child);
+        else child.remove();
+    });
+
+    let previous = null;
+    items.forEach(item => {
+        const key = String(item.id);
+        const markup = renderItem(item).trim();
+        let node = existing.get(key);
+        existing.delete(key);
+
+        if (!node || liveItemMarkup.get(node) !== markup) {
+            const template = document.createElement('template');
+            template.innerHTML = markup;
+            const fresh = template.content.firstElementChild;
+            fresh.dataset.liveKey = key;
+            liveItemMarkup.set(fresh, markup);
+            if (node) node.replaceWith(fresh);
+            node = fresh;
+        }
+
+        const expectedPosition = previous ? previous.nextElementSibling : container.firstElementChild;
+        if (node !== expectedPosition) container.insertBefore(node, expectedPosition);
+        previous = node;
+    });
+
+    existing.forEach(node => node.remove());
+}
+window.syncLiveList = syncLiveList;
+
+/**
+ * Holds items that arrive after the first render back behind a "N new ..." banner, so a queue
+ * someone is working through does not shift under them. Items already shown keep updating and
+ * disappear live; clicking the banner shows the rest.
+ * @param {HTMLElement} banner - Hidden with the 'hidden' class while nothing is waiting.
+ * @param {string} noun - What the items are, e.g. 'submission'.
+ * @param {function(object[])} render - Renders the items currently let through.
+ * @returns {function(object[])} Feed it every live result.
+ */
+function holdBackNewItems(banner, noun, render) {
+    let shown = null;
+    let latest = [];
+
+    const showAll = () => {
+        shown = new Set(latest.map(item => String(item.id)));
+        banner.classList.add('hidden');
+        render(latest);
+    };
+    banner.onclick = showAll; // Replaces the handler of any earlier list fed through the same banner
+
+    return (items) => {
+        latest = items;
+        if (!shown) return showAll();
+
+        const waiting = items.filter(item => !shown.has(String(item.id))).length;
+        render(items.filter(item => shown.has(String(item.id))));
+        banner.textContent = `${waiting} new ${noun}${waiting === 1 ? '' : 's'} - click to show`;
+        banner.classList.toggle('hidden', waiting === 0);
+    };
+}
+window.holdBackNewItems = holdBackNewItems;
@@ -24,33 +24,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
     // --- Event Details Page: Ticket Price Calculation ---
-    const bookingCountInput = document.getElementById('booking-count');
-    const totalPaymentDisplay = document.getElementById('total-payment-display');
-    const eventPriceDisplay = document.getElementById('event-price-display');
-
-    if (bookingCountInput && totalPaymentDisplay && eventPriceDisplay) {
-        
-        // Simple logic to extract price. In a real app, this price would come from Firestore.
-        function calculateTotal() {
-            const priceText = eventPriceDisplay.textContent.toLowerCase();
-            let unitPrice = 0;
-            if (priceText.includes('rs.')) {
-                unitPrice = parseFloat(priceText.replace('rs.', '').trim());
-            } else if (priceText.includes('free')) {
-                unitPrice = 0;
-            } else {
-                return;
-            }
-            
-            const count = parseInt(bookingCountInput.value) || 0;
-            const total = unitPrice * count;
-            totalPaymentDisplay.textContent = total.toFixed(2);
-        }
-        
-        bookingCountInput.addEventListener('input', calculateTotal);
-        // Initial call (simulated event details loading should call this)
-        // calculateTotal(); 
-    }
+    // Handled by updateBookingTotalDisplay() in js/event-details.js, which reads the price from state.
 
 
     // --- Crew Dashboard: Event Form Review/Summary ---
@@ -104,11 +78,4 @@ document.addEventListener('DOMContentLoaded', () => {
             window.submitEvent(eventData); 
         }
     }
-});
-
-// NOTE: The Calendar logic for 'events.html' is a significant piece of client-side code 
-// that is too long to include here, but it would involve standard JS Date objects
-// and DOM manipulation to generate the grid, marking dates by checking the 'events' collection data.
-
-// Simplified Calendar Logic placeholder (goes inside main.js)
-// function renderCalendar(eventsData) { /* ... implementation ... */ }
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,198 @@
+// js/notification-center.js - The bell next to the profile link, rendered by updateNav (js/ui.js)
+// for signed-in users. Notifications live in 'users/{uid}/notifications' and are written by
+// functions/src/notification-center.js: moderation decisions, new submissions and change requests
+// for crew, waitlist offers and changes to booked events. Clicking one marks it read and opens what
+// it is about.
+
+// Newest notifications listed in the dropdown
+const NOTIFICATION_LIST_LIMIT = 20;
+// Unread counts above this show as "99+"
+const UNREAD_BADGE_LIMIT = 99;
+
+// Mirrors CENTER_NOTIFICATION_TYPES in functions/src/notification-center.js
+const NOTIFICATION_ICONS = {
+    event_approved: 'fa-check-circle',
+    event_rejected: 'fa-times-circle',
+    changes_requested: 'fa-edit',
+    submission_pending: 'fa-inbox',
+    waitlist_offer: 'fa-ticket-alt',
+    event_changed: 'fa-calendar-alt',
+    event_cancelled: 'fa-calendar-times',
+    live_changes_pending: 'fa-exchange-alt',
+    live_changes_decided: 'fa-clipboard-check'
+};
+
+// The open bell's listeners, stopped when the user signs out
+let stopNotificationListeners = [];
+
+function formatNotificationTime(timestamp) {
+    return timestamp && timestamp.toDate
+        ? timestamp.toDate().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+        : 'just now';
+}
+
+// =========================================================================
+// --- 1. DATA ---
+// =========================================================================
+
+function notificationsRef(uid) {
+    return db.collection("users").doc(uid).collection("notifications");
+}
+
+/**
+ * Follows the user's newest notifications and their unread count.
+ * @param {string} uid
+ * @param {function(object[])} onList - Newest first: { id, type, title, body, link, read, createdAt }.
+ * @param {function(number)} onUnread
+ * @returns {function()} Stops listening.
+ */
+function watchNotifications(uid, onList, onUnread) {
+    const onError = error => console.error("Live notifications failed:", error);
+    const stopList = notificationsRef(uid)
+        .orderBy("createdAt", "desc")
+        .limit(NOTIFICATION_LIST_LIMIT)
+        .onSnapshot(snapshot => onList(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))), onError);
+    const stopUnread = notificationsRef(uid)
+        .where("read", "==", false)
+        .limit(UNREAD_BADGE_LIMIT + 1)
+        .onSnapshot(snapshot => onUnread(snapshot.size), onError);
+    return () => {
+        stopList();
+        stopUnread();
+    };
+}
+
+/** Marks one of the signed-in user's notifications as read (firestore.rules allows nothing else). */
+async function markNotificationRead(notificationId) {
+    const user = auth.currentUser;
+    if (!user) return;
+    await notificationsRef(user.uid).doc(notificationId).update({
+        read: true,
+        readAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+window.markNotificationRead = markNotificationRead;
+
+/** Marks every unread notification of the signed-in user as read, 500 per batch. */
+async function markAllNotificationsRead() {
+    const user = auth.currentUser;
+    if (!user) return;
+    let unread;
+    do {
+        unread = await notificationsRef(user.uid).where("read", "==", false).limit(500).get();
+        const batch = db.batch();
+        unread.docs.forEach(doc => batch.update(doc.ref, {
+            read: true,
+            readAt: firebase.firestore.FieldValue.serverTimestamp()
+        }));
+        if (!unread.empty) await batch.commit();
+    } while (unread.size === 500);
+}
+window.markAllNotificationsRead = markAllNotificationsRead;
+
+// =========================================================================
+// --- 2. BELL ---
+// =========================================================================
+
+function notificationItemHtml(notification) {
+    const icon = NOTIFICATION_ICONS[notification.type] || 'fa-bell';
+    return `
+        <li>
+            <a href="${escapeHtml(notification.link || '#')}" class="notification-item${notification.read ? '' : ' unread'}"
+               data-id="${escapeHtml(notification.id)}">
+                <i class="fas ${icon}"></i>
+                <span>
+                    <strong>${escapeHtml(notification.title)}</strong>
+                    <span class="notification-body">${escapeHtml(notification.body)}</span>
+                    <span class="notification-time">${formatNotificationTime(notification.createdAt)}</span>
+                </span>
+            </a>
+        </li>
+    `;
+}
+
+function createNotificationBell() {
+    const bell = document.createElement('div');
+    bell.id = 'notification-bell';
+    bell.className = 'notification-bell';
+    bell.innerHTML = `
+        <button type="button" class="notification-bell-button" aria-label="Notifications" aria-expanded="false">
+            <i class="fas fa-bell"></i>
+            <span class="notification-badge hidden"></span>
+        </button>
+        <div class="notification-dropdown hidden">
+            <div class="notification-dropdown-header">
+                <strong>Notifications</strong>
+                <button type="button" class="notification-mark-all">Mark all as read</button>
+            </div>
+            <ul class="notification-list"><li class="notification-empty">Loading...</li></ul>
+        </div>
+    `;
+
+    const button = bell.querySelector('.notification-bell-button');
+    const dropdown = bell.querySelector('.notification-dropdown');
+    button.addEventListener('click', () => {
+        dropdown.classList.toggle('hidden');
+        button.setAttribute('aria-expanded', String(!dropdown.classList.contains('hidden')));
+    });
+    document.addEventListener('click', (e) => {
+        if (!bell.contains(e.target)) {
+            dropdown.classList.add('hidden');
+            button.setAttribute('aria-expanded', 'false');
+        }
+    });
+
+    bell.querySelector('.notification-mark-all').addEventListener('click', () => {
+        markAllNotificationsRead().catch(error => {
+            console.error("Error marking notifications as read:", error);
+            alert("Could not mark your notifications as read.");
+        });
+    });
+
+    // Marked read before following the link, so the badge is right on the next page
+    bell.querySelector('.notification-list').addEventListener('click', async (e) => {
+        const item = e.target.closest('.notification-item');
+        if (!item) return;
+        e.preventDefault();
+        if (item.classList.contains('unread')) {
+            try {
+                await markNotificationRead(item.dataset.id);
+            } catch (error) {
+                console.error("Error marking notification as read:", error);
+            }
+        }
+        if (item.getAttribute('href') !== '#') window.location.href = item.getAttribute('href');
+    });
+    return bell;
+}
+
+/**
+ * Shows the bell for a signed-in user, before the logo on the right of the navbar, or removes it
+ * when they sign out. Safe to call on every auth change.
+ * @param {firebase.User|null} user
+ */
+function renderNotificationBell(user) {
+    stopNotificationListeners.forEach(stop => stop());
+    stopNotificationListeners = [];
+    const existing = document.getElementById('notification-bell');
+    const navbarRight = document.querySelector('.navbar .navbar-right');
+    if (!user || !navbarRight) {
+        if (existing) existing.remove();
+        return;
+    }
+
+    const bell = existing || createNotificationBell();
+    if (!existing) navbarRight.insertBefore(bell, navbarRight.firstChild);
+    const list = bell.querySelector('.notification-list');
+    const badge = bell.querySelector('.notification-badge');
+
+    stopNotificationListeners.push(trackListener(watchNotifications(user.uid, (notifications) => {
+        list.innerHTML = notifications.length === 0
+            ? '<li class="notification-empty">You have no notifications.</li>'
+            : notifications.map(notificationItemHtml).join('');
+    }, (unread) => {
+        badge.textContent = unread > UNREAD_BADGE_LIMIT ? `${UNREAD_BADGE_LIMIT}+` : String(unread);
+        badge.classList.toggle('hidden', unread === 0);
+    })));
+}
+window.renderNotificationBell = renderNotificationBell;
@@ -0,0 +1,107 @@
+// js/payments.js - Browser side of checkout.
+// Orders are priced, paid and turned into tickets by Cloud Functions (functions/src/orders.js);
+// this file only calls them. Every call is idempotent on the server, so network errors and
+// gateway timeouts are retried automatically with the same order.
+
+const PAYMENT_MAX_ATTEMPTS = 3;
+const RETRYABLE_ERROR_CODES = ['functions/unavailable', 'functions/deadline-exceeded', 'functions/internal'];
+
+const ORDER_FAILURE_MESSAGES = {
+    card_declined: 'Your card was declined.',
+    insufficient_funds: 'Your card has insufficient funds.',
+    invalid_card_number: 'The card number is not valid.',
+    authentication_failed: 'Card authentication was not completed.',
+    challenge_mismatch: 'Card authentication could not be verified.',
+    capture_failed: 'The payment could not be completed.',
+    sold_out: 'The tickets sold out while you were paying. Your payment has been refunded.',
+    hold_expired: 'Your ticket hold expired before payment was completed, so the tickets were released.',
+    cancelled: 'The checkout was cancelled.',
+    event_unavailable: 'This event is no longer available. Your payment has been refunded.'
+};
+
+/**
+ * A random key identifying one checkout attempt; the server derives the order ID from it.
+ * @returns {string}
+ */
+function newIdempotencyKey() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Calls an HTTPS callable, retrying transient failures with a growing delay.
+ * @param {string} name - Cloud Function name.
+ * @param {object} data
+ * @returns {Promise<object>} The function's result.
+ */
+async function callPaymentFunction(name, data) {
+    if (!window.functions) throw new Error("Payments are not available on this page.");
+    const callable = functions.httpsCallable(name);
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return (await callable(data)).data;
+        } catch (error) {
+            if (attempt >= PAYMENT_MAX_ATTEMPTS || !RETRYABLE_ERROR_CODES.includes(error.code)) throw error;
+            console.warn(`${name} failed (${error.code}), retrying (${attempt}/${PAYMENT_MAX_ATTEMPTS - 1})...`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+}
+
+/**
+ * Creates the order for the tickets chosen in step 2. The server prices it from the event and holds
+ * its seats; 'holdExpiresInMs' says how long the hold lasts. Set 'waitlistOffer' to book the seats
+ * offered to the user from the waitlist (js/waitlist.js).
+ * @param {object} details - { eventId, counts: { member, general }, contact: { name, email, phone }, idempotencyKey, waitlistOffer }
+ * @returns {Promise<object>} Order summary: { orderId, status, amount, items, tickets, failureReason, redirectUrl, holdExpiresInMs }
+ */
+function createOrder(details) {
+    return callPaymentFunction('createOrder', details);
+}
+window.createOrder = createOrder;
+
+/**
+ * Pays an order with the card from step 3.
+ * @param {string} orderId
+ * @param {object} paymentMethod - { cardNumber, expiry, cvc }
+ * @returns {Promise<object>} Order summary.
+ */
+function payOrder(orderId, paymentMethod) {
+    return callPaymentFunction('payOrder', { orderId, paymentMethod });
+}
+window.payOrder = payOrder;
+
+/**
+ * Finishes a 3-D Secure style redirect (payment-challenge.html).
+ * @param {string} orderId
+ * @param {string} challengeId
+ * @param {boolean} approved
+ * @returns {Promise<object>} Order summary.
+ */
+function completePaymentChallenge(orderId, challengeId, approved) {
+    return callPaymentFunction('completePaymentChallenge', { orderId, challengeId, approved });
+}
+window.completePaymentChallenge = completePaymentChallenge;
+
+/**
+ * Abandons an unpaid order, giving its held seats back straight away.
+ * @param {string} orderId
+ * @returns {Promise<object>} Order summary.
+ */
+function releaseOrder(orderId) {
+    return callPaymentFunction('releaseOrder', { orderId });
+}
+window.releaseOrder = releaseOrder;
+
+/**
+ * User-facing text for an order's failureReason.
+ * @param {string} reason
+ * @returns {string}
+ */
+function describeOrderFailure(reason) {
+    return ORDER_FAILURE_MESSAGES[reason] || 'The payment could not be completed.';
+}
+window.describeOrderFailure = describeOrderFailure;
+window.newIdempotencyKey = newIdempotencyKey;
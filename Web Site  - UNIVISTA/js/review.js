@@ -0,0 +1,296 @@
+// js/review.js - Moderation threads on crew-manage-events.html and profile.html.
+// Besides approving or rejecting, crew can send a submission back as 'changes_requested' with
+// comments on specific fields ('events/{eventId}/comments'). The submitter answers in the same
+// thread, edits the event and resubmits it into the queue; every resubmission bumps the event's
+// 'revision' and keeps the old and new field values in 'events/{eventId}/revisions/{revision}'
+// so reviewers can see what changed. See firestore.rules for who may write what.
+
+// What a comment can be about. 'general' is the event as a whole.
+const EVENT_REVIEW_FIELDS = {
+    general: 'General',
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    date: 'Date',
+    time: 'Time',
+    location: 'Location',
+    contact: 'Contact'
+};
+
+// The fields a submitter may change when resubmitting (firestore.rules, isResubmission).
+const EDITABLE_EVENT_FIELDS = ['title', 'description', 'category', 'date', 'time', 'location', 'contact'];
+
+const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+function formatReviewTime(timestamp) {
+    return timestamp && timestamp.toDate
+        ? timestamp.toDate().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+        : 'just now';
+}
+
+// =========================================================================
+// --- 1. THREAD DATA ---
+// =========================================================================
+
+function reviewCommentsRef(eventId) {
+    return db.collection("events").doc(eventId).collection("comments");
+}
+
+function eventRevisionRef(eventId, revision) {
+    return db.collection("events").doc(eventId).collection("revisions").doc(String(revision));
+}
+
+/**
+ * The signed-in user as a comment author.
+ * @returns {Promise<{uid: string, name: string}>}
+ */
+async function reviewAuthor() {
+    const user = auth.currentUser;
+    if (!user) throw new Error("Please log in again.");
+    const profile = await db.collection("users").doc(user.uid).get();
+    return { uid: user.uid, name: (profile.exists && profile.data().name) || user.email };
+}
+
+/**
+ * Cleans up comments from a form: blank ones are dropped, unknown fields become 'general'.
+ * @param {Array<{field: string, text: string}>} comments
+ */
+function cleanReviewComments(comments) {
+    return comments
+        .map(comment => ({
+            field: EVENT_REVIEW_FIELDS[comment.field] ? comment.field : 'general',
+            text: String(comment.text || '').trim()
+        }))
+        .filter(comment => comment.text)
+        .map(comment => {
+            if (comment.text.length > MAX_REVIEW_COMMENT_LENGTH) {
+                throw new Error(`Comments must be ${MAX_REVIEW_COMMENT_LENGTH} characters or fewer.`);
+            }
+            return comment;
+        });
+}
+
+function addCommentsToBatch(batch, eventId, revision, author, role, comments) {
+    comments.forEach(comment => {
+        batch.set(reviewCommentsRef(eventId).doc(), {
+            authorUid: author.uid,
+            authorName: author.name,
+            authorRole: role,
+            field: comment.field,
+            text: comment.text,
+            revision: revision,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    });
+}
+
+/**
+ * Sends a pending submission back to its submitter with comments on what to change.
+ * @param {object} event - Canonical event.
+ * @param {Array<{field: string, text: string}>} comments - At least one.
+ */
+async function requestEventChanges(event, comments) {
+    const cleaned = cleanReviewComments(comments);
+    if (cleaned.length === 0) throw new Error("Add at least one comment saying what to change.");
+    const author = await reviewAuthor();
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    batch.update(db.collection("events").doc(event.id), {
+        status: 'changes_requested',
+        reviewedBy: author.uid,
+        reviewedAt: now,
+        updatedAt: now,
+        rejectionReason: null
+    });
+    addCommentsToBatch(batch, event.id, event.revision, author, 'crew', cleaned);
+    await batch.commit();
+}
+
+/**
+ * Rejects a submission for good. The reason is stored on the event and added to its thread.
+ * @param {object} event - Canonical event.
+ * @param {string} reason
+ */
+async function rejectEventWithReason(event, reason) {
+    const [comment] = cleanReviewComments([{ field: 'general', text: reason }]);
+    if (!comment) throw new Error("A rejection reason is required.");
+    const author = await reviewAuthor();
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    batch.update(db.collection("events").doc(event.id), {
+        status: 'rejected',
+        reviewedBy: author.uid,
+        reviewedAt: now,
+        updatedAt: now,
+        rejectionReason: comment.text
+    });
+    addCommentsToBatch(batch, event.id, event.revision, author, 'crew', [comment]);
+    await batch.commit();
+}
+
+/**
+ * Adds one comment to an event's thread, as crew or as the submitter.
+ * @param {object} event - Canonical event.
+ * @param {string} field - A key of EVENT_REVIEW_FIELDS.
+ * @param {string} text
+ */
+async function postReviewComment(event, field, text) {
+    const cleaned = cleanReviewComments([{ field, text }]);
+    if (cleaned.length === 0) throw new Error("The comment is empty.");
+    const author = await reviewAuthor();
+    const role = event.postedByUid === author.uid ? 'submitter' : 'crew';
+
+    const batch = db.batch();
+    addCommentsToBatch(batch, event.id, event.revision, author, role, cleaned);
+    await batch.commit();
+}
+
+/**
+ * Applies the submitter's edits and puts the event back in the review queue as the next revision.
+ * The previous and new values of the editable fields are kept in events/{id}/revisions/{revision}.
+ * @param {object} event - Canonical event in 'changes_requested'.
+ * @param {object} changes - New values for any of EDITABLE_EVENT_FIELDS.
+ * @param {string} [note] - Optional reply added to the thread.
+ * @returns {Promise<string[]>} The fields that changed.
+ * @throws {Error} If the edited event does not validate.
+ */
+async function resubmitEvent(event, changes, note) {
+    if (event.status !== 'changes_requested') throw new Error("Only events with requested changes can be resubmitted.");
+
+    const edited = { ...event };
+    EDITABLE_EVENT_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) edited[field] = String(changes[field]).trim();
+    });
+    const errors = validateEvent(edited);
+    if (!EVENT_CATEGORIES.includes(edited.category)) errors.push(`Unknown category "${edited.category}".`);
+    if (errors.length > 0) throw new Error(errors.join(' '));
+
+    const previousFields = {};
+    const fields = {};
+    EDITABLE_EVENT_FIELDS.forEach(field => {
+        previousFields[field] = event[field];
+        fields[field] = edited[field];
+    });
+    const changedFields = EDITABLE_EVENT_FIELDS.filter(field => fields[field] !== previousFields[field]);
+
+    const author = await reviewAuthor();
+    const revision = event.revision + 1;
+    const start = eventStartDate(fields.date, fields.time);
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    batch.update(db.collection("events").doc(event.id), {
+        ...fields,
+        startsAt: start ? firebase.firestore.Timestamp.fromDate(start) : null,
+        status: 'pending',
+        revision: revision,
+        updatedAt: now
+    });
+    batch.set(eventRevisionRef(event.id, revision), {
+        revision: revision,
+        fields: fields,
+        previousFields: previousFields,
+        changedFields: changedFields,
+        submittedBy: author.uid,
+        submittedAt: now
+    });
+    const [reply] = cleanReviewComments([{ field: 'general', text: note }]);
+    if (reply) addCommentsToBatch(batch, event.id, revision, author, 'submitter', [reply]);
+    await batch.commit();
+    return changedFields;
+}
+
+/**
+ * Follows an event's comments, oldest first.
+ * @param {string} eventId
+ * @param {function(object[])} onChange
+ * @returns {function()} Stops listening.
+ */
+function watchReviewThread(eventId, onChange, onError) {
+    return trackListener(reviewCommentsRef(eventId).orderBy("createdAt", "asc").onSnapshot(
+        (snapshot) => onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        onError || (error => console.error("Live review thread failed:", error))
+    ));
+}
+
+/**
+ * The thread and the latest revision (null for a first submission), fetched once.
+ * @param {object} event - Canonical event.
+ * @returns {Promise<{comments: object[], revision: object|null}>}
+ */
+async function fetchReviewHistory(event) {
+    const [comments, revision] = await Promise.all([
+        reviewCommentsRef(event.id).orderBy("createdAt", "asc").get(),
+        event.revision > 1 ? eventRevisionRef(event.id, event.revision).get() : null
+    ]);
+    return {
+        comments: comments.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        revision: revision && revision.exists ? revision.data() : null
+    };
+}
+
+// =========================================================================
+// --- 2. RENDERING ---
+// =========================================================================
+
+function reviewCommentHtml(comment) {
+    return `
+        <li class="review-comment ${comment.authorRole === 'crew' ? 'from-crew' : 'from-submitter'}">
+            <p class="review-comment-meta">
+                <strong>${escapeHtml(comment.authorName)}</strong> (${comment.authorRole === 'crew' ? 'Crew' : 'Submitter'})
+                on <span class="review-comment-field">${EVENT_REVIEW_FIELDS[comment.field] || 'General'}</span>,
+                revision ${comment.revision || 1} - ${formatReviewTime(comment.createdAt)}
+            </p>
+            <p>${escapeHtml(comment.text)}</p>
+        </li>
+    `;
+}
+
+function reviewThreadHtml(comments) {
+    return comments.length === 0
+        ? '<p class="review-thread-empty">No comments yet.</p>'
+        : `<ul class="review-thread">${comments.map(reviewCommentHtml).join('')}</ul>`;
+}
+
+/**
+ * "What changed" for a revision document: old and new value of each changed field.
+ */
+function revisionDiffHtml(revision) {
+    if (!revision) return '';
+    if (revision.changedFields.length === 0) {
+        return `<p class="revision-diff-empty">Revision ${revision.revision} was resubmitted without changes.</p>`;
+    }
+    return `
+        <div class="revision-diff">
+            <p><strong>Changed in revision ${revision.revision}:</strong></p>
+            <dl>
+                ${revision.changedFields.map(field => `
+                    <dt>${EVENT_REVIEW_FIELDS[field] || field}</dt>
+                    <dd><del>${escapeHtml(revision.previousFields[field]) || '(empty)'}</del></dd>
+                    <dd><ins>${escapeHtml(revision.fields[field]) || '(empty)'}</ins></dd>
+                `).join('')}
+            </dl>
+        </div>
+    `;
+}
+
+/** Options for a comment's field selector. */
+function reviewFieldOptionsHtml(selected = 'general') {
+    return Object.entries(EVENT_REVIEW_FIELDS)
+        .map(([field, label]) => `<option value="${field}"${field === selected ? ' selected' : ''}>${label}</option>`)
+        .join('');
+}
+
+window.EVENT_REVIEW_FIELDS = EVENT_REVIEW_FIELDS;
+window.EDITABLE_EVENT_FIELDS = EDITABLE_EVENT_FIELDS;
+window.requestEventChanges = requestEventChanges;
+window.rejectEventWithReason = rejectEventWithReason;
+window.postReviewComment = postReviewComment;
+window.resubmitEvent = resubmitEvent;
+window.watchReviewThread = watchReviewThread;
+window.fetchReviewHistory = fetchReviewHistory;
+window.reviewThreadHtml = reviewThreadHtml;
+window.revisionDiffHtml = revisionDiffHtml;
+window.reviewFieldOptionsHtml = reviewFieldOptionsHtml;
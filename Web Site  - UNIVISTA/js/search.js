@@ -0,0 +1,234 @@
+// js/search.js - Event search behind the navbar search bar (index.html, events.html, event-details.html).
+// Firestore has no full-text search, so approved events are loaded once per page and matched here:
+// every word of the query must match a word of the event, exactly, as a prefix or with a typo or two.
+// Searching from another page goes to events.html?q=..., where fetchAndDisplayEvents (js/firestore.js)
+// narrows its filtered list down to the matches.
+
+// Fields searched, and how much a match in each counts towards the ranking
+const SEARCH_FIELD_WEIGHTS = { title: 5, category: 3, faculty: 3, location: 2, description: 1 };
+const SEARCH_SUGGESTION_LIMIT = 5;
+const SEARCH_SUGGEST_DELAY_MS = 150;
+
+let searchableEventsPromise = null;
+
+// =========================================================================
+// --- 1. MATCHING ---
+// =========================================================================
+
+/** Lower-cased words without accents or punctuation. */
+function searchWords(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/** Edits allowed for a query word: none for short words, where a typo matches almost anything. */
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    return term.length >= 4 ? 1 : 0;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How well one query word matches one event word: 1 exact, 0.8 prefix, 0.5 typo, 0.4 prefix with a typo, 0 no match.
+ */
+function wordMatchScore(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    const typos = allowedTypos(term);
+    if (typos === 0) return 0;
+    if (Math.abs(word.length - term.length) <= typos && editDistance(term, word) <= typos) return 0.5;
+    if (word.length > term.length && editDistance(term, word.slice(0, term.length)) <= typos) return 0.4;
+    return 0;
+}
+
+/**
+ * Ranks events against a query. Every query word has to match somewhere in the event.
+ * @param {object[]} events - Canonical events.
+ * @param {string} query
+ * @returns {Array<{event: object, score: number, words: string[]}>} Best match first; 'words' are the
+ *     event words that matched, for highlightMatches().
+ */
+function searchEvents(events, query) {
+    const terms = [...new Set(searchWords(query))];
+    if (terms.length === 0) return events.map(event => ({ event, score: 0, words: [] }));
+
+    const results = [];
+    events.forEach(event => {
+        const fieldWords = Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({
+            weight: SEARCH_FIELD_WEIGHTS[field],
+            words: searchWords(event[field])
+        }));
+
+        let score = 0;
+        const matched = new Set();
+        const allTermsMatch = terms.every(term => {
+            let best = 0;
+            fieldWords.forEach(({ weight, words }) => {
+                words.forEach(word => {
+                    const match = wordMatchScore(term, word);
+                    if (match > 0) matched.add(word);
+                    best = Math.max(best, match * weight);
+                });
+            });
+            score += best;
+            return best > 0;
+        });
+
+        if (allTermsMatch) results.push({ event, score, words: [...matched] });
+    });
+
+    return results.sort((a, b) => b.score - a.score || String(a.event.date).localeCompare(String(b.event.date)));
+}
+window.searchEvents = searchEvents;
+
+/**
+ * HTML-escapes 'text' and wraps the words that matched the search in <mark>.
+ * @param {string} text
+ * @param {string[]} words - From a searchEvents() result.
+ * @returns {string}
+ */
+function highlightMatches(text, words) {
+    const escaped = escapeHtml(text);
+    if (!words || words.length === 0) return escaped;
+    const wanted = new Set(words);
+    return escaped.replace(/[^\s.,;:!?()"'\/&-]+/g, token => (
+        searchWords(token).some(word => wanted.has(word)) ? `<mark>${token}</mark>` : token
+    ));
+}
+window.highlightMatches = highlightMatches;
+
+/**
+ * A short piece of the description around its first matching word, or '' if none matched.
+ * @param {string} description
+ * @param {string[]} words
+ * @returns {string} HTML.
+ */
+function matchSnippet(description, words) {
+    const tokens = String(description || '').split(/\s+/);
+    const wanted = new Set(words);
+    const index = tokens.findIndex(token => searchWords(token).some(word => wanted.has(word)));
+    if (index === -1) return '';
+    const start = Math.max(0, index - 6);
+    const end = Math.min(tokens.length, index + 12);
+    return `${start > 0 ? '... ' : ''}${highlightMatches(tokens.slice(start, end).join(' '), words)}${end < tokens.length ? ' ...' : ''}`;
+}
+window.matchSnippet = matchSnippet;
+
+// =========================================================================
+// --- 2. NAVBAR SEARCH BAR ---
+// =========================================================================
+
+/** Approved events, loaded on the first keystroke and kept for the rest of the page. */
+function loadSearchableEvents() {
+    if (!searchableEventsPromise) {
+        searchableEventsPromise = queryApprovedEvents().catch(error => {
+            searchableEventsPromise = null;
+            throw error;
+        });
+    }
+    return searchableEventsPromise;
+}
+
+/** The search in the current URL (events.html?q=...). */
+function currentSearchQuery() {
+    return (new URLSearchParams(window.location.search).get('q') || '').trim();
+}
+window.currentSearchQuery = currentSearchQuery;
+
+/**
+ * Runs a search: on events.html the list updates in place and the query goes into the URL;
+ * anywhere else the browser goes to events.html with the query.
+ */
+function submitSearch(query) {
+    query = query.trim();
+    if (!document.getElementById('events-list')) {
+        window.location.href = query ? `events.html?q=${encodeURIComponent(query)}` : 'events.html';
+        return;
+    }
+    const url = new URL(window.location.href);
+    if (query) url.searchParams.set('q', query);
+    else url.searchParams.delete('q');
+    history.replaceState(null, '', url);
+    if (typeof fetchAndDisplayEvents !== 'undefined') fetchAndDisplayEvents(readEventFilters());
+}
+
+function setupSearchBar(bar) {
+    const input = bar.querySelector('input');
+    const button = bar.querySelector('button');
+    if (!input) return;
+
+    input.value = currentSearchQuery();
+    input.setAttribute('autocomplete', 'off');
+    bar.classList.add('has-suggestions');
+    const suggestions = document.createElement('ul');
+    suggestions.className = 'search-suggestions hidden';
+    bar.appendChild(suggestions);
+
+    let timer = null;
+    const hideSuggestions = () => suggestions.classList.add('hidden');
+
+    const showSuggestions = async () => {
+        const query = input.value.trim();
+        if (!query) return hideSuggestions();
+        try {
+            const matches = searchEvents(await loadSearchableEvents(), query).slice(0, SEARCH_SUGGESTION_LIMIT);
+            if (input.value.trim() !== query) return; // A newer keystroke is on its way
+            suggestions.innerHTML = matches.length
+                ? matches.map(({ event, words }) => `
+                    <li><a href="event-details.html?id=${event.id}">
+                        <strong>${highlightMatches(event.title, words)}</strong>
+                        <span>${escapeHtml(event.date)} - ${highlightMatches(event.faculty, words)}</span>
+                    </a></li>`).join('')
+                : '<li class="search-no-results">No matching events</li>';
+            suggestions.classList.remove('hidden');
+        } catch (error) {
+            console.error("Error loading events for search:", error);
+        }
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(showSuggestions, SEARCH_SUGGEST_DELAY_MS);
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            hideSuggestions();
+            submitSearch(input.value);
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+    if (button) {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            hideSuggestions();
+            submitSearch(input.value);
+        });
+    }
+    document.addEventListener('click', (e) => {
+        if (!bar.contains(e.target)) hideSuggestions();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.search-bar').forEach(setupSearchBar);
+});
@@ -0,0 +1,226 @@
+// js/tickets.js - QR codes and printable PDF tickets for documents in the 'tickets' collection.
+// 'qrCodeData' is a signed payload added by the issueTicketQr Cloud Function (functions/src/tickets.js)
+// a moment after the booking is written, so pages wait for it with watchTicket().
+// Needs qrcode.js (window.QRCode) and jsPDF (window.jspdf) from the CDN; cancelling and transferring
+// tickets also need firebase-functions-compat.js (callFunction in firebase-config.js).
+
+// Mirrors QR_PAYLOAD_VERSION in functions/src/tickets.js
+const TICKET_QR_VERSION = 'UNIVISTA1';
+
+// =========================================================================
+// --- 1. TICKET DATA ---
+// =========================================================================
+
+/**
+ * Splits a scanned QR payload ("UNIVISTA1.<ticketDocId>.<signature>").
+ * @param {string} payload
+ * @returns {{ticketDocId: string, signature: string}|null} null if it is not a UNIVISTA ticket.
+ */
+function parseTicketQr(payload) {
+    const parts = String(payload || '').trim().split('.');
+    if (parts.length !== 3 || parts[0] !== TICKET_QR_VERSION) return null;
+    return { ticketDocId: parts[1], signature: parts[2] };
+}
+window.parseTicketQr = parseTicketQr;
+
+/**
+ * Listens to a ticket until its signed QR payload is available, then stops listening.
+ * @param {string} ticketDocId - ID of the 'tickets' document ({bookingId}-{tier}).
+ * @param {function} onReady - Called once with { id, ...ticketData }.
+ * @param {function} [onError] - Called if the ticket cannot be read.
+ * @returns {function} Unsubscribe function.
+ */
+function watchTicket(ticketDocId, onReady, onError) {
+    const unsubscribe = db.collection("tickets").doc(ticketDocId).onSnapshot((doc) => {
+        if (doc.exists && doc.data().qrCodeData) {
+            unsubscribe();
+            onReady({ id: doc.id, ...doc.data() });
+        }
+    }, (error) => {
+        console.error(`Error loading ticket ${ticketDocId}:`, error);
+        if (onError) onError(error);
+    });
+    return unsubscribe;
+}
+window.watchTicket = watchTicket;
+
+function describeTicketDate(event) {
+    const start = eventStartDate(event.date, event.time);
+    if (!start) return event.date || 'Date to be announced';
+    const date = start.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric' });
+    return event.time ? `${date}, ${start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : date;
+}
+
+// =========================================================================
+// --- 2. QR CODES ---
+// =========================================================================
+
+/**
+ * Draws a QR code for a ticket payload into an element (replacing its contents).
+ * @param {HTMLElement} container
+ * @param {string} payload - The ticket's 'qrCodeData'.
+ * @param {number} [size=200] - Width/height in pixels.
+ */
+function renderTicketQr(container, payload, size = 200) {
+    container.innerHTML = '';
+    new QRCode(container, {
+        text: payload,
+        width: size,
+        height: size,
+        correctLevel: QRCode.CorrectLevel.M
+    });
+}
+window.renderTicketQr = renderTicketQr;
+
+/**
+ * Renders a QR code off-screen and returns it as a PNG data URL (for the PDF ticket).
+ * @param {string} payload
+ * @returns {string}
+ */
+function ticketQrDataUrl(payload) {
+    const scratch = document.createElement('div');
+    renderTicketQr(scratch, payload, 400);
+    const canvas = scratch.querySelector('canvas');
+    if (!canvas) throw new Error("QR code could not be drawn.");
+    return canvas.toDataURL('image/png');
+}
+
+// =========================================================================
+// --- 3. PDF TICKET ---
+// =========================================================================
+
+/**
+ * Builds a printable A6 ticket entirely in the browser and downloads it.
+ * @param {object} ticket - Ticket document data including 'qrCodeData'.
+ * @param {object} event - Canonical event (js/event-repository.js).
+ */
+function downloadTicketPdf(ticket, event) {
+    if (!ticket.qrCodeData) throw new Error("This ticket's QR code has not been issued yet.");
+
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a6' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+
+    pdf.setFillColor(240, 160, 75);
+    pdf.rect(0, 0, pageWidth, 16, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text('UNIVISTA', pageWidth / 2, 10.5, { align: 'center' });
+
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(13);
+    const titleLines = pdf.splitTextToSize(event.title, pageWidth - 16);
+    pdf.text(titleLines, pageWidth / 2, 25, { align: 'center' });
+
+    let y = 25 + titleLines.length * 6 + 2;
+    const rows = [
+        ['Date', describeTicketDate(event)],
+        ['Venue', event.location || 'To be announced'],
+        ['Holder', ticket.userName || ticket.userEmail || 'Guest'],
+        ['Tier', `${TICKET_TIER_LABELS[ticket.tier] || 'General'} x ${ticket.ticketCount}`],
+        ['Ticket ID', ticket.ticketId]
+    ];
+    pdf.setFontSize(9);
+    rows.forEach(([label, value]) => {
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`${label}:`, 8, y);
+        pdf.setFont('helvetica', 'normal');
+        const lines = pdf.splitTextToSize(String(value), pageWidth - 34);
+        pdf.text(lines, 28, y);
+        y += lines.length * 4.5 + 1;
+    });
+
+    const qrSize = 52;
+    pdf.addImage(ticketQrDataUrl(ticket.qrCodeData), 'PNG', (pageWidth - qrSize) / 2, y + 2, qrSize, qrSize);
+    pdf.setFontSize(7);
+    pdf.setTextColor(110, 110, 110);
+    pdf.text('Present this QR code at the event entrance. One scan per ticket.', pageWidth / 2, y + qrSize + 7, { align: 'center' });
+
+    pdf.save(`${ticket.ticketId}.pdf`);
+}
+window.downloadTicketPdf = downloadTicketPdf;
+
+// =========================================================================
+// --- 4. TICKET PASS CARDS ---
+// =========================================================================
+
+/**
+ * Renders one pass (QR code + "Download PDF") per ticket into a container.
+ * Used by the booking confirmation step and the profile's ticket list.
+ * @param {HTMLElement} container
+ * @param {string[]} ticketDocIds - 'tickets' document IDs.
+ * @param {object} event - Canonical event the tickets belong to.
+ */
+function renderTicketPasses(container, ticketDocIds, event) {
+    container.innerHTML = '';
+    ticketDocIds.forEach((ticketDocId) => {
+        const pass = document.createElement('div');
+        pass.className = 'ticket-pass';
+        pass.innerHTML = `
+            <div class="qr-code-placeholder">Generating secure QR code...</div>
+            <p class="ticket-pass-meta"></p>
+            <button type="button" class="form-button ticket-pdf-button" disabled>Download PDF Ticket</button>
+        `;
+        container.appendChild(pass);
+
+        const qrBox = pass.querySelector('.qr-code-placeholder');
+        const meta = pass.querySelector('.ticket-pass-meta');
+        const pdfButton = pass.querySelector('.ticket-pdf-button');
+
+        watchTicket(ticketDocId, (ticket) => {
+            renderTicketQr(qrBox, ticket.qrCodeData);
+            meta.textContent = `${TICKET_TIER_LABELS[ticket.tier] || 'General'} x ${ticket.ticketCount} - ${ticket.ticketId}`;
+            pdfButton.disabled = false;
+            pdfButton.addEventListener('click', () => {
+                try {
+                    downloadTicketPdf(ticket, event);
+                } catch (error) {
+                    console.error("Error creating PDF ticket:", error);
+                    alert(`Could not create the PDF ticket: ${error.message}`);
+                }
+            });
+        }, () => {
+            qrBox.textContent = 'QR code unavailable';
+        });
+    });
+}
+window.renderTicketPasses = renderTicketPasses;
+
+// =========================================================================
+// --- 5. CANCEL & TRANSFER (functions/src/ticket-changes.js) ---
+// =========================================================================
+
+/**
+ * Whether the holder can still cancel a ticket for a refund.
+ * @param {object} ticket - 'tickets' document data.
+ * @param {object} event - Canonical event.
+ * @returns {boolean}
+ */
+function canCancelTicket(ticket, event) {
+    if ((ticket.status || 'active') !== 'active' || (ticket.checkedInCount || 0) > 0) return false;
+    const deadline = cancellationDeadline(event);
+    return !deadline || deadline.getTime() > Date.now();
+}
+window.canCancelTicket = canCancelTicket;
+
+/**
+ * Cancels a ticket and refunds it. Returns the seats to the event.
+ * @param {string} ticketDocId
+ * @returns {Promise<{ticketDocId: string, status: string, paymentStatus: string}>}
+ */
+function cancelTicket(ticketDocId) {
+    return callFunction('cancelTicket', { ticketDocId });
+}
+window.cancelTicket = cancelTicket;
+
+/**
+ * Gives a ticket to another registered user. Their QR code replaces the current one.
+ * @param {string} ticketDocId
+ * @param {string} email - The recipient's account email.
+ * @returns {Promise<{ticketDocId: string, recipientName: string}>}
+ */
+function transferTicket(ticketDocId, email) {
+    return callFunction('transferTicket', { ticketDocId, email });
+}
+window.transferTicket = transferTicket;
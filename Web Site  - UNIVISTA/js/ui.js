@@ -1,52 +1,135 @@
 // UI Logic (Used to populate dynamic data on events.html/main.html and handle navigation)
 
+// events.html filter controls, keyed by their URL parameter, with the value that means "no filter"
+const EVENT_FILTER_CONTROLS = {
+    category: { id: 'event-category-filter', empty: 'all' },
+    faculty: { id: 'event-faculty-filter', empty: 'all' },
+    type: { id: 'event-type-filter', empty: 'all' },
+    ticket: { id: 'event-ticket-filter', empty: 'all' },
+    date: { id: 'event-date-filter', empty: 'all' },
+    from: { id: 'event-date-from', empty: '' },
+    to: { id: 'event-date-to', empty: '' },
+    sort: { id: 'event-sort', empty: '' }
+};
+
+/**
+ * The filters currently chosen on events.html, plus the search in the URL (js/search.js).
+ * @returns {{category: string, faculty: string, type: string, ticket: string, date: string,
+ *     from: string, to: string, sort: string, search: string}}
+ */
+function readEventFilters() {
+    const filters = {};
+    Object.entries(EVENT_FILTER_CONTROLS).forEach(([param, control]) => {
+        const element = document.getElementById(control.id);
+        filters[param] = element && element.value ? element.value : control.empty;
+    });
+    filters.search = typeof currentSearchQuery !== 'undefined' ? currentSearchQuery() : '';
+    return filters;
+}
+window.readEventFilters = readEventFilters;
+
+/**
+ * Puts the filters into the address bar (alongside the search), so a filtered view can be bookmarked or shared.
+ */
+function writeEventFiltersToUrl(filters) {
+    const url = new URL(window.location.href);
+    Object.entries(EVENT_FILTER_CONTROLS).forEach(([param, control]) => {
+        const keep = filters[param] && filters[param] !== control.empty
+            && ((param !== 'from' && param !== 'to') || filters.date === 'custom');
+        if (keep) url.searchParams.set(param, filters[param]);
+        else url.searchParams.delete(param);
+    });
+    history.replaceState(null, '', url);
+}
+
+/**
+ * Sets the filter controls from the URL. Values a control does not offer are ignored.
+ */
+function applyEventFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(EVENT_FILTER_CONTROLS).forEach(([param, control]) => {
+        const element = document.getElementById(control.id);
+        const value = params.get(param);
+        if (!element || value === null) return;
+        if (element.tagName === 'SELECT' && !Array.from(element.options).some(option => option.value === value)) return;
+        element.value = value;
+    });
+}
+
+/** The from / to inputs only apply to a custom date range. */
+function toggleCustomDateRange() {
+    const range = document.getElementById('event-custom-date-range');
+    const dateFilter = document.getElementById('event-date-filter');
+    if (range && dateFilter) range.classList.toggle('hidden', dateFilter.value !== 'custom');
+}
+
 document.addEventListener('DOMContentLoaded', () => {
 
     // --- Initial Event Load for Events Page (main.html is now the Events page) ---
     // The fetchAndDisplayEvents function must be defined in js/firestore.js
     if (document.getElementById('events-list')) {
+        // Month / week / agenda calendar under the list, filled by fetchAndDisplayEvents (js/calendar.js)
+        const calendarContainer = document.getElementById('events-calendar');
+        if (calendarContainer && typeof createEventCalendar !== 'undefined') {
+            window.eventsCalendar = createEventCalendar(calendarContainer);
+        }
+
+        // populateFacultyFilters is defined below; the faculty options must exist before the URL is applied
+        populateFacultyFilters();
+        applyEventFiltersFromUrl();
+        toggleCustomDateRange();
+        updateFacultyFeedLink(readEventFilters().faculty);
+
         // We assume 'main.html' is the page where we want to list events.
         // The fetchAndDisplayEvents function must be defined in js/firestore.js
         if (typeof fetchAndDisplayEvents !== 'undefined') {
-            fetchAndDisplayEvents(); 
+            // Coming back from an event restores the loaded pages and scroll position
+            history.scrollRestoration = 'manual';
+            fetchAndDisplayEvents(readEventFilters(), { restore: true });
+            // Restored from the back/forward cache: the live listeners were closed on the way out
+            window.addEventListener('pageshow', (e) => {
+                if (e.persisted) fetchAndDisplayEvents(readEventFilters(), { restore: true });
+            });
+
+            // "Load more" button, with infinite scroll on top (js/firestore.js)
+            const loadMore = document.getElementById('load-more-events');
+            if (loadMore) loadMore.addEventListener('click', loadMoreEvents);
+            window.addEventListener('scroll', loadMoreEventsIfNear, { passive: true });
         } else {
             console.warn("fetchAndDisplayEvents is not defined in js/firestore.js");
         }
         
         // Setup filters 
-        const categoryFilter = document.getElementById('event-category-filter');
-        const facultyFilter = document.getElementById('event-faculty-filter');
-        const eventTypeFilter = document.getElementById('event-type-filter');
-        const eventTicketFilter = document.getElementById('event-ticket-filter');
-
-        const filters = [categoryFilter, facultyFilter, eventTypeFilter, eventTicketFilter];
-        filters.forEach(filter => {
+        Object.values(EVENT_FILTER_CONTROLS).forEach(control => {
+            const filter = document.getElementById(control.id);
             if (filter) {
                 filter.addEventListener('change', () => {
-                    const currentFilters = {
-                        category: categoryFilter ? categoryFilter.value : 'all',
-                        faculty: facultyFilter ? facultyFilter.value : 'all',
-                        type: eventTypeFilter ? eventTypeFilter.value : 'all',
-                        ticket: eventTicketFilter ? eventTicketFilter.value : 'all',
-                    };
+                    toggleCustomDateRange();
+                    const currentFilters = readEventFilters();
+                    writeEventFiltersToUrl(currentFilters);
                     if (typeof fetchAndDisplayEvents !== 'undefined') {
                         fetchAndDisplayEvents(currentFilters);
                     }
+                    updateFacultyFeedLink(currentFilters.faculty);
                 });
             }
         });
-        
-        // populateFacultyFilters is defined below
-        populateFacultyFilters();
     }
     
+    // --- Faculty Calendar Feed (js/calendar.js) ---
+    function updateFacultyFeedLink(faculty) {
+        const feed = document.getElementById('faculty-feed');
+        if (!feed || typeof facultyFeedUrl === 'undefined') return;
+        feed.classList.toggle('hidden', !faculty || faculty === 'all');
+        if (!faculty || faculty === 'all') return;
+        document.getElementById('faculty-feed-link').href = facultyFeedUrl(faculty);
+        document.getElementById('faculty-feed-name').textContent = faculty;
+    }
+
     // --- Faculty Filter Population ---
     function populateFacultyFilters() {
-        const faculties = [
-            "Science", "Art", "Medicine", "Law", "Management & Finance", 
-            "Technology", "Nursing", "Indigenous Medicine", "Education", 
-            "Sri Palee Drama", "UCSC"
-        ];
+        // Canonical faculty list lives in js/event-repository.js
+        const faculties = FACULTIES;
         
         const filterSelects = document.querySelectorAll('#event-faculty-filter');
         filterSelects.forEach(select => {
@@ -59,8 +142,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 select.appendChild(option);
             });
             const uniWide = document.createElement('option');
-            uniWide.value = 'University Wide';
-            uniWide.textContent = 'University Wide';
+            uniWide.value = UNIVERSITY_WIDE;
+            uniWide.textContent = UNIVERSITY_WIDE;
             select.appendChild(uniWide);
         });
     }
@@ -110,21 +193,21 @@ document.addEventListener('DOMContentLoaded', () => {
                         role = doc.data().role;
                     }
                     
-                    if (navLogin) {
-                        updateNav(true, role, navLogin, profileLi, navProfile, logoutLi, logoutButton);
-                    }
+                    updateNav(true, role, navLogin, profileLi, navProfile, logoutLi, logoutButton);
                     
                     // CRITICAL: Redirection check only for login page
                     if (window.location.pathname.includes('login.html')) {
-                        if (role === 'crew') {
-                            window.location.href = 'crew-dashboard.html';
+                        if (role === 'admin') {
+                            window.location.href = 'admin.html';
+                        } else if (role === 'crew') {
+                            window.location.href = 'crew-manage-events.html';
                         } else {
                             window.location.href = 'main.html'; 
                         }
                     }
                     
-                    // Attach logout handler (only if the button exists)
-                    if(logoutButton) {
+                    // Attach logout handler (only to the navbar this file manages; other pages wire their own)
+                    if (navLogin && logoutButton) {
                         logoutButton.removeEventListener('click', handleLogout);
                         logoutButton.addEventListener('click', handleLogout);
                     }
@@ -132,31 +215,30 @@ document.addEventListener('DOMContentLoaded', () => {
                 }).catch(error => {
                     console.error("Error fetching user role:", error);
                     // Fallback to updateNav if profile fetch fails
-                    if (navLogin) {
-                        updateNav(true, 'user', navLogin, profileLi, navProfile, logoutLi, logoutButton);
-                    }
+                    updateNav(true, 'user', navLogin, profileLi, navProfile, logoutLi, logoutButton);
                 });
             } else {
                 // If db is not defined, we can't fetch role, just assume logged in state
-                if (navLogin) {
-                    updateNav(true, 'user', navLogin, profileLi, navProfile, logoutLi, logoutButton);
-                }
+                updateNav(true, 'user', navLogin, profileLi, navProfile, logoutLi, logoutButton);
             }
             
         } else {
             // User is signed out.
-            if (navLogin) {
-                updateNav(false, null, navLogin, profileLi, navProfile, logoutLi, logoutButton);
-            }
+            updateNav(false, null, navLogin, profileLi, navProfile, logoutLi, logoutButton);
         }
     });
 });
 
 /**
  * Updates the visibility and content of the navigation bar elements based on login state and role.
+ * The notification bell (js/notification-center.js) goes on every page's navbar.
  */
 function updateNav(isLoggedIn, role, navLogin, profileLi, navProfile, logoutLi, logoutButton) {
 
+    if (typeof renderNotificationBell !== 'undefined') {
+        renderNotificationBell(isLoggedIn && typeof auth !== 'undefined' ? auth.currentUser : null);
+    }
+
     // Ensure all elements exist before proceeding
     if (!navLogin || !profileLi || !navProfile || !logoutLi || !logoutButton) return; 
 
@@ -168,9 +250,12 @@ function updateNav(isLoggedIn, role, navLogin, profileLi, navProfile, logoutLi,
         logoutLi.style.display = 'list-item';
         
         // Adjust Profile Link/Button appearance and destination
-        if (role === 'crew') {
+        if (role === 'admin') {
+            navProfile.textContent = 'Admin Console';
+            navProfile.href = 'admin.html';
+        } else if (role === 'crew') {
             navProfile.textContent = 'Crew Dashboard';
-            navProfile.href = 'crew-dashboard.html';
+            navProfile.href = 'crew-manage-events.html';
         } else {
             navProfile.textContent = 'Profile';
             navProfile.href = 'profile.html'; // Directs to the profile page
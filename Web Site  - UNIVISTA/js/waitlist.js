@@ -0,0 +1,152 @@
+// js/waitlist.js - Waitlist for sold-out events on event-details.html.
+// Joining and leaving are writes to 'events/{eventId}/waitlist/{uid}' (see firestore.rules). When seats
+// free up, functions/src/waitlist.js offers them to the front of the queue and holds them for a while;
+// the offer reaches the page through watchWaitlistEntry() and is booked like any other order.
+
+let waitlistUnsubscribe = null;
+
+// =========================================================================
+// --- 1. WAITLIST DATA ---
+// =========================================================================
+
+function waitlistEntryRef(eventId, uid) {
+    return db.collection("events").doc(eventId).collection("waitlist").doc(uid);
+}
+
+/**
+ * Puts the signed-in user at the back of an event's waitlist.
+ * @param {string} eventId
+ * @param {string} tier - 'member' or 'general'.
+ * @param {number} quantity - Tickets wanted (1 to MAX_TICKETS_PER_BOOKING).
+ */
+async function joinWaitlist(eventId, tier, quantity) {
+    const user = auth.currentUser;
+    if (!user) throw new Error("Please log in to join the waitlist.");
+
+    const ref = waitlistEntryRef(eventId, user.uid);
+    const existing = await ref.get();
+    if (existing.exists) {
+        if (['waiting', 'offered'].includes(existing.data().status)) return;
+        await ref.delete(); // A claimed or expired entry makes way for a new place at the back
+    }
+
+    const profile = await getCurrentUserRole();
+    await ref.set({
+        userId: user.uid,
+        name: profile.name || '',
+        email: profile.email || user.email,
+        tier: tier,
+        quantity: quantity,
+        status: 'waiting',
+        joinedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+window.joinWaitlist = joinWaitlist;
+
+/**
+ * Takes the signed-in user off an event's waitlist. Open offers cannot be withdrawn; they run out.
+ * @param {string} eventId
+ */
+async function leaveWaitlist(eventId) {
+    await waitlistEntryRef(eventId, auth.currentUser.uid).delete();
+}
+window.leaveWaitlist = leaveWaitlist;
+
+/**
+ * Follows the signed-in user's waitlist entry for an event, passing every change to setWaitlistEntry()
+ * (js/event-details.js). Replaces any earlier listener.
+ * @param {string} eventId
+ */
+function watchWaitlistEntry(eventId) {
+    if (waitlistUnsubscribe) waitlistUnsubscribe();
+    waitlistUnsubscribe = null;
+    if (!auth.currentUser) return;
+
+    waitlistUnsubscribe = waitlistEntryRef(eventId, auth.currentUser.uid).onSnapshot((doc) => {
+        setWaitlistEntry(doc.exists ? doc.data() : null);
+    }, (error) => {
+        console.error("Error loading waitlist entry:", error);
+    });
+}
+window.watchWaitlistEntry = watchWaitlistEntry;
+
+// =========================================================================
+// --- 2. RENDERING ---
+// =========================================================================
+
+/**
+ * Shows the waitlist panel under the booking button when the viewer cannot book, or is queued.
+ */
+function renderWaitlistPanel() {
+    const panel = document.getElementById('waitlist-panel');
+    if (!panel) return;
+
+    const { canJoinWaitlist, waitlistEntry, offer, tiers } = eventDetailsState;
+    const signedIn = typeof auth !== 'undefined' && !!auth.currentUser;
+    const status = waitlistEntry ? waitlistEntry.status : null;
+    const queued = status === 'waiting';
+
+    let message = '';
+    if (offer) {
+        message = 'Book before the hold runs out, or the tickets will be offered to the next person in line.';
+    } else if (queued) {
+        message = `You're on the waitlist for ${waitlistEntry.quantity} ${TICKET_TIER_LABELS[waitlistEntry.tier]} ticket(s). `
+            + "If seats free up, we'll hold them for you for a limited time.";
+    } else if (canJoinWaitlist && !signedIn) {
+        message = "Log in to join the waitlist - we'll hold tickets for you if seats free up.";
+    } else if (canJoinWaitlist) {
+        message = status === 'expired'
+            ? 'Your last offer ran out. You can join the waitlist again.'
+            : "Join the waitlist and we'll hold tickets for you if seats free up.";
+    }
+
+    panel.classList.toggle('hidden', !message);
+    setText('waitlist-message', message);
+
+    const showJoin = canJoinWaitlist && signedIn && !queued && !offer;
+    document.getElementById('waitlist-join-controls').classList.toggle('hidden', !showJoin);
+    document.getElementById('leave-waitlist-button').classList.toggle('hidden', !queued);
+
+    const tierSelect = document.getElementById('waitlist-tier');
+    if (showJoin && tierSelect) {
+        tierSelect.innerHTML = tiers.map(tier => `<option value="${tier}">${TICKET_TIER_LABELS[tier]}</option>`).join('');
+        document.getElementById('waitlist-tier-group').classList.toggle('hidden', tiers.length < 2);
+    }
+}
+window.renderWaitlistPanel = renderWaitlistPanel;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const joinButton = document.getElementById('join-waitlist-button');
+    const leaveButton = document.getElementById('leave-waitlist-button');
+
+    if (joinButton) {
+        joinButton.addEventListener('click', async () => {
+            const quantity = parseInt(document.getElementById('waitlist-quantity').value, 10);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_TICKETS_PER_BOOKING) {
+                alert(`Please choose between 1 and ${MAX_TICKETS_PER_BOOKING} ticket(s).`);
+                return;
+            }
+            joinButton.disabled = true;
+            try {
+                await joinWaitlist(eventDetailsState.eventId, document.getElementById('waitlist-tier').value, quantity);
+            } catch (error) {
+                console.error("Error joining waitlist:", error);
+                alert(`Could not join the waitlist: ${error.message}`);
+            } finally {
+                joinButton.disabled = false;
+            }
+        });
+    }
+
+    if (leaveButton) {
+        leaveButton.addEventListener('click', async () => {
+            if (!confirm("Leave the waitlist? You will lose your place in the queue.")) return;
+            try {
+                await leaveWaitlist(eventDetailsState.eventId);
+            } catch (error) {
+                console.error("Error leaving waitlist:", error);
+                alert(`Could not leave the waitlist: ${error.message}`);
+            }
+        });
+    }
+});
@@ -0,0 +1,53 @@
+// UNIVISTA Cloud Functions entry point. Each feature lives in its own module under src/.
+
+const { initializeApp } = require('firebase-admin/app');
+
+initializeApp();
+
+const tickets = require('./src/tickets');
+const orders = require('./src/orders');
+const holds = require('./src/holds');
+const waitlist = require('./src/waitlist');
+const ticketChanges = require('./src/ticket-changes');
+const roster = require('./src/roster');
+const eventChanges = require('./src/event-changes');
+const calendar = require('./src/calendar');
+const crew = require('./src/crew');
+const audit = require('./src/audit');
+const notifications = require('./src/notifications');
+const notificationCenter = require('./src/notification-center');
+
+exports.issueTicketQr = tickets.issueTicketQr;
+exports.cancelTicket = ticketChanges.cancelTicket;
+exports.transferTicket = ticketChanges.transferTicket;
+exports.getAttendeeRoster = roster.getAttendeeRoster;
+exports.cancelEvent = eventChanges.cancelEvent;
+
+exports.createOrder = orders.createOrder;
+exports.payOrder = orders.payOrder;
+exports.completePaymentChallenge = orders.completePaymentChallenge;
+exports.releaseOrder = orders.releaseOrder;
+exports.releaseExpiredHolds = holds.releaseExpiredHolds;
+
+exports.offerReleasedSeats = waitlist.offerReleasedSeats;
+exports.expireWaitlistOffers = waitlist.expireWaitlistOffers;
+
+exports.calendarFeed = calendar.calendarFeed;
+exports.calendarFeedUrl = calendar.calendarFeedUrl;
+exports.bumpCalendarSequence = calendar.bumpCalendarSequence;
+
+exports.setCrewAccess = crew.setCrewAccess;
+exports.revokeCrewAccess = crew.revokeCrewAccess;
+exports.applyCrewInvite = crew.applyCrewInvite;
+exports.claimCrewInvite = crew.claimCrewInvite;
+
+exports.auditEventChanges = audit.auditEventChanges;
+exports.auditRoleChanges = audit.auditRoleChanges;
+
+exports.notifyEventSubmitted = notifications.notifyEventSubmitted;
+exports.notifyEventChanges = notifications.notifyEventChanges;
+exports.notifyTicketPurchased = notifications.notifyTicketPurchased;
+exports.sendEventReminders = notifications.sendEventReminders;
+
+exports.notifyCenterEventChanges = notificationCenter.notifyCenterEventChanges;
+exports.notifyCenterWaitlistOffer = notificationCenter.notifyCenterWaitlistOffer;
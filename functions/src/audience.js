@@ -0,0 +1,95 @@
+// functions/src/audience.js - Who may book an event. Mirrors isTargetMember / canAttendEvent in
+// js/event-repository.js: Guests/Public events are open to everyone, the rest only to university
+// members of their target faculties (all faculties when none are set).
+
+const { HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const UNIVERSITY_WIDE = 'University Wide';
+
+// Canonical faculty names and the long spellings register.html stores (js/event-repository.js)
+const FACULTIES = [
+    'Science', 'Art', 'Medicine', 'Law', 'Management & Finance',
+    'Technology', 'Nursing', 'Indigenous Medicine', 'Education',
+    'Sri Palee Drama', 'UCSC'
+];
+const FACULTY_ALIASES = {
+    'faculty of science': 'Science',
+    'faculty of art': 'Art',
+    'faculty of arts': 'Art',
+    'faculty of medicine': 'Medicine',
+    'faculty of law': 'Law',
+    'faculty of management and financial': 'Management & Finance',
+    'faculty of management and finance': 'Management & Finance',
+    'faculty of technology': 'Technology',
+    'faculty of nursing': 'Nursing',
+    'faculty of indigenous medicine': 'Indigenous Medicine',
+    'faculty of education': 'Education',
+    'sripalee campus': 'Sri Palee Drama',
+    'university of colombo school of computing': 'UCSC',
+    'all-university': UNIVERSITY_WIDE,
+    'university wide': UNIVERSITY_WIDE
+};
+
+function normalizeFaculty(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    const lower = name.trim().toLowerCase();
+    return FACULTIES.find(f => f.toLowerCase() === lower) || FACULTY_ALIASES[lower] || null;
+}
+
+/** The signed-in caller's 'users' profile, or null for guests. */
+async function loadProfile(uid) {
+    if (!uid) return null;
+    const doc = await getFirestore().collection('users').doc(uid).get();
+    return doc.exists ? doc.data() : null;
+}
+
+function isUniversityMember(profile) {
+    return !!profile && profile.role !== 'guest' && !!normalizeFaculty(profile.faculty);
+}
+
+/**
+ * The event's audience block. Events migrated to the canonical schema all have one; anything
+ * older is treated as open to everyone, as it was before audiences were enforced.
+ */
+function audienceOf(event) {
+    const audience = event.audience || {};
+    return {
+        members: audience.members !== false,
+        guests: event.audience ? !!audience.guests : true,
+        targetFaculties: (audience.targetFaculties || []).map(f => normalizeFaculty(f) || f)
+    };
+}
+
+function isTargetMember(event, profile) {
+    const audience = audienceOf(event);
+    if (!audience.members || !isUniversityMember(profile)) return false;
+    const targets = audience.targetFaculties;
+    return targets.length === 0 || targets.includes(UNIVERSITY_WIDE) || targets.includes(normalizeFaculty(profile.faculty));
+}
+
+function canAttendEvent(event, profile) {
+    return audienceOf(event).guests || isTargetMember(event, profile);
+}
+
+/**
+ * Throws unless the profile's holder is in the event's audience.
+ * @param {string} who - How the error refers to the person, e.g. 'You are' or 'The recipient is'.
+ */
+function assertCanAttend(event, profile, who = 'You are') {
+    if (canAttendEvent(event, profile)) return;
+    const targets = audienceOf(event).targetFaculties.filter(f => f !== UNIVERSITY_WIDE);
+    const audience = targets.length > 0 ? `university members of ${targets.join(', ')}` : 'university members';
+    throw new HttpsError('permission-denied', `${who} not in this event's audience: it is for ${audience} only.`);
+}
+
+module.exports = {
+    UNIVERSITY_WIDE,
+    FACULTIES,
+    normalizeFaculty,
+    loadProfile,
+    isUniversityMember,
+    isTargetMember,
+    canAttendEvent,
+    assertCanAttend
+};
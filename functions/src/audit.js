@@ -0,0 +1,198 @@
+// functions/src/audit.js - Append-only audit log of moderation and admin actions ('auditLog', read
+// on audit-log.html). Event and user changes are logged by triggers, so nothing that writes them
+// has to remember to; the actor is the signed-in user behind a client write, or the admin recorded
+// on the profile for crew changes made through functions/src/crew.js. Refunds are logged where they
+// happen. firestore.rules lets admins read the log and nobody write to it.
+//
+// Entry: { action, actorUid, actorName, actorEmail, targetType, targetId, eventId, eventTitle,
+//          faculties, before, after, reason, at }
+
+const { onDocumentWrittenWithAuthContext } = require('firebase-functions/v2/firestore');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+
+const AUDIT_ACTIONS = [
+    'event.created', 'event.status', 'event.edited', 'event.tickets', 'event.deleted',
+    'user.role', 'ticket.refunded', 'order.refunded'
+];
+
+// What an organizer or admin edits on an event (js/event-repository.js, toEventDocument)
+const EVENT_CONTENT_FIELDS = [
+    'title', 'description', 'category', 'faculty', 'date', 'time', 'location', 'contact',
+    'posterURL', 'audience', 'cancellationCutoffHours', 'payoutAccount'
+];
+// Logged as changed, without the values
+const HIDDEN_FIELDS = ['payoutAccount'];
+// Capacity and prices. Seats sold or released by checkout are in 'orders', so availability is only
+// logged when a signed-in user changes it directly.
+const TICKET_FIELDS = ['tiers.member.quota', 'tiers.general.quota', 'totalTickets',
+    'tiers.member.price', 'tiers.general.price', 'ticketPrice'];
+const AVAILABILITY_FIELDS = ['tiers.member.available', 'tiers.general.available', 'availableTickets'];
+
+function valueAt(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/** Compares stored values: Timestamps by time, maps regardless of key order. */
+function stableValue(value) {
+    if (value && typeof value.toMillis === 'function') return `ts:${value.toMillis()}`;
+    if (Array.isArray(value)) return value.map(stableValue);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: stableValue(value[key]) }), {});
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * The fields that differ between two versions, as { before: {...}, after: {...} }, or null.
+ */
+function diffFields(before, after, fields) {
+    const changed = fields.filter(field =>
+        JSON.stringify(stableValue(valueAt(before, field))) !== JSON.stringify(stableValue(valueAt(after, field))));
+    if (changed.length === 0) return null;
+    const pick = data => changed.reduce((result, field) => ({
+        ...result,
+        [field]: HIDDEN_FIELDS.includes(field) ? '(hidden)' : (valueAt(data, field) === undefined ? null : valueAt(data, field))
+    }), {});
+    return { before: pick(before), after: pick(after) };
+}
+
+/**
+ * Appends an entry. 'id' makes a retried trigger write the same entry once.
+ * Actor name and email, and the event's title and faculty, are filled in when missing.
+ */
+async function recordAudit(entry, id) {
+    const db = getFirestore();
+    const [actor, event] = await Promise.all([
+        entry.actorUid ? db.collection('users').doc(entry.actorUid).get() : null,
+        entry.eventId && !entry.eventTitle ? db.collection('events').doc(entry.eventId).get() : null
+    ]);
+    const actorData = actor && actor.exists ? actor.data() : {};
+    const eventData = event && event.exists ? event.data() : {};
+
+    const ref = id ? db.collection('auditLog').doc(id) : db.collection('auditLog').doc();
+    try {
+        await ref.create({
+            action: entry.action,
+            actorUid: entry.actorUid || null,
+            actorName: actorData.name || null,
+            actorEmail: actorData.email || null,
+            targetType: entry.targetType,
+            targetId: entry.targetId,
+            eventId: entry.eventId || null,
+            eventTitle: entry.eventTitle || eventData.title || null,
+            faculties: entry.faculties || (eventData.faculty ? [eventData.faculty] : []),
+            before: entry.before === undefined ? null : entry.before,
+            after: entry.after === undefined ? null : entry.after,
+            reason: entry.reason || null,
+            at: FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        if (error.code === 6) return; // ALREADY_EXISTS: a retry of an entry already written
+        throw error;
+    }
+}
+
+/** The user behind a client write, or null for server and console writes. */
+function clientActor(event) {
+    return event.authType === 'app_user' ? event.authId || null : null;
+}
+
+/**
+ * Why an event's status changed: the rejection or cancellation reason, or the revision a
+ * resubmission brought.
+ */
+function statusReason(before, after) {
+    if (after.status === 'rejected') return after.rejectionReason || null;
+    if (after.status === 'cancelled') return after.cancellationReason || null;
+    if (before.status === 'changes_requested' && after.status === 'pending') return `Resubmitted as revision ${after.revision || 2}`;
+    return null;
+}
+
+// =========================================================================
+// --- Triggers ---
+// =========================================================================
+
+/**
+ * Logs event submissions, status changes, edits, ticket adjustments and deletions.
+ */
+const auditEventChanges = onDocumentWrittenWithAuthContext('events/{eventId}', async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    const eventId = event.params.eventId;
+    const actorUid = clientActor(event);
+    const current = after || before;
+    const base = {
+        actorUid,
+        targetType: 'event',
+        targetId: eventId,
+        eventId,
+        eventTitle: current.title,
+        faculties: [...new Set([before && before.faculty, after && after.faculty].filter(Boolean))]
+    };
+
+    if (!before) {
+        return recordAudit({ ...base, actorUid: actorUid || after.postedByUid, action: 'event.created', after: { status: after.status } }, `${event.id}-created`);
+    }
+    if (!after) {
+        return recordAudit({ ...base, action: 'event.deleted', before: { status: before.status, title: before.title } }, `${event.id}-deleted`);
+    }
+
+    const writes = [];
+    if (before.status !== after.status) {
+        writes.push(recordAudit({
+            ...base,
+            // Moderation records its reviewer, cancellation (functions/src/event-changes.js) who cancelled;
+            // resubmissions are the submitter's
+            actorUid: actorUid
+                || (after.status === 'cancelled' ? after.cancelledBy : null)
+                || (after.reviewedBy !== before.reviewedBy ? after.reviewedBy : null),
+            action: 'event.status',
+            before: { status: before.status },
+            after: { status: after.status },
+            reason: statusReason(before, after)
+        }, `${event.id}-status`));
+    }
+    const edited = diffFields(before, after, EVENT_CONTENT_FIELDS);
+    if (edited) writes.push(recordAudit({ ...base, action: 'event.edited', ...edited }, `${event.id}-edited`));
+
+    const ticketFields = actorUid ? [...TICKET_FIELDS, ...AVAILABILITY_FIELDS] : TICKET_FIELDS;
+    const tickets = diffFields(before, after, ticketFields);
+    if (tickets) writes.push(recordAudit({ ...base, action: 'event.tickets', ...tickets }, `${event.id}-tickets`));
+    await Promise.all(writes);
+});
+
+/**
+ * Logs role and crew faculty changes. Changes made outside the app (the Firebase console) have no actor.
+ */
+const auditRoleChanges = onDocumentWrittenWithAuthContext('users/{uid}', async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : {};
+    const after = event.data.after.exists ? event.data.after.data() : {};
+    const changed = diffFields(before, after, ['role', 'crewFaculties']);
+    // A new profile starting as a plain user is a registration, not a role change
+    if (!changed || (!event.data.before.exists && after.role === 'user' && !after.crewFaculties)) return;
+
+    let actorUid = clientActor(event);
+    if (!actorUid && after.crewGrantedAt && !(before.crewGrantedAt && before.crewGrantedAt.isEqual(after.crewGrantedAt))) {
+        actorUid = after.crewGrantedBy;
+    } else if (!actorUid && after.crewRevokedAt && !(before.crewRevokedAt && before.crewRevokedAt.isEqual(after.crewRevokedAt))) {
+        actorUid = after.crewRevokedBy;
+    }
+
+    await recordAudit({
+        action: 'user.role',
+        actorUid,
+        targetType: 'user',
+        targetId: event.params.uid,
+        faculties: [...new Set([...(before.crewFaculties || []), ...(after.crewFaculties || [])])],
+        reason: actorUid ? null : 'Changed outside the app',
+        ...changed
+    }, `${event.id}-role`);
+});
+
+module.exports = {
+    AUDIT_ACTIONS,
+    recordAudit,
+    auditEventChanges,
+    auditRoleChanges
+};
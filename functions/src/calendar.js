@@ -0,0 +1,300 @@
+// functions/src/calendar.js - iCalendar (.ics) downloads and subscribable feeds.
+// Served by Firebase Hosting under /calendar/ (see the rewrite in firebase.json):
+//   /calendar/event/{eventId}.ics         - one event ("Add to calendar" on event-details.html)
+//   /calendar/faculty/{faculty}.ics       - a faculty's approved events, University Wide ones included
+//   /calendar/user/{uid}/{token}.ics      - the events a user holds tickets for
+// Every event keeps the same UID in every file, and bumpCalendarSequence raises its SEQUENCE
+// whenever something calendar apps show changes, so subscribed calendars update in place and
+// withdrawn events or cancelled tickets come through as STATUS:CANCELLED.
+
+const crypto = require('crypto');
+const { onRequest, onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+
+// Set with `firebase functions:secrets:set CALENDAR_FEED_SECRET`. Changing it breaks every personal feed URL.
+const CALENDAR_FEED_SECRET = defineSecret('CALENDAR_FEED_SECRET');
+
+// Mirror js/event-repository.js
+const UNIVERSITY_WIDE = 'University Wide';
+
+// Events have no end time; calendar apps get this default length for timed events.
+const DEFAULT_EVENT_DURATION = 'PT2H';
+// How far back feeds go
+const FEED_HISTORY_DAYS = 90;
+const FEED_MAX_EVENTS = 500;
+const UID_DOMAIN = 'univista';
+
+// Fields a calendar app shows; changing any of them on a published event raises its SEQUENCE.
+const CALENDAR_FIELDS = ['title', 'description', 'location', 'date', 'time', 'status'];
+
+// =========================================================================
+// --- 1. ICS FORMATTING (RFC 5545) ---
+// =========================================================================
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/** Splits a content line into 75-octet pieces, continued with a leading space. */
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const pieces = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char, 'utf8');
+        if (size + charSize > (pieces.length === 0 ? 75 : 74)) {
+            pieces.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    pieces.push(current);
+    return pieces.join('\r\n ');
+}
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function nextDay(dateString) {
+    const [y, m, d] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * The VEVENT lines for one event.
+ * @param {string} eventId
+ * @param {object} event - The 'events' document data.
+ * @param {object} options
+ * @param {string} options.siteUrl - Origin of the site, for the link back.
+ * @param {boolean} [options.cancelled] - Publish as cancelled (withdrawn event, cancelled ticket).
+ * @param {number} [options.sequenceOffset] - Added to the event's SEQUENCE.
+ * @returns {string[]|null} null if the event has no date.
+ */
+function eventLines(eventId, event, { siteUrl, cancelled = false, sequenceOffset = 0 }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(event.date || '')) return null;
+
+    const url = `${siteUrl}/event-details.html?id=${encodeURIComponent(eventId)}`;
+    const modified = (event.updatedAt || event.createdAt || Timestamp.now()).toDate();
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${eventId}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `LAST-MODIFIED:${formatUtc(modified)}`,
+        `SEQUENCE:${(event.calendarSequence || 0) + sequenceOffset}`
+    ];
+    if (event.time && event.startsAt) {
+        lines.push(`DTSTART:${formatUtc(event.startsAt.toDate())}`, `DURATION:${DEFAULT_EVENT_DURATION}`);
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`);
+    }
+    lines.push(
+        `SUMMARY:${escapeText(event.title)}`,
+        `DESCRIPTION:${escapeText([event.description, url].filter(Boolean).join('\n\n'))}`,
+        `LOCATION:${escapeText(event.location)}`,
+        `URL:${url}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+    if (event.faculty) lines.push(`CATEGORIES:${escapeText(event.faculty)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * A complete VCALENDAR file with CRLF line endings.
+ * @param {string} name - Shown as the calendar's name when subscribed.
+ * @param {string[][]} events - Results of eventLines().
+ * @returns {string}
+ */
+function buildCalendar(name, events) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//UNIVISTA//Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'X-WR-TIMEZONE:Asia/Colombo',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events.filter(Boolean).flat(),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// =========================================================================
+// --- 2. FEEDS ---
+// =========================================================================
+
+/** Personal feed URLs carry an HMAC of the user ID instead of a login, which calendar apps cannot do. */
+function feedToken(uid, secret) {
+    return crypto.createHmac('sha256', secret).update(`calendar|${uid}`).digest('base64url');
+}
+
+function tokenMatches(uid, token, secret) {
+    const expected = Buffer.from(feedToken(uid, secret));
+    const actual = Buffer.from(String(token || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/** Published events are approved, or were approved before (calendarWithdrawn). */
+function isPublished(event) {
+    return event.status === 'approved' || event.calendarWithdrawn === true;
+}
+
+async function eventFeed(eventId, siteUrl) {
+    const doc = await getFirestore().collection('events').doc(eventId).get();
+    if (!doc.exists || !isPublished(doc.data())) return null;
+    const event = doc.data();
+    return {
+        name: event.title,
+        body: buildCalendar(event.title, [eventLines(doc.id, event, { siteUrl, cancelled: event.status !== 'approved' })])
+    };
+}
+
+async function facultyFeed(faculty, siteUrl) {
+    const since = Timestamp.fromMillis(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const snapshot = await getFirestore().collection('events')
+        .where('faculty', 'in', [...new Set([faculty, UNIVERSITY_WIDE])])
+        .where('startsAt', '>=', since)
+        .orderBy('startsAt')
+        .limit(FEED_MAX_EVENTS)
+        .get();
+
+    const events = snapshot.docs
+        .filter(doc => isPublished(doc.data()))
+        .map(doc => eventLines(doc.id, doc.data(), { siteUrl, cancelled: doc.data().status !== 'approved' }));
+    const name = `UNIVISTA - ${faculty}`;
+    return { name, body: buildCalendar(name, events) };
+}
+
+async function userFeed(uid, siteUrl) {
+    const db = getFirestore();
+    const tickets = await db.collection('tickets').where('userId', '==', uid).get();
+
+    // One entry per event; it stays confirmed while any of the user's tickets for it is active
+    const activeByEvent = {};
+    tickets.docs.forEach(doc => {
+        const ticket = doc.data();
+        activeByEvent[ticket.eventId] = activeByEvent[ticket.eventId] || (ticket.status || 'active') === 'active';
+    });
+
+    const eventIds = Object.keys(activeByEvent);
+    const eventDocs = eventIds.length ? await db.getAll(...eventIds.map(id => db.collection('events').doc(id))) : [];
+    const events = eventDocs
+        .filter(doc => doc.exists)
+        .map(doc => {
+            const event = doc.data();
+            const ticketCancelled = !activeByEvent[doc.id];
+            return eventLines(doc.id, event, {
+                siteUrl,
+                cancelled: ticketCancelled || event.status !== 'approved',
+                // A ticket cancellation does not touch the event, so it needs its own revision
+                sequenceOffset: ticketCancelled ? 1 : 0
+            });
+        });
+    return { name: 'UNIVISTA - My tickets', body: buildCalendar('UNIVISTA - My tickets', events) };
+}
+
+function siteUrlFor(req) {
+    return `https://${req.get('x-forwarded-host') || req.get('host')}`;
+}
+
+/**
+ * Serves every .ics URL under /calendar/. Anything that does not exist, including a personal feed
+ * with the wrong token, is a plain 404.
+ */
+const calendarFeed = onRequest({ secrets: [CALENDAR_FEED_SECRET] }, async (req, res) => {
+    const parts = req.path.replace(/^\/+/, '').replace(/\.ics$/, '').split('/').map(decodeURIComponent);
+    if (parts[0] === 'calendar') parts.shift();
+    const siteUrl = siteUrlFor(req);
+
+    try {
+        let feed = null;
+        let personal = false;
+        if (parts[0] === 'event' && parts.length === 2) {
+            feed = await eventFeed(parts[1], siteUrl);
+        } else if (parts[0] === 'faculty' && parts.length === 2) {
+            feed = await facultyFeed(parts[1], siteUrl);
+        } else if (parts[0] === 'user' && parts.length === 3 && tokenMatches(parts[1], parts[2], CALENDAR_FEED_SECRET.value())) {
+            feed = await userFeed(parts[1], siteUrl);
+            personal = true;
+        }
+
+        if (!feed) {
+            res.status(404).send('Calendar not found.');
+            return;
+        }
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', personal ? 'private, max-age=300' : 'public, max-age=300');
+        if (parts[0] === 'event') res.set('Content-Disposition', `attachment; filename="univista-${parts[1]}.ics"`);
+        res.send(feed.body);
+    } catch (error) {
+        logger.error(`Calendar feed ${req.path} failed.`, error);
+        res.status(500).send('Could not build the calendar.');
+    }
+});
+
+/**
+ * The caller's personal feed path, for the "Subscribe" link on profile.html.
+ * @returns {{path: string}}
+ */
+const calendarFeedUrl = onCall({ secrets: [CALENDAR_FEED_SECRET] }, async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to subscribe to your calendar.');
+    const uid = request.auth.uid;
+    return { path: `/calendar/user/${uid}/${feedToken(uid, CALENDAR_FEED_SECRET.value())}.ics` };
+});
+
+// =========================================================================
+// --- 3. SEQUENCE ---
+// =========================================================================
+
+/**
+ * Raises 'calendarSequence' when a published event changes in a way calendar apps show, and marks
+ * events that stop being approved as 'calendarWithdrawn' so feeds keep listing them as cancelled.
+ * Its own write changes no calendar field, so it does not trigger itself again.
+ */
+const bumpCalendarSequence = onDocumentUpdated('events/{eventId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status !== 'approved' && after.status !== 'approved') return;
+
+    const startsAtChanged = !!before.startsAt !== !!after.startsAt
+        || (!!before.startsAt && !before.startsAt.isEqual(after.startsAt));
+    const changed = startsAtChanged || CALENDAR_FIELDS.some(field => before[field] !== after[field]);
+    if (!changed) return;
+
+    await event.data.after.ref.update({
+        calendarSequence: FieldValue.increment(1),
+        calendarWithdrawn: after.status !== 'approved'
+    });
+});
+
+module.exports = {
+    CALENDAR_FEED_SECRET,
+    escapeText,
+    foldLine,
+    feedToken,
+    buildCalendar,
+    eventLines,
+    calendarFeed,
+    calendarFeedUrl,
+    bumpCalendarSequence
+};
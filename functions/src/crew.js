@@ -0,0 +1,168 @@
+// functions/src/crew.js - Crew access, managed by admins from admin.html. A crew member moderates
+// and checks in only the faculties in their profile's 'crewFaculties' (firestore.rules, isCrewOf).
+// Invites for addresses without a verified account wait in 'crewInvites/{email}' until that person
+// registers and verifies the address. Addresses are resolved through Firebase Auth, never through the
+// 'email' on a profile, so nobody can take up an invite for an address they cannot receive mail at.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const logger = require('firebase-functions/logger');
+const { UNIVERSITY_WIDE, normalizeFaculty, loadProfile } = require('./audience');
+
+async function requireAdmin(request) {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to manage crew access.');
+    const profile = await loadProfile(request.auth.uid);
+    if (!profile || profile.role !== 'admin') throw new HttpsError('permission-denied', 'Only admins can manage crew access.');
+    return request.auth.uid;
+}
+
+/**
+ * Canonical faculty names for an assignment. University Wide events belong to no faculty's crew.
+ */
+function readFaculties(faculties) {
+    const canonical = [...new Set((Array.isArray(faculties) ? faculties : []).map(normalizeFaculty))];
+    if (canonical.length === 0 || canonical.some(faculty => !faculty || faculty === UNIVERSITY_WIDE)) {
+        throw new HttpsError('invalid-argument', 'Choose at least one faculty.');
+    }
+    return canonical;
+}
+
+function inviteRef(email) {
+    return getFirestore().collection('crewInvites').doc(email.trim().toLowerCase());
+}
+
+/**
+ * The Auth account with this email address, or null.
+ * @returns {Promise<object|null>} Its UserRecord.
+ */
+async function findAccount(email) {
+    try {
+        return await getAuth().getUserByEmail(email.toLowerCase());
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') return null;
+        if (error.code === 'auth/invalid-email') throw new HttpsError('invalid-argument', 'That is not a valid email address.');
+        throw error;
+    }
+}
+
+function crewUpdate(faculties, grantedBy) {
+    return {
+        role: 'crew',
+        crewFaculties: faculties,
+        crewGrantedBy: grantedBy,
+        crewGrantedAt: FieldValue.serverTimestamp()
+    };
+}
+
+/**
+ * Applies the invite for a user's verified address, if there is one.
+ * @param {string} uid
+ * @returns {Promise<boolean>} Whether the user is now crew.
+ */
+async function applyInviteFor(uid) {
+    const account = await getAuth().getUser(uid);
+    if (!account.email || !account.emailVerified) return false;
+
+    const db = getFirestore();
+    const ref = inviteRef(account.email);
+    const userRef = db.collection('users').doc(uid);
+    const applied = await db.runTransaction(async (transaction) => {
+        const [invite, profile] = await Promise.all([transaction.get(ref), transaction.get(userRef)]);
+        if (!invite.exists || !profile.exists || profile.data().role === 'admin') return false;
+        transaction.update(userRef, crewUpdate(invite.data().faculties, invite.data().invitedBy));
+        transaction.delete(ref);
+        return true;
+    });
+    if (applied) logger.info(`Crew invite for ${account.email} applied to ${uid}.`);
+    return applied;
+}
+
+/**
+ * Makes a user crew for the given faculties, replacing any earlier assignment. Addresses without
+ * an account, or whose owner has not verified them yet, get an invite that is applied once they have
+ * (applyCrewInvite, claimCrewInvite).
+ * data: { email, faculties: string[] }
+ */
+const setCrewAccess = onCall(async (request) => {
+    const adminUid = await requireAdmin(request);
+    const email = String((request.data || {}).email || '').trim();
+    if (!email) throw new HttpsError('invalid-argument', 'Enter the email address of the crew member.');
+    const faculties = readFaculties((request.data || {}).faculties);
+
+    const account = await findAccount(email);
+    const profile = account && account.emailVerified ? await loadProfile(account.uid) : null;
+    if (!profile) {
+        await inviteRef(email).set({
+            email: email.toLowerCase(),
+            faculties,
+            invitedBy: adminUid,
+            invitedAt: FieldValue.serverTimestamp()
+        });
+        logger.info(`Crew invite for ${email} (${faculties.join(', ')}) by ${adminUid}.`);
+        return { status: 'invited', email, faculties, waitingFor: account ? 'verification' : 'registration' };
+    }
+    if (profile.role === 'admin') throw new HttpsError('failed-precondition', 'Admins already manage every faculty.');
+
+    const batch = getFirestore().batch();
+    batch.update(getFirestore().collection('users').doc(account.uid), crewUpdate(faculties, adminUid));
+    batch.delete(inviteRef(email));
+    await batch.commit();
+    logger.info(`${account.uid} is crew for ${faculties.join(', ')} (granted by ${adminUid}).`);
+    return { status: 'granted', uid: account.uid, email, faculties };
+});
+
+/**
+ * Takes crew access away from a user, or withdraws an invite that has not been used yet.
+ * data: { uid } or { email }
+ */
+const revokeCrewAccess = onCall(async (request) => {
+    const adminUid = await requireAdmin(request);
+    const { uid, email } = request.data || {};
+
+    if (typeof email === 'string' && email.trim()) {
+        await inviteRef(email).delete();
+        logger.info(`Crew invite for ${email} withdrawn by ${adminUid}.`);
+        return { status: 'withdrawn', email };
+    }
+    if (typeof uid !== 'string' || !uid) throw new HttpsError('invalid-argument', 'Missing user ID.');
+
+    const userRef = getFirestore().collection('users').doc(uid);
+    const user = await userRef.get();
+    if (!user.exists || user.data().role !== 'crew') throw new HttpsError('failed-precondition', 'That user is not crew.');
+
+    await userRef.update({
+        role: 'user',
+        crewFaculties: FieldValue.delete(),
+        crewRevokedBy: adminUid,
+        crewRevokedAt: FieldValue.serverTimestamp()
+    });
+    logger.info(`Crew access for ${uid} revoked by ${adminUid}.`);
+    return { status: 'revoked', uid };
+});
+
+/**
+ * Turns a pending invite into crew access when the invited address registers (js/auth.js), if the
+ * address is verified by then.
+ */
+const applyCrewInvite = onDocumentCreated('users/{uid}', async (event) => {
+    await applyInviteFor(event.params.uid);
+});
+
+/**
+ * Takes up the invite for the caller's address once they have verified it. The crew login
+ * (js/auth.js) calls this for signed-in users who are not crew yet.
+ * @returns {Promise<{applied: boolean}>}
+ */
+const claimCrewInvite = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to take up a crew invite.');
+    return { applied: await applyInviteFor(request.auth.uid) };
+});
+
+module.exports = {
+    setCrewAccess,
+    revokeCrewAccess,
+    applyCrewInvite,
+    claimCrewInvite
+};
@@ -0,0 +1,160 @@
+// functions/src/email-templates.js - Subject, HTML and plain-text body of every notification email
+// sent by functions/src/notifications.js. Each template returns the parts of a message; render()
+// lays them out the same way in both formats.
+
+const BRAND = 'UNIVISTA';
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function when(event) {
+    return [event.date, event.time].filter(Boolean).join(' at ');
+}
+
+/** The usual event facts, as [label, value] rows. */
+function eventDetails(event) {
+    return [
+        ['Event', event.title],
+        ['When', when(event)],
+        ['Where', event.location],
+        ['Faculty', event.faculty]
+    ].filter(([, value]) => value);
+}
+
+// Each template gets { event, siteUrl, ... } and returns
+// { subject, heading, paragraphs: string[], details?: [label, value][], list?: string[], action?: { label, url }, qrCid? }
+const TEMPLATES = {
+    submission_received: ({ event, siteUrl }) => ({
+        subject: `We received "${event.title}"`,
+        heading: (event.revision || 1) > 1 ? 'Your changes were resubmitted' : 'Your event was submitted',
+        paragraphs: [
+            `Thanks for submitting "${event.title}". The ${event.faculty} crew will review it and you will hear from us once they decide.`
+        ],
+        details: eventDetails(event),
+        action: { label: 'Track your submissions', url: `${siteUrl}/profile.html` }
+    }),
+
+    event_approved: ({ event, siteUrl, eventId }) => ({
+        subject: `"${event.title}" is approved`,
+        heading: 'Your event is live',
+        paragraphs: [`Good news: "${event.title}" has been approved and is now listed on ${BRAND}.`],
+        details: eventDetails(event),
+        action: { label: 'View your event', url: `${siteUrl}/event-details.html?id=${eventId}` }
+    }),
+
+    event_rejected: ({ event, siteUrl }) => ({
+        subject: `"${event.title}" was not approved`,
+        heading: 'Your event was not approved',
+        paragraphs: [
+            `The crew reviewed "${event.title}" and decided not to approve it.`,
+            event.rejectionReason ? `Reason: ${event.rejectionReason}` : 'No reason was given.'
+        ],
+        action: { label: 'See the feedback', url: `${siteUrl}/profile.html` }
+    }),
+
+    changes_requested: ({ event, siteUrl, comments = [] }) => ({
+        subject: `Changes requested for "${event.title}"`,
+        heading: 'The crew asked for changes',
+        paragraphs: [`Before "${event.title}" can be approved, the crew would like you to change a few things:`],
+        list: comments.map(comment => `${comment.fieldLabel}: ${comment.text}`),
+        action: { label: 'Edit and resubmit', url: `${siteUrl}/profile.html` }
+    }),
+
+    ticket_purchased: ({ event, siteUrl, ticket }) => ({
+        subject: `Your tickets for "${event.title}"`,
+        heading: 'Your booking is confirmed',
+        paragraphs: [
+            `Thanks for booking. Show the attached QR code at the door; it admits ${ticket.ticketCount} ${ticket.ticketCount === 1 ? 'person' : 'people'}.`
+        ],
+        details: [
+            ...eventDetails(event),
+            ['Ticket', ticket.ticketId],
+            ['Tickets', `${ticket.ticketCount} x ${ticket.tier === 'member' ? 'University Member' : 'General'}`],
+            ['Paid', `Rs. ${Number(ticket.amountPaid || 0).toFixed(2)}`]
+        ],
+        qrCid: 'ticket-qr',
+        action: { label: 'View event', url: `${siteUrl}/event-details.html?id=${ticket.eventId}` }
+    }),
+
+    event_changed: ({ event, siteUrl, eventId, changes = [] }) => ({
+        subject: `"${event.title}" has changed`,
+        heading: 'An event you are going to has changed',
+        paragraphs: ['The organizers updated the event. Your tickets are still valid.'],
+        list: changes,
+        details: eventDetails(event),
+        action: { label: 'View event', url: `${siteUrl}/event-details.html?id=${eventId}` }
+    }),
+
+    event_cancelled: ({ event, siteUrl }) => ({
+        subject: `"${event.title}" is cancelled`,
+        heading: 'An event you booked is cancelled',
+        paragraphs: [
+            `"${event.title}" will not take place as planned.`,
+            event.cancellationReason ? `Reason: ${event.cancellationReason}` : null,
+            // Cancelled by its organizers (functions/src/event-changes.js) rather than withdrawn by an admin
+            event.status === 'cancelled'
+                ? 'Your tickets have been cancelled. Paid tickets are refunded to the card you paid with.'
+                : 'If you paid for your tickets, you can cancel them from your profile for a refund.'
+        ].filter(Boolean),
+        details: eventDetails(event),
+        action: { label: 'Your tickets', url: `${siteUrl}/profile.html` }
+    }),
+
+    event_reminder: ({ event, siteUrl, eventId }) => ({
+        subject: `Tomorrow: ${event.title}`,
+        heading: 'See you tomorrow',
+        paragraphs: [`A reminder that "${event.title}" is tomorrow. Have your QR code ready at the door.`],
+        details: eventDetails(event),
+        action: { label: 'View event', url: `${siteUrl}/event-details.html?id=${eventId}` }
+    })
+};
+
+/**
+ * Builds a message from a template.
+ * @param {string} type - A key of TEMPLATES.
+ * @param {object} data - What the template needs; always { event, siteUrl }.
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function render(type, data) {
+    const template = TEMPLATES[type];
+    if (!template) throw new Error(`No email template "${type}".`);
+    const parts = template(data);
+    const footer = `You get this email because of your ${BRAND} account or booking. `
+        + `Choose which emails you get on your profile: ${data.siteUrl}/profile.html`;
+
+    const html = `<!DOCTYPE html>
+<html><body style="font-family: Arial, sans-serif; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px;">
+<div style="max-width: 600px; margin: 0 auto; background-color: #fff; border-radius: 8px; padding: 24px;">
+<p style="font-weight: bold; color: #007bff; margin: 0 0 16px;">${BRAND}</p>
+<h1 style="font-size: 22px; margin: 0 0 16px;">${escapeHtml(parts.heading)}</h1>
+${parts.paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n')}
+${parts.list && parts.list.length ? `<ul>${parts.list.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+${parts.details ? `<table style="border-collapse: collapse; margin: 16px 0;">${parts.details.map(([label, value]) =>
+        `<tr><td style="padding: 4px 12px 4px 0; color: #777;">${escapeHtml(label)}</td><td style="padding: 4px 0;">${escapeHtml(value)}</td></tr>`).join('')}</table>` : ''}
+${parts.qrCid ? `<p><img src="cid:${parts.qrCid}" alt="Ticket QR code" width="220" height="220"></p>` : ''}
+${parts.action ? `<p><a href="${escapeHtml(parts.action.url)}" style="display: inline-block; background-color: #007bff; color: #fff; padding: 10px 18px; border-radius: 5px; text-decoration: none;">${escapeHtml(parts.action.label)}</a></p>` : ''}
+<p style="font-size: 12px; color: #999; margin-top: 24px;">${escapeHtml(footer)}</p>
+</div>
+</body></html>`;
+
+    const text = [
+        parts.heading,
+        '',
+        ...parts.paragraphs,
+        ...(parts.list && parts.list.length ? ['', ...parts.list.map(item => `- ${item}`)] : []),
+        ...(parts.details ? ['', ...parts.details.map(([label, value]) => `${label}: ${value}`)] : []),
+        ...(parts.qrCid ? ['', 'Your QR code is attached.'] : []),
+        ...(parts.action ? ['', `${parts.action.label}: ${parts.action.url}`] : []),
+        '',
+        '--',
+        footer
+    ].join('\n');
+
+    return { subject: `${BRAND}: ${parts.subject}`, html, text };
+}
+
+module.exports = {
+    TEMPLATES,
+    render
+};
@@ -0,0 +1,121 @@
+// functions/src/event-changes.js - Cancelling a published event, by its submitter, the crew of its
+// faculty or an admin. Edits to a live event are client writes (js/event-editing.js, checked by
+// firestore.rules); cancelling is done here because it touches everyone's tickets and money.
+// The event moves to 'cancelled', which stops sales (createOrder and ticket issuing only accept
+// approved events), checkouts in progress are released, and every active ticket is cancelled
+// and refunded. Ticket holders are told by functions/src/notifications.js and notification-center.js.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { loadProfile } = require('./audience');
+const { isCrewOf } = require('./roster');
+const { releaseHold } = require('./holds');
+const { orderRefundUpdate, refundTicket } = require('./ticket-changes');
+
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Cancels and refunds one ticket of a cancelled event. Seats are not given back - there is nothing
+ * left to sell. A ticket cancelled by an earlier attempt only has its refund retried.
+ * @returns {Promise<string>} The ticket's paymentStatus afterwards.
+ */
+async function cancelTicketOfEvent(ticketRef, actorUid) {
+    const db = getFirestore();
+    const ticket = await db.runTransaction(async (transaction) => {
+        const current = (await transaction.get(ticketRef)).data();
+        if (current.status === 'cancelled') return current;
+        const orderRef = current.orderId ? db.collection('orders').doc(current.orderId) : null;
+        const order = orderRef ? (await transaction.get(orderRef)).data() : null;
+
+        const paymentStatus = current.amountPaid > 0 ? 'refund_pending' : 'refunded';
+        transaction.update(ticketRef, {
+            status: 'cancelled',
+            cancelledAt: FieldValue.serverTimestamp(),
+            cancelledWithEvent: true,
+            paymentStatus
+        });
+        if (order) transaction.update(orderRef, orderRefundUpdate(order, current.amountPaid));
+        return { ...current, status: 'cancelled', cancelledWithEvent: true, paymentStatus };
+    });
+    // Tickets the holder cancelled themselves were refunded by cancelTicket
+    if (!ticket.cancelledWithEvent) return ticket.paymentStatus;
+    return refundTicket(ticketRef.id, ticket, { actorUid, reason: 'Event cancelled' });
+}
+
+/**
+ * Cancels an approved event and refunds its ticket holders. Calling it again for a cancelled event
+ * retries the refunds that did not go through.
+ * data: { eventId, reason }
+ * @returns {Promise<{eventId: string, cancelled: number, refunded: number, failed: number}>}
+ */
+const cancelEvent = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to cancel an event.');
+    const uid = request.auth.uid;
+    const { eventId } = request.data || {};
+    const reason = String((request.data && request.data.reason) || '').trim();
+    if (typeof eventId !== 'string' || !eventId) throw new HttpsError('invalid-argument', 'Missing event ID.');
+    if (!reason) throw new HttpsError('invalid-argument', 'Tell ticket holders why the event is cancelled.');
+    if (reason.length > MAX_REASON_LENGTH) {
+        throw new HttpsError('invalid-argument', `The reason must be ${MAX_REASON_LENGTH} characters or fewer.`);
+    }
+
+    const db = getFirestore();
+    const eventRef = db.collection('events').doc(eventId);
+    const profile = await loadProfile(uid);
+
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(eventRef);
+        if (!doc.exists) throw new HttpsError('not-found', 'That event does not exist.');
+        const event = doc.data();
+        const isOrganizer = (event.postedByUid || event.postedByUID) === uid;
+        const isAdmin = !!profile && profile.role === 'admin';
+        if (!isOrganizer && !isAdmin && !isCrewOf(profile, event.faculty)) {
+            throw new HttpsError('permission-denied', 'Only the organizer and the faculty crew can cancel this event.');
+        }
+        if (event.status === 'cancelled') return;
+        if (event.status !== 'approved') {
+            throw new HttpsError('failed-precondition', 'Only published events can be cancelled.');
+        }
+        if (event.startsAt && event.startsAt.toMillis() < Date.now()) {
+            throw new HttpsError('failed-precondition', 'This event has already taken place.');
+        }
+        transaction.update(eventRef, {
+            status: 'cancelled',
+            cancellationReason: reason,
+            cancelledBy: uid,
+            cancelledAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+    });
+
+    // Checkouts still waiting for payment lose their seats and cannot be paid any more
+    const openOrders = await db.collection('orders')
+        .where('eventId', '==', eventId)
+        .where('status', '==', 'created')
+        .get();
+    await Promise.all(openOrders.docs.map(doc => releaseHold(doc.id, 'event_cancelled')));
+
+    const tickets = await db.collection('tickets').where('eventId', '==', eventId).get();
+    const summary = { eventId, cancelled: 0, refunded: 0, failed: 0 };
+    for (const doc of tickets.docs) {
+        const ticket = doc.data();
+        if ((ticket.status || 'active') !== 'active' && !ticket.cancelledWithEvent) continue;
+        summary.cancelled++;
+        try {
+            const paymentStatus = await cancelTicketOfEvent(doc.ref, uid);
+            if (paymentStatus === 'refunded') summary.refunded++;
+            else summary.failed++;
+        } catch (error) {
+            logger.error(`Refund of ticket ${doc.id} for cancelled event ${eventId} failed.`, error);
+            summary.failed++;
+        }
+    }
+
+    logger.info(`Event ${eventId} cancelled by ${uid}:`, summary);
+    return summary;
+});
+
+module.exports = {
+    cancelEvent
+};
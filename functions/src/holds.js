@@ -0,0 +1,115 @@
+// functions/src/holds.js - Seat holds for checkout.
+// createOrder (functions/src/orders.js) takes the seats off the event when the order is created and
+// records a hold on the order. Paying converts the hold into tickets (functions/src/tickets.js);
+// a declined, cancelled or expired checkout releases the seats again.
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineInt } = require('firebase-functions/params');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+
+// How long seats stay held between "Proceed to Payment" and payment. Override in functions/.env.
+const CHECKOUT_HOLD_MINUTES = defineInt('CHECKOUT_HOLD_MINUTES', { default: 10 });
+
+const RELEASE_BATCH_SIZE = 200;
+
+/**
+ * The hold recorded on a new order.
+ * @returns {{status: string, expiresAt: Timestamp}}
+ */
+function newHold() {
+    return {
+        status: 'held',
+        expiresAt: Timestamp.fromMillis(Date.now() + CHECKOUT_HOLD_MINUTES.value() * 60 * 1000)
+    };
+}
+
+function holdHasExpired(order) {
+    return !!order.hold && order.hold.status === 'held' && order.hold.expiresAt.toMillis() <= Date.now();
+}
+
+/**
+ * Seat changes for an order's items, as an event update. 'direction' is -1 to take seats, +1 to give them back.
+ * @param {object[]} items - Order items: { tier, quantity }.
+ * @param {number} direction
+ * @returns {object}
+ */
+function seatUpdate(items, direction) {
+    const update = {
+        availableTickets: FieldValue.increment(direction * items.reduce((sum, item) => sum + item.quantity, 0)),
+        updatedAt: FieldValue.serverTimestamp()
+    };
+    items.forEach((item) => {
+        update[`tiers.${item.tier}.available`] = FieldValue.increment(direction * item.quantity);
+    });
+    return update;
+}
+
+/**
+ * Gives an unpaid order's held seats back to the event. An order still waiting for payment is
+ * failed with 'reason'; one that has already failed or been refunded keeps its status. Does nothing
+ * while a payment is being completed (authorized / paid) or once the hold was released or converted.
+ * @param {string} orderId
+ * @param {string} reason - Stored as the order's failureReason, e.g. 'hold_expired', 'cancelled', 'card_declined'.
+ * @returns {Promise<object>} The order after the release.
+ */
+async function releaseHold(orderId, reason) {
+    const db = getFirestore();
+    const orderRef = db.collection('orders').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const order = (await transaction.get(orderRef)).data();
+        if (['authorized', 'paid'].includes(order.status) || !order.hold || order.hold.status !== 'held') return order;
+
+        const eventRef = db.collection('events').doc(order.eventId);
+        const eventDoc = await transaction.get(eventRef);
+        if (eventDoc.exists) transaction.update(eventRef, seatUpdate(order.items, +1));
+
+        const update = {
+            'hold.status': 'released',
+            'hold.releasedAt': FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        };
+        const failing = order.status === 'created';
+        if (failing) {
+            Object.assign(update, {
+                status: 'failed',
+                failureReason: reason,
+                pendingAction: null,
+                statusHistory: FieldValue.arrayUnion({ status: 'failed', at: Timestamp.now() })
+            });
+        }
+        transaction.update(orderRef, update);
+        return failing
+            ? { ...order, status: 'failed', failureReason: reason, pendingAction: null, hold: { ...order.hold, status: 'released' } }
+            : { ...order, hold: { ...order.hold, status: 'released' } };
+    });
+}
+
+/**
+ * Safety net for abandoned checkouts (closed tabs, lost connections): every minute, release holds
+ * that have run out. Orders already authorized are left alone - their payment is being completed.
+ */
+const releaseExpiredHolds = onSchedule('every 1 minutes', async () => {
+    const expired = await getFirestore().collection('orders')
+        .where('hold.status', '==', 'held')
+        .where('hold.expiresAt', '<=', Timestamp.now())
+        .limit(RELEASE_BATCH_SIZE)
+        .get();
+
+    let released = 0;
+    for (const doc of expired.docs) {
+        const order = await releaseHold(doc.id, 'hold_expired');
+        if (order.hold.status === 'released') released++;
+    }
+    if (released > 0) logger.info(`Released ${released} expired checkout hold(s).`);
+});
+
+module.exports = {
+    CHECKOUT_HOLD_MINUTES,
+    newHold,
+    holdHasExpired,
+    seatUpdate,
+    releaseHold,
+    releaseExpiredHolds
+};
@@ -0,0 +1,211 @@
+// functions/src/notification-center.js - In-app notifications, shown under the bell in the navbar
+// (js/notification-center.js). Each user has their own 'users/{uid}/notifications', so the list and
+// its unread count follow them across devices. Submitters hear about moderation decisions, crew
+// about new and resubmitted events in their faculties and about changes to live events waiting for
+// their approval (js/event-editing.js), waitlisted users about seats offered to them and ticket
+// holders about changes to, or the cancellation of, an event they booked.
+//
+// Notification: { type, title, body, link, eventId, read, createdAt }. Users may only mark their
+// own as read (firestore.rules); everything else is written here.
+
+const { onDocumentWritten, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { NOTIFIED_FIELDS, notifiedTickets } = require('./notifications');
+
+// Mirrored in js/notification-center.js (icons)
+const CENTER_NOTIFICATION_TYPES = [
+    'event_approved', 'event_rejected', 'changes_requested', 'submission_pending',
+    'waitlist_offer', 'event_changed', 'event_cancelled', 'live_changes_pending', 'live_changes_decided'
+];
+
+/**
+ * Adds one notification to each user's list. 'key' is the document ID, so a retried trigger
+ * does not notify anyone twice.
+ * @param {string[]} uids
+ * @param {string} key
+ * @param {{type: string, title: string, body: string, link: string, eventId: string}} notification
+ */
+async function notifyUsers(uids, key, notification) {
+    const db = getFirestore();
+    const recipients = [...new Set(uids.filter(uid => uid && !uid.startsWith('GUEST_')))];
+    const results = await Promise.allSettled(recipients.map(uid =>
+        db.collection('users').doc(uid).collection('notifications').doc(key).create({
+            ...notification,
+            read: false,
+            createdAt: FieldValue.serverTimestamp()
+        })));
+    results.forEach((result, i) => {
+        // ALREADY_EXISTS: a retry of a notification already delivered
+        if (result.status === 'rejected' && result.reason.code !== 6) {
+            logger.error(`Notification ${key} for ${recipients[i]} failed.`, result.reason);
+        }
+    });
+}
+
+/**
+ * Crew who moderate a faculty (firestore.rules, isCrewOf), including profiles from before
+ * crew assignments, which moderate their own faculty.
+ */
+async function crewOf(faculty) {
+    const users = getFirestore().collection('users');
+    const [assigned, legacy] = await Promise.all([
+        users.where('role', '==', 'crew').where('crewFaculties', 'array-contains', faculty).get(),
+        users.where('role', '==', 'crew').where('faculty', '==', faculty).get()
+    ]);
+    return [
+        ...assigned.docs.map(doc => doc.id),
+        ...legacy.docs.filter(doc => !doc.data().crewFaculties).map(doc => doc.id)
+    ];
+}
+
+/** Users holding a ticket for an event, see notifiedTickets. */
+async function ticketHolders(eventId, event) {
+    return (await notifiedTickets(eventId, event)).map(doc => doc.data().userId);
+}
+
+function queueLink(eventId, faculty) {
+    return `crew-manage-events.html?faculty=${encodeURIComponent(faculty)}&event=${encodeURIComponent(eventId)}`;
+}
+
+// =========================================================================
+// --- Triggers ---
+// =========================================================================
+
+/**
+ * Submissions, resubmissions and change requests go to the faculty's crew, decisions to the
+ * submitter, and changes to a published event to its ticket holders.
+ */
+const notifyCenterEventChanges = onDocumentWritten('events/{eventId}', async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    if (!after) return;
+    const eventId = event.params.eventId;
+    const details = { eventId, link: `event-details.html?id=${eventId}` };
+
+    if (!before) {
+        if (after.status !== 'pending') return;
+        return notifyUsers(await crewOf(after.faculty), `${event.id}-pending`, {
+            ...details,
+            type: 'submission_pending',
+            title: 'New submission to review',
+            body: `"${after.title}" is waiting in the ${after.faculty} queue.`,
+            link: queueLink(eventId, after.faculty)
+        });
+    }
+
+    if (before.status !== after.status) {
+        const reviewLink = `profile.html?review=${encodeURIComponent(eventId)}`;
+        if (after.status === 'approved') {
+            await notifyUsers([after.postedByUid], `${event.id}-approved`, {
+                ...details,
+                type: 'event_approved',
+                title: 'Your event is live',
+                body: `"${after.title}" has been approved.`
+            });
+        } else if (after.status === 'rejected') {
+            await notifyUsers([after.postedByUid], `${event.id}-rejected`, {
+                ...details,
+                type: 'event_rejected',
+                title: 'Your event was not approved',
+                body: after.rejectionReason ? `"${after.title}": ${after.rejectionReason}` : `"${after.title}" was rejected.`,
+                link: reviewLink
+            });
+        } else if (after.status === 'changes_requested') {
+            await notifyUsers([after.postedByUid], `${event.id}-changes`, {
+                ...details,
+                type: 'changes_requested',
+                title: 'Changes requested',
+                body: `The crew asked for changes to "${after.title}".`,
+                link: reviewLink
+            });
+        } else if (after.status === 'pending' && before.status === 'changes_requested') {
+            await notifyUsers(await crewOf(after.faculty), `${event.id}-resubmitted`, {
+                ...details,
+                type: 'submission_pending',
+                title: 'Resubmitted for review',
+                body: `"${after.title}" is back in the ${after.faculty} queue as revision ${after.revision || 2}.`,
+                link: queueLink(eventId, after.faculty)
+            });
+        }
+
+        if (before.status === 'approved') {
+            await notifyUsers(await ticketHolders(eventId, after), `${event.id}-cancelled`, {
+                ...details,
+                type: 'event_cancelled',
+                title: 'An event you booked is cancelled',
+                body: after.status === 'cancelled'
+                    ? `"${after.title}" is cancelled${after.cancellationReason ? `: ${after.cancellationReason}` : ''}. Paid tickets are refunded.`
+                    : `"${after.title}" will not take place as planned.`,
+                link: 'profile.html'
+            });
+        }
+        return;
+    }
+
+    // Changes to a live event's date, time, venue or prices wait for the crew (js/event-editing.js)
+    const request = after.changeRequest;
+    const previous = before.changeRequest;
+    const wasPending = !!previous && previous.status === 'pending';
+    if (request && request.status === 'pending'
+        && !(wasPending && previous.submittedAt && previous.submittedAt.isEqual(request.submittedAt))) {
+        await notifyUsers(await crewOf(after.faculty), `${event.id}-live-changes`, {
+            ...details,
+            type: 'live_changes_pending',
+            title: 'Changes to a live event',
+            body: `The organizer of "${after.title}" wants to change its ${request.changedFields.join(', ')}.`,
+            link: queueLink(eventId, after.faculty)
+        });
+    } else if (request && wasPending && request.status !== 'pending') {
+        await notifyUsers([after.postedByUid], `${event.id}-live-changes-decided`, {
+            ...details,
+            type: 'live_changes_decided',
+            title: request.status === 'approved' ? 'Your changes are live' : 'Your changes were not approved',
+            body: request.status === 'approved'
+                ? `The crew approved your changes to "${after.title}".`
+                : `"${after.title}" stays as it was${request.declineReason ? `: ${request.declineReason}` : '.'}`
+        });
+    }
+
+    if (after.status === 'approved') {
+        const changed = Object.entries(NOTIFIED_FIELDS)
+            .filter(([field]) => before[field] !== after[field])
+            .map(([, label]) => label.toLowerCase());
+        if (changed.length === 0) return;
+        await notifyUsers(await ticketHolders(eventId, after), `${event.id}-changed`, {
+            ...details,
+            type: 'event_changed',
+            title: 'An event you booked has changed',
+            body: `"${after.title}": new ${changed.join(', ')}.`
+        });
+    }
+});
+
+/**
+ * Tells a waitlisted user when seats are offered to them (functions/src/waitlist.js).
+ */
+const notifyCenterWaitlistOffer = onDocumentUpdated('events/{eventId}/waitlist/{uid}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'offered' || after.status !== 'offered') return;
+
+    const eventId = event.params.eventId;
+    const eventDoc = await getFirestore().collection('events').doc(eventId).get();
+    const title = eventDoc.exists ? eventDoc.data().title : 'an event';
+    const minutesLeft = Math.max(1, Math.round((after.offerExpiresAt.toMillis() - Date.now()) / 60000));
+    const seats = after.offeredQuantity === 1 ? '1 seat is' : `${after.offeredQuantity} seats are`;
+    await notifyUsers([event.params.uid], `${event.id}-offer`, {
+        type: 'waitlist_offer',
+        title: 'Seats are available for you',
+        body: `${seats} held for you at "${title}" for the next ${minutesLeft} minutes.`,
+        eventId,
+        link: `event-details.html?id=${eventId}`
+    });
+});
+
+module.exports = {
+    CENTER_NOTIFICATION_TYPES,
+    notifyUsers,
+    notifyCenterEventChanges,
+    notifyCenterWaitlistOffer
+};
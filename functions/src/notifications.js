@@ -0,0 +1,271 @@
+// functions/src/notifications.js - Transactional email. Submitters hear when their event is received
+// and reviewed; ticket holders get their QR code by email, notice of changes and cancellations, and a
+// reminder the day before. Messages come from functions/src/email-templates.js and go out over SMTP
+// (nodemailer). In the emulator, point SMTP_HOST / SMTP_PORT at a local catch-all such as Mailpit.
+//
+// Users turn each type off on profile.html ('emailPreferences' on their profile, type -> false).
+// Every message has a key in 'sentEmails', so a retried trigger or reminder run sends it only once.
+
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
+const { onDocumentCreated, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineString, defineInt, defineBoolean, defineSecret } = require('firebase-functions/params');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { render } = require('./email-templates');
+
+// Override in functions/.env (functions/.env.local for the emulator). Set the password with
+// `firebase functions:secrets:set SMTP_PASSWORD`; any value will do for a catch-all without auth.
+const SMTP_HOST = defineString('SMTP_HOST', { default: 'localhost' });
+const SMTP_PORT = defineInt('SMTP_PORT', { default: 1025 });
+const SMTP_SECURE = defineBoolean('SMTP_SECURE', { default: false });
+const SMTP_USER = defineString('SMTP_USER', { default: '' });
+const SMTP_PASSWORD = defineSecret('SMTP_PASSWORD');
+const MAIL_FROM = defineString('MAIL_FROM', { default: 'UNIVISTA <no-reply@univista.local>' });
+// Links in emails point here
+const SITE_URL = defineString('SITE_URL', { default: 'http://localhost:5000' });
+
+// Mirrored in profile.html (email settings)
+const NOTIFICATION_TYPES = [
+    'submission_received', 'event_approved', 'event_rejected', 'changes_requested',
+    'ticket_purchased', 'event_changed', 'event_cancelled', 'event_reminder'
+];
+
+// Changing any of these on an approved event tells its ticket holders (see CALENDAR_FIELDS in calendar.js),
+// by email and in the notification centre (functions/src/notification-center.js)
+const NOTIFIED_FIELDS = { title: 'Title', date: 'Date', time: 'Time', location: 'Location' };
+
+// Mirrors EVENT_REVIEW_FIELDS in js/review.js
+const REVIEW_FIELD_LABELS = {
+    general: 'General', title: 'Title', description: 'Description', category: 'Category',
+    date: 'Date', time: 'Time', location: 'Location', contact: 'Contact'
+};
+
+// The day-before reminder goes out for events starting this many hours from a run, give or take one run
+const REMINDER_LEAD_HOURS = 24;
+
+const MAIL_SECRETS = [SMTP_PASSWORD];
+
+let transport = null;
+
+function mailTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: SMTP_HOST.value(),
+            port: SMTP_PORT.value(),
+            secure: SMTP_SECURE.value(),
+            auth: SMTP_USER.value() ? { user: SMTP_USER.value(), pass: SMTP_PASSWORD.value() } : undefined
+        });
+    }
+    return transport;
+}
+
+// =========================================================================
+// --- Sending ---
+// =========================================================================
+
+/**
+ * Sends one notification, unless its recipient turned the type off or it was sent before.
+ * @param {object} message
+ * @param {string} message.type - One of NOTIFICATION_TYPES.
+ * @param {string} message.key - Unique per message; repeats with the same key are dropped.
+ * @param {string} [message.uid] - The recipient's account, for their address and preferences.
+ * @param {string} [message.to] - Address to use instead of the account's (guests have no account).
+ * @param {object} message.data - Template data (functions/src/email-templates.js).
+ * @param {object[]} [message.attachments] - nodemailer attachments.
+ * @returns {Promise<boolean>} Whether an email went out.
+ */
+async function sendNotification({ type, key, uid, to, data, attachments }) {
+    const db = getFirestore();
+    let address = to;
+    if (uid && !uid.startsWith('GUEST_')) {
+        const profile = await db.collection('users').doc(uid).get();
+        const preferences = (profile.exists && profile.data().emailPreferences) || {};
+        if (preferences[type] === false) return false;
+        address = address || (profile.exists ? profile.data().email : null);
+    }
+    if (!address) {
+        logger.warn(`No address for ${type} email ${key}.`);
+        return false;
+    }
+
+    // Claimed before sending, released again if the send fails so a retry can have another go
+    const sentRef = db.collection('sentEmails').doc(key);
+    try {
+        await sentRef.create({ type, to: address, sentAt: FieldValue.serverTimestamp() });
+    } catch (error) {
+        if (error.code === 6) return false; // ALREADY_EXISTS
+        throw error;
+    }
+
+    const message = render(type, { siteUrl: SITE_URL.value(), ...data });
+    try {
+        await mailTransport().sendMail({ from: MAIL_FROM.value(), to: address, ...message, attachments });
+    } catch (error) {
+        await sentRef.delete();
+        throw error;
+    }
+    logger.info(`Sent ${type} email ${key}.`);
+    return true;
+}
+
+/**
+ * The tickets whose holders hear about an event: the active ones, and once the event is cancelled
+ * the ones cancelled with it (functions/src/event-changes.js), which are usually cancelled already
+ * by the time a trigger gets to them.
+ * @param {string} eventId
+ * @param {object} event - The event as it is now.
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function notifiedTickets(eventId, event) {
+    const tickets = await getFirestore().collection('tickets').where('eventId', '==', eventId).get();
+    return tickets.docs.filter(doc => (doc.data().status || 'active') === 'active'
+        || (event.status === 'cancelled' && doc.data().cancelledWithEvent === true));
+}
+
+/**
+ * Emails every ticket holder of an event (notifiedTickets), once per ticket.
+ * @param {string} eventId
+ * @param {string} type
+ * @param {string} keyPrefix - Makes the keys unique to this change.
+ * @param {object} data - Includes the event.
+ */
+async function notifyTicketHolders(eventId, type, keyPrefix, data) {
+    const tickets = await notifiedTickets(eventId, data.event);
+    const results = await Promise.allSettled(tickets.map(doc => sendNotification({
+        type,
+        key: `${keyPrefix}-${doc.id}`,
+        uid: doc.data().userId,
+        to: doc.data().userEmail,
+        data: { ...data, eventId, ticket: doc.data() }
+    })));
+    results.filter(result => result.status === 'rejected')
+        .forEach(result => logger.error(`A ${type} email for event ${eventId} failed.`, result.reason));
+}
+
+/**
+ * The crew comments of the revision that was just sent back (js/review.js).
+ */
+async function requestedChanges(eventId, revision) {
+    const comments = await getFirestore().collection('events').doc(eventId).collection('comments')
+        .where('revision', '==', revision)
+        .where('authorRole', '==', 'crew')
+        .get();
+    return comments.docs
+        .map(doc => doc.data())
+        .sort((a, b) => (a.createdAt ? a.createdAt.toMillis() : 0) - (b.createdAt ? b.createdAt.toMillis() : 0))
+        .map(comment => ({ fieldLabel: REVIEW_FIELD_LABELS[comment.field] || 'General', text: comment.text }));
+}
+
+// =========================================================================
+// --- Triggers ---
+// =========================================================================
+
+const notifyEventSubmitted = onDocumentCreated({ document: 'events/{eventId}', secrets: MAIL_SECRETS }, async (event) => {
+    const data = event.data && event.data.data();
+    if (!data || data.status !== 'pending' || !data.postedByUid) return;
+    await sendNotification({
+        type: 'submission_received',
+        key: `${event.params.eventId}-submitted-1`,
+        uid: data.postedByUid,
+        data: { event: data, eventId: event.params.eventId }
+    });
+});
+
+/**
+ * Moderation outcomes go to the submitter; changes to a published event, or its withdrawal, to
+ * everyone holding a ticket.
+ */
+const notifyEventChanges = onDocumentUpdated({ document: 'events/{eventId}', secrets: MAIL_SECRETS }, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    const eventId = event.params.eventId;
+    const data = { event: after, eventId };
+
+    if (before.status !== after.status) {
+        const toSubmitter = (type, extra = {}) => sendNotification({
+            type,
+            key: `${event.id}-${type}`,
+            uid: after.postedByUid,
+            data: { ...data, ...extra }
+        });
+        if (after.status === 'approved' && before.status !== 'approved') await toSubmitter('event_approved');
+        if (after.status === 'rejected') await toSubmitter('event_rejected');
+        if (after.status === 'changes_requested') {
+            await toSubmitter('changes_requested', { comments: await requestedChanges(eventId, after.revision || 1) });
+        }
+        if (after.status === 'pending' && before.status === 'changes_requested') {
+            await sendNotification({
+                type: 'submission_received',
+                key: `${eventId}-submitted-${after.revision || 2}`,
+                uid: after.postedByUid,
+                data
+            });
+        }
+        if (before.status === 'approved') {
+            await notifyTicketHolders(eventId, 'event_cancelled', event.id, data);
+            return;
+        }
+    }
+
+    if (before.status === 'approved' && after.status === 'approved') {
+        const changes = Object.entries(NOTIFIED_FIELDS)
+            .filter(([field]) => before[field] !== after[field])
+            .map(([field, label]) => `${label}: ${before[field] || '-'} -> ${after[field] || '-'}`);
+        if (changes.length > 0) await notifyTicketHolders(eventId, 'event_changed', event.id, { ...data, changes });
+    }
+});
+
+/**
+ * Sends the booking confirmation with the ticket's QR code, once issueTicketQr has signed it.
+ */
+const notifyTicketPurchased = onDocumentUpdated({ document: 'tickets/{ticketId}', secrets: MAIL_SECRETS }, async (event) => {
+    const before = event.data.before.data();
+    const ticket = event.data.after.data();
+    if (before.qrCodeData || !ticket.qrCodeData) return;
+
+    const eventDoc = await getFirestore().collection('events').doc(ticket.eventId).get();
+    if (!eventDoc.exists) return;
+    await sendNotification({
+        type: 'ticket_purchased',
+        key: `${event.params.ticketId}-purchased`,
+        uid: ticket.userId,
+        to: ticket.userEmail,
+        data: { event: eventDoc.data(), eventId: ticket.eventId, ticket },
+        attachments: [{
+            filename: `${ticket.ticketId}.png`,
+            content: await QRCode.toBuffer(ticket.qrCodeData, { width: 440, margin: 2 }),
+            cid: 'ticket-qr'
+        }]
+    });
+});
+
+/**
+ * Hourly: reminds ticket holders of events starting in about a day.
+ */
+const sendEventReminders = onSchedule({ schedule: 'every 60 minutes', secrets: MAIL_SECRETS }, async () => {
+    const now = Date.now();
+    const hour = 60 * 60 * 1000;
+    const events = await getFirestore().collection('events')
+        .where('status', '==', 'approved')
+        .where('startsAt', '>=', Timestamp.fromMillis(now + (REMINDER_LEAD_HOURS - 1) * hour))
+        .where('startsAt', '<', Timestamp.fromMillis(now + REMINDER_LEAD_HOURS * hour))
+        .get();
+
+    for (const doc of events.docs) {
+        await notifyTicketHolders(doc.id, 'event_reminder', `${doc.id}-reminder`, { event: doc.data() });
+    }
+    if (!events.empty) logger.info(`Sent reminders for ${events.size} event(s).`);
+});
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    NOTIFIED_FIELDS,
+    notifiedTickets,
+    sendNotification,
+    notifyEventSubmitted,
+    notifyEventChanges,
+    notifyTicketPurchased,
+    sendEventReminders
+};
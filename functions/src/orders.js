@@ -0,0 +1,348 @@
+// functions/src/orders.js - Checkout orders and payments.
+// An order moves created -> authorized -> paid, or ends in failed / refunded. Creating it holds the
+// seats for a few minutes (functions/src/holds.js); tickets are only issued (functions/src/tickets.js)
+// once the order is paid, and every callable here is safe to retry: the client sends the same
+// idempotency key / order ID again and gets the same order back.
+
+const crypto = require('crypto');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { DEFAULT_PROVIDER, getProvider, isPaymentTimeout } = require('./payments/providers');
+const { issueTicketsForOrder } = require('./tickets');
+const { newHold, holdHasExpired, seatUpdate, releaseHold } = require('./holds');
+const { assertNoQueue, readOffer, withOfferedSeats } = require('./waitlist');
+const { loadProfile, isTargetMember, assertCanAttend } = require('./audience');
+const { recordAudit } = require('./audit');
+
+// Mirror js/event-repository.js and js/event-details.js
+const TICKET_TIERS = ['member', 'general'];
+const MAX_TICKETS_PER_ORDER = 5;
+
+function ordersCollection() {
+    return getFirestore().collection('orders');
+}
+
+/**
+ * Order IDs are derived from the caller and their idempotency key, so a retried createOrder
+ * lands on the same document instead of creating a second order.
+ */
+function orderIdFor(uid, idempotencyKey) {
+    return crypto.createHash('sha256').update(`${uid || 'guest'}:${idempotencyKey}`).digest('hex').slice(0, 28);
+}
+
+/** What the browser gets back from every callable. */
+function orderSummary(order) {
+    const held = !!order.hold && order.hold.status === 'held' && order.status === 'created';
+    return {
+        orderId: order.orderId,
+        eventId: order.eventId,
+        status: order.status,
+        amount: order.amount,
+        items: order.items,
+        tickets: order.tickets || [],
+        failureReason: order.failureReason || null,
+        redirectUrl: order.pendingAction ? order.pendingAction.url : null,
+        // Relative, so the countdown does not depend on the browser's clock
+        holdExpiresInMs: held ? Math.max(0, order.hold.expiresAt.toMillis() - Date.now()) : null
+    };
+}
+
+/**
+ * Guest orders are addressed by their unguessable ID; account orders only by their owner.
+ */
+function assertCanUseOrder(order, request) {
+    if (order.userId.startsWith('GUEST_')) return;
+    if (!request.auth || request.auth.uid !== order.userId) {
+        throw new HttpsError('permission-denied', 'This order belongs to another account.');
+    }
+}
+
+async function loadOrder(orderId, request) {
+    if (typeof orderId !== 'string' || !orderId) throw new HttpsError('invalid-argument', 'Missing order ID.');
+    const doc = await ordersCollection().doc(orderId).get();
+    if (!doc.exists) throw new HttpsError('not-found', 'Order not found.');
+    const order = doc.data();
+    assertCanUseOrder(order, request);
+    return order;
+}
+
+/**
+ * Moves an order to a new status if it is currently in one of 'from'. Runs in a transaction so
+ * concurrent retries cannot both make the same transition.
+ * @returns {Promise<object>} The order after the (possible) transition.
+ */
+async function transition(orderId, from, to, extra = {}) {
+    const db = getFirestore();
+    const ref = ordersCollection().doc(orderId);
+    return db.runTransaction(async (transaction) => {
+        const order = (await transaction.get(ref)).data();
+        if (!from.includes(order.status)) return order;
+        const update = {
+            ...extra,
+            status: to,
+            updatedAt: FieldValue.serverTimestamp(),
+            statusHistory: FieldValue.arrayUnion({ status: to, at: Timestamp.now() })
+        };
+        transaction.update(ref, update);
+        return { ...order, ...extra, status: to };
+    });
+}
+
+function eventHasStarted(event) {
+    return !!event.startsAt && event.startsAt.toMillis() < Date.now();
+}
+
+/**
+ * Prices the requested tickets from the stored event - never from anything the browser sends.
+ * @returns {{items: object[], amount: number}}
+ */
+function priceOrder(event, counts, isMember) {
+    const items = [];
+    let quantity = 0;
+    for (const tier of TICKET_TIERS) {
+        const count = counts[tier] || 0;
+        if (!Number.isInteger(count) || count < 0) throw new HttpsError('invalid-argument', 'Ticket counts must be whole numbers.');
+        if (count === 0) continue;
+        if (tier === 'member' && !isMember) {
+            throw new HttpsError('permission-denied', 'The member rate is only available to the university members this event is for.');
+        }
+        if (event.tiers[tier].available < count) {
+            throw new HttpsError('resource-exhausted', `Only ${event.tiers[tier].available} ${tier} ticket(s) remaining.`);
+        }
+        const unitPrice = event.hasTickets ? event.tiers[tier].price : 0;
+        items.push({ tier, quantity: count, unitPrice, lineTotal: count * unitPrice });
+        quantity += count;
+    }
+    if (quantity < 1 || quantity > MAX_TICKETS_PER_ORDER) {
+        throw new HttpsError('invalid-argument', `Choose between 1 and ${MAX_TICKETS_PER_ORDER} tickets.`);
+    }
+    return { items, amount: items.reduce((sum, item) => sum + item.lineTotal, 0) };
+}
+
+// =========================================================================
+// --- Payment steps ---
+// =========================================================================
+
+/**
+ * Captures an authorized order, marks it paid and issues its tickets. If the seats are gone by
+ * then, the payment is refunded. Safe to call again at any point.
+ */
+async function finalizeOrder(orderId) {
+    let order = (await ordersCollection().doc(orderId).get()).data();
+    const provider = getProvider(order.provider);
+
+    if (order.status === 'authorized') {
+        const captured = await provider.capture({ order });
+        if (captured.status !== 'captured') {
+            await transition(orderId, ['authorized'], 'failed', { failureReason: captured.reason || 'capture_failed' });
+            return releaseHold(orderId, captured.reason || 'capture_failed');
+        }
+        order = await transition(orderId, ['authorized'], 'paid', { paidAt: FieldValue.serverTimestamp() });
+    }
+    if (order.status !== 'paid') return order;
+
+    const issued = await issueTicketsForOrder(orderId);
+    if (issued.issued) return { ...order, tickets: issued.tickets };
+
+    logger.warn(`Order ${orderId} paid but could not be fulfilled (${issued.reason}); refunding.`);
+    await provider.refund({ order });
+    await transition(orderId, ['paid'], 'refunded', { failureReason: issued.reason });
+    await recordAudit({
+        action: 'order.refunded',
+        targetType: 'order',
+        targetId: orderId,
+        eventId: order.eventId,
+        before: { status: 'paid' },
+        after: { status: 'refunded', amount: order.amount },
+        reason: issued.reason
+    });
+    return releaseHold(orderId, issued.reason);
+}
+
+/**
+ * Applies what the provider said about an authorization or challenge.
+ */
+async function applyProviderResult(orderId, result) {
+    if (result.status === 'declined') {
+        await transition(orderId, ['created'], 'failed', { failureReason: result.reason, providerRef: result.providerRef });
+        return releaseHold(orderId, result.reason);
+    }
+    if (result.status === 'requires_action') {
+        await ordersCollection().doc(orderId).update({
+            providerRef: result.providerRef,
+            pendingAction: { type: 'redirect', url: result.redirectUrl },
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        return (await ordersCollection().doc(orderId).get()).data();
+    }
+    if (result.status === 'authorized' || result.status === 'captured') {
+        const order = await transition(orderId, ['created'], 'authorized', { providerRef: result.providerRef, pendingAction: null });
+        if (order.status === 'failed' || order.status === 'refunded') {
+            // The hold ran out while the card was being authorized; the seats may be sold already
+            await getProvider(order.provider).refund({ order });
+            await recordAudit({
+                action: 'order.refunded',
+                targetType: 'order',
+                targetId: orderId,
+                eventId: order.eventId,
+                before: { status: 'authorized' },
+                after: { status: order.status, amount: order.amount },
+                reason: order.failureReason || 'hold_expired'
+            });
+            return order;
+        }
+        return finalizeOrder(orderId);
+    }
+    throw new Error(`Unexpected provider status: ${result.status}`);
+}
+
+// =========================================================================
+// --- Callables ---
+// =========================================================================
+
+/**
+ * Step 2 -> 3 of event-details.html: creates (or returns) the order for a set of tickets and holds
+ * its seats until the hold expires. With 'waitlistOffer', the tickets come from the caller's
+ * waitlist offer (functions/src/waitlist.js); seats offered but not bought go back to the event.
+ * data: { eventId, counts: { member, general }, contact: { name, email, phone }, idempotencyKey, waitlistOffer }
+ */
+const createOrder = onCall(async (request) => {
+    const { eventId, counts = {}, contact = {}, idempotencyKey, waitlistOffer = false } = request.data || {};
+    if (typeof idempotencyKey !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(idempotencyKey)) {
+        throw new HttpsError('invalid-argument', 'Missing or malformed idempotency key.');
+    }
+    if (typeof eventId !== 'string' || !eventId) throw new HttpsError('invalid-argument', 'Missing event ID.');
+    if (!contact.name || !contact.email) throw new HttpsError('invalid-argument', 'Name and email are required.');
+
+    const uid = request.auth ? request.auth.uid : null;
+    const orderId = orderIdFor(uid, idempotencyKey);
+    const profile = await loadProfile(uid);
+    const db = getFirestore();
+    const orderRef = ordersCollection().doc(orderId);
+
+    const order = await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(orderRef);
+        if (existing.exists) return existing.data();
+
+        const eventRef = db.collection('events').doc(eventId);
+        const event = (await transaction.get(eventRef)).data();
+        if (!event || event.status !== 'approved' || !event.hasTickets) {
+            throw new HttpsError('failed-precondition', 'Tickets for this event are not available.');
+        }
+        if (eventHasStarted(event)) throw new HttpsError('failed-precondition', 'This event has already taken place.');
+        // Guests (GUEST_ orders) and members of other faculties cannot book restricted events
+        assertCanAttend(event, profile);
+
+        const offer = waitlistOffer ? await readOffer(transaction, eventRef, uid) : null;
+        if (!offer) await assertNoQueue(transaction, eventRef, counts);
+
+        const { items, amount } = priceOrder(offer ? withOfferedSeats(event, offer) : event, counts, isTargetMember(event, profile));
+        let seats = items;
+        if (offer) {
+            if (items.some(item => item.tier !== offer.tier)) {
+                throw new HttpsError('invalid-argument', 'Your waitlist offer only covers one ticket type.');
+            }
+            // The offered seats already left 'available'; only the difference moves
+            seats = items.map(item => ({ ...item, quantity: item.quantity - offer.quantity }));
+            transaction.update(offer.ref, { status: 'claimed', orderId, claimedAt: FieldValue.serverTimestamp() });
+        }
+        transaction.update(eventRef, seatUpdate(seats, -1));
+        const newOrder = {
+            orderId,
+            eventId,
+            eventTitle: event.title,
+            userId: uid || `GUEST_${orderId}`,
+            contact: {
+                name: String(contact.name),
+                email: String(contact.email),
+                phone: String(contact.phone || '')
+            },
+            items,
+            amount,
+            currency: 'LKR',
+            provider: DEFAULT_PROVIDER,
+            providerRef: null,
+            pendingAction: null,
+            status: 'created',
+            statusHistory: [{ status: 'created', at: Timestamp.now() }],
+            failureReason: null,
+            hold: newHold(),
+            tickets: [],
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        };
+        transaction.set(orderRef, newOrder);
+        return newOrder;
+    });
+
+    return orderSummary(order);
+});
+
+/**
+ * Step 3: pays an order. Retrying after a timeout or network error is safe - a paid order
+ * just returns its tickets, and the provider recognises the order ID.
+ * data: { orderId, paymentMethod: { cardNumber, expiry, cvc } }
+ */
+const payOrder = onCall(async (request) => {
+    const { orderId, paymentMethod = {} } = request.data || {};
+    const order = await loadOrder(orderId, request);
+
+    if (order.status === 'paid' || order.status === 'authorized') return orderSummary(await finalizeOrder(orderId));
+    if (order.status !== 'created' || order.pendingAction) return orderSummary(order);
+    if (holdHasExpired(order)) return orderSummary(await releaseHold(orderId, 'hold_expired'));
+
+    let result;
+    try {
+        result = await getProvider(order.provider).authorize({ order, paymentMethod });
+    } catch (error) {
+        if (isPaymentTimeout(error)) {
+            throw new HttpsError('deadline-exceeded', 'The payment gateway timed out. Retrying is safe.');
+        }
+        logger.error(`Authorization failed for order ${orderId}:`, error);
+        throw new HttpsError('internal', 'Payment could not be processed.');
+    }
+    return orderSummary(await applyProviderResult(orderId, result));
+});
+
+/**
+ * Return leg of a 3-D Secure style redirect (payment-challenge.html).
+ * data: { orderId, challengeId, approved }
+ */
+const completePaymentChallenge = onCall(async (request) => {
+    const { orderId, challengeId, approved } = request.data || {};
+    const order = await loadOrder(orderId, request);
+    if (order.status !== 'created' || !order.pendingAction) return orderSummary(order);
+    if (holdHasExpired(order)) return orderSummary(await releaseHold(orderId, 'hold_expired'));
+
+    const provider = getProvider(order.provider);
+    if (!provider.completeChallenge) throw new HttpsError('failed-precondition', 'This payment method has no challenge step.');
+
+    const result = await provider.completeChallenge({ order, challengeId: String(challengeId || ''), approved: approved === true });
+    if (result.status !== 'requires_action') {
+        await ordersCollection().doc(orderId).update({ pendingAction: null });
+    }
+    return orderSummary(await applyProviderResult(orderId, result));
+});
+
+/**
+ * Step 3 "Cancel": gives the held seats back straight away instead of waiting for the hold to expire.
+ * data: { orderId }
+ */
+const releaseOrder = onCall(async (request) => {
+    const { orderId } = request.data || {};
+    const order = await loadOrder(orderId, request);
+    if (order.status !== 'created') return orderSummary(order);
+    return orderSummary(await releaseHold(orderId, 'cancelled'));
+});
+
+module.exports = {
+    MAX_TICKETS_PER_ORDER,
+    orderIdFor,
+    priceOrder,
+    createOrder,
+    payOrder,
+    completePaymentChallenge,
+    releaseOrder,
+    finalizeOrder
+};
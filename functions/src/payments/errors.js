@@ -0,0 +1,18 @@
+// functions/src/payments/errors.js - Errors shared by payment providers.
+
+/**
+ * Error a provider throws when the gateway does not respond in time.
+ * @param {string} [message]
+ * @returns {Error}
+ */
+function paymentTimeout(message = 'The payment gateway did not respond in time.') {
+    const error = new Error(message);
+    error.code = 'payment-timeout';
+    return error;
+}
+
+function isPaymentTimeout(error) {
+    return !!error && error.code === 'payment-timeout';
+}
+
+module.exports = { paymentTimeout, isPaymentTimeout };
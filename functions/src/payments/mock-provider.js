@@ -0,0 +1,135 @@
+// functions/src/payments/mock-provider.js - Local payment provider for development and demos.
+// No money moves. The card number picks the outcome, like a real gateway's test cards:
+//
+//   4000 0000 0000 0002   declined (card_declined)
+//   4000 0000 0000 9995   declined (insufficient_funds)
+//   4000 0000 0000 0119   authorizes, then times out before answering (the retry gets the authorization)
+//   4000 0000 0000 3220   requires a 3-D Secure style redirect to payment-challenge.html
+//   any other 16 digits   authorized
+//
+// Gateway-side state lives in 'mock_payments/{orderId}' (no client access), which is what makes
+// repeated calls for the same order idempotent.
+
+const crypto = require('crypto');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { paymentTimeout } = require('./errors');
+
+const TEST_CARDS = {
+    '4000000000000002': { outcome: 'declined', reason: 'card_declined' },
+    '4000000000009995': { outcome: 'declined', reason: 'insufficient_funds' },
+    '4000000000000119': { outcome: 'timeout' },
+    '4000000000003220': { outcome: 'challenge' }
+};
+
+function chargeRef(orderId) {
+    return getFirestore().collection('mock_payments').doc(orderId);
+}
+
+function resultFrom(charge) {
+    return {
+        status: charge.status,
+        providerRef: charge.providerRef,
+        reason: charge.reason || null,
+        redirectUrl: charge.redirectUrl || null
+    };
+}
+
+async function authorize({ order, paymentMethod }) {
+    const ref = chargeRef(order.orderId);
+    const existing = await ref.get();
+    if (existing.exists) return resultFrom(existing.data()); // Idempotent retry
+
+    const cardNumber = String(paymentMethod.cardNumber || '').replace(/\D/g, '');
+    if (cardNumber.length !== 16) {
+        return { status: 'declined', providerRef: null, reason: 'invalid_card_number', redirectUrl: null };
+    }
+
+    const card = TEST_CARDS[cardNumber] || { outcome: 'authorized' };
+    const charge = {
+        providerRef: `mock_${crypto.randomBytes(8).toString('hex')}`,
+        amount: order.amount,
+        last4: cardNumber.slice(-4),
+        createdAt: FieldValue.serverTimestamp()
+    };
+
+    if (card.outcome === 'declined') {
+        Object.assign(charge, { status: 'declined', reason: card.reason });
+    } else if (card.outcome === 'challenge') {
+        charge.challengeId = crypto.randomBytes(16).toString('hex');
+        Object.assign(charge, {
+            status: 'requires_action',
+            redirectUrl: `payment-challenge.html?order=${order.orderId}&challenge=${charge.challengeId}`
+        });
+    } else {
+        charge.status = 'authorized';
+    }
+
+    await ref.set(charge);
+    if (card.outcome === 'timeout') {
+        // The "gateway" authorized the card but the answer never arrived
+        throw paymentTimeout();
+    }
+    return resultFrom(charge);
+}
+
+async function completeChallenge({ order, challengeId, approved }) {
+    const ref = chargeRef(order.orderId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error('No payment to confirm for this order.');
+
+    const charge = doc.data();
+    if (charge.status !== 'requires_action') return resultFrom(charge); // Already completed
+    if (charge.challengeId !== challengeId) {
+        return { status: 'declined', providerRef: charge.providerRef, reason: 'challenge_mismatch', redirectUrl: null };
+    }
+
+    const update = approved
+        ? { status: 'authorized', redirectUrl: FieldValue.delete() }
+        : { status: 'declined', reason: 'authentication_failed', redirectUrl: FieldValue.delete() };
+    await ref.update(update);
+    return resultFrom({ ...charge, ...update, redirectUrl: null });
+}
+
+async function capture({ order }) {
+    const ref = chargeRef(order.orderId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error('No authorization to capture for this order.');
+
+    const charge = doc.data();
+    if (charge.status === 'authorized') {
+        await ref.update({ status: 'captured', capturedAt: FieldValue.serverTimestamp() });
+        return resultFrom({ ...charge, status: 'captured' });
+    }
+    return resultFrom(charge);
+}
+
+async function refund({ order, amount, reference = 'order' }) {
+    const ref = chargeRef(order.orderId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error('No payment to refund for this order.');
+
+    const charge = doc.data();
+    const refunds = charge.refunds || {};
+    if (!['captured', 'authorized', 'partially_refunded'].includes(charge.status) || refunds[reference] !== undefined) {
+        return resultFrom(charge); // Nothing left to refund, or this refund already happened
+    }
+
+    const alreadyRefunded = charge.refundedAmount || 0;
+    const refundAmount = amount === undefined ? charge.amount - alreadyRefunded : Math.min(amount, charge.amount - alreadyRefunded);
+    const status = alreadyRefunded + refundAmount >= charge.amount ? 'refunded' : 'partially_refunded';
+    await ref.update({
+        status,
+        refundedAmount: alreadyRefunded + refundAmount,
+        refunds: { ...refunds, [reference]: refundAmount },
+        refundedAt: FieldValue.serverTimestamp()
+    });
+    return resultFrom({ ...charge, status });
+}
+
+module.exports = {
+    id: 'mock',
+    authorize,
+    completeChallenge,
+    capture,
+    refund
+};
@@ -0,0 +1,45 @@
+// functions/src/payments/providers.js - Payment provider registry.
+//
+// A provider is a plain object:
+//   id                                   - Stored on the order as 'provider'.
+//   authorize({ order, paymentMethod })  - Reserve the amount on the customer's card.
+//   capture({ order })                   - Take the authorized amount.
+//   refund({ order, amount?, reference? })
+//                                        - Give a captured amount back: all of it, or 'amount' (LKR) for
+//                                          one cancelled ticket. 'reference' makes partial refunds idempotent.
+//   completeChallenge({ order, challengeId, approved })
+//                                        - Finish a 3-D Secure style redirect (optional).
+//
+// Each call resolves to { status, providerRef, reason?, redirectUrl? } where status is one of
+// 'authorized', 'requires_action', 'declined', 'captured', 'partially_refunded' or 'refunded'.
+// A gateway that does not answer must reject with paymentTimeout() (./errors): the caller retries with the
+// same order, and providers must treat the order ID as an idempotency key so a retry never charges twice.
+//
+// Adding a real gateway (e.g. PayHere) means a new module exporting the same shape, registered below,
+// plus an HTTPS function for its server-to-server notification if it confirms payments asynchronously.
+
+const mockProvider = require('./mock-provider');
+const { paymentTimeout, isPaymentTimeout } = require('./errors');
+
+const PROVIDERS = {
+    [mockProvider.id]: mockProvider
+};
+
+const DEFAULT_PROVIDER = mockProvider.id;
+
+/**
+ * @param {string} [id] - Provider ID; defaults to the configured provider.
+ * @returns {object} The provider.
+ */
+function getProvider(id = DEFAULT_PROVIDER) {
+    const provider = PROVIDERS[id];
+    if (!provider) throw new Error(`Unknown payment provider: ${id}`);
+    return provider;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    getProvider,
+    paymentTimeout,
+    isPaymentTimeout
+};
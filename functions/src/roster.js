@@ -0,0 +1,71 @@
+// functions/src/roster.js - Attendee roster of one event (attendees.html), for its submitter, the
+// crew of its faculty and admins. Tickets stay unreadable to organizers in firestore.rules - they
+// carry the signed QR payload - so the roster is built here with only what the page needs.
+// Contact details (email, phone) go to crew and admins only; organizers see who is coming.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const { normalizeFaculty, loadProfile } = require('./audience');
+
+/**
+ * Whether a profile moderates a faculty. Mirrors isCrewOf in firestore.rules.
+ */
+function isCrewOf(profile, faculty) {
+    if (!profile || profile.role !== 'crew') return false;
+    const assigned = Array.isArray(profile.crewFaculties) ? profile.crewFaculties : [profile.faculty];
+    return assigned.map(normalizeFaculty).includes(normalizeFaculty(faculty));
+}
+
+function toMillis(timestamp) {
+    return timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : null;
+}
+
+/**
+ * Returns the event's tickets as roster rows, newest booking last.
+ * @returns {Promise<{canSeeContacts: boolean, attendees: object[]}>}
+ */
+const getAttendeeRoster = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to see the attendee list.');
+    const eventId = request.data && typeof request.data.eventId === 'string' ? request.data.eventId : '';
+    if (!eventId) throw new HttpsError('invalid-argument', 'Choose an event.');
+
+    const db = getFirestore();
+    const [eventDoc, profile] = await Promise.all([
+        db.collection('events').doc(eventId).get(),
+        loadProfile(request.auth.uid)
+    ]);
+    if (!eventDoc.exists) throw new HttpsError('not-found', 'That event does not exist.');
+    const event = eventDoc.data();
+
+    const canSeeContacts = (!!profile && profile.role === 'admin') || isCrewOf(profile, event.faculty);
+    const isOrganizer = (event.postedByUid || event.postedByUID) === request.auth.uid;
+    if (!canSeeContacts && !isOrganizer) {
+        throw new HttpsError('permission-denied', 'Only the organizer and the faculty crew can see who booked this event.');
+    }
+
+    const tickets = await db.collection('tickets').where('eventId', '==', eventId).get();
+    const attendees = tickets.docs
+        .map(doc => doc.data())
+        .sort((a, b) => (toMillis(a.bookedAt) || 0) - (toMillis(b.bookedAt) || 0))
+        .map(ticket => ({
+            ticketId: ticket.ticketId,
+            name: ticket.userName || '',
+            email: canSeeContacts ? ticket.userEmail || '' : null,
+            phone: canSeeContacts ? ticket.userPhone || '' : null,
+            guest: String(ticket.userId || '').startsWith('GUEST_'),
+            tier: ticket.tier,
+            ticketCount: ticket.ticketCount || 0,
+            amountPaid: ticket.amountPaid || 0,
+            checkedInCount: ticket.checkedInCount || 0,
+            status: ticket.status || 'active',
+            bookedAt: toMillis(ticket.bookedAt),
+            lastCheckInAt: toMillis(ticket.lastCheckInAt)
+        }));
+
+    return { canSeeContacts, attendees };
+});
+
+module.exports = {
+    isCrewOf,
+    getAttendeeRoster
+};
@@ -0,0 +1,227 @@
+// functions/src/ticket-changes.js - Holder-initiated changes to issued tickets (profile.html).
+// Cancelling gives the seats back to the event (where the waitlist picks them up) and refunds the
+// ticket through the payment provider. Transferring moves the ticket to another registered user and
+// re-signs its QR payload, so the QR code the previous holder saved no longer gets through the door.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const logger = require('firebase-functions/logger');
+const { getProvider, isPaymentTimeout } = require('./payments/providers');
+const { TICKET_QR_SECRET, buildQrPayload } = require('./tickets');
+const { seatUpdate } = require('./holds');
+const { loadProfile, isTargetMember, assertCanAttend } = require('./audience');
+const { recordAudit } = require('./audit');
+
+// Mirrors DEFAULT_CANCELLATION_CUTOFF_HOURS in js/event-repository.js
+const DEFAULT_CANCELLATION_CUTOFF_HOURS = 24;
+
+function requireUser(request) {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to manage your tickets.');
+    return request.auth.uid;
+}
+
+/**
+ * Last moment a ticket for this event may be cancelled, in ms, or null if the event has no start time.
+ */
+function cancellationDeadline(event) {
+    if (!event || !event.startsAt) return null;
+    const hours = Number.isInteger(event.cancellationCutoffHours) ? event.cancellationCutoffHours : DEFAULT_CANCELLATION_CUTOFF_HOURS;
+    return event.startsAt.toMillis() - hours * 60 * 60 * 1000;
+}
+
+/**
+ * Checks that the caller holds a ticket that can still change hands or be cancelled.
+ */
+function assertChangeable(ticket, uid) {
+    if (ticket.userId !== uid) throw new HttpsError('permission-denied', 'This ticket belongs to another account.');
+    if ((ticket.status || 'active') !== 'active') throw new HttpsError('failed-precondition', `This ticket has been ${ticket.status}.`);
+    if ((ticket.checkedInCount || 0) > 0) throw new HttpsError('failed-precondition', 'This ticket has already been used at the door.');
+}
+
+/**
+ * The update to an order when 'amount' of it is given back. Once everything paid is given back the
+ * order ends as 'refunded', like an order refunded at checkout (functions/src/orders.js).
+ * @param {object} order - As read in the same transaction.
+ * @param {number} amount
+ * @returns {object}
+ */
+function orderRefundUpdate(order, amount) {
+    const refundedAmount = (order.refundedAmount || 0) + amount;
+    const update = { refundedAmount, updatedAt: FieldValue.serverTimestamp() };
+    if (order.status === 'paid' && refundedAmount >= order.amount) {
+        update.status = 'refunded';
+        update.statusHistory = FieldValue.arrayUnion({ status: 'refunded', at: Timestamp.now() });
+    }
+    return update;
+}
+
+/**
+ * Refunds a cancelled ticket's price. Safe to repeat: the provider keys the refund on the ticket.
+ * @param {string} ticketDocId
+ * @param {object} ticket
+ * @param {object} [audit] - Who cancelled and why, for the audit log. Defaults to the holder.
+ * @returns {Promise<string>} The ticket's paymentStatus afterwards.
+ */
+async function refundTicket(ticketDocId, ticket, { actorUid = ticket.userId, reason = 'Cancelled by the ticket holder' } = {}) {
+    if (ticket.paymentStatus === 'refunded') return 'refunded';
+    if (!ticket.orderId) {
+        logger.warn(`Ticket ${ticketDocId} has no order; refund it by hand.`);
+        return ticket.paymentStatus;
+    }
+
+    const order = (await getFirestore().collection('orders').doc(ticket.orderId).get()).data();
+    let result;
+    try {
+        result = await getProvider(order.provider).refund({ order, amount: ticket.amountPaid, reference: ticketDocId });
+    } catch (error) {
+        if (isPaymentTimeout(error)) {
+            throw new HttpsError('deadline-exceeded', 'The payment gateway timed out. Your ticket is cancelled; retrying finishes the refund.');
+        }
+        throw error;
+    }
+    if (result.status !== 'refunded' && result.status !== 'partially_refunded') {
+        logger.warn(`Refund for ticket ${ticketDocId} came back ${result.status}.`);
+        return ticket.paymentStatus;
+    }
+
+    await getFirestore().collection('tickets').doc(ticketDocId).update({
+        paymentStatus: 'refunded',
+        refundedAt: FieldValue.serverTimestamp()
+    });
+    await recordAudit({
+        action: 'ticket.refunded',
+        actorUid,
+        targetType: 'ticket',
+        targetId: ticketDocId,
+        eventId: ticket.eventId,
+        before: { paymentStatus: ticket.paymentStatus },
+        after: { paymentStatus: 'refunded', amount: ticket.amountPaid },
+        reason
+    });
+    return 'refunded';
+}
+
+/**
+ * Cancels a ticket before the event's cancellation cutoff and refunds it. Calling it again for a
+ * cancelled ticket only retries an unfinished refund.
+ * data: { ticketDocId }
+ */
+const cancelTicket = onCall(async (request) => {
+    const uid = requireUser(request);
+    const { ticketDocId } = request.data || {};
+    if (typeof ticketDocId !== 'string' || !ticketDocId) throw new HttpsError('invalid-argument', 'Missing ticket ID.');
+
+    const db = getFirestore();
+    const ticketRef = db.collection('tickets').doc(ticketDocId);
+
+    const ticket = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ticketRef);
+        if (!doc.exists) throw new HttpsError('not-found', 'Ticket not found.');
+        const current = doc.data();
+        if (current.status === 'cancelled' && current.userId === uid) return current;
+        assertChangeable(current, uid);
+
+        const eventRef = db.collection('events').doc(current.eventId);
+        const eventDoc = await transaction.get(eventRef);
+        const deadline = cancellationDeadline(eventDoc.data());
+        if (deadline !== null && Date.now() > deadline) {
+            throw new HttpsError('failed-precondition', 'The cancellation deadline for this event has passed.');
+        }
+
+        const orderRef = current.orderId ? db.collection('orders').doc(current.orderId) : null;
+        const order = orderRef ? (await transaction.get(orderRef)).data() : null;
+
+        const paymentStatus = current.amountPaid > 0 ? 'refund_pending' : 'refunded';
+        if (eventDoc.exists) transaction.update(eventRef, seatUpdate([{ tier: current.tier, quantity: current.ticketCount }], +1));
+        transaction.update(ticketRef, { status: 'cancelled', cancelledAt: FieldValue.serverTimestamp(), paymentStatus });
+        if (order) transaction.update(orderRef, orderRefundUpdate(order, current.amountPaid));
+        return { ...current, status: 'cancelled', paymentStatus };
+    });
+
+    const paymentStatus = await refundTicket(ticketDocId, ticket);
+    logger.info(`Ticket ${ticketDocId} cancelled by its holder (payment ${paymentStatus}).`);
+    return { ticketDocId, status: 'cancelled', paymentStatus };
+});
+
+/**
+ * Finds the registered user a ticket is being transferred to. The address is looked up in Firebase
+ * Auth, which has one account per address; the 'users' profile, which its owner can edit, only
+ * supplies the name and faculty.
+ */
+async function findRecipient(email) {
+    const trimmed = String(email || '').trim();
+    if (!trimmed) throw new HttpsError('invalid-argument', 'Enter the email address of the person receiving the ticket.');
+
+    let account;
+    try {
+        account = await getAuth().getUserByEmail(trimmed.toLowerCase());
+    } catch (error) {
+        if (error.code === 'auth/user-not-found' || error.code === 'auth/invalid-email') {
+            throw new HttpsError('not-found', 'No registered user has that email address.');
+        }
+        throw error;
+    }
+    const profile = await loadProfile(account.uid);
+    return { ...profile, uid: account.uid, email: account.email };
+}
+
+/**
+ * Moves a ticket to another registered user. The QR payload is signed over the holder, so it is
+ * re-signed here and the previous one stops matching at the door.
+ * data: { ticketDocId, email }
+ */
+const transferTicket = onCall({ secrets: [TICKET_QR_SECRET] }, async (request) => {
+    const uid = requireUser(request);
+    const { ticketDocId, email } = request.data || {};
+    if (typeof ticketDocId !== 'string' || !ticketDocId) throw new HttpsError('invalid-argument', 'Missing ticket ID.');
+
+    const recipient = await findRecipient(email);
+    if (recipient.uid === uid) throw new HttpsError('invalid-argument', 'You already hold this ticket.');
+
+    const db = getFirestore();
+    const ticketRef = db.collection('tickets').doc(ticketDocId);
+
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ticketRef);
+        if (!doc.exists) throw new HttpsError('not-found', 'Ticket not found.');
+        const ticket = doc.data();
+        assertChangeable(ticket, uid);
+
+        const event = (await transaction.get(db.collection('events').doc(ticket.eventId))).data();
+        if (event && event.startsAt && event.startsAt.toMillis() < Date.now()) {
+            throw new HttpsError('failed-precondition', 'This event has already started.');
+        }
+        // Tickets only go to people who could have booked them (functions/src/audience.js)
+        if (event) assertCanAttend(event, recipient, 'The recipient is');
+        if (ticket.tier === 'member' && !(event && isTargetMember(event, recipient))) {
+            throw new HttpsError('failed-precondition', 'University member tickets can only go to a university member this event is for.');
+        }
+
+        const moved = {
+            userId: recipient.uid,
+            userEmail: recipient.email,
+            userName: recipient.name || '',
+            userPhone: ''
+        };
+        transaction.update(ticketRef, {
+            ...moved,
+            qrCodeData: buildQrPayload(ticketDocId, { ...ticket, ...moved }, TICKET_QR_SECRET.value()),
+            qrIssuedAt: FieldValue.serverTimestamp(),
+            transferredAt: FieldValue.serverTimestamp(),
+            transferHistory: FieldValue.arrayUnion({ fromUserId: uid, toUserId: recipient.uid, at: Timestamp.now() })
+        });
+    });
+
+    logger.info(`Ticket ${ticketDocId} transferred from ${uid} to ${recipient.uid}.`);
+    return { ticketDocId, recipientName: recipient.name || recipient.email };
+});
+
+module.exports = {
+    DEFAULT_CANCELLATION_CUTOFF_HOURS,
+    cancellationDeadline,
+    orderRefundUpdate,
+    refundTicket,
+    cancelTicket,
+    transferTicket
+};
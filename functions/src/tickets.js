@@ -0,0 +1,150 @@
+// functions/src/tickets.js - Issues tickets for paid orders and signs their QR payloads.
+// Tickets are only ever written here (see functions/src/orders.js); firestore.rules gives clients no
+// write access, and the issueTicketQr trigger adds 'qrCodeData' once a ticket exists.
+
+const crypto = require('crypto');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { seatUpdate } = require('./holds');
+
+// Set with `firebase functions:secrets:set TICKET_QR_SECRET`
+const TICKET_QR_SECRET = defineSecret('TICKET_QR_SECRET');
+
+const QR_PAYLOAD_VERSION = 'UNIVISTA1';
+
+/**
+ * HMAC over the fields a door check relies on, so a payload cannot be moved to another ticket or event.
+ * @param {string} ticketDocId - ID of the 'tickets' document.
+ * @param {object} ticket - The ticket document data.
+ * @param {string} secret - Signing key.
+ * @returns {string} base64url signature.
+ */
+function signTicket(ticketDocId, ticket, secret) {
+    const message = [QR_PAYLOAD_VERSION, ticketDocId, ticket.eventId, ticket.tier, ticket.ticketCount, ticket.userId].join('|');
+    return crypto.createHmac('sha256', secret).update(message).digest('base64url');
+}
+
+/**
+ * Builds the string encoded in the ticket's QR code: "UNIVISTA1.<ticketDocId>.<signature>".
+ * @param {string} ticketDocId
+ * @param {object} ticket
+ * @param {string} secret
+ * @returns {string}
+ */
+function buildQrPayload(ticketDocId, ticket, secret) {
+    return `${QR_PAYLOAD_VERSION}.${ticketDocId}.${signTicket(ticketDocId, ticket, secret)}`;
+}
+
+/**
+ * Splits a scanned payload into its parts.
+ * @param {string} payload
+ * @returns {{ticketDocId: string, signature: string}|null} null if it is not a UNIVISTA ticket.
+ */
+function parseQrPayload(payload) {
+    const parts = String(payload || '').trim().split('.');
+    if (parts.length !== 3 || parts[0] !== QR_PAYLOAD_VERSION) return null;
+    return { ticketDocId: parts[1], signature: parts[2] };
+}
+
+/**
+ * Checks a scanned payload against the stored ticket.
+ * @param {string} payload
+ * @param {object} ticket - The ticket document data.
+ * @param {string} ticketDocId
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function verifyQrPayload(payload, ticket, ticketDocId, secret) {
+    const parsed = parseQrPayload(payload);
+    if (!parsed || parsed.ticketDocId !== ticketDocId) return false;
+    const expected = Buffer.from(signTicket(ticketDocId, ticket, secret));
+    const actual = Buffer.from(parsed.signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Issues the tickets of a paid order: one 'tickets' document per tier ({orderId}-{tier}). The seats
+ * were taken by the order's checkout hold (functions/src/holds.js), which this converts; if the hold
+ * was released meanwhile, the seats are taken again in the same transaction, if there are any left.
+ * Calling it again for the same order is a no-op.
+ * @param {string} orderId
+ * @returns {Promise<{issued: boolean, tickets?: object[], reason?: string}>}
+ */
+async function issueTicketsForOrder(orderId) {
+    const db = getFirestore();
+    const orderRef = db.collection('orders').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const order = (await transaction.get(orderRef)).data();
+        if (order.tickets && order.tickets.length > 0) return { issued: true, tickets: order.tickets };
+        if (order.status !== 'paid') throw new Error(`Order ${orderId} is ${order.status}, not paid.`);
+
+        const eventRef = db.collection('events').doc(order.eventId);
+        const event = (await transaction.get(eventRef)).data();
+        if (!event || event.status !== 'approved') return { issued: false, reason: 'event_unavailable' };
+
+        const held = !!order.hold && order.hold.status === 'held';
+        if (!held) {
+            if (order.items.some(item => event.tiers[item.tier].available < item.quantity)) {
+                return { issued: false, reason: 'sold_out' };
+            }
+            transaction.update(eventRef, seatUpdate(order.items, -1));
+        }
+
+        const reference = `TICKET-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+        const tickets = order.items.map((item) => {
+            const docId = `${orderId}-${item.tier}`;
+            const ticketId = `${reference}-${item.tier.toUpperCase()}`;
+            transaction.set(db.collection('tickets').doc(docId), {
+                ticketId,
+                orderId,
+                eventId: order.eventId,
+                userId: order.userId,
+                userEmail: order.contact.email,
+                userName: order.contact.name,
+                userPhone: order.contact.phone,
+                tier: item.tier, // Checked at the door against the holder's membership
+                unitPrice: item.unitPrice,
+                ticketCount: item.quantity,
+                amountPaid: item.lineTotal,
+                paymentStatus: 'paid',
+                status: 'active',
+                bookedAt: FieldValue.serverTimestamp()
+            });
+            return { docId, ticketId, tier: item.tier, quantity: item.quantity };
+        });
+
+        const orderUpdate = { tickets, ticketsIssuedAt: FieldValue.serverTimestamp() };
+        if (held) orderUpdate['hold.status'] = 'converted';
+        transaction.update(orderRef, orderUpdate);
+        return { issued: true, tickets };
+    });
+}
+
+const issueTicketQr = onDocumentCreated({ document: 'tickets/{ticketId}', secrets: [TICKET_QR_SECRET] }, async (event) => {
+    const snapshot = event.data;
+    if (!snapshot) return;
+
+    const ticket = snapshot.data();
+    if (ticket.qrCodeData) return; // Already signed (retried delivery)
+
+    const ticketDocId = event.params.ticketId;
+    await getFirestore().collection('tickets').doc(ticketDocId).update({
+        qrCodeData: buildQrPayload(ticketDocId, ticket, TICKET_QR_SECRET.value()),
+        qrIssuedAt: FieldValue.serverTimestamp()
+    });
+    logger.info(`Signed QR payload for ticket ${ticketDocId}`);
+});
+
+module.exports = {
+    TICKET_QR_SECRET,
+    QR_PAYLOAD_VERSION,
+    signTicket,
+    buildQrPayload,
+    parseQrPayload,
+    verifyQrPayload,
+    issueTicketsForOrder,
+    issueTicketQr
+};
@@ -0,0 +1,167 @@
+// functions/src/waitlist.js - Waitlist offers for sold-out events.
+// Users queue in 'events/{eventId}/waitlist/{uid}' (js/waitlist.js, firestore.rules). Whenever a tier's
+// available seats go up - a released checkout hold, a refund, crew raising the quota or an offer
+// running out - those seats are offered to the people at the front of that tier's queue and held
+// for them. createOrder (functions/src/orders.js) turns an offer into an order.
+
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineInt } = require('firebase-functions/params');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { seatUpdate } = require('./holds');
+
+// How long someone has to take up an offer before it rolls on. Override in functions/.env.
+const WAITLIST_OFFER_MINUTES = defineInt('WAITLIST_OFFER_MINUTES', { default: 30 });
+
+// Mirror js/event-repository.js
+const TICKET_TIERS = ['member', 'general'];
+const OFFER_BATCH_SIZE = 50;
+const EXPIRE_BATCH_SIZE = 200;
+
+function waitlistCollection(eventRef) {
+    return eventRef.collection('waitlist');
+}
+
+/** The front of a tier's queue, oldest entry first. */
+function waitingQuery(eventRef, tier) {
+    return waitlistCollection(eventRef)
+        .where('tier', '==', tier)
+        .where('status', '==', 'waiting')
+        .orderBy('joinedAt');
+}
+
+/**
+ * Offers a tier's free seats to the queue, in order, inside one transaction. Each person is
+ * offered what they asked for, or whatever is left; the offered seats leave 'available'.
+ * @returns {Promise<number>} Seats offered.
+ */
+async function offerSeats(eventId, tier) {
+    const db = getFirestore();
+    const eventRef = db.collection('events').doc(eventId);
+
+    return db.runTransaction(async (transaction) => {
+        const event = (await transaction.get(eventRef)).data();
+        if (!event || event.status !== 'approved' || !event.tiers || !event.tiers[tier]) return 0;
+        if (event.startsAt && event.startsAt.toMillis() < Date.now()) return 0;
+
+        let available = event.tiers[tier].available;
+        if (available <= 0) return 0;
+
+        const waiting = await transaction.get(waitingQuery(eventRef, tier).limit(OFFER_BATCH_SIZE));
+        const offerExpiresAt = Timestamp.fromMillis(Date.now() + WAITLIST_OFFER_MINUTES.value() * 60 * 1000);
+        let offered = 0;
+        for (const doc of waiting.docs) {
+            if (available === 0) break;
+            const quantity = Math.min(doc.data().quantity, available);
+            transaction.update(doc.ref, {
+                status: 'offered',
+                offeredQuantity: quantity,
+                offeredAt: FieldValue.serverTimestamp(),
+                offerExpiresAt
+            });
+            available -= quantity;
+            offered += quantity;
+        }
+        if (offered > 0) transaction.update(eventRef, seatUpdate([{ tier, quantity: offered }], -1));
+        return offered;
+    });
+}
+
+/**
+ * Inside createOrder's transaction: rejects buying seats that the queue is entitled to. Seats only
+ * sit in 'available' with people waiting for the moment before offerReleasedSeats hands them out.
+ * Must run before the transaction writes anything.
+ */
+async function assertNoQueue(transaction, eventRef, counts) {
+    for (const tier of TICKET_TIERS) {
+        if (!counts[tier]) continue;
+        const waiting = await transaction.get(waitingQuery(eventRef, tier).limit(1));
+        if (!waiting.empty) {
+            throw new HttpsError('resource-exhausted', 'These tickets are being offered to people on the waitlist.');
+        }
+    }
+}
+
+/**
+ * Inside createOrder's transaction: loads the caller's open offer for this event.
+ * Must run before the transaction writes anything.
+ * @returns {Promise<{ref: object, tier: string, quantity: number}>}
+ */
+async function readOffer(transaction, eventRef, uid) {
+    if (!uid) throw new HttpsError('unauthenticated', 'Log in to use your waitlist offer.');
+    const ref = waitlistCollection(eventRef).doc(uid);
+    const entry = (await transaction.get(ref)).data();
+    if (!entry || entry.status !== 'offered' || entry.offerExpiresAt.toMillis() <= Date.now()) {
+        throw new HttpsError('failed-precondition', 'Your waitlist offer has expired.');
+    }
+    return { ref, tier: entry.tier, quantity: entry.offeredQuantity };
+}
+
+/**
+ * The event as the offer holder sees it: their offered seats count as available in the offer's tier.
+ */
+function withOfferedSeats(event, offer) {
+    const tier = event.tiers[offer.tier];
+    return { ...event, tiers: { ...event.tiers, [offer.tier]: { ...tier, available: tier.available + offer.quantity } } };
+}
+
+/**
+ * Gives the seats of offers nobody took up back to the event; offerReleasedSeats then offers them
+ * to the next people in line.
+ * @returns {Promise<boolean>} Whether the offer was expired.
+ */
+async function expireOffer(entryRef) {
+    const db = getFirestore();
+    const eventRef = entryRef.parent.parent;
+
+    return db.runTransaction(async (transaction) => {
+        const entry = (await transaction.get(entryRef)).data();
+        if (!entry || entry.status !== 'offered' || entry.offerExpiresAt.toMillis() > Date.now()) return false;
+
+        const eventDoc = await transaction.get(eventRef);
+        if (eventDoc.exists) transaction.update(eventRef, seatUpdate([{ tier: entry.tier, quantity: entry.offeredQuantity }], +1));
+        transaction.update(entryRef, { status: 'expired', expiredAt: FieldValue.serverTimestamp() });
+        return true;
+    });
+}
+
+const offerReleasedSeats = onDocumentUpdated('events/{eventId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after.tiers) return;
+
+    const freed = TICKET_TIERS.filter(tier => after.tiers[tier]
+        && after.tiers[tier].available > 0
+        && (!before.tiers || !before.tiers[tier] || after.tiers[tier].available > before.tiers[tier].available));
+
+    for (const tier of freed) {
+        const offered = await offerSeats(event.params.eventId, tier);
+        if (offered > 0) logger.info(`Offered ${offered} ${tier} seat(s) of event ${event.params.eventId} to the waitlist.`);
+    }
+});
+
+const expireWaitlistOffers = onSchedule('every 1 minutes', async () => {
+    const expired = await getFirestore().collectionGroup('waitlist')
+        .where('status', '==', 'offered')
+        .where('offerExpiresAt', '<=', Timestamp.now())
+        .limit(EXPIRE_BATCH_SIZE)
+        .get();
+
+    let count = 0;
+    for (const doc of expired.docs) {
+        if (await expireOffer(doc.ref)) count++;
+    }
+    if (count > 0) logger.info(`Expired ${count} waitlist offer(s).`);
+});
+
+module.exports = {
+    WAITLIST_OFFER_MINUTES,
+    offerSeats,
+    assertNoQueue,
+    readOffer,
+    withOfferedSeats,
+    offerReleasedSeats,
+    expireWaitlistOffers
+};
@@ -0,0 +1,169 @@
+// Audit log: recordAudit and the triggers in functions/src/audit.js.
+
+const assert = require('assert');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { recordAudit, auditEventChanges, auditRoleChanges } = require('../src/audit');
+const { eventDoc, clearEmulators, seed } = require('./helpers');
+
+/**
+ * Applies 'change' to the document at 'path' and delivers the write to 'trigger' as delivery 'id'.
+ * @param {object} [options]
+ * @param {string} [options.authId] - The user behind the write; a server write without one.
+ */
+async function write(trigger, path, change, { id = 'write-1', authId } = {}) {
+    const ref = getFirestore().doc(path);
+    const before = await ref.get();
+    await change(ref);
+    const after = await ref.get();
+    await trigger.run({
+        id,
+        data: { before, after },
+        params: { eventId: ref.id, uid: ref.id },
+        authType: authId ? 'app_user' : 'system',
+        authId
+    });
+}
+
+async function auditLog() {
+    const snapshot = await getFirestore().collection('auditLog').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+describe('audit log', () => {
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+    });
+
+    describe('recordAudit', () => {
+        it('fills in the actor and the event, and writes a keyed entry once', async () => {
+            const entry = { action: 'ticket.refunded', actorUid: 'bob', targetType: 'ticket', targetId: 't1', eventId: 'event1', before: { paymentStatus: 'refund_pending' }, after: { paymentStatus: 'refunded', amount: 500 } };
+            await recordAudit(entry, 'refund-t1');
+            await recordAudit(entry, 'refund-t1');
+
+            const entries = await auditLog();
+            assert.strictEqual(entries.length, 1);
+            const [logged] = entries;
+            assert.strictEqual(logged.actorName, 'Bob');
+            assert.strictEqual(logged.actorEmail, 'bob@example.com');
+            assert.strictEqual(logged.eventTitle, 'Science Day');
+            assert.deepStrictEqual(logged.faculties, ['Science']);
+            assert.deepStrictEqual(logged.before, { paymentStatus: 'refund_pending' });
+            assert.deepStrictEqual(logged.after, { paymentStatus: 'refunded', amount: 500 });
+            assert.strictEqual(logged.reason, null);
+            assert.ok(logged.at);
+        });
+
+        it('writes entries without a key every time', async () => {
+            await recordAudit({ action: 'order.refunded', targetType: 'order', targetId: 'o1' });
+            await recordAudit({ action: 'order.refunded', targetType: 'order', targetId: 'o1' });
+            const entries = await auditLog();
+            assert.strictEqual(entries.length, 2);
+            assert.ok(entries.every(entry => entry.actorUid === null && entry.eventId === null && entry.before === null));
+        });
+    });
+
+    describe('event changes', () => {
+        it('logs a submission with its status only', async () => {
+            await write(auditEventChanges, 'events/event2', ref => ref.set(eventDoc({ status: 'pending', reviewedBy: null })), { authId: 'alice' });
+            const [logged] = await auditLog();
+            assert.strictEqual(logged.id, 'write-1-created');
+            assert.strictEqual(logged.action, 'event.created');
+            assert.strictEqual(logged.actorUid, 'alice');
+            assert.strictEqual(logged.before, null);
+            assert.deepStrictEqual(logged.after, { status: 'pending' });
+        });
+
+        it('logs a moderation decision as the status alone, with the reason and the reviewer', async () => {
+            await getFirestore().doc('events/event1').update({ status: 'pending', reviewedBy: null });
+            await write(auditEventChanges, 'events/event1', ref => ref.update({
+                status: 'rejected', rejectionReason: 'Clashes with exams.', reviewedBy: 'crewScience', reviewedAt: Timestamp.now()
+            }));
+
+            const entries = await auditLog();
+            assert.deepStrictEqual(entries.map(entry => entry.action), ['event.status']);
+            assert.strictEqual(entries[0].actorUid, 'crewScience');
+            assert.deepStrictEqual(entries[0].before, { status: 'pending' });
+            assert.deepStrictEqual(entries[0].after, { status: 'rejected' });
+            assert.strictEqual(entries[0].reason, 'Clashes with exams.');
+        });
+
+        it('logs only the edited fields, and hides the payout account', async () => {
+            await write(auditEventChanges, 'events/event1', ref => ref.update({
+                title: 'Science Week', payoutAccount: { bank: 'BOC', number: '123' }, updatedAt: Timestamp.now()
+            }), { authId: 'alice' });
+
+            const [logged] = await auditLog();
+            assert.strictEqual(logged.action, 'event.edited');
+            assert.deepStrictEqual(logged.before, { title: 'Science Day', payoutAccount: '(hidden)' });
+            assert.deepStrictEqual(logged.after, { title: 'Science Week', payoutAccount: '(hidden)' });
+            assert.strictEqual(logged.eventTitle, 'Science Week');
+        });
+
+        it('logs ticket changes, but not seats taken by checkout', async () => {
+            await write(auditEventChanges, 'events/event1', ref => ref.update({ 'tiers.general.available': 4, availableTickets: 8 }), { id: 'checkout' });
+            assert.strictEqual((await auditLog()).length, 0);
+
+            await write(auditEventChanges, 'events/event1', ref => ref.update({
+                'tiers.general.quota': 8, 'tiers.general.available': 8, totalTickets: 12, availableTickets: 12
+            }), { id: 'edit', authId: 'alice' });
+            const [logged] = await auditLog();
+            assert.strictEqual(logged.action, 'event.tickets');
+            assert.deepStrictEqual(logged.before, {
+                'tiers.general.quota': 6, totalTickets: 10, 'tiers.general.available': 4, availableTickets: 8
+            });
+            assert.deepStrictEqual(logged.after, {
+                'tiers.general.quota': 8, totalTickets: 12, 'tiers.general.available': 8, availableTickets: 12
+            });
+        });
+
+        it('writes one entry per change however often the trigger runs', async () => {
+            const ref = getFirestore().doc('events/event1');
+            const before = await ref.get();
+            await ref.update({ location: 'Open Air Theatre' });
+            const after = await ref.get();
+            for (let i = 0; i < 2; i++) {
+                await auditEventChanges.run({
+                    id: 'write-1', data: { before, after }, params: { eventId: 'event1' }, authType: 'app_user', authId: 'alice'
+                });
+            }
+            assert.strictEqual((await auditLog()).length, 1);
+        });
+
+        it('logs a deletion with the status and title it had', async () => {
+            await write(auditEventChanges, 'events/event1', ref => ref.delete(), { authId: 'admin' });
+            const [logged] = await auditLog();
+            assert.strictEqual(logged.action, 'event.deleted');
+            assert.deepStrictEqual(logged.before, { status: 'approved', title: 'Science Day' });
+            assert.strictEqual(logged.after, null);
+        });
+    });
+
+    describe('role changes', () => {
+        it('logs crew granted through the app against the admin who granted it', async () => {
+            await write(auditRoleChanges, 'users/bob', ref => ref.update({
+                role: 'crew', crewFaculties: ['Art'], crewGrantedBy: 'admin', crewGrantedAt: Timestamp.now()
+            }));
+            const [logged] = await auditLog();
+            assert.strictEqual(logged.action, 'user.role');
+            assert.strictEqual(logged.actorUid, 'admin');
+            assert.strictEqual(logged.targetId, 'bob');
+            assert.deepStrictEqual(logged.before, { role: 'user', crewFaculties: null });
+            assert.deepStrictEqual(logged.after, { role: 'crew', crewFaculties: ['Art'] });
+            assert.deepStrictEqual(logged.faculties, ['Art']);
+        });
+
+        it('flags changes made outside the app', async () => {
+            await write(auditRoleChanges, 'users/bob', ref => ref.update({ role: 'admin' }));
+            const [logged] = await auditLog();
+            assert.strictEqual(logged.actorUid, null);
+            assert.strictEqual(logged.reason, 'Changed outside the app');
+        });
+
+        it('ignores registrations and profile edits', async () => {
+            await write(auditRoleChanges, 'users/carol', ref => ref.set({ name: 'Carol', email: 'carol@example.com', faculty: 'Law', role: 'user' }), { authId: 'carol' });
+            await write(auditRoleChanges, 'users/bob', ref => ref.update({ name: 'Robert' }), { id: 'write-2', authId: 'bob' });
+            assert.strictEqual((await auditLog()).length, 0);
+        });
+    });
+});
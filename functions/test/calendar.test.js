@@ -0,0 +1,200 @@
+// Calendar files and feeds: functions/src/calendar.js.
+
+const assert = require('assert');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const {
+    escapeText, foldLine, feedToken, buildCalendar, eventLines, calendarFeed, calendarFeedUrl, bumpCalendarSequence
+} = require('../src/calendar');
+const { eventDoc, clearEmulators, seed, callAs, expectHttpsError, buyTickets, readDoc } = require('./helpers');
+
+const SITE_URL = 'https://univista.test';
+
+/**
+ * Requests a path from calendarFeed as Firebase Hosting forwards it.
+ * @returns {Promise<{status: number, headers: object, body: string}>}
+ */
+function fetchFeed(path) {
+    return new Promise((resolve, reject) => {
+        const headers = {};
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            set(name, value) {
+                headers[name] = value;
+                return this;
+            },
+            send(body) {
+                resolve({ status: this.statusCode, headers, body });
+                return this;
+            }
+        };
+        const req = { path, headers: { host: 'univista.test' }, get: name => req.headers[name.toLowerCase()] };
+        Promise.resolve(calendarFeed(req, res)).catch(reject);
+    });
+}
+
+function personalFeedPath(uid, token = feedToken(uid, process.env.CALENDAR_FEED_SECRET)) {
+    return `/calendar/user/${uid}/${token}.ics`;
+}
+
+/** The content lines of a calendar body, unfolded. */
+function properties(body) {
+    return body.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('calendar', () => {
+    describe('ICS formatting (no emulator needed)', () => {
+        it('escapes the characters RFC 5545 reserves in text', () => {
+            assert.strictEqual(escapeText('Talks; food, music\\more\nSecond line'), 'Talks\\; food\\, music\\\\more\\nSecond line');
+            assert.strictEqual(escapeText(undefined), '');
+        });
+
+        it('folds lines longer than 75 octets without splitting characters', () => {
+            assert.strictEqual(foldLine('SUMMARY:Short'), 'SUMMARY:Short');
+
+            const long = `DESCRIPTION:${'x'.repeat(200)}`;
+            const pieces = foldLine(long).split('\r\n');
+            assert.ok(pieces.length > 2);
+            assert.ok(pieces.every(piece => Buffer.byteLength(piece, 'utf8') <= 75));
+            assert.ok(pieces.slice(1).every(piece => piece.startsWith(' ')));
+            assert.strictEqual(pieces.map((piece, i) => (i === 0 ? piece : piece.slice(1))).join(''), long);
+
+            // Sinhala letters are three octets each
+            const sinhala = `SUMMARY:${'අ'.repeat(60)}`;
+            const folded = foldLine(sinhala).split('\r\n');
+            assert.ok(folded.every(piece => Buffer.byteLength(piece, 'utf8') <= 75));
+            assert.strictEqual(folded.map((piece, i) => (i === 0 ? piece : piece.slice(1))).join(''), sinhala);
+        });
+
+        it('writes a timed event with a start time and the default length', () => {
+            const startsAt = Timestamp.fromDate(new Date('2030-05-01T03:30:00Z'));
+            const lines = eventLines('event1', eventDoc({ startsAt, calendarSequence: 2 }), { siteUrl: SITE_URL });
+            assert.ok(lines.includes('UID:event1@univista'));
+            assert.ok(lines.includes('SEQUENCE:2'));
+            assert.ok(lines.includes('DTSTART:20300501T033000Z'));
+            assert.ok(lines.includes('DURATION:PT2H'));
+            assert.ok(lines.includes('STATUS:CONFIRMED'));
+            assert.ok(lines.includes(`URL:${SITE_URL}/event-details.html?id=event1`));
+        });
+
+        it('writes an event without a time as an all-day event', () => {
+            const lines = eventLines('event1', eventDoc({ date: '2030-12-31', time: '' }), { siteUrl: SITE_URL });
+            assert.ok(lines.includes('DTSTART;VALUE=DATE:20301231'));
+            assert.ok(lines.includes('DTEND;VALUE=DATE:20310101'));
+        });
+
+        it('marks cancellations and skips events without a date', () => {
+            const lines = eventLines('event1', eventDoc({ calendarSequence: 1 }), { siteUrl: SITE_URL, cancelled: true, sequenceOffset: 1 });
+            assert.ok(lines.includes('STATUS:CANCELLED'));
+            assert.ok(lines.includes('SEQUENCE:2'));
+            assert.strictEqual(eventLines('event1', eventDoc({ date: '' }), { siteUrl: SITE_URL }), null);
+        });
+
+        it('builds a calendar with CRLF line endings and folded lines', () => {
+            const lines = eventLines('event1', eventDoc({ description: 'y'.repeat(300) }), { siteUrl: SITE_URL });
+            const body = buildCalendar('UNIVISTA - Science', [lines, null]);
+            assert.ok(body.startsWith('BEGIN:VCALENDAR\r\n'));
+            assert.ok(body.endsWith('END:VCALENDAR\r\n'));
+            assert.ok(!/[^\r]\n/.test(body));
+            assert.ok(body.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75));
+            assert.ok(properties(body).includes('X-WR-CALNAME:UNIVISTA - Science'));
+        });
+    });
+
+    describe('feeds (emulator)', () => {
+        beforeEach(async () => {
+            await clearEmulators();
+            await seed();
+        });
+
+        it('serves an approved event, and a 404 for events that were never published', async () => {
+            const feed = await fetchFeed('/calendar/event/event1.ics');
+            assert.strictEqual(feed.status, 200);
+            assert.strictEqual(feed.headers['Content-Type'], 'text/calendar; charset=utf-8');
+            assert.ok(properties(feed.body).includes('SUMMARY:Science Day'));
+
+            await getFirestore().doc('events/event1').update({ status: 'pending' });
+            assert.strictEqual((await fetchFeed('/calendar/event/event1.ics')).status, 404);
+            assert.strictEqual((await fetchFeed('/calendar/event/nope.ics')).status, 404);
+        });
+
+        it('serves a personal feed only with the token for that user', async () => {
+            await buyTickets('alice', { general: 1 });
+
+            const feed = await fetchFeed(personalFeedPath('alice'));
+            assert.strictEqual(feed.status, 200);
+            assert.strictEqual(feed.headers['Cache-Control'], 'private, max-age=300');
+            assert.ok(properties(feed.body).includes('UID:event1@univista'));
+
+            assert.strictEqual((await fetchFeed(personalFeedPath('alice', 'not-the-token'))).status, 404);
+            assert.strictEqual((await fetchFeed(personalFeedPath('alice', feedToken('bob', process.env.CALENDAR_FEED_SECRET)))).status, 404);
+            assert.strictEqual((await fetchFeed('/calendar/user/alice.ics')).status, 404);
+        });
+
+        it('hands out the personal feed path to its owner only', async () => {
+            await expectHttpsError(callAs(calendarFeedUrl, null, {}), 'unauthenticated');
+            const { path } = await callAs(calendarFeedUrl, 'alice', {});
+            assert.strictEqual(path, personalFeedPath('alice'));
+        });
+
+        it('lists a cancelled ticket as cancelled, one revision up', async () => {
+            const { docId } = (await buyTickets('alice', { general: 1 })).tickets[0];
+            await getFirestore().doc(`tickets/${docId}`).update({ status: 'cancelled' });
+
+            const lines = properties((await fetchFeed(personalFeedPath('alice'))).body);
+            assert.ok(lines.includes('STATUS:CANCELLED'));
+            assert.ok(lines.includes('SEQUENCE:1'));
+        });
+    });
+
+    describe('SEQUENCE (emulator)', () => {
+        function eventRef() {
+            return getFirestore().doc('events/event1');
+        }
+
+        /** Applies 'change' to the event and delivers the update to bumpCalendarSequence. */
+        async function changeEvent(change) {
+            const before = await eventRef().get();
+            await change();
+            const after = await eventRef().get();
+            await bumpCalendarSequence.run({ data: { before, after }, params: { eventId: 'event1' } });
+            return readDoc('events/event1');
+        }
+
+        beforeEach(async () => {
+            await clearEmulators();
+            await seed();
+        });
+
+        it('goes up when something calendar apps show changes', async () => {
+            assert.strictEqual((await changeEvent(() => eventRef().update({ location: 'Open Air Theatre' }))).calendarSequence, 1);
+            const moved = await changeEvent(() => eventRef().update({ startsAt: Timestamp.fromMillis(Date.now() + 40 * 24 * 60 * 60 * 1000) }));
+            assert.strictEqual(moved.calendarSequence, 2);
+            assert.strictEqual(moved.calendarWithdrawn, false);
+
+            const lines = properties((await fetchFeed('/calendar/event/event1.ics')).body);
+            assert.ok(lines.includes('SEQUENCE:2'));
+        });
+
+        it('stays put for changes calendar apps do not show, and for unpublished events', async () => {
+            assert.strictEqual((await changeEvent(() => eventRef().update({ contact: '011-000 0000' }))).calendarSequence, undefined);
+
+            await eventRef().update({ status: 'pending' });
+            assert.strictEqual((await changeEvent(() => eventRef().update({ title: 'Science Week' }))).calendarSequence, undefined);
+        });
+
+        it('keeps a withdrawn event in the feeds as cancelled', async () => {
+            const withdrawn = await changeEvent(() => eventRef().update({ status: 'cancelled' }));
+            assert.strictEqual(withdrawn.calendarSequence, 1);
+            assert.strictEqual(withdrawn.calendarWithdrawn, true);
+
+            const feed = await fetchFeed('/calendar/event/event1.ics');
+            assert.strictEqual(feed.status, 200);
+            assert.ok(properties(feed.body).includes('STATUS:CANCELLED'));
+            assert.ok(properties(feed.body).includes('SEQUENCE:1'));
+        });
+    });
+});
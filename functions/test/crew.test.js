@@ -0,0 +1,108 @@
+// Crew access: functions/src/crew.js. Addresses come from Firebase Auth, never from a profile.
+
+const assert = require('assert');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { setCrewAccess, revokeCrewAccess, applyCrewInvite, claimCrewInvite } = require('../src/crew');
+const { clearEmulators, seed, createAccounts, callAs, expectHttpsError, readDoc } = require('./helpers');
+
+/** Registers an account and its profile as js/auth.js does: the address starts out unverified. */
+async function register(uid, email, profileEmail = email) {
+    await getAuth().createUser({ uid, email, emailVerified: false });
+    await getFirestore().doc(`users/${uid}`).set({ name: uid, email: profileEmail, faculty: 'Law', role: 'user' });
+    await applyCrewInvite.run({ params: { uid } });
+}
+
+function grant(email, faculties = ['Law']) {
+    return callAs(setCrewAccess, 'admin', { email, faculties });
+}
+
+async function invite(email) {
+    return (await getFirestore().doc(`crewInvites/${email}`).get()).data();
+}
+
+describe('crew access', () => {
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+        await createAccounts(['alice', 'admin']);
+    });
+
+    it('makes the owner of a verified address crew for the chosen faculties', async () => {
+        const result = await grant('Alice@example.com', ['Law', 'Faculty of Arts']);
+        assert.strictEqual(result.status, 'granted');
+        assert.strictEqual(result.uid, 'alice');
+
+        const alice = await readDoc('users/alice');
+        assert.strictEqual(alice.role, 'crew');
+        assert.deepStrictEqual(alice.crewFaculties, ['Law', 'Art']);
+        assert.strictEqual(alice.crewGrantedBy, 'admin');
+    });
+
+    it('is not fooled or blocked by profiles copying the address', async () => {
+        await register('mallory', 'mallory@example.com', 'alice@example.com');
+        const result = await grant('alice@example.com');
+        assert.strictEqual(result.uid, 'alice');
+        assert.strictEqual((await readDoc('users/mallory')).role, 'user');
+    });
+
+    it('invites an address without an account and applies it once the address is verified', async () => {
+        const result = await grant('dan@example.com');
+        assert.strictEqual(result.status, 'invited');
+        assert.strictEqual(result.waitingFor, 'registration');
+        assert.deepStrictEqual((await invite('dan@example.com')).faculties, ['Law']);
+
+        await register('dan', 'dan@example.com');
+        assert.strictEqual((await readDoc('users/dan')).role, 'user');
+        assert.deepStrictEqual(await callAs(claimCrewInvite, 'dan', {}), { applied: false });
+
+        await getAuth().updateUser('dan', { emailVerified: true });
+        assert.deepStrictEqual(await callAs(claimCrewInvite, 'dan', {}), { applied: true });
+        const dan = await readDoc('users/dan');
+        assert.strictEqual(dan.role, 'crew');
+        assert.deepStrictEqual(dan.crewFaculties, ['Law']);
+        assert.strictEqual(await invite('dan@example.com'), undefined);
+    });
+
+    it('applies an invite on registration when the address is already verified', async () => {
+        await grant('dan@example.com');
+        await getAuth().createUser({ uid: 'dan', email: 'dan@example.com', emailVerified: true });
+        await getFirestore().doc('users/dan').set({ name: 'Dan', email: 'dan@example.com', faculty: 'Law', role: 'user' });
+        await applyCrewInvite.run({ params: { uid: 'dan' } });
+        assert.strictEqual((await readDoc('users/dan')).role, 'crew');
+    });
+
+    it('never gives an invite to a profile that only claims the address', async () => {
+        await grant('dan@example.com');
+        await register('mallory', 'mallory@example.com', 'dan@example.com');
+        await getAuth().updateUser('mallory', { emailVerified: true });
+        assert.deepStrictEqual(await callAs(claimCrewInvite, 'mallory', {}), { applied: false });
+
+        assert.strictEqual((await readDoc('users/mallory')).role, 'user');
+        assert.ok(await invite('dan@example.com'));
+    });
+
+    it('keeps an invite waiting while the account holding the address has not verified it', async () => {
+        await register('dan', 'dan@example.com');
+        const result = await grant('dan@example.com');
+        assert.strictEqual(result.status, 'invited');
+        assert.strictEqual(result.waitingFor, 'verification');
+        assert.strictEqual((await readDoc('users/dan')).role, 'user');
+    });
+
+    it('lets admins revoke crew access and withdraw invites', async () => {
+        await grant('alice@example.com');
+        await callAs(revokeCrewAccess, 'admin', { uid: 'alice' });
+        assert.strictEqual((await readDoc('users/alice')).role, 'user');
+
+        await grant('dan@example.com');
+        await callAs(revokeCrewAccess, 'admin', { email: 'dan@example.com' });
+        assert.strictEqual(await invite('dan@example.com'), undefined);
+    });
+
+    it('is for admins only', async () => {
+        await expectHttpsError(callAs(setCrewAccess, 'alice', { email: 'alice@example.com', faculties: ['Law'] }), 'permission-denied');
+        await expectHttpsError(callAs(claimCrewInvite, null, {}), 'unauthenticated');
+        await expectHttpsError(grant('admin@example.com'), 'failed-precondition');
+    });
+});
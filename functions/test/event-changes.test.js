@@ -0,0 +1,122 @@
+// Cancelling a published event: cancelEvent in functions/src/event-changes.js.
+
+const assert = require('assert');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { cancelEvent } = require('../src/event-changes');
+const { cancelTicket } = require('../src/ticket-changes');
+const { createOrder } = require('../src/orders');
+const { notifiedTickets } = require('../src/notifications');
+const { DAY, USERS, clearEmulators, seed, callAs, expectHttpsError, buyTickets, readDoc } = require('./helpers');
+
+function cancel(uid, reason = 'The hall is flooded.') {
+    return callAs(cancelEvent, uid, { eventId: 'event1', reason });
+}
+
+function chargeRef(orderId) {
+    return getFirestore().doc(`mock_payments/${orderId}`);
+}
+
+describe('cancelEvent', () => {
+    // Ticket document IDs: Alice's member ticket, Bob's two general ones, and one Bob cancelled beforehand
+    let alice, bob, bobCancelled;
+
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+        alice = (await buyTickets('alice', { member: 1 })).tickets[0].docId;
+        bob = (await buyTickets('bob', { general: 2 })).tickets[0].docId;
+        bobCancelled = (await buyTickets('bob', { general: 1 })).tickets[0].docId;
+        await callAs(cancelTicket, 'bob', { ticketDocId: bobCancelled });
+    });
+
+    it('cancels the event, and cancels and refunds every active ticket', async () => {
+        const result = await cancel('alice');
+        assert.deepStrictEqual(result, { eventId: 'event1', cancelled: 2, refunded: 2, failed: 0 });
+
+        const event = await readDoc('events/event1');
+        assert.strictEqual(event.status, 'cancelled');
+        assert.strictEqual(event.cancellationReason, 'The hall is flooded.');
+        assert.strictEqual(event.cancelledBy, 'alice');
+
+        for (const docId of [alice, bob]) {
+            const ticket = await readDoc(`tickets/${docId}`);
+            assert.strictEqual(ticket.status, 'cancelled');
+            assert.strictEqual(ticket.cancelledWithEvent, true);
+            assert.strictEqual(ticket.paymentStatus, 'refunded');
+            assert.strictEqual((await chargeRef(ticket.orderId).get()).data().refundedAmount, ticket.amountPaid);
+            assert.strictEqual((await readDoc(`orders/${ticket.orderId}`)).status, 'refunded');
+        }
+        // Cancelled and refunded by its holder before, and left alone
+        assert.strictEqual((await readDoc(`tickets/${bobCancelled}`)).cancelledWithEvent, undefined);
+    });
+
+    it('releases checkouts that were not paid for yet', async () => {
+        const order = await callAs(createOrder, 'alice', {
+            eventId: 'event1',
+            counts: { general: 1 },
+            contact: { name: 'Alice', email: USERS.alice.email },
+            idempotencyKey: 'open-checkout-1'
+        });
+        await cancel('alice');
+
+        const after = await readDoc(`orders/${order.orderId}`);
+        assert.strictEqual(after.status, 'failed');
+        assert.strictEqual(after.failureReason, 'event_cancelled');
+        assert.strictEqual(after.hold.status, 'released');
+    });
+
+    it('counts refunds that fail, and retries only those when called again', async () => {
+        const bobOrder = (await readDoc(`tickets/${bob}`)).orderId;
+        const charge = (await chargeRef(bobOrder).get()).data();
+        // The provider has no record of Bob's payment for now, so refunding it throws
+        await chargeRef(bobOrder).delete();
+
+        const first = await cancel('alice');
+        assert.deepStrictEqual(first, { eventId: 'event1', cancelled: 2, refunded: 1, failed: 1 });
+        const failed = await readDoc(`tickets/${bob}`);
+        assert.strictEqual(failed.status, 'cancelled');
+        assert.strictEqual(failed.cancelledWithEvent, true);
+        assert.strictEqual(failed.paymentStatus, 'refund_pending');
+
+        await chargeRef(bobOrder).set(charge);
+        const second = await cancel('alice', 'Any reason; it is only a retry.');
+        assert.deepStrictEqual(second, { eventId: 'event1', cancelled: 2, refunded: 2, failed: 0 });
+        assert.strictEqual((await readDoc(`tickets/${bob}`)).paymentStatus, 'refunded');
+
+        // Each ticket was refunded once, and the first reason stands
+        const aliceOrder = (await readDoc(`tickets/${alice}`)).orderId;
+        assert.deepStrictEqual(Object.values((await chargeRef(aliceOrder).get()).data().refunds), [300]);
+        assert.deepStrictEqual(Object.values((await chargeRef(bobOrder).get()).data().refunds), [1000]);
+        assert.strictEqual((await readDoc('events/event1')).cancellationReason, 'The hall is flooded.');
+    });
+
+    it('keeps the holders of tickets cancelled with the event among those notified', async () => {
+        await cancel('alice');
+        const event = await readDoc('events/event1');
+        const tickets = await notifiedTickets('event1', event);
+        assert.deepStrictEqual(tickets.map(doc => doc.id).sort(), [alice, bob].sort());
+    });
+
+    it('lets the faculty crew and admins cancel, and nobody else', async () => {
+        await expectHttpsError(cancel(null), 'unauthenticated');
+        await expectHttpsError(cancel('bob'), 'permission-denied');
+        assert.strictEqual((await readDoc('events/event1')).status, 'approved');
+
+        assert.strictEqual((await cancel('crewScience')).cancelled, 2);
+        await seed();
+        assert.strictEqual((await cancel('admin')).failed, 0);
+    });
+
+    it('only cancels published events that have not taken place, and wants a reason', async () => {
+        await expectHttpsError(cancel('alice', '  '), 'invalid-argument');
+        await expectHttpsError(cancel('alice', 'x'.repeat(1001)), 'invalid-argument');
+        await expectHttpsError(callAs(cancelEvent, 'alice', { eventId: 'nope', reason: 'Gone.' }), 'not-found');
+
+        await getFirestore().doc('events/event1').update({ status: 'pending' });
+        await expectHttpsError(cancel('alice'), 'failed-precondition');
+
+        await getFirestore().doc('events/event1').update({ status: 'approved', startsAt: Timestamp.fromMillis(Date.now() - DAY) });
+        await expectHttpsError(cancel('alice'), 'failed-precondition');
+        assert.strictEqual((await readDoc(`tickets/${alice}`)).status, 'active');
+    });
+});
@@ -0,0 +1,143 @@
+// functions/test/helpers.js - Fixtures shared by the Cloud Functions tests. Functions are called through
+// their handlers (.run), so a trigger only fires when a test fires it.
+
+const assert = require('assert');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { createOrder, payOrder } = require('../src/orders');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let purchases = 0;
+
+const USERS = {
+    alice: { name: 'Alice', email: 'alice@example.com', faculty: 'Science', role: 'user' },
+    bob: { name: 'Bob', email: 'bob@example.com', faculty: 'Art', role: 'user' },
+    crewScience: { name: 'Crew Science', email: 'crew.sci@example.com', faculty: 'Science', role: 'crew', crewFaculties: ['Science'] },
+    admin: { name: 'Admin', email: 'admin@example.com', faculty: 'UCSC', role: 'admin' }
+};
+
+// The mock provider's test cards (functions/src/payments/mock-provider.js)
+const CARDS = {
+    ok: '4242424242424242',
+    declined: '4000000000000002',
+    insufficientFunds: '4000000000009995',
+    timeout: '4000000000000119',
+    challenge: '4000000000003220'
+};
+
+/** An approved event as toEventDocument() in js/event-repository.js stores it, a month from now. */
+function eventDoc(overrides = {}) {
+    return {
+        schemaVersion: 1,
+        title: 'Science Day',
+        description: 'Exhibition of final year projects.',
+        category: 'academic',
+        faculty: 'Science',
+        date: '2030-05-01',
+        time: '09:00',
+        startsAt: Timestamp.fromMillis(Date.now() + 30 * DAY),
+        location: 'Main Hall',
+        contact: '077-123 4567',
+        posterURL: '',
+        audience: { members: true, guests: true, targetFaculties: [] },
+        hasTickets: true,
+        ticketPrice: 500,
+        tiers: {
+            member: { price: 300, quota: 4, available: 4 },
+            general: { price: 500, quota: 6, available: 6 }
+        },
+        totalTickets: 10,
+        availableTickets: 10,
+        cancellationCutoffHours: 24,
+        status: 'approved',
+        revision: 1,
+        postedByUid: 'alice',
+        postedByName: 'Alice',
+        reviewedBy: 'crewScience',
+        createdAt: Timestamp.now(),
+        ...overrides
+    };
+}
+
+/** Empties the emulators between tests. */
+async function clearEmulators() {
+    const project = process.env.GCLOUD_PROJECT;
+    await fetch(`http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${project}/databases/(default)/documents`, { method: 'DELETE' });
+    if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+        await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${project}/accounts`, { method: 'DELETE' });
+    }
+}
+
+/** Writes the USERS profiles and one approved event, 'event1'. */
+async function seed(event = {}) {
+    const db = getFirestore();
+    for (const [uid, profile] of Object.entries(USERS)) {
+        await db.collection('users').doc(uid).set(profile);
+    }
+    await db.collection('events').doc('event1').set(eventDoc(event));
+}
+
+/**
+ * Creates Auth accounts for some of the USERS, with the same uid and address as their profile.
+ * @param {string[]} uids
+ * @param {object} [options]
+ * @param {boolean} [options.emailVerified]
+ */
+async function createAccounts(uids, { emailVerified = true } = {}) {
+    for (const uid of uids) {
+        await getAuth().createUser({ uid, email: USERS[uid].email, emailVerified });
+    }
+}
+
+/**
+ * Calls a callable's handler as a signed-in user, or as a guest when 'uid' is null.
+ * @param {Function} callable - An onCall function.
+ * @param {string|null} uid
+ * @param {object} data
+ */
+function callAs(callable, uid, data) {
+    return callable.run({ data, auth: uid ? { uid, token: { uid } } : undefined, rawRequest: { headers: {} } });
+}
+
+async function expectHttpsError(promise, code) {
+    await assert.rejects(promise, (error) => {
+        assert.strictEqual(error.code, code, error.message);
+        return true;
+    });
+}
+
+/**
+ * Books and pays for tickets to 'event1' with the mock provider's good card.
+ * @param {string|null} uid - null for a guest checkout.
+ * @param {object} counts - Tickets per tier.
+ * @returns {Promise<object>} The paid order, as payOrder returns it.
+ */
+async function buyTickets(uid, counts, idempotencyKey = `buy-${uid || 'guest'}-${++purchases}`) {
+    const profile = USERS[uid] || { name: 'Guest', email: 'guest@example.com' };
+    const order = await callAs(createOrder, uid, {
+        eventId: 'event1',
+        counts,
+        contact: { name: profile.name, email: profile.email },
+        idempotencyKey
+    });
+    return callAs(payOrder, uid, { orderId: order.orderId, paymentMethod: { cardNumber: CARDS.ok } });
+}
+
+async function readDoc(path) {
+    return (await getFirestore().doc(path).get()).data();
+}
+
+module.exports = {
+    DAY,
+    USERS,
+    CARDS,
+    eventDoc,
+    clearEmulators,
+    seed,
+    createAccounts,
+    callAs,
+    expectHttpsError,
+    buyTickets,
+    readDoc
+};
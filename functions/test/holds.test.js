@@ -0,0 +1,125 @@
+// Checkout holds: functions/src/holds.js, through the checkout callables in functions/src/orders.js.
+
+const assert = require('assert');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { newHold, holdHasExpired, releaseHold, releaseExpiredHolds } = require('../src/holds');
+const { createOrder, payOrder, releaseOrder } = require('../src/orders');
+const { USERS, CARDS, clearEmulators, seed, callAs, readDoc } = require('./helpers');
+
+function holdFor(counts, idempotencyKey) {
+    return callAs(createOrder, 'alice', {
+        eventId: 'event1',
+        counts,
+        contact: { name: 'Alice', email: USERS.alice.email },
+        idempotencyKey
+    });
+}
+
+/** Moves an order's hold expiry into the past. */
+function expireHold(orderId) {
+    return getFirestore().doc(`orders/${orderId}`).update({ 'hold.expiresAt': Timestamp.fromMillis(Date.now() - 1000) });
+}
+
+async function generalSeats() {
+    const event = await readDoc('events/event1');
+    return { general: event.tiers.general.available, total: event.availableTickets };
+}
+
+describe('holds', () => {
+    describe('hold expiry (no emulator needed)', () => {
+        it('holds seats for CHECKOUT_HOLD_MINUTES', () => {
+            const hold = newHold();
+            assert.strictEqual(hold.status, 'held');
+            const minutes = (hold.expiresAt.toMillis() - Date.now()) / 60000;
+            assert.ok(minutes > 9.9 && minutes <= 10, `expires in ${minutes} minutes`);
+        });
+
+        it('only counts a hold as expired while it is held and past its expiry', () => {
+            const past = Timestamp.fromMillis(Date.now() - 1000);
+            const future = Timestamp.fromMillis(Date.now() + 60000);
+            assert.strictEqual(holdHasExpired({ hold: { status: 'held', expiresAt: past } }), true);
+            assert.strictEqual(holdHasExpired({ hold: { status: 'held', expiresAt: future } }), false);
+            assert.strictEqual(holdHasExpired({ hold: { status: 'released', expiresAt: past } }), false);
+            assert.strictEqual(holdHasExpired({ hold: { status: 'converted', expiresAt: past } }), false);
+            assert.strictEqual(holdHasExpired({}), false);
+        });
+    });
+
+    describe('release and conversion (emulator)', () => {
+        beforeEach(async () => {
+            await clearEmulators();
+            await seed();
+        });
+
+        it('gives the seats back when the buyer cancels, once', async () => {
+            const order = await holdFor({ general: 2 }, 'hold-key-1');
+            assert.deepStrictEqual(await generalSeats(), { general: 4, total: 8 });
+
+            const released = await callAs(releaseOrder, 'alice', { orderId: order.orderId });
+            assert.strictEqual(released.status, 'failed');
+            assert.strictEqual(released.failureReason, 'cancelled');
+            assert.deepStrictEqual(await generalSeats(), { general: 6, total: 10 });
+
+            await callAs(releaseOrder, 'alice', { orderId: order.orderId });
+            await releaseHold(order.orderId, 'cancelled');
+            assert.deepStrictEqual(await generalSeats(), { general: 6, total: 10 });
+        });
+
+        it('refuses to pay for an order whose hold ran out, and gives its seats back', async () => {
+            const order = await holdFor({ general: 2 }, 'hold-key-1');
+            await expireHold(order.orderId);
+
+            const result = await callAs(payOrder, 'alice', { orderId: order.orderId, paymentMethod: { cardNumber: CARDS.ok } });
+            assert.strictEqual(result.status, 'failed');
+            assert.strictEqual(result.failureReason, 'hold_expired');
+            assert.strictEqual(result.tickets.length, 0);
+            assert.deepStrictEqual(await generalSeats(), { general: 6, total: 10 });
+            const charge = await getFirestore().doc(`mock_payments/${order.orderId}`).get();
+            assert.strictEqual(charge.exists, false);
+        });
+
+        it('sweeps expired holds and leaves the rest alone', async () => {
+            const expired = await holdFor({ general: 2 }, 'hold-key-1');
+            const current = await holdFor({ general: 1 }, 'hold-key-2');
+            const authorizing = await holdFor({ general: 1 }, 'hold-key-3');
+            await expireHold(expired.orderId);
+            await expireHold(authorizing.orderId);
+            // Its payment is being completed: the sweep must not take its seats
+            await getFirestore().doc(`orders/${authorizing.orderId}`).update({ status: 'authorized' });
+            assert.deepStrictEqual(await generalSeats(), { general: 2, total: 6 });
+
+            await releaseExpiredHolds.run({});
+
+            const after = {
+                expired: await readDoc(`orders/${expired.orderId}`),
+                current: await readDoc(`orders/${current.orderId}`),
+                authorizing: await readDoc(`orders/${authorizing.orderId}`)
+            };
+            assert.strictEqual(after.expired.status, 'failed');
+            assert.strictEqual(after.expired.failureReason, 'hold_expired');
+            assert.strictEqual(after.expired.hold.status, 'released');
+            assert.strictEqual(after.current.hold.status, 'held');
+            assert.strictEqual(after.authorizing.status, 'authorized');
+            assert.strictEqual(after.authorizing.hold.status, 'held');
+            assert.deepStrictEqual(await generalSeats(), { general: 4, total: 8 });
+
+            // A second run finds nothing more to release
+            await releaseExpiredHolds.run({});
+            assert.deepStrictEqual(await generalSeats(), { general: 4, total: 8 });
+        });
+
+        it('converts the hold into tickets on payment, so a late release gives nothing back', async () => {
+            const order = await holdFor({ general: 2 }, 'hold-key-1');
+            const paid = await callAs(payOrder, 'alice', { orderId: order.orderId, paymentMethod: { cardNumber: CARDS.ok } });
+            assert.strictEqual(paid.status, 'paid');
+            assert.strictEqual((await readDoc(`orders/${order.orderId}`)).hold.status, 'converted');
+            assert.deepStrictEqual(await generalSeats(), { general: 4, total: 8 });
+
+            await expireHold(order.orderId);
+            await releaseHold(order.orderId, 'hold_expired');
+            await releaseExpiredHolds.run({});
+            assert.strictEqual((await readDoc(`orders/${order.orderId}`)).status, 'paid');
+            assert.deepStrictEqual(await generalSeats(), { general: 4, total: 8 });
+        });
+    });
+});
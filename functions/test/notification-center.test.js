@@ -0,0 +1,152 @@
+// In-app notifications: functions/src/notification-center.js. Who may read them and mark them read
+// is up to firestore.rules (tests/rules).
+
+const assert = require('assert');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { notifyUsers, notifyCenterEventChanges, notifyCenterWaitlistOffer } = require('../src/notification-center');
+const { eventDoc, clearEmulators, seed, buyTickets } = require('./helpers');
+
+/** Applies 'change' to the document at 'path' and delivers the write to 'trigger' as delivery 'id'. */
+async function deliver(trigger, path, change, id = 'write-1') {
+    const ref = getFirestore().doc(path);
+    const before = await ref.get();
+    await change(ref);
+    const after = await ref.get();
+    const [, eventId, , uid] = path.split('/');
+    await trigger.run({ id, data: { before, after }, params: { eventId, uid } });
+}
+
+function changeEvent(change, id) {
+    return deliver(notifyCenterEventChanges, 'events/event1', change, id);
+}
+
+/** A user's notifications as { id, type, title, body, link, eventId, read }. */
+async function notificationsOf(uid) {
+    const snapshot = await getFirestore().collection('users').doc(uid).collection('notifications').get();
+    return snapshot.docs.map(doc => {
+        const { createdAt, ...notification } = doc.data();
+        assert.ok(createdAt);
+        return { id: doc.id, ...notification };
+    });
+}
+
+describe('notification centre', () => {
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+        // Crew from before crew assignments moderate their own faculty
+        await getFirestore().doc('users/crewLegacy').set({ name: 'Crew Legacy', email: 'crew.legacy@example.com', faculty: 'Science', role: 'crew' });
+        await getFirestore().doc('users/crewArt').set({ name: 'Crew Art', email: 'crew.art@example.com', faculty: 'Science', role: 'crew', crewFaculties: ['Art'] });
+    });
+
+    describe('notifyUsers', () => {
+        it('adds an unread notification for each user once, leaving out guests', async () => {
+            const notification = { type: 'event_approved', title: 'Your event is live', body: '"Science Day" has been approved.', link: 'event-details.html?id=event1', eventId: 'event1' };
+            await notifyUsers(['alice', 'bob', 'alice', 'GUEST_guest@example.com', null], 'key-1', notification);
+            await notifyUsers(['alice'], 'key-1', { ...notification, title: 'Sent again' });
+
+            for (const uid of ['alice', 'bob']) {
+                assert.deepStrictEqual(await notificationsOf(uid), [{ id: 'key-1', ...notification, read: false }]);
+            }
+            assert.strictEqual((await notificationsOf('GUEST_guest@example.com')).length, 0);
+        });
+    });
+
+    describe('moderation', () => {
+        it('tells the faculty crew about a new submission', async () => {
+            await deliver(notifyCenterEventChanges, 'events/event2', ref => ref.set(eventDoc({ status: 'pending', reviewedBy: null })));
+
+            for (const uid of ['crewScience', 'crewLegacy']) {
+                const [notification] = await notificationsOf(uid);
+                assert.strictEqual(notification.type, 'submission_pending');
+                assert.strictEqual(notification.body, '"Science Day" is waiting in the Science queue.');
+                assert.strictEqual(notification.link, 'crew-manage-events.html?faculty=Science&event=event2');
+            }
+            // Assigned to another faculty, whatever their own
+            assert.strictEqual((await notificationsOf('crewArt')).length, 0);
+            assert.strictEqual((await notificationsOf('alice')).length, 0);
+        });
+
+        it('tells the submitter about each decision', async () => {
+            await getFirestore().doc('events/event1').update({ status: 'pending' });
+            await changeEvent(ref => ref.update({ status: 'changes_requested' }), 'review-1');
+            await changeEvent(ref => ref.update({ status: 'pending', revision: 2 }), 'resubmit-1');
+            await changeEvent(ref => ref.update({ status: 'rejected', rejectionReason: 'Clashes with exams.' }), 'review-2');
+
+            assert.deepStrictEqual((await notificationsOf('alice')).map(n => [n.id, n.type, n.body, n.link]), [
+                ['review-1-changes', 'changes_requested', 'The crew asked for changes to "Science Day".', 'profile.html?review=event1'],
+                ['review-2-rejected', 'event_rejected', '"Science Day": Clashes with exams.', 'profile.html?review=event1']
+            ]);
+            const [resubmitted] = await notificationsOf('crewScience');
+            assert.strictEqual(resubmitted.id, 'resubmit-1-resubmitted');
+            assert.strictEqual(resubmitted.body, '"Science Day" is back in the Science queue as revision 2.');
+
+            await changeEvent(ref => ref.update({ status: 'approved' }), 'review-3');
+            const approved = (await notificationsOf('alice')).find(n => n.id === 'review-3-approved');
+            assert.strictEqual(approved.type, 'event_approved');
+            assert.strictEqual(approved.link, 'event-details.html?id=event1');
+        });
+
+        it('tells the crew about changes to a live event, and the organizer what they decided', async () => {
+            const submittedAt = Timestamp.now();
+            const request = { status: 'pending', changedFields: ['date', 'location'], submittedAt };
+            await changeEvent(ref => ref.update({ changeRequest: request }), 'request-1');
+            // Saving the same request again is not a new one
+            await changeEvent(ref => ref.update({ 'changeRequest.note': 'Typo fixed.' }), 'request-2');
+
+            const crew = await notificationsOf('crewScience');
+            assert.deepStrictEqual(crew.map(n => [n.id, n.type, n.body]), [
+                ['request-1-live-changes', 'live_changes_pending', 'The organizer of "Science Day" wants to change its date, location.']
+            ]);
+
+            await changeEvent(ref => ref.update({ 'changeRequest.status': 'declined', 'changeRequest.declineReason': 'The hall is booked.' }), 'decision-1');
+            const [decided] = await notificationsOf('alice');
+            assert.strictEqual(decided.type, 'live_changes_decided');
+            assert.strictEqual(decided.title, 'Your changes were not approved');
+            assert.strictEqual(decided.body, '"Science Day" stays as it was: The hall is booked.');
+        });
+    });
+
+    describe('ticket holders', () => {
+        beforeEach(async () => {
+            await buyTickets('bob', { general: 1 });
+            await buyTickets(null, { general: 1 });
+        });
+
+        it('tells holders with an account what changed on an event they booked', async () => {
+            await changeEvent(ref => ref.update({ location: 'Open Air Theatre', time: '10:00' }));
+            const [notification] = await notificationsOf('bob');
+            assert.strictEqual(notification.type, 'event_changed');
+            assert.strictEqual(notification.body, '"Science Day": new time, location.');
+
+            // Fields they do not see
+            await changeEvent(ref => ref.update({ description: 'Now with a poster session.' }), 'write-2');
+            assert.strictEqual((await notificationsOf('bob')).length, 1);
+        });
+
+        it('tells holders an event they booked is cancelled', async () => {
+            await changeEvent(ref => ref.update({ status: 'cancelled', cancellationReason: 'The hall is flooded' }));
+            const [notification] = await notificationsOf('bob');
+            assert.strictEqual(notification.type, 'event_cancelled');
+            assert.strictEqual(notification.body, '"Science Day" is cancelled: The hall is flooded. Paid tickets are refunded.');
+            assert.strictEqual(notification.link, 'profile.html');
+        });
+    });
+
+    describe('waitlist offers', () => {
+        it('tells a user about seats held for them, once', async () => {
+            const path = 'events/event1/waitlist/bob';
+            await getFirestore().doc(path).set({ userId: 'bob', tier: 'general', quantity: 2, status: 'waiting' });
+            const offer = ref => ref.update({ status: 'offered', offeredQuantity: 2, offerExpiresAt: Timestamp.fromMillis(Date.now() + 30 * 60 * 1000) });
+            await deliver(notifyCenterWaitlistOffer, path, offer);
+
+            const [notification] = await notificationsOf('bob');
+            assert.strictEqual(notification.type, 'waitlist_offer');
+            assert.strictEqual(notification.body, '2 seats are held for you at "Science Day" for the next 30 minutes.');
+
+            // Still offered on a later write
+            await deliver(notifyCenterWaitlistOffer, path, ref => ref.update({ remindedAt: Timestamp.now() }), 'write-2');
+            assert.strictEqual((await notificationsOf('bob')).length, 1);
+        });
+    });
+});
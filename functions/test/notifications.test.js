@@ -0,0 +1,251 @@
+// Notification emails: functions/src/notifications.js. The messages go to a local SMTP catch-all on
+// SMTP_PORT (test/setup.js), which keeps them for the tests to look at.
+
+const assert = require('assert');
+const { SMTPServer } = require('smtp-server');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { issueTicketQr } = require('../src/tickets');
+const {
+    sendNotification, notifyEventSubmitted, notifyEventChanges, notifyTicketPurchased, sendEventReminders
+} = require('../src/notifications');
+const { DAY, clearEmulators, seed, buyTickets, readDoc } = require('./helpers');
+
+// Everything the catch-all accepted, oldest first: { to: string[], subject, body, raw }
+let inbox = [];
+// Set to make the catch-all turn the next messages away
+let rejectMail = false;
+
+// The messages are ASCII, so undoing quoted-printable is all the decoding they need
+function decodeQuotedPrintable(text) {
+    return text.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/** Decodes the Q-encoded words nodemailer puts in headers (RFC 2047). */
+function decodeWords(header) {
+    return header.replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?UTF-8\?Q\?([^?]*)\?=/gi, (match, word) => decodeQuotedPrintable(word.replace(/_/g, ' ')));
+}
+
+const smtp = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+            if (rejectMail) {
+                const error = new Error('Mailbox unavailable');
+                error.responseCode = 550;
+                return callback(error);
+            }
+            const raw = Buffer.concat(chunks).toString();
+            const headers = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+            const subject = decodeWords((headers.match(/^Subject: (.*)$/mi) || [])[1] || '');
+            inbox.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), subject, body: decodeQuotedPrintable(raw), raw });
+            callback();
+        });
+    }
+});
+
+function eventRef() {
+    return getFirestore().doc('events/event1');
+}
+
+/** Applies 'change' to the event and delivers the update to notifyEventChanges as delivery 'id'. */
+async function changeEvent(change, id = 'change-1') {
+    const before = await eventRef().get();
+    await change();
+    const after = await eventRef().get();
+    return deliverChange(before, after, id);
+}
+
+function deliverChange(before, after, id) {
+    return notifyEventChanges.run({ id, data: { before, after }, params: { eventId: 'event1' } });
+}
+
+/** Signs a ticket's QR code as issueTicketQr does, and delivers that update to notifyTicketPurchased. */
+async function signTicket(ticketDocId) {
+    const ref = getFirestore().doc(`tickets/${ticketDocId}`);
+    const before = await ref.get();
+    await issueTicketQr.run({ data: before, params: { ticketId: ticketDocId } });
+    const after = await ref.get();
+    return { before, after };
+}
+
+function deliverPurchase({ before, after }, ticketDocId) {
+    return notifyTicketPurchased.run({ data: { before, after }, params: { ticketId: ticketDocId } });
+}
+
+function optOut(uid, type) {
+    return getFirestore().doc(`users/${uid}`).update({ [`emailPreferences.${type}`]: false });
+}
+
+function recipients() {
+    return inbox.flatMap(message => message.to).sort();
+}
+
+async function sentEmail(key) {
+    return (await getFirestore().doc(`sentEmails/${key}`).get()).exists;
+}
+
+describe('notifications', () => {
+    before(() => new Promise((resolve, reject) => {
+        smtp.once('error', reject);
+        smtp.listen(Number(process.env.SMTP_PORT), process.env.SMTP_HOST, resolve);
+    }));
+
+    after(() => new Promise(resolve => smtp.close(resolve)));
+
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+        inbox = [];
+        rejectMail = false;
+    });
+
+    describe('submissions', () => {
+        async function submit() {
+            const ref = getFirestore().doc('events/event2');
+            await ref.set({ ...(await readDoc('events/event1')), title: 'Art Fair', status: 'pending' });
+            return notifyEventSubmitted.run({ data: await ref.get(), params: { eventId: 'event2' } });
+        }
+
+        it('confirms a submission to the submitter, once however often the trigger runs', async () => {
+            await submit();
+            await submit();
+
+            assert.strictEqual(inbox.length, 1);
+            assert.deepStrictEqual(inbox[0].to, ['alice@example.com']);
+            assert.strictEqual(inbox[0].subject, 'UNIVISTA: We received "Art Fair"');
+            assert.ok(await sentEmail('event2-submitted-1'));
+        });
+
+        it('skips types the recipient turned off', async () => {
+            await optOut('alice', 'submission_received');
+            await submit();
+
+            assert.strictEqual(inbox.length, 0);
+            assert.strictEqual(await sentEmail('event2-submitted-1'), false);
+        });
+
+        it('releases the key of a message that could not be sent, so a retry sends it', async () => {
+            rejectMail = true;
+            await assert.rejects(submit());
+            assert.strictEqual(await sentEmail('event2-submitted-1'), false);
+
+            rejectMail = false;
+            await submit();
+            assert.strictEqual(inbox.length, 1);
+        });
+
+        it('sends nothing without an address', async () => {
+            const sent = await sendNotification({ type: 'event_approved', key: 'nobody-approved', uid: 'nobody', data: {} });
+            assert.strictEqual(sent, false);
+            assert.strictEqual(inbox.length, 0);
+        });
+    });
+
+    describe('ticket holders', () => {
+        let bobTicket;
+
+        beforeEach(async () => {
+            await buyTickets('alice', { general: 1 });
+            bobTicket = (await buyTickets('bob', { general: 1 })).tickets[0].docId;
+            await buyTickets(null, { general: 2 });
+        });
+
+        it('tells every holder what changed on a published event, once per delivery', async () => {
+            const before = await eventRef().get();
+            await eventRef().update({ location: 'Open Air Theatre' });
+            const after = await eventRef().get();
+            await deliverChange(before, after, 'change-1');
+            await deliverChange(before, after, 'change-1');
+
+            assert.deepStrictEqual(recipients(), ['alice@example.com', 'bob@example.com', 'guest@example.com']);
+            assert.ok(inbox.every(message => message.subject === 'UNIVISTA: "Science Day" has changed'));
+            assert.ok(inbox[0].body.includes('- Location: Main Hall -> Open Air Theatre'));
+
+            // A later change is a new delivery, and a new message
+            await changeEvent(() => eventRef().update({ time: '10:00' }), 'change-2');
+            assert.strictEqual(inbox.length, 6);
+        });
+
+        it('leaves out holders who turned change emails off', async () => {
+            await optOut('bob', 'event_changed');
+            await changeEvent(() => eventRef().update({ date: '2030-05-02' }));
+            assert.deepStrictEqual(recipients(), ['alice@example.com', 'guest@example.com']);
+        });
+
+        it('says nothing about changes to fields holders do not see', async () => {
+            await changeEvent(() => eventRef().update({ description: 'Now with a poster session.' }));
+            assert.strictEqual(inbox.length, 0);
+        });
+
+        it('tells holders, including those whose tickets were cancelled with it, that the event is off', async () => {
+            // Bob's ticket was cancelled by its holder before the event was
+            await getFirestore().doc(`tickets/${bobTicket}`).update({ status: 'cancelled' });
+            const tickets = await getFirestore().collection('tickets').where('status', '==', 'active').get();
+
+            // As cancelEvent leaves them by the time the trigger runs
+            await changeEvent(async () => {
+                await eventRef().update({ status: 'cancelled' });
+                for (const doc of tickets.docs) {
+                    await doc.ref.update({ status: 'cancelled', cancelledWithEvent: true });
+                }
+            });
+
+            assert.deepStrictEqual(recipients(), ['alice@example.com', 'guest@example.com']);
+            assert.ok(inbox.every(message => message.subject === 'UNIVISTA: "Science Day" is cancelled'));
+            assert.ok(inbox[0].body.includes('Your tickets have been cancelled.'));
+        });
+
+        it('sends the day-before reminder once', async () => {
+            await eventRef().update({ startsAt: Timestamp.fromMillis(Date.now() + DAY - 30 * 60 * 1000) });
+            await optOut('alice', 'event_reminder');
+
+            await sendEventReminders.run({});
+            await sendEventReminders.run({});
+
+            assert.deepStrictEqual(recipients(), ['bob@example.com', 'guest@example.com']);
+            assert.ok(inbox.every(message => message.subject === 'UNIVISTA: Tomorrow: Science Day'));
+        });
+
+        it('reminds nobody of events further away', async () => {
+            await sendEventReminders.run({});
+            assert.strictEqual(inbox.length, 0);
+        });
+    });
+
+    describe('purchases', () => {
+        it('sends the ticket with its QR code once the code is signed, once', async () => {
+            const { docId, ticketId } = (await buyTickets('bob', { general: 2 })).tickets[0];
+            const update = await signTicket(docId);
+            await deliverPurchase(update, docId);
+            await deliverPurchase(update, docId);
+
+            assert.strictEqual(inbox.length, 1);
+            assert.deepStrictEqual(inbox[0].to, ['bob@example.com']);
+            assert.strictEqual(inbox[0].subject, 'UNIVISTA: Your tickets for "Science Day"');
+            assert.ok(inbox[0].raw.includes('Content-ID: <ticket-qr>'));
+            assert.ok(inbox[0].raw.includes(`${ticketId}.png`));
+        });
+
+        it('sends nothing before the QR code is signed, or when it is signed again', async () => {
+            const { docId } = (await buyTickets('bob', { general: 1 })).tickets[0];
+            const unsigned = await getFirestore().doc(`tickets/${docId}`).get();
+            await deliverPurchase({ before: unsigned, after: unsigned }, docId);
+
+            const { after } = await signTicket(docId);
+            await deliverPurchase({ before: after, after }, docId);
+            assert.strictEqual(inbox.length, 0);
+        });
+
+        it('respects an opt-out', async () => {
+            await optOut('bob', 'ticket_purchased');
+            const { docId } = (await buyTickets('bob', { general: 1 })).tickets[0];
+            await deliverPurchase(await signTicket(docId), docId);
+            assert.strictEqual(inbox.length, 0);
+        });
+    });
+});
@@ -0,0 +1,245 @@
+// Checkout: functions/src/orders.js with the mock payment provider (functions/src/payments/mock-provider.js).
+
+const assert = require('assert');
+const { getFirestore } = require('firebase-admin/firestore');
+const { orderIdFor, priceOrder, createOrder, payOrder, completePaymentChallenge } = require('../src/orders');
+const { issueTicketsForOrder } = require('../src/tickets');
+const mockProvider = require('../src/payments/mock-provider');
+const { USERS, CARDS, eventDoc, clearEmulators, seed, callAs, expectHttpsError, readDoc } = require('./helpers');
+
+function orderData(counts, idempotencyKey = 'checkout-key-1') {
+    return { eventId: 'event1', counts, contact: { name: 'Alice', email: USERS.alice.email }, idempotencyKey };
+}
+
+function pay(uid, orderId, cardNumber) {
+    return callAs(payOrder, uid, { orderId, paymentMethod: { cardNumber, expiry: '12/30', cvc: '123' } });
+}
+
+async function ticketsOf(orderId) {
+    return (await getFirestore().collection('tickets').where('orderId', '==', orderId).get()).docs;
+}
+
+async function seats() {
+    const event = await readDoc('events/event1');
+    return { member: event.tiers.member.available, general: event.tiers.general.available, total: event.availableTickets };
+}
+
+describe('orders', () => {
+    // =========================================================================
+    // --- Pricing (no emulator needed) ---
+    // =========================================================================
+
+    describe('priceOrder', () => {
+        const event = eventDoc();
+
+        it('prices each tier from the stored event', () => {
+            assert.deepStrictEqual(priceOrder(event, { member: 1, general: 2 }, true), {
+                items: [
+                    { tier: 'member', quantity: 1, unitPrice: 300, lineTotal: 300 },
+                    { tier: 'general', quantity: 2, unitPrice: 500, lineTotal: 1000 }
+                ],
+                amount: 1300
+            });
+        });
+
+        it('keeps the member rate to university members', () => {
+            assert.throws(() => priceOrder(event, { member: 1 }, false), { code: 'permission-denied' });
+            assert.strictEqual(priceOrder(event, { general: 1 }, false).amount, 500);
+        });
+
+        it('rejects more tickets than a tier has left', () => {
+            const nearlySoldOut = eventDoc({ tiers: { ...event.tiers, general: { price: 500, quota: 6, available: 1 } } });
+            assert.throws(() => priceOrder(nearlySoldOut, { general: 2 }, true), { code: 'resource-exhausted' });
+        });
+
+        it('allows between 1 and 5 tickets per order', () => {
+            assert.throws(() => priceOrder(event, {}, true), { code: 'invalid-argument' });
+            assert.throws(() => priceOrder(event, { member: 2, general: 4 }, true), { code: 'invalid-argument' });
+            assert.strictEqual(priceOrder(event, { member: 2, general: 3 }, true).amount, 2100);
+        });
+
+        it('rejects counts that are not whole numbers', () => {
+            assert.throws(() => priceOrder(event, { general: 1.5 }, true), { code: 'invalid-argument' });
+            assert.throws(() => priceOrder(event, { general: -1 }, true), { code: 'invalid-argument' });
+            assert.throws(() => priceOrder(event, { general: '2' }, true), { code: 'invalid-argument' });
+        });
+
+        it('derives order IDs from the caller and the idempotency key', () => {
+            assert.strictEqual(orderIdFor('alice', 'checkout-key-1'), orderIdFor('alice', 'checkout-key-1'));
+            assert.notStrictEqual(orderIdFor('alice', 'checkout-key-1'), orderIdFor('bob', 'checkout-key-1'));
+            assert.notStrictEqual(orderIdFor('alice', 'checkout-key-1'), orderIdFor('alice', 'checkout-key-2'));
+        });
+    });
+
+    // =========================================================================
+    // --- Checkout (emulator) ---
+    // =========================================================================
+
+    describe('checkout', () => {
+        beforeEach(async () => {
+            await clearEmulators();
+            await seed();
+        });
+
+        it('creates an order priced by the server and holds its seats', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ member: 1, general: 2 }));
+            assert.strictEqual(order.status, 'created');
+            assert.strictEqual(order.amount, 1300);
+            assert.ok(order.holdExpiresInMs > 0);
+            assert.deepStrictEqual(await seats(), { member: 3, general: 4, total: 7 });
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+        });
+
+        it('returns the same order for a retried request with the same key', async () => {
+            const first = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            const retry = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            assert.strictEqual(retry.orderId, first.orderId);
+            assert.deepStrictEqual(await seats(), { member: 4, general: 4, total: 8 });
+
+            const another = await callAs(createOrder, 'alice', orderData({ general: 1 }, 'checkout-key-2'));
+            assert.notStrictEqual(another.orderId, first.orderId);
+            assert.deepStrictEqual(await seats(), { member: 4, general: 3, total: 7 });
+        });
+
+        it('rejects overselling, the member rate for guests and more than 5 tickets', async () => {
+            await getFirestore().doc('events/event1').update({ 'tiers.general.available': 1 });
+            await expectHttpsError(callAs(createOrder, 'alice', orderData({ general: 2 })), 'resource-exhausted');
+            await expectHttpsError(callAs(createOrder, null, orderData({ member: 1 })), 'permission-denied');
+            await getFirestore().doc('events/event1').update({ 'tiers.general.available': 6 });
+            await expectHttpsError(callAs(createOrder, 'alice', orderData({ general: 6 })), 'invalid-argument');
+            assert.deepStrictEqual(await seats(), { member: 4, general: 6, total: 10 });
+        });
+
+        it('only sells tickets for approved events that have not started', async () => {
+            await getFirestore().doc('events/event1').update({ status: 'pending' });
+            await expectHttpsError(callAs(createOrder, 'alice', orderData({ general: 1 })), 'failed-precondition');
+        });
+
+        it('issues tickets once the order is paid, and a retried payment returns the same tickets', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ member: 1, general: 2 }));
+            const paid = await pay('alice', order.orderId, CARDS.ok);
+            assert.strictEqual(paid.status, 'paid');
+            assert.deepStrictEqual(paid.tickets.map(ticket => ticket.docId).sort(),
+                [`${order.orderId}-general`, `${order.orderId}-member`]);
+
+            const tickets = await ticketsOf(order.orderId);
+            assert.strictEqual(tickets.length, 2);
+            tickets.forEach(doc => assert.strictEqual(doc.data().paymentStatus, 'paid'));
+            assert.strictEqual((await readDoc(`tickets/${order.orderId}-general`)).amountPaid, 1000);
+            assert.strictEqual((await readDoc(`orders/${order.orderId}`)).hold.status, 'converted');
+            // The held seats became the tickets: nothing is taken twice
+            assert.deepStrictEqual(await seats(), { member: 3, general: 4, total: 7 });
+
+            const retry = await pay('alice', order.orderId, CARDS.ok);
+            assert.deepStrictEqual(retry.tickets, paid.tickets);
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 2);
+            assert.strictEqual((await readDoc(`mock_payments/${order.orderId}`)).status, 'captured');
+        });
+
+        it('never issues tickets for an unpaid order', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            await assert.rejects(issueTicketsForOrder(order.orderId), /not paid/);
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+        });
+
+        it('keeps orders to their owner', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ general: 1 }));
+            await expectHttpsError(pay('bob', order.orderId, CARDS.ok), 'permission-denied');
+            await expectHttpsError(pay(null, order.orderId, CARDS.ok), 'permission-denied');
+        });
+
+        for (const [card, reason] of [[CARDS.declined, 'card_declined'], [CARDS.insufficientFunds, 'insufficient_funds']]) {
+            it(`fails the order and gives the seats back when the card is declined (${reason})`, async () => {
+                const order = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+                const result = await pay('alice', order.orderId, card);
+                assert.strictEqual(result.status, 'failed');
+                assert.strictEqual(result.failureReason, reason);
+                assert.strictEqual((await readDoc(`orders/${order.orderId}`)).hold.status, 'released');
+                assert.deepStrictEqual(await seats(), { member: 4, general: 6, total: 10 });
+                assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+
+                // Paying again does not revive a failed order
+                assert.strictEqual((await pay('alice', order.orderId, CARDS.ok)).status, 'failed');
+                assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+            });
+        }
+
+        it('finishes a payment whose gateway timed out when it is retried, charging once', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            await expectHttpsError(pay('alice', order.orderId, CARDS.timeout), 'deadline-exceeded');
+            assert.strictEqual((await readDoc(`orders/${order.orderId}`)).status, 'created');
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+            const charge = await readDoc(`mock_payments/${order.orderId}`);
+
+            const retry = await pay('alice', order.orderId, CARDS.timeout);
+            assert.strictEqual(retry.status, 'paid');
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 1);
+            assert.strictEqual((await readDoc(`mock_payments/${order.orderId}`)).providerRef, charge.providerRef);
+        });
+
+        it('waits for the 3-D Secure challenge before issuing tickets', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            const pending = await pay('alice', order.orderId, CARDS.challenge);
+            assert.strictEqual(pending.status, 'created');
+            assert.match(pending.redirectUrl, /^payment-challenge\.html\?order=/);
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+
+            // Paying again while the challenge is open changes nothing
+            assert.strictEqual((await pay('alice', order.orderId, CARDS.ok)).redirectUrl, pending.redirectUrl);
+
+            const { challengeId } = await readDoc(`mock_payments/${order.orderId}`);
+            const paid = await callAs(completePaymentChallenge, 'alice', { orderId: order.orderId, challengeId, approved: true });
+            assert.strictEqual(paid.status, 'paid');
+            assert.strictEqual(paid.redirectUrl, null);
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 1);
+        });
+
+        it('fails the order when the 3-D Secure challenge is refused or does not match', async () => {
+            const refused = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            await pay('alice', refused.orderId, CARDS.challenge);
+            const { challengeId } = await readDoc(`mock_payments/${refused.orderId}`);
+            const result = await callAs(completePaymentChallenge, 'alice', { orderId: refused.orderId, challengeId, approved: false });
+            assert.strictEqual(result.status, 'failed');
+            assert.strictEqual(result.failureReason, 'authentication_failed');
+
+            const mismatched = await callAs(createOrder, 'alice', orderData({ general: 2 }, 'checkout-key-2'));
+            await pay('alice', mismatched.orderId, CARDS.challenge);
+            const wrong = await callAs(completePaymentChallenge, 'alice', { orderId: mismatched.orderId, challengeId: 'forged', approved: true });
+            assert.strictEqual(wrong.status, 'failed');
+            assert.strictEqual(wrong.failureReason, 'challenge_mismatch');
+
+            assert.deepStrictEqual(await seats(), { member: 4, general: 6, total: 10 });
+            assert.strictEqual((await ticketsOf(refused.orderId)).length + (await ticketsOf(mismatched.orderId)).length, 0);
+        });
+
+        it('refunds a payment for an event taken off sale during checkout', async () => {
+            const order = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            await getFirestore().doc('events/event1').update({ status: 'rejected' });
+
+            const result = await pay('alice', order.orderId, CARDS.ok);
+            assert.strictEqual(result.status, 'refunded');
+            assert.strictEqual(result.failureReason, 'event_unavailable');
+            assert.strictEqual((await readDoc(`mock_payments/${order.orderId}`)).status, 'refunded');
+            assert.strictEqual((await ticketsOf(order.orderId)).length, 0);
+            assert.deepStrictEqual(await seats(), { member: 4, general: 6, total: 10 });
+        });
+
+        it('refunds a payment whose seats were sold after its hold was released', async () => {
+            const created = await callAs(createOrder, 'alice', orderData({ general: 2 }));
+            const db = getFirestore();
+            const order = await readDoc(`orders/${created.orderId}`);
+            await mockProvider.authorize({ order, paymentMethod: { cardNumber: CARDS.ok } });
+            await db.doc(`orders/${created.orderId}`).update({ status: 'authorized', 'hold.status': 'released' });
+            await db.doc('events/event1').update({ 'tiers.general.available': 0 });
+
+            const result = await pay('alice', created.orderId, CARDS.ok);
+            assert.strictEqual(result.status, 'refunded');
+            assert.strictEqual(result.failureReason, 'sold_out');
+            assert.strictEqual((await readDoc(`mock_payments/${created.orderId}`)).status, 'refunded');
+            assert.strictEqual((await ticketsOf(created.orderId)).length, 0);
+
+            const audit = await db.collection('auditLog').where('targetId', '==', created.orderId).get();
+            assert.deepStrictEqual(audit.docs.map(doc => doc.data().action), ['order.refunded']);
+        });
+    });
+});
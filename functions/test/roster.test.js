@@ -0,0 +1,47 @@
+// Attendee roster: getAttendeeRoster in functions/src/roster.js.
+
+const assert = require('assert');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAttendeeRoster } = require('../src/roster');
+const { clearEmulators, seed, callAs, expectHttpsError, buyTickets } = require('./helpers');
+
+function rosterFor(uid, eventId = 'event1') {
+    return callAs(getAttendeeRoster, uid, { eventId });
+}
+
+describe('attendee roster', () => {
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+        await getFirestore().doc('users/crewArt').set({
+            name: 'Crew Art', email: 'crew.art@example.com', faculty: 'Art', role: 'crew', crewFaculties: ['Art']
+        });
+        await buyTickets('bob', { general: 2 });
+        await buyTickets(null, { general: 1 });
+    });
+
+    it('gives the faculty crew and admins the attendees with their contact details', async () => {
+        for (const uid of ['crewScience', 'admin']) {
+            const roster = await rosterFor(uid);
+            assert.strictEqual(roster.canSeeContacts, true);
+            assert.deepStrictEqual(roster.attendees.map(a => [a.name, a.email, a.guest, a.ticketCount]), [
+                ['Bob', 'bob@example.com', false, 2],
+                ['Guest', 'guest@example.com', true, 1]
+            ]);
+        }
+    });
+
+    it('shows the organizer who is coming, without their contact details', async () => {
+        const roster = await rosterFor('alice');
+        assert.strictEqual(roster.canSeeContacts, false);
+        assert.deepStrictEqual(roster.attendees.map(a => a.name), ['Bob', 'Guest']);
+        assert.ok(roster.attendees.every(a => a.email === null && a.phone === null));
+    });
+
+    it('refuses everyone else, crew of other faculties included', async () => {
+        await expectHttpsError(rosterFor('bob'), 'permission-denied');
+        await expectHttpsError(rosterFor('crewArt'), 'permission-denied');
+        await expectHttpsError(rosterFor(null), 'unauthenticated');
+        await expectHttpsError(rosterFor('admin', 'nope'), 'not-found');
+    });
+});
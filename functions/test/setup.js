@@ -0,0 +1,21 @@
+// functions/test/setup.js - Loaded before every test file (see "test" in functions/package.json).
+// The suite runs against the Auth and Firestore emulators: `npm run test:functions` from the
+// repository root starts them and sets FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST.
+
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-univista';
+
+// What functions/.env and the secrets provide in a deployment. The tests count on these values.
+Object.assign(process.env, {
+    CHECKOUT_HOLD_MINUTES: '10',
+    WAITLIST_OFFER_MINUTES: '30',
+    TICKET_QR_SECRET: 'test-ticket-qr-secret',
+    CALENDAR_FEED_SECRET: 'test-calendar-feed-secret',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: '2525',
+    MAIL_FROM: 'UNIVISTA <no-reply@univista.test>',
+    SITE_URL: 'http://localhost:5000'
+});
+
+const { initializeApp } = require('firebase-admin/app');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
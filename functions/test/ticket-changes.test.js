@@ -0,0 +1,109 @@
+// Ticket cancellations and transfers: cancelTicket and transferTicket in functions/src/ticket-changes.js.
+
+const assert = require('assert');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { orderRefundUpdate, cancelTicket, transferTicket } = require('../src/ticket-changes');
+const { verifyQrPayload } = require('../src/tickets');
+const { clearEmulators, seed, createAccounts, callAs, expectHttpsError, buyTickets, readDoc } = require('./helpers');
+
+describe('order refunds (no emulator needed)', () => {
+    it('counts what is given back and ends a paid order as refunded once it is all back', () => {
+        const order = { status: 'paid', amount: 800, refundedAmount: 300 };
+        const partial = orderRefundUpdate({ status: 'paid', amount: 800 }, 300);
+        assert.strictEqual(partial.refundedAmount, 300);
+        assert.strictEqual(partial.status, undefined);
+
+        const full = orderRefundUpdate(order, 500);
+        assert.strictEqual(full.refundedAmount, 800);
+        assert.strictEqual(full.status, 'refunded');
+        assert.ok(full.statusHistory);
+    });
+
+    it('leaves orders that are not paid in their state', () => {
+        assert.strictEqual(orderRefundUpdate({ status: 'refunded', amount: 500, refundedAmount: 300 }, 200).status, undefined);
+    });
+});
+
+describe('ticket cancellations', () => {
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+    });
+
+    it('refunds each ticket and marks the order refunded once every ticket on it is', async () => {
+        const paid = await buyTickets('alice', { member: 1, general: 1 });
+        const [member, general] = paid.tickets.map(ticket => ticket.docId);
+
+        const first = await callAs(cancelTicket, 'alice', { ticketDocId: member });
+        assert.strictEqual(first.paymentStatus, 'refunded');
+        let order = await readDoc(`orders/${paid.orderId}`);
+        assert.strictEqual(order.status, 'paid');
+        assert.strictEqual(order.refundedAmount, 300);
+
+        await callAs(cancelTicket, 'alice', { ticketDocId: general });
+        order = await readDoc(`orders/${paid.orderId}`);
+        assert.strictEqual(order.status, 'refunded');
+        assert.strictEqual(order.refundedAmount, 800);
+        assert.strictEqual(order.statusHistory[order.statusHistory.length - 1].status, 'refunded');
+
+        // Retrying only retries the refund
+        await callAs(cancelTicket, 'alice', { ticketDocId: general });
+        assert.strictEqual((await readDoc(`orders/${paid.orderId}`)).refundedAmount, 800);
+    });
+
+    it('gives the seats back to the event', async () => {
+        const { docId } = (await buyTickets('alice', { general: 2 })).tickets[0];
+        assert.strictEqual((await readDoc('events/event1')).tiers.general.available, 4);
+        await callAs(cancelTicket, 'alice', { ticketDocId: docId });
+        assert.strictEqual((await readDoc('events/event1')).tiers.general.available, 6);
+    });
+
+    it('only lets the holder cancel', async () => {
+        const { docId } = (await buyTickets('alice', { general: 1 })).tickets[0];
+        await expectHttpsError(callAs(cancelTicket, 'bob', { ticketDocId: docId }), 'permission-denied');
+    });
+});
+
+describe('ticket transfers', () => {
+    let ticketDocId;
+
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed();
+        await createAccounts(['alice', 'bob']);
+        ticketDocId = (await buyTickets('alice', { general: 1 })).tickets[0].docId;
+    });
+
+    it('moves the ticket to the account that owns the address and re-signs its QR payload', async () => {
+        const result = await callAs(transferTicket, 'alice', { ticketDocId, email: ' Bob@Example.com ' });
+        assert.strictEqual(result.recipientName, 'Bob');
+
+        const ticket = await readDoc(`tickets/${ticketDocId}`);
+        assert.strictEqual(ticket.userId, 'bob');
+        assert.strictEqual(ticket.userEmail, 'bob@example.com');
+        assert.ok(verifyQrPayload(ticket.qrCodeData, ticket, ticketDocId, process.env.TICKET_QR_SECRET));
+        assert.deepStrictEqual(ticket.transferHistory.map(move => [move.fromUserId, move.toUserId]), [['alice', 'bob']]);
+    });
+
+    it('ignores profiles claiming someone else\'s address', async () => {
+        // Mallory's account has its own address; the profile claims Bob's
+        await getAuth().createUser({ uid: 'mallory', email: 'mallory@example.com' });
+        await getFirestore().doc('users/mallory').set({ name: 'Mallory', email: 'bob@example.com', faculty: 'Art', role: 'user' });
+
+        await callAs(transferTicket, 'alice', { ticketDocId, email: 'bob@example.com' });
+        assert.strictEqual((await readDoc(`tickets/${ticketDocId}`)).userId, 'bob');
+    });
+
+    it('rejects addresses without an account, even if a profile uses them', async () => {
+        await getFirestore().doc('users/mallory').set({ name: 'Mallory', email: 'carol@example.com', faculty: 'Art', role: 'user' });
+        await expectHttpsError(callAs(transferTicket, 'alice', { ticketDocId, email: 'carol@example.com' }), 'not-found');
+        await expectHttpsError(callAs(transferTicket, 'alice', { ticketDocId, email: 'not an address' }), 'not-found');
+        assert.strictEqual((await readDoc(`tickets/${ticketDocId}`)).userId, 'alice');
+    });
+
+    it('rejects transfers to yourself and of tickets you do not hold', async () => {
+        await expectHttpsError(callAs(transferTicket, 'alice', { ticketDocId, email: 'alice@example.com' }), 'invalid-argument');
+        await expectHttpsError(callAs(transferTicket, 'bob', { ticketDocId, email: 'alice@example.com' }), 'permission-denied');
+    });
+});
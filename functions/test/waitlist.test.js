@@ -0,0 +1,187 @@
+// Waitlist offers: functions/src/waitlist.js, and claiming an offer through createOrder (functions/src/orders.js).
+
+const assert = require('assert');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { offerReleasedSeats, expireWaitlistOffers } = require('../src/waitlist');
+const { createOrder, payOrder } = require('../src/orders');
+const { USERS, CARDS, clearEmulators, seed, callAs, expectHttpsError, readDoc } = require('./helpers');
+
+const SOLD_OUT = {
+    tiers: {
+        member: { price: 300, quota: 4, available: 0 },
+        general: { price: 500, quota: 6, available: 0 }
+    },
+    availableTickets: 0
+};
+
+function eventRef() {
+    return getFirestore().doc('events/event1');
+}
+
+function entryRef(uid) {
+    return eventRef().collection('waitlist').doc(uid);
+}
+
+/** Queues a user for general tickets as js/waitlist.js does, 'minutesAgo' minutes ago. */
+function join(uid, quantity, minutesAgo) {
+    return entryRef(uid).set({
+        userId: uid,
+        name: USERS[uid].name,
+        email: USERS[uid].email,
+        tier: 'general',
+        quantity,
+        status: 'waiting',
+        joinedAt: Timestamp.fromMillis(Date.now() - minutesAgo * 60000)
+    });
+}
+
+/** Runs 'change' against the event and delivers the resulting update to offerReleasedSeats. */
+async function changeEvent(change) {
+    const before = await eventRef().get();
+    await change();
+    const after = await eventRef().get();
+    await offerReleasedSeats.run({ data: { before, after }, params: { eventId: 'event1' } });
+}
+
+function freeSeats(count) {
+    return changeEvent(() => eventRef().update({
+        'tiers.general.available': FieldValue.increment(count),
+        availableTickets: FieldValue.increment(count)
+    }));
+}
+
+function expireOfferOf(uid) {
+    return entryRef(uid).update({ offerExpiresAt: Timestamp.fromMillis(Date.now() - 1000) });
+}
+
+function claim(uid, count, idempotencyKey = `claim-${uid}-1`) {
+    return callAs(createOrder, uid, {
+        eventId: 'event1',
+        counts: { general: count },
+        contact: { name: USERS[uid].name, email: USERS[uid].email },
+        idempotencyKey,
+        waitlistOffer: true
+    });
+}
+
+async function entry(uid) {
+    return (await entryRef(uid).get()).data();
+}
+
+async function generalSeats() {
+    return (await readDoc('events/event1')).tiers.general.available;
+}
+
+describe('waitlist', () => {
+    beforeEach(async () => {
+        await clearEmulators();
+        await seed(SOLD_OUT);
+        // Bob joined after Alice, though Bob's entry is written first
+        await join('bob', 1, 5);
+        await join('alice', 2, 10);
+    });
+
+    it('offers freed seats to the queue in joinedAt order and holds them', async () => {
+        await freeSeats(2);
+
+        const alice = await entry('alice');
+        assert.strictEqual(alice.status, 'offered');
+        assert.strictEqual(alice.offeredQuantity, 2);
+        const minutes = (alice.offerExpiresAt.toMillis() - Date.now()) / 60000;
+        assert.ok(minutes > 29 && minutes <= 30, `offer runs for ${minutes} minutes`);
+        assert.strictEqual((await entry('bob')).status, 'waiting');
+        assert.strictEqual(await generalSeats(), 0);
+    });
+
+    it('offers what is left when fewer seats free up than the next person wants', async () => {
+        await freeSeats(1);
+        assert.strictEqual((await entry('alice')).offeredQuantity, 1);
+        assert.strictEqual((await entry('bob')).status, 'waiting');
+
+        await freeSeats(2);
+        assert.strictEqual((await entry('bob')).offeredQuantity, 1);
+        assert.strictEqual(await generalSeats(), 1);
+    });
+
+    it('keeps freed seats from anyone who is not at the front of the queue', async () => {
+        await eventRef().update({ 'tiers.general.available': 2, availableTickets: 2 });
+        await expectHttpsError(callAs(createOrder, 'crewScience', {
+            eventId: 'event1',
+            counts: { general: 1 },
+            contact: { name: 'Crew Science', email: USERS.crewScience.email },
+            idempotencyKey: 'queue-jump-1'
+        }), 'resource-exhausted');
+    });
+
+    it('turns a claimed offer into an order without taking the seats twice', async () => {
+        await freeSeats(2);
+        const order = await claim('alice', 2);
+        assert.strictEqual(order.status, 'created');
+        assert.strictEqual(order.amount, 1000);
+        assert.strictEqual((await entry('alice')).status, 'claimed');
+        assert.strictEqual((await entry('alice')).orderId, order.orderId);
+        assert.strictEqual(await generalSeats(), 0);
+
+        const paid = await callAs(payOrder, 'alice', { orderId: order.orderId, paymentMethod: { cardNumber: CARDS.ok } });
+        assert.strictEqual(paid.status, 'paid');
+        assert.strictEqual(paid.tickets.length, 1);
+        assert.strictEqual(await generalSeats(), 0);
+    });
+
+    it('gives offered seats that are not bought back to the event', async () => {
+        await freeSeats(2);
+        await claim('alice', 1);
+        assert.strictEqual(await generalSeats(), 1);
+    });
+
+    it('refuses a claim once the offer has run out, before and after the sweep', async () => {
+        await freeSeats(2);
+        await expireOfferOf('alice');
+        await expectHttpsError(claim('alice', 2), 'failed-precondition');
+
+        await expireWaitlistOffers.run({});
+        assert.strictEqual((await entry('alice')).status, 'expired');
+        await expectHttpsError(claim('alice', 2, 'claim-alice-2'), 'failed-precondition');
+        await expectHttpsError(claim('bob', 1), 'failed-precondition');
+    });
+
+    it('passes an expired offer on to the next person in line', async () => {
+        await freeSeats(2);
+        await expireOfferOf('alice');
+
+        await changeEvent(() => expireWaitlistOffers.run({}));
+        assert.strictEqual((await entry('alice')).status, 'expired');
+        const bob = await entry('bob');
+        assert.strictEqual(bob.status, 'offered');
+        assert.strictEqual(bob.offeredQuantity, 1);
+        assert.strictEqual(await generalSeats(), 1);
+
+        const order = await claim('bob', 1);
+        assert.strictEqual(order.status, 'created');
+    });
+
+    it('leaves offers that are still open alone', async () => {
+        await freeSeats(2);
+        await expireWaitlistOffers.run({});
+        assert.strictEqual((await entry('alice')).status, 'offered');
+        assert.strictEqual(await generalSeats(), 0);
+    });
+
+    it('makes no offers for events that are no longer on sale', async () => {
+        await eventRef().update({ status: 'cancelled' });
+        await freeSeats(2);
+        assert.strictEqual((await entry('alice')).status, 'waiting');
+        assert.strictEqual(await generalSeats(), 2);
+    });
+
+    it('needs an account to claim an offer', async () => {
+        await freeSeats(2);
+        await expectHttpsError(callAs(createOrder, null, {
+            eventId: 'event1',
+            counts: { general: 2 },
+            contact: { name: 'Guest', email: 'guest@example.com' },
+            idempotencyKey: 'guest-claim-1',
+            waitlistOffer: true
+        }), 'unauthenticated');
+    });
+});
@@ -0,0 +1,868 @@
+// Firestore security rules tests. Run with `npm test` (starts the Firestore and Storage emulators).
+// Each block mirrors a write path in "Web Site  - UNIVISTA/js/firestore.js" or js/auth.js.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    initializeTestEnvironment,
+    assertFails,
+    assertSucceeds
+} = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const serverTimestamp = () => firebase.firestore.FieldValue.serverTimestamp();
+
+let testEnv;
+
+// --- Fixtures ---
+
+const USERS = {
+    alice: { name: 'Alice', email: 'alice@example.com', faculty: 'Science', role: 'user' },
+    bob: { name: 'Bob', email: 'bob@example.com', faculty: 'Art', role: 'user' },
+    crewScience: { name: 'Crew Science', email: 'crew.sci@example.com', faculty: 'Science', role: 'crew' },
+    crewArt: { name: 'Crew Art', email: 'crew.art@example.com', faculty: 'Art', role: 'crew' },
+    // Assigned by an admin (functions/src/crew.js): the assignment wins over the profile faculty
+    crewLawArt: { name: 'Crew Law', email: 'crew.law@example.com', faculty: 'Science', role: 'crew', crewFaculties: ['Law', 'Art'] },
+    admin: { name: 'Admin', email: 'admin@example.com', faculty: 'UCSC', role: 'admin' },
+    // Signed in without a faculty: not a university member
+    outsider: { name: 'Olivia', email: 'olivia@example.com', faculty: '', role: 'user' }
+};
+
+/** Mirrors toEventDocument() in js/event-repository.js */
+function eventDoc(overrides = {}) {
+    return {
+        schemaVersion: 1,
+        title: 'Science Day',
+        description: 'Exhibition of final year projects.',
+        category: 'academic',
+        faculty: 'Science',
+        date: '2030-05-01',
+        time: '09:00',
+        startsAt: null,
+        location: 'Main Hall',
+        contact: '077-123 4567',
+        posterURL: '',
+        audience: { members: true, guests: true, targetFaculties: [] },
+        hasTickets: true,
+        ticketPrice: 500,
+        tiers: {
+            member: { price: 300, quota: 4, available: 4 },
+            general: { price: 500, quota: 6, available: 6 }
+        },
+        totalTickets: 10,
+        availableTickets: 10,
+        cancellationCutoffHours: 24,
+        payoutAccount: null,
+        status: 'pending',
+        rejectionReason: null,
+        revision: 1,
+        postedByUid: 'alice',
+        postedByName: 'Alice',
+        reviewedBy: null,
+        reviewedAt: null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        ...overrides
+    };
+}
+
+const PRICES = { member: 300, general: 500 };
+
+function ticketDoc(overrides = {}) {
+    const tier = overrides.tier || 'general';
+    const ticketCount = overrides.ticketCount || 2;
+    return {
+        ticketId: `TICKET-ABC123-${tier.toUpperCase()}`,
+        orderId: 'order1',
+        eventId: 'approved-event',
+        userId: 'alice',
+        userEmail: 'alice@example.com',
+        userName: 'Alice',
+        userPhone: '',
+        tier: tier,
+        unitPrice: PRICES[tier],
+        ticketCount: ticketCount,
+        amountPaid: ticketCount * PRICES[tier],
+        paymentStatus: 'paid',
+        status: 'active',
+        bookedAt: serverTimestamp(),
+        ...overrides
+    };
+}
+
+/** 'token' adds claims to the ID token, e.g. { email } for registration. */
+function dbAs(uid, token) {
+    return uid ? testEnv.authenticatedContext(uid, token).firestore() : testEnv.unauthenticatedContext().firestore();
+}
+
+/**
+ * The writes a client would need to book on its own (seat decrement + tickets), done as a batch.
+ * Tickets are issued server-side now, so the rules must reject this however it is shaped.
+ * 'counts' is tickets per tier; 'available' overrides the seats written back per tier
+ * (defaults to the fixture's seats minus the counts).
+ */
+function book(db, { eventId = 'approved-event', counts = { general: 2 }, available = {}, ticket = {} } = {}) {
+    const orderId = db.collection('orders').doc().id;
+    const seats = { member: 4, general: 6 };
+    const update = {};
+    let booked = 0;
+    const batch = db.batch();
+    for (const [tier, count] of Object.entries(counts)) {
+        update[`tiers.${tier}.available`] = seats[tier] - count;
+        booked += count;
+        batch.set(db.collection('tickets').doc(`${orderId}-${tier}`),
+            ticketDoc({ eventId, orderId, tier, ticketCount: count, amountPaid: count * PRICES[tier], ...ticket }));
+    }
+    for (const [tier, seatsLeft] of Object.entries(available)) {
+        update[`tiers.${tier}.available`] = seatsLeft;
+    }
+    update.availableTickets = 10 - booked;
+    batch.update(db.collection('events').doc(eventId), update);
+    return batch.commit();
+}
+
+describe('firestore.rules', () => {
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-univista',
+            firestore: {
+                rules: fs.readFileSync(path.join(__dirname, '../../firestore.rules'), 'utf8')
+            }
+        });
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            for (const [uid, profile] of Object.entries(USERS)) {
+                await db.collection('users').doc(uid).set(profile);
+            }
+            await db.collection('events').doc('pending-event').set(eventDoc());
+            await db.collection('events').doc('approved-event').set(eventDoc({ status: 'approved', reviewedBy: 'crewScience' }));
+        });
+    });
+
+    // =========================================================================
+    // --- users (js/auth.js registration) ---
+    // =========================================================================
+
+    describe('users', () => {
+        const newProfile = { name: 'Carol', email: 'carol@example.com', faculty: 'Law', role: 'user', createdAt: serverTimestamp() };
+        const carol = () => dbAs('carol', { email: 'carol@example.com' });
+
+        it('lets a new user create their own profile with role "user"', async () => {
+            await assertSucceeds(carol().collection('users').doc('carol').set(newProfile));
+        });
+
+        it('rejects registering with role "crew" or "admin"', async () => {
+            await assertFails(carol().collection('users').doc('carol').set({ ...newProfile, role: 'crew' }));
+            await assertFails(carol().collection('users').doc('carol').set({ ...newProfile, role: 'admin' }));
+        });
+
+        it('rejects creating a profile for another uid', async () => {
+            await assertFails(carol().collection('users').doc('dave').set(newProfile));
+        });
+
+        it('rejects a profile with an address other than the account\'s', async () => {
+            await assertFails(carol().collection('users').doc('carol').set({ ...newProfile, email: 'dan@example.com' }));
+            await assertFails(dbAs('carol').collection('users').doc('carol').set(newProfile));
+        });
+
+        it('rejects changing the address on a profile', async () => {
+            await assertFails(dbAs('alice').collection('users').doc('alice').update({ email: 'bob@example.com' }));
+        });
+
+        it('rejects a user promoting themselves', async () => {
+            await assertFails(dbAs('alice').collection('users').doc('alice').update({ role: 'crew' }));
+        });
+
+        it('lets a user edit their own name', async () => {
+            await assertSucceeds(dbAs('alice').collection('users').doc('alice').update({ name: 'Alice P.' }));
+        });
+
+        it('rejects crew moving themselves to another faculty', async () => {
+            await assertFails(dbAs('crewArt').collection('users').doc('crewArt').update({ faculty: 'Science' }));
+        });
+
+        it('rejects anyone assigning themselves crew faculties', async () => {
+            await assertFails(dbAs('alice').collection('users').doc('alice').update({ crewFaculties: ['Science'] }));
+            await assertFails(dbAs('crewLawArt').collection('users').doc('crewLawArt').update({ crewFaculties: ['Law', 'Art', 'Science'] }));
+        });
+
+        it('shows crew invites to admins only', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('crewInvites').doc('dan@example.com')
+                    .set({ email: 'dan@example.com', faculties: ['Law'], invitedBy: 'admin' });
+            });
+            await assertSucceeds(dbAs('admin').collection('crewInvites').get());
+            await assertFails(dbAs('crewScience').collection('crewInvites').get());
+            await assertFails(dbAs('admin').collection('crewInvites').doc('eve@example.com').set({ faculties: ['Law'] }));
+        });
+
+        it('shows the audit log to admins only and lets nobody write it', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('auditLog').doc('entry1').set({ action: 'event.status', actorUid: 'crewScience' });
+            });
+            await assertSucceeds(dbAs('admin').collection('auditLog').get());
+            await assertFails(dbAs('crewScience').collection('auditLog').doc('entry1').get());
+            await assertFails(dbAs('admin').collection('auditLog').doc('entry1').update({ actorUid: 'admin' }));
+            await assertFails(dbAs('admin').collection('auditLog').doc('entry1').delete());
+            await assertFails(dbAs('crewScience').collection('auditLog').add({ action: 'event.status', actorUid: 'crewScience' }));
+        });
+
+        it('hides other users\' profiles', async () => {
+            await assertFails(dbAs('bob').collection('users').doc('alice').get());
+        });
+
+        describe('notifications', () => {
+            const notification = () => dbAs('alice').collection('users').doc('alice').collection('notifications').doc('n1');
+
+            beforeEach(async () => {
+                await testEnv.withSecurityRulesDisabled(async (context) => {
+                    await context.firestore().collection('users').doc('alice').collection('notifications').doc('n1')
+                        .set({ type: 'event_approved', title: 'Your event is live', body: '', link: 'profile.html', read: false });
+                });
+            });
+
+            it('shows a user their own notifications only', async () => {
+                await assertSucceeds(dbAs('alice').collection('users').doc('alice').collection('notifications').get());
+                await assertFails(dbAs('bob').collection('users').doc('alice').collection('notifications').get());
+                await assertFails(dbAs('admin').collection('users').doc('alice').collection('notifications').doc('n1').get());
+            });
+
+            it('lets the owner mark a notification as read', async () => {
+                await assertSucceeds(notification().update({ read: true, readAt: serverTimestamp() }));
+            });
+
+            it('rejects changing anything but the read state', async () => {
+                await assertFails(notification().update({ read: true, readAt: serverTimestamp(), link: 'https://example.com' }));
+                await assertFails(notification().update({ read: false, readAt: serverTimestamp() }));
+                await assertFails(notification().update({ read: true }));
+                await assertFails(dbAs('bob').collection('users').doc('alice').collection('notifications').doc('n1')
+                    .update({ read: true, readAt: serverTimestamp() }));
+            });
+
+            it('rejects creating or deleting notifications from a client', async () => {
+                await assertFails(dbAs('alice').collection('users').doc('alice').collection('notifications').doc('n2')
+                    .set({ type: 'event_approved', title: 'Fake', read: false }));
+                await assertFails(dbAs('crewScience').collection('users').doc('alice').collection('notifications').doc('n2')
+                    .set({ type: 'submission_pending', title: 'Fake', read: false }));
+                await assertFails(notification().delete());
+            });
+        });
+    });
+
+    // =========================================================================
+    // --- events: submitNewEvent / crewPostApprovedEvent ---
+    // =========================================================================
+
+    describe('event submission', () => {
+        it('lets a signed-in user submit a pending event', async () => {
+            await assertSucceeds(dbAs('alice').collection('events').add(eventDoc()));
+        });
+
+        it('rejects guests submitting events', async () => {
+            await assertFails(dbAs(null).collection('events').add(eventDoc()));
+        });
+
+        it('rejects a submitter writing status "approved"', async () => {
+            await assertFails(dbAs('alice').collection('events').add(eventDoc({ status: 'approved', reviewedBy: 'alice' })));
+        });
+
+        it('rejects submitting on behalf of another user', async () => {
+            await assertFails(dbAs('bob').collection('events').add(eventDoc()));
+        });
+
+        it('rejects a submission that pre-sells tickets', async () => {
+            await assertFails(dbAs('alice').collection('events').add(eventDoc({ availableTickets: 5 })));
+            await assertFails(dbAs('alice').collection('events').add(eventDoc({
+                tiers: {
+                    member: { price: 300, quota: 4, available: 1 },
+                    general: { price: 500, quota: 6, available: 6 }
+                }
+            })));
+        });
+
+        it('rejects totals that do not match the tier quotas', async () => {
+            await assertFails(dbAs('alice').collection('events').add(eventDoc({ totalTickets: 20, availableTickets: 20 })));
+        });
+
+        it('lets crew post an approved event for their own faculty', async () => {
+            await assertSucceeds(dbAs('crewScience').collection('events').add(
+                eventDoc({ status: 'approved', postedByUid: 'crewScience', reviewedBy: 'crewScience' })));
+        });
+
+        it('rejects crew posting an approved event for another faculty', async () => {
+            await assertFails(dbAs('crewArt').collection('events').add(
+                eventDoc({ status: 'approved', postedByUid: 'crewArt', reviewedBy: 'crewArt' })));
+        });
+    });
+
+    describe('event visibility', () => {
+        it('shows approved events to everyone', async () => {
+            await assertSucceeds(dbAs(null).collection('events').doc('approved-event').get());
+        });
+
+        it('shows pending events to the submitter and the faculty crew only', async () => {
+            await assertSucceeds(dbAs('alice').collection('events').doc('pending-event').get());
+            await assertSucceeds(dbAs('crewScience').collection('events').doc('pending-event').get());
+            await assertFails(dbAs('bob').collection('events').doc('pending-event').get());
+            await assertFails(dbAs('crewArt').collection('events').doc('pending-event').get());
+        });
+
+        it('allows the crew pending-queue query for their own faculty', async () => {
+            await assertSucceeds(dbAs('crewScience').collection('events')
+                .where('status', '==', 'pending').where('faculty', '==', 'Science').get());
+        });
+    });
+
+    // =========================================================================
+    // --- events: approveEvent / rejectEvent / updateEventStatus ---
+    // =========================================================================
+
+    describe('moderation', () => {
+        const approval = (uid) => ({
+            status: 'approved',
+            reviewedBy: uid,
+            reviewedAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+            rejectionReason: null
+        });
+
+        it('lets crew of the event faculty approve', async () => {
+            await assertSucceeds(dbAs('crewScience').collection('events').doc('pending-event').update(approval('crewScience')));
+        });
+
+        it('lets crew of the event faculty reject with a reason', async () => {
+            await assertSucceeds(dbAs('crewScience').collection('events').doc('pending-event').update({
+                status: 'rejected',
+                reviewedBy: 'crewScience',
+                rejectionReason: 'Clashes with exams.',
+                reviewedAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            }));
+        });
+
+        it('rejects crew of another faculty', async () => {
+            await assertFails(dbAs('crewArt').collection('events').doc('pending-event').update(approval('crewArt')));
+        });
+
+        it('follows crew assignments rather than the profile faculty', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('law-event').set(eventDoc({ faculty: 'Law' }));
+            });
+            await assertSucceeds(dbAs('crewLawArt').collection('events').doc('law-event').update(approval('crewLawArt')));
+            await assertFails(dbAs('crewLawArt').collection('events').doc('pending-event').update(approval('crewLawArt')));
+        });
+
+        it('rejects the submitter approving their own event', async () => {
+            await assertFails(dbAs('alice').collection('events').doc('pending-event').update(approval('alice')));
+        });
+
+        it('rejects crew recording someone else as reviewer', async () => {
+            await assertFails(dbAs('crewScience').collection('events').doc('pending-event').update(approval('crewArt')));
+        });
+
+        it('rejects crew changing ticket availability while moderating', async () => {
+            await assertFails(dbAs('crewScience').collection('events').doc('pending-event').update({
+                ...approval('crewScience'),
+                availableTickets: 100
+            }));
+        });
+
+        it('only moderates events waiting in the queue', async () => {
+            const rejection = {
+                status: 'rejected',
+                reviewedBy: 'crewScience',
+                rejectionReason: 'Clashes with exams.',
+                reviewedAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            };
+            await assertFails(dbAs('crewScience').collection('events').doc('approved-event').update(rejection));
+            // A published event is changed through its change request instead
+            await assertFails(dbAs('crewScience').collection('events').doc('approved-event').update({
+                ...rejection, status: 'changes_requested', rejectionReason: null
+            }));
+
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('cancelled-event')
+                    .set(eventDoc({ status: 'cancelled', cancellationReason: 'Venue flooded.' }));
+                await context.firestore().collection('events').doc('rejected-event')
+                    .set(eventDoc({ status: 'rejected', rejectionReason: 'Clashes with exams.' }));
+            });
+            await assertFails(dbAs('crewScience').collection('events').doc('cancelled-event').update(approval('crewScience')));
+            await assertFails(dbAs('crewScience').collection('events').doc('rejected-event').update(approval('crewScience')));
+        });
+
+        it('lets an admin update any event', async () => {
+            await assertSucceeds(dbAs('admin').collection('events').doc('pending-event').update(approval('admin')));
+        });
+    });
+
+    // =========================================================================
+    // --- changes requested: comments and revisions (js/review.js) ---
+    // =========================================================================
+
+    describe('review threads', () => {
+        const comment = (uid, overrides = {}) => ({
+            authorUid: uid,
+            authorName: USERS[uid].name,
+            authorRole: 'crew',
+            field: 'title',
+            text: 'Please use the full event name.',
+            revision: 1,
+            createdAt: serverTimestamp(),
+            ...overrides
+        });
+
+        /** Mirrors resubmitEvent(): the edit and its revisions/{n} record in one batch. */
+        function resubmit(db, { revision = 2, event = {}, record = {} } = {}) {
+            const eventRef = db.collection('events').doc('returned-event');
+            const batch = db.batch();
+            batch.update(eventRef, {
+                title: 'Science Day 2030',
+                status: 'pending',
+                revision: revision,
+                updatedAt: serverTimestamp(),
+                ...event
+            });
+            batch.set(eventRef.collection('revisions').doc(String(revision)), {
+                revision: revision,
+                fields: { title: 'Science Day 2030' },
+                previousFields: { title: 'Science Day' },
+                changedFields: ['title'],
+                submittedBy: 'alice',
+                submittedAt: serverTimestamp(),
+                ...record
+            });
+            return batch.commit();
+        }
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('returned-event')
+                    .set(eventDoc({ status: 'changes_requested', reviewedBy: 'crewScience' }));
+            });
+        });
+
+        it('lets crew of the event faculty request changes with comments', async () => {
+            const db = dbAs('crewScience');
+            const eventRef = db.collection('events').doc('pending-event');
+            const batch = db.batch();
+            batch.update(eventRef, {
+                status: 'changes_requested',
+                reviewedBy: 'crewScience',
+                reviewedAt: serverTimestamp(),
+                updatedAt: serverTimestamp(),
+                rejectionReason: null
+            });
+            batch.set(eventRef.collection('comments').doc(), comment('crewScience'));
+            await assertSucceeds(batch.commit());
+        });
+
+        it('keeps the thread to the submitter and the faculty crew', async () => {
+            const thread = (uid) => dbAs(uid).collection('events').doc('returned-event').collection('comments');
+            await assertSucceeds(thread('alice').doc().set(comment('alice', { authorRole: 'submitter', field: 'general' })));
+            await assertSucceeds(thread('crewScience').get());
+            await assertSucceeds(thread('alice').get());
+            await assertFails(thread('bob').get());
+            await assertFails(thread('crewArt').doc().set(comment('crewArt')));
+            await assertFails(thread(null).get());
+        });
+
+        it('rejects posing as crew or as someone else, and editing comments', async () => {
+            const thread = (uid) => dbAs(uid).collection('events').doc('returned-event').collection('comments');
+            await assertFails(thread('alice').doc().set(comment('alice')));
+            await assertFails(thread('crewScience').doc().set(comment('alice', { authorRole: 'submitter' })));
+            await assertFails(thread('crewScience').doc().set(comment('crewScience', { field: 'payoutAccount' })));
+
+            await assertSucceeds(thread('crewScience').doc('c1').set(comment('crewScience')));
+            await assertFails(thread('crewScience').doc('c1').update({ text: 'Never mind.' }));
+            await assertFails(thread('crewScience').doc('c1').delete());
+        });
+
+        it('lets the submitter resubmit an edited event as the next revision', async () => {
+            await assertSucceeds(resubmit(dbAs('alice')));
+            await assertSucceeds(dbAs('crewScience').collection('events').doc('returned-event')
+                .collection('revisions').doc('2').get());
+        });
+
+        it('rejects a resubmission without its revision record or with the wrong number', async () => {
+            await assertFails(dbAs('alice').collection('events').doc('returned-event').update({
+                title: 'Science Day 2030',
+                status: 'pending',
+                revision: 2,
+                updatedAt: serverTimestamp()
+            }));
+            await assertFails(resubmit(dbAs('alice'), { revision: 3 }));
+        });
+
+        it('rejects resubmitting changes to tickets or review fields', async () => {
+            await assertFails(resubmit(dbAs('alice'), { event: { availableTickets: 100 } }));
+            await assertFails(resubmit(dbAs('alice'), { event: { reviewedBy: 'alice' } }));
+            await assertFails(resubmit(dbAs('alice'), { event: { status: 'approved' } }));
+        });
+
+        it('rejects resubmitting an event nobody sent back, or someone else\'s', async () => {
+            await assertFails(resubmit(dbAs('bob'), { record: { submittedBy: 'bob' } }));
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('returned-event').update({ status: 'rejected' });
+            });
+            await assertFails(resubmit(dbAs('alice')));
+        });
+    });
+
+    // =========================================================================
+    // --- editing and cancelling live events (js/event-editing.js) ---
+    // =========================================================================
+
+    describe('live event changes', () => {
+        const changeRequest = (overrides = {}) => ({
+            status: 'pending',
+            fields: { date: '2030-05-08', location: 'Open Air Theatre' },
+            previousFields: { date: '2030-05-01', location: 'Main Hall' },
+            changedFields: ['date', 'location'],
+            submittedBy: 'alice',
+            submittedAt: serverTimestamp(),
+            ...overrides
+        });
+        const liveEvent = (uid) => dbAs(uid).collection('events').doc('approved-event');
+
+        it('lets the submitter and faculty crew make cosmetic edits to an approved event', async () => {
+            await assertSucceeds(liveEvent('alice').update({ title: 'Science Day 2030', updatedAt: serverTimestamp() }));
+            await assertSucceeds(liveEvent('crewScience').update({ description: 'Now with a poster session.', updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('bob').update({ title: 'Art Day', updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('crewArt').update({ title: 'Art Day', updatedAt: serverTimestamp() }));
+        });
+
+        it('rejects the submitter changing date, venue or prices directly', async () => {
+            await assertFails(liveEvent('alice').update({ date: '2030-05-08', updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('alice').update({ location: 'Open Air Theatre', updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('alice').update({ 'tiers.general.price': 50, ticketPrice: 50, updatedAt: serverTimestamp() }));
+        });
+
+        it('lets the submitter propose material changes for the crew to approve', async () => {
+            await assertSucceeds(liveEvent('alice').update({ changeRequest: changeRequest(), updatedAt: serverTimestamp() }));
+            await assertSucceeds(liveEvent('alice').update({
+                title: 'Science Day 2030',
+                changeRequest: changeRequest({ fields: { generalPrice: 450 }, previousFields: { generalPrice: 500 }, changedFields: ['generalPrice'] }),
+                updatedAt: serverTimestamp()
+            }));
+            await assertFails(liveEvent('alice').update({ changeRequest: changeRequest({ status: 'approved' }), updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('alice').update({
+                changeRequest: changeRequest({ fields: { 'tiers.general.quota': 100 } }),
+                updatedAt: serverTimestamp()
+            }));
+            await assertFails(liveEvent('bob').update({ changeRequest: changeRequest({ submittedBy: 'bob' }), updatedAt: serverTimestamp() }));
+        });
+
+        it('lets faculty crew apply or decline a change request', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('approved-event').update({ changeRequest: changeRequest() });
+            });
+            const decision = (uid, status) => ({
+                'changeRequest.status': status,
+                'changeRequest.decidedBy': uid,
+                'changeRequest.decidedAt': serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            await assertFails(liveEvent('alice').update(decision('alice', 'approved')));
+            await assertFails(liveEvent('crewArt').update(decision('crewArt', 'approved')));
+            await assertSucceeds(liveEvent('crewScience').update({
+                ...decision('crewScience', 'approved'),
+                date: '2030-05-08',
+                location: 'Open Air Theatre'
+            }));
+            // Decided requests cannot be decided again
+            await assertFails(liveEvent('crewScience').update(decision('crewScience', 'declined')));
+        });
+
+        it('lets crew change prices but not capacity or seats', async () => {
+            await assertSucceeds(liveEvent('crewScience').update({
+                'tiers.general.price': 450,
+                ticketPrice: 450,
+                updatedAt: serverTimestamp()
+            }));
+            await assertFails(liveEvent('crewScience').update({ 'tiers.general.price': -1, updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('crewScience').update({ 'tiers.general.quota': 100, updatedAt: serverTimestamp() }));
+            await assertFails(liveEvent('crewScience').update({ 'tiers.general.available': 100, updatedAt: serverTimestamp() }));
+        });
+
+        it('leaves cancelling to the server but keeps cancelled events public', async () => {
+            const cancel = { status: 'cancelled', cancellationReason: 'Venue flooded.', updatedAt: serverTimestamp() };
+            await assertFails(liveEvent('alice').update(cancel));
+            await assertFails(liveEvent('crewScience').update(cancel));
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('approved-event').update(cancel);
+            });
+            await assertSucceeds(dbAs(null).collection('events').doc('approved-event').get());
+            await assertFails(liveEvent('alice').update({ title: 'Science Day 2030', updatedAt: serverTimestamp() }));
+        });
+    });
+
+    // =========================================================================
+    // --- tickets: issued only by functions/src/tickets.js for paid orders ---
+    // =========================================================================
+
+    describe('tickets', () => {
+        it('rejects a client-written booking, even a well-formed one', async () => {
+            await assertFails(book(dbAs('alice')));
+            await assertFails(book(dbAs('alice'), { counts: { member: 2 } }));
+            await assertFails(book(dbAs(null), { ticket: { userId: 'GUEST_abc123' } }));
+        });
+
+        it('rejects a ticket written on its own', async () => {
+            await assertFails(dbAs('alice').collection('tickets').add(ticketDoc()));
+        });
+
+        it('rejects clients changing seat counts', async () => {
+            await assertFails(dbAs('alice').collection('events').doc('approved-event').update({ availableTickets: 100 }));
+            await assertFails(dbAs('alice').collection('events').doc('approved-event').update({ 'tiers.general.available': 5 }));
+            await assertFails(dbAs('crewScience').collection('events').doc('approved-event').update({ availableTickets: 100 }));
+        });
+
+        it('keeps tickets immutable and private', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('tickets').doc('t1').set(ticketDoc());
+            });
+            await assertFails(dbAs('alice').collection('tickets').doc('t1').update({ tier: 'member' }));
+            await assertFails(dbAs('crewScience').collection('tickets').doc('t1').update({ tier: 'member' }));
+            await assertFails(dbAs('alice').collection('tickets').doc('t1').delete());
+            await assertSucceeds(dbAs('alice').collection('tickets').doc('t1').get());
+            await assertSucceeds(dbAs('crewScience').collection('tickets').doc('t1').get());
+            await assertFails(dbAs('bob').collection('tickets').doc('t1').get());
+        });
+
+        it('rejects holders cancelling or transferring a ticket themselves', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('tickets').doc('t1').set(ticketDoc());
+            });
+            await assertFails(dbAs('alice').collection('tickets').doc('t1').update({ status: 'cancelled' }));
+            await assertFails(dbAs('alice').collection('tickets').doc('t1').update({ userId: 'bob' }));
+        });
+
+        it('rejects anyone adding a QR payload after booking', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('tickets').doc('t1').set(ticketDoc());
+            });
+            await assertFails(dbAs('alice').collection('tickets').doc('t1').update({ qrCodeData: 'UNIVISTA1.t1.signature' }));
+        });
+
+        it('lets a guest fetch their ticket by ID but never list tickets', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('tickets').doc('g1').set(ticketDoc({ userId: 'GUEST_abc123' }));
+            });
+            await assertSucceeds(dbAs(null).collection('tickets').doc('g1').get());
+            await assertFails(dbAs(null).collection('tickets').where('userId', '==', 'GUEST_abc123').get());
+        });
+    });
+
+    // =========================================================================
+    // --- check-in: checkInTicket (crew-check-in.html) ---
+    // =========================================================================
+
+    describe('check-in', () => {
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('tickets').doc('t1').set(ticketDoc());
+            });
+        });
+
+        /** Same writes as checkInTicket() in js/check-in.js, done as a batch. */
+        function checkIn(db, { attendee = 1, checkedInBy = 'crewScience', eventId = 'approved-event', checkin = {} } = {}) {
+            const batch = db.batch();
+            batch.set(db.collection('events').doc(eventId).collection('checkins').doc(`t1-${attendee}`), {
+                ticketDocId: 't1',
+                ticketId: 'TICKET-ABC123-GENERAL',
+                tier: 'general',
+                attendee,
+                checkedInBy,
+                checkedInAt: serverTimestamp(),
+                ...checkin
+            });
+            batch.update(db.collection('tickets').doc('t1'), { checkedInCount: attendee, lastCheckInAt: serverTimestamp() });
+            return batch.commit();
+        }
+
+        it('lets crew of the event faculty admit each attendee once', async () => {
+            await assertSucceeds(checkIn(dbAs('crewScience'), { attendee: 1 }));
+            await assertSucceeds(checkIn(dbAs('crewScience'), { attendee: 2 }));
+        });
+
+        it('rejects admitting more attendees than the ticket covers', async () => {
+            await assertSucceeds(checkIn(dbAs('crewScience'), { attendee: 1 }));
+            await assertSucceeds(checkIn(dbAs('crewScience'), { attendee: 2 }));
+            await assertFails(checkIn(dbAs('crewScience'), { attendee: 3 }));
+        });
+
+        it('rejects scanning the same attendee twice', async () => {
+            await assertSucceeds(checkIn(dbAs('crewScience'), { attendee: 1 }));
+            await assertFails(checkIn(dbAs('crewScience'), { attendee: 1 }));
+        });
+
+        it('rejects skipping ahead', async () => {
+            await assertFails(checkIn(dbAs('crewScience'), { attendee: 2 }));
+        });
+
+        it('rejects crew of another faculty and ticket holders', async () => {
+            await assertFails(checkIn(dbAs('crewArt'), { checkedInBy: 'crewArt' }));
+            await assertFails(checkIn(dbAs('alice'), { checkedInBy: 'alice' }));
+        });
+
+        it('rejects checking a ticket in at another event', async () => {
+            await assertFails(checkIn(dbAs('crewScience'), { eventId: 'pending-event' }));
+        });
+
+        it('rejects checking in a cancelled ticket', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('tickets').doc('t1').update({ status: 'cancelled' });
+            });
+            await assertFails(checkIn(dbAs('crewScience'), { attendee: 1 }));
+        });
+
+        it('rejects a check-in without the checkins record', async () => {
+            await assertFails(dbAs('crewScience').collection('tickets').doc('t1')
+                .update({ checkedInCount: 1, lastCheckInAt: serverTimestamp() }));
+        });
+
+        it('shows the check-in log to faculty crew only', async () => {
+            await assertSucceeds(dbAs('crewScience').collection('events').doc('approved-event').collection('checkins').get());
+            await assertFails(dbAs('alice').collection('events').doc('approved-event').collection('checkins').get());
+        });
+    });
+
+    // =========================================================================
+    // --- waitlist: joinWaitlist / leaveWaitlist (js/waitlist.js) ---
+    // =========================================================================
+
+    describe('waitlist', () => {
+        const waitlist = (db) => db.collection('events').doc('approved-event').collection('waitlist');
+        const entry = (uid, overrides = {}) => ({
+            userId: uid,
+            name: USERS[uid].name,
+            email: USERS[uid].email,
+            tier: 'general',
+            quantity: 2,
+            status: 'waiting',
+            joinedAt: serverTimestamp(),
+            ...overrides
+        });
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('approved-event')
+                    .update({ 'tiers.member.available': 0, 'tiers.general.available': 0, availableTickets: 0 });
+            });
+        });
+
+        it('lets a signed-in user join for themselves', async () => {
+            await assertSucceeds(waitlist(dbAs('alice')).doc('alice').set(entry('alice')));
+            await assertSucceeds(waitlist(dbAs('alice')).doc('alice').get());
+        });
+
+        it('rejects guests and joining on behalf of someone else', async () => {
+            await assertFails(waitlist(dbAs(null)).doc('alice').set(entry('alice')));
+            await assertFails(waitlist(dbAs('bob')).doc('alice').set(entry('alice')));
+        });
+
+        it('rejects granting yourself an offer or too many seats', async () => {
+            await assertFails(waitlist(dbAs('alice')).doc('alice').set(entry('alice', { status: 'offered', offeredQuantity: 2 })));
+            await assertFails(waitlist(dbAs('alice')).doc('alice').set(entry('alice', { quantity: 6 })));
+        });
+
+        it('keeps the member queue to university members', async () => {
+            await assertSucceeds(waitlist(dbAs('alice')).doc('alice').set(entry('alice', { tier: 'member' })));
+            await assertFails(waitlist(dbAs('outsider')).doc('outsider').set(entry('outsider', { tier: 'member' })));
+        });
+
+        it('rejects joining the queue of a tier that still has seats', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.firestore().collection('events').doc('approved-event')
+                    .update({ 'tiers.general.available': 1, availableTickets: 1 });
+            });
+            await assertFails(waitlist(dbAs('alice')).doc('alice').set(entry('alice')));
+            await assertSucceeds(waitlist(dbAs('alice')).doc('alice').set(entry('alice', { tier: 'member' })));
+        });
+
+        it('rejects joining the waitlist of an unapproved event', async () => {
+            await assertFails(dbAs('alice').collection('events').doc('pending-event').collection('waitlist').doc('alice')
+                .set(entry('alice')));
+        });
+
+        it('lets a user leave while waiting but not walk away from an open offer', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await waitlist(context.firestore()).doc('alice').set(entry('alice'));
+                await waitlist(context.firestore()).doc('bob').set(entry('bob', { status: 'offered', offeredQuantity: 2 }));
+            });
+            await assertSucceeds(waitlist(dbAs('alice')).doc('alice').delete());
+            await assertFails(waitlist(dbAs('bob')).doc('bob').delete());
+            await assertFails(waitlist(dbAs('bob')).doc('bob').update({ status: 'claimed' }));
+        });
+
+        it('shows the queue to faculty crew only', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await waitlist(context.firestore()).doc('alice').set(entry('alice'));
+            });
+            await assertSucceeds(waitlist(dbAs('crewScience')).get());
+            await assertFails(waitlist(dbAs('bob')).get());
+            await assertFails(waitlist(dbAs('bob')).doc('alice').get());
+        });
+    });
+
+    // =========================================================================
+    // --- orders: written only by functions/src/orders.js ---
+    // =========================================================================
+
+    describe('orders', () => {
+        const orderDoc = (overrides = {}) => ({
+            orderId: 'o1',
+            eventId: 'approved-event',
+            userId: 'alice',
+            contact: { name: 'Alice', email: 'alice@example.com', phone: '' },
+            items: [{ tier: 'member', quantity: 2, unitPrice: 300, lineTotal: 600 }],
+            amount: 600,
+            currency: 'LKR',
+            provider: 'mock',
+            status: 'created',
+            tickets: [],
+            ...overrides
+        });
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                await db.collection('orders').doc('o1').set(orderDoc());
+                await db.collection('orders').doc('g1').set(orderDoc({ orderId: 'g1', userId: 'GUEST_g1' }));
+            });
+        });
+
+        it('shows an order to its owner only', async () => {
+            await assertSucceeds(dbAs('alice').collection('orders').doc('o1').get());
+            await assertSucceeds(dbAs('alice').collection('orders').where('userId', '==', 'alice').get());
+            await assertFails(dbAs('bob').collection('orders').doc('o1').get());
+            await assertFails(dbAs(null).collection('orders').doc('o1').get());
+        });
+
+        it('lets a guest fetch their order by ID but never list orders', async () => {
+            await assertSucceeds(dbAs(null).collection('orders').doc('g1').get());
+            await assertFails(dbAs(null).collection('orders').where('userId', '==', 'GUEST_g1').get());
+        });
+
+        it('rejects clients creating orders or marking them paid', async () => {
+            await assertFails(dbAs('alice').collection('orders').doc('o2').set(orderDoc({ orderId: 'o2' })));
+            await assertFails(dbAs('alice').collection('orders').doc('o1').update({ status: 'paid' }));
+            await assertFails(dbAs(null).collection('orders').doc('g1').update({ status: 'paid' }));
+        });
+
+        it('hides the mock gateway records', async () => {
+            await assertFails(dbAs('alice').collection('mock_payments').doc('o1').get());
+            await assertFails(dbAs('alice').collection('mock_payments').doc('o1').set({ status: 'captured' }));
+        });
+    });
+});
@@ -0,0 +1,79 @@
+// Storage security rules tests. Run with `npm test` (starts the Firestore and Storage emulators).
+// Covers uploadEventPoster() in "Web Site  - UNIVISTA/js/firestore.js".
+
+const fs = require('fs');
+const path = require('path');
+const {
+    initializeTestEnvironment,
+    assertFails,
+    assertSucceeds
+} = require('@firebase/rules-unit-testing');
+
+let testEnv;
+
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function storageAs(uid) {
+    return uid ? testEnv.authenticatedContext(uid).storage() : testEnv.unauthenticatedContext().storage();
+}
+
+describe('storage.rules', () => {
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-univista',
+            storage: {
+                rules: fs.readFileSync(path.join(__dirname, '../../storage.rules'), 'utf8')
+            }
+        });
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearStorage();
+    });
+
+    describe('event posters', () => {
+        it('lets a user upload an image to their own folder', async () => {
+            await assertSucceeds(storageAs('alice').ref('event_posters/alice/1_poster.png')
+                .put(PNG_BYTES, { contentType: 'image/png' }));
+        });
+
+        it('rejects uploads into another user\'s folder', async () => {
+            await assertFails(storageAs('alice').ref('event_posters/bob/1_poster.png')
+                .put(PNG_BYTES, { contentType: 'image/png' }));
+        });
+
+        it('rejects guests uploading', async () => {
+            await assertFails(storageAs(null).ref('event_posters/alice/1_poster.png')
+                .put(PNG_BYTES, { contentType: 'image/png' }));
+        });
+
+        it('rejects non-image files', async () => {
+            await assertFails(storageAs('alice').ref('event_posters/alice/1_notes.pdf')
+                .put(PNG_BYTES, { contentType: 'application/pdf' }));
+        });
+
+        it('rejects overwriting an existing poster', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.storage().ref('event_posters/alice/1_poster.png').put(PNG_BYTES, { contentType: 'image/png' });
+            });
+            await assertFails(storageAs('alice').ref('event_posters/alice/1_poster.png')
+                .put(PNG_BYTES, { contentType: 'image/png' }));
+        });
+
+        it('serves posters publicly', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await context.storage().ref('event_posters/alice/1_poster.png').put(PNG_BYTES, { contentType: 'image/png' });
+            });
+            await assertSucceeds(storageAs(null).ref('event_posters/alice/1_poster.png').getDownloadURL());
+        });
+
+        it('rejects writes outside event_posters', async () => {
+            await assertFails(storageAs('alice').ref('uploads/alice/1_poster.png')
+                .put(PNG_BYTES, { contentType: 'image/png' }));
+        });
+    });
+});